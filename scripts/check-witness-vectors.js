@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Check the witness builders against the vectors in src/lib/witness/vectors
+ * For each circuit the builder is re-run on the vector's params with circomlibjs Poseidon, its witness input and
+ * public signals must equal the vector's, and the shipped circuit wasm (public/circuits) must accept the witness
+ * and emit the same public signals. Exits with 1 on any mismatch.
+ * Usage: node scripts/check-witness-vectors.js
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+import { buildPoseidon } from 'circomlibjs';
+import * as snarkjs from 'snarkjs';
+
+const root = resolve(fileURLToPath(new URL('.', import.meta.url)), '..');
+
+const readVector = (circuit) => JSON.parse(readFileSync(resolve(root, `src/lib/witness/vectors/${circuit}.json`), 'utf8'));
+const stringify = (value) => JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v));
+
+// Witness builder output for a vector, in the shape of its `expected` block
+const BUILDERS = {
+  deposit: async (W, params, poseidon) => {
+    const witness = await W.buildDepositWitness(params, poseidon);
+    return { input: witness.input, publicSignals: witness.orderedPublicSignals };
+  },
+  transfer: async (W, params, poseidon) => {
+    const witness = await W.buildTransferWitness(params, poseidon);
+    return { input: witness.input, publicSignals: witness.orderedPublicSignals };
+  },
+  withdraw: async (W, params, poseidon) => {
+    const witness = await W.buildWithdrawWitness(params, poseidon);
+    return { input: witness.input, publicSignals: W.orderPublicSignals('withdraw', witness.publicSignals) };
+  },
+};
+
+async function circuitPublicSignals(circuit, input, count) {
+  const wtns = { type: 'mem' };
+  await snarkjs.wtns.calculate(input, resolve(root, `public/circuits/${circuit}/${circuit}.wasm`), wtns);
+  const witness = await snarkjs.wtns.exportJson(wtns);
+  // Signal 0 is the constant 1, public signals follow
+  return witness.slice(1, count + 1).map(String);
+}
+
+async function checkVector(W, circuit, poseidon) {
+  const vector = readVector(circuit);
+  const built = await BUILDERS[circuit](W, vector.params, poseidon);
+  const problems = [];
+  if (stringify(built.input) !== stringify(vector.expected.input)) {
+    problems.push('witness input differs from the vector');
+  }
+  if (stringify(built.publicSignals) !== stringify(vector.expected.publicSignals)) {
+    problems.push('public signals differ from the vector');
+  }
+  try {
+    const emitted = await circuitPublicSignals(circuit, built.input, vector.expected.publicSignals.length);
+    if (stringify(emitted) !== stringify(vector.expected.publicSignals)) {
+      problems.push(`circuit emits ${stringify(emitted)}`);
+    }
+  } catch (error) {
+    problems.push(`circuit rejects the witness: ${error.message}`);
+  }
+  return problems;
+}
+
+async function main() {
+  // Vite only transpiles the TypeScript builders here; no app config or dependency scan is needed
+  const server = await createServer({
+    root,
+    configFile: false,
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+    optimizeDeps: { noDiscovery: true, include: [] },
+    css: { postcss: {} },
+  });
+  let failed = false;
+  try {
+    const W = await server.ssrLoadModule('/src/lib/witness/index.ts');
+    const poseidonImpl = await buildPoseidon();
+    const poseidon = (inputs) => poseidonImpl.F.toObject(poseidonImpl(inputs));
+    for (const circuit of Object.keys(BUILDERS)) {
+      const problems = await checkVector(W, circuit, poseidon);
+      if (problems.length === 0) {
+        console.log(`✅ ${circuit}: builder and circuit match the vector`);
+      } else {
+        failed = true;
+        console.error(`❌ ${circuit}: ${problems.join('; ')}`);
+      }
+    }
+  } finally {
+    await server.close();
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
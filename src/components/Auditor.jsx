@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCipherPay } from '../contexts/CipherPayContext';
+import { listCircuits } from '../services/circuitRegistry';
 
 function Auditor() {
   const navigate = useNavigate();
@@ -25,6 +26,19 @@ function Auditor() {
   const [viewKey, setViewKey] = useState('');
   const [auditResult, setAuditResult] = useState(null);
   const [auditStep, setAuditStep] = useState('form'); // form, auditing, success
+  const [circuits, setCircuits] = useState([]);
+  const [selectedCircuit, setSelectedCircuit] = useState('');
+
+  useEffect(() => {
+    listCircuits()
+      .then((registered) => {
+        setCircuits(registered);
+        if (registered.length > 0) {
+          setSelectedCircuit(prev => prev || registered[0].name);
+        }
+      })
+      .catch((err) => console.error('Failed to load circuits:', err));
+  }, []);
 
   useEffect(() => {
     if (!isConnected) {
@@ -47,12 +61,16 @@ function Auditor() {
 
       let result;
       if (auditType === 'proof') {
-        // Verify transfer proof
+        // Verify proof against the pasted verifier key, or the selected circuit's vkey from the registry
         const proofObj = JSON.parse(proofData);
+        const circuit = circuits.find(c => c.name === selectedCircuit);
+        if (!proofObj.verifierKey && circuit && circuit.nPublic !== null && proofObj.publicSignals?.length !== circuit.nPublic) {
+          throw new Error(`Expected ${circuit.nPublic} public signals for ${circuit.name}, got ${proofObj.publicSignals?.length ?? 0}`);
+        }
         result = await verifyProof(
           proofObj.proof,
           proofObj.publicSignals,
-          proofObj.verifierKey
+          proofObj.verifierKey || selectedCircuit
         );
       } else if (auditType === 'payment') {
         // Verify payment proof
@@ -204,6 +222,27 @@ function Auditor() {
             <div className="px-4 py-5 sm:p-6">
               <h2 className="text-lg font-medium text-gray-900 mb-4">Verify Proof</h2>
               <form onSubmit={handleVerifyProof} className="space-y-6">
+                <div>
+                  <label htmlFor="circuit" className="block text-sm font-medium text-gray-700">
+                    Circuit
+                  </label>
+                  <select
+                    id="circuit"
+                    value={selectedCircuit}
+                    onChange={(e) => setSelectedCircuit(e.target.value)}
+                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  >
+                    {circuits.map((circuit) => (
+                      <option key={circuit.name} value={circuit.name}>
+                        {circuit.name}{circuit.version ? ` v${circuit.version}` : ''}{circuit.nPublic !== null ? ` (${circuit.nPublic} public signals)` : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Used when the proof JSON does not include a verifierKey.
+                  </p>
+                </div>
+
                 <div>
                   <label htmlFor="proofData" className="block text-sm font-medium text-gray-700">
                     Proof Data (JSON)
@@ -215,7 +254,7 @@ function Auditor() {
                     required
                     rows={8}
                     className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-                    placeholder='{"proof": {...}, "publicSignals": [...], "verifierKey": {...}}'
+                    placeholder='{"proof": {...}, "publicSignals": [...], "verifierKey": {...} (optional)}'
                   />
                 </div>
 
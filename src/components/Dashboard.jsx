@@ -1,10 +1,24 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCipherPay } from '../contexts/CipherPayContext';
 import { useConnection, useWallet } from '@solana/wallet-adapter-react';
+import { PublicKey } from '@solana/web3.js';
 import { getAssociatedTokenAddressSync, NATIVE_MINT } from '@solana/spl-token';
 import SolanaStatus from './SolanaStatus';
 import SDKStatus from './SDKStatus';
+import ProofProgress from './ProofProgress';
+import TransferPlanView from './TransferPlanView';
+import SimulationEffects from './SimulationEffects';
+import OperationProgress from './OperationProgress';
+import EventStreamStatus from './EventStreamStatus';
+import { CreateAtaButton } from './CreateAtaButton';
+import { isProofCancelled } from '../services/proverWorkerClient';
+import { WSOL_MINT, getTokens, getToken, getDefaultToken, formatTokenAmount, parseTokenAmount } from '../services/tokenRegistry';
+import { getMintInfo, getAtaBalance, estimateTransferFee } from '../services/tokenAccounts';
+import { PRIORITY_LEVELS, getPriorityLevel, setPriorityLevel as savePriorityLevel } from '../services/transactionFees';
+import { toPendingEntries } from '../services/pendingBalances';
+
+const EXACT_APPROVAL_KEY = 'cipherpay_exact_deposit_approval';
 
 function Dashboard() {
   const navigate = useNavigate();
@@ -16,37 +30,102 @@ function Dashboard() {
     isAuthenticated,
     publicAddress,
     balance,
+    tokenBalances,
     spendableNotes,
     allNotes,
+    syncProgress,
     loading,
     error,
     signOut,
     refreshData,
     createDeposit,
     approveRelayerDelegate,
-    createTransfer,
+    estimateDepositCost,
+    simulateDelegateApproval,
+    getDelegateAllowance,
+    revokeRelayerDelegate,
+    planTransfer,
+    confirmTransferPlan,
+    resumeTransferPlan,
+    discardTransferPlan,
+    clearActiveTransferPlan,
+    transferPlans,
+    activeTransferPlan,
+    operations,
+    dismissOperation,
+    pendingOperations,
+    pendingIncoming,
+    pendingBalances,
     getWithdrawableNotes,
-    createWithdraw
+    createWithdraw,
+    getDustReport,
+    unwrapWsol
   } = useCipherPay();
 
   const [actionLoading, setActionLoading] = useState(false);
+  // Token used by the deposit, transfer, withdraw and approve forms
+  const [tokenMint, setTokenMint] = useState(WSOL_MINT);
   const [showDepositModal, setShowDepositModal] = useState(false);
   const [showTransferModal, setShowTransferModal] = useState(false);
   const [showApproveModal, setShowApproveModal] = useState(false);
   const [depositAmount, setDepositAmount] = useState('');
+  // Approve exactly the deposit amount with each deposit instead of keeping a standing allowance
+  const [exactApproval, setExactApproval] = useState(() => localStorage.getItem(EXACT_APPROVAL_KEY) === 'true');
   const [approveAmount, setApproveAmount] = useState('10'); // Default approval for 10 SOL
+  // 'approve' sets the allowance to approveAmount, 'top-up' adds approveAmount to what is left
+  const [approveMode, setApproveMode] = useState('approve');
   const [transferAmount, setTransferAmount] = useState('');
   const [transferRecipient, setTransferRecipient] = useState('');
+  // Draft plan shown for confirmation before any transfer is signed
+  const [transferPlanDraft, setTransferPlanDraft] = useState(null);
   const [showNoteSelectionModal, setShowNoteSelectionModal] = useState(false);
   const [withdrawableNotes, setWithdrawableNotes] = useState([]);
   const [selectedNoteForWithdraw, setSelectedNoteForWithdraw] = useState(null);
-  const [isDelegateApproved, setIsDelegateApproved] = useState(false);
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  // Unwrap wSOL withdrawals to native SOL once they complete
+  const [unwrapAfterWithdraw, setUnwrapAfterWithdraw] = useState(false);
+  // When the running deposit / withdrawal started; the modals show the lifecycle of operations created since
+  const [depositStartedAt, setDepositStartedAt] = useState(null);
+  const [withdrawStartedAt, setWithdrawStartedAt] = useState(null);
+  // On-chain delegate of the selected token's account (see CipherPayService.getDelegateAllowance)
+  const [delegateAllowance, setDelegateAllowance] = useState(null);
   const [walletBalance, setWalletBalance] = useState(0);
-  const [ataBalance, setAtaBalance] = useState(0);
+  // Wallet token account of the selected token: balance in atoms, and whether the account exists
+  const [ataBalance, setAtaBalance] = useState(0n);
+  const [ataExists, setAtaExists] = useState(true);
+  const [balancesVersion, setBalancesVersion] = useState(0);
+  // On-chain mint details (program, transfer fee) of the selected token; null for wSOL
+  const [mintInfo, setMintInfo] = useState(null);
+  const [depositFee, setDepositFee] = useState(null);
+  // Priority fee level of wallet-signed transactions, and the SOL a deposit costs the wallet at that level
+  const [priorityLevel, setPriorityLevel] = useState(getPriorityLevel);
+  const [depositCost, setDepositCost] = useState(null);
+  const [estimatingDeposit, setEstimatingDeposit] = useState(false);
+  // Simulated effects of the approval in the approve modal
+  const [approveSimulation, setApproveSimulation] = useState(null);
+  const [simulatingApproval, setSimulatingApproval] = useState(false);
+  // Tokens whose spendable notes are fragmented or include dust (see CipherPayService.getDustReport)
+  const [fragmentedTokens, setFragmentedTokens] = useState([]);
 
   const hasRedirected = useRef(false);
   const hasRefreshed = useRef(false);
 
+  const tokens = getTokens();
+  const selectedToken = getToken(tokenMint) || getDefaultToken();
+  // Notes locked by a transfer or withdrawal in progress
+  const pendingNoteCount = allNotes.filter(note => note.pending).length;
+  // Submitted operations the note store does not show yet, as debits and credits
+  const pendingEntries = useMemo(() => toPendingEntries(pendingOperations), [pendingOperations]);
+  const selectedMintKey = useMemo(
+    () => (selectedToken.native ? null : new PublicKey(selectedToken.mint)),
+    [selectedToken.mint, selectedToken.native]
+  );
+  const remainingAllowance = delegateAllowance?.remaining ?? 0n;
+  const isDelegateApproved = remainingAllowance > 0n;
+  const depositAmountInAtoms = parseTokenAmount(depositAmount, selectedToken);
+  const approveAmountInAtoms = parseTokenAmount(approveAmount, selectedToken);
+  const depositExceedsAllowance = !exactApproval && !!delegateAllowance && depositAmountInAtoms > remainingAllowance;
+
   useEffect(() => {
     // Redirect to login if not initialized, not connected, or not authenticated
     // Checking isAuthenticated prevents redirect loop when user disconnects
@@ -82,7 +161,7 @@ function Dashboard() {
     const fetchBalances = async () => {
       if (!wallet.publicKey || !connection) {
         setWalletBalance(0);
-        setAtaBalance(0);
+        setAtaBalance(0n);
         return;
       }
 
@@ -91,21 +170,28 @@ function Dashboard() {
         const balance = await connection.getBalance(wallet.publicKey);
         setWalletBalance(balance);
 
-        // Fetch wSOL ATA balance
+        // Fetch the selected token's ATA balance (wSOL, or an SPL / Token-2022 mint under its own program)
         try {
-          const wsolMint = NATIVE_MINT;
-          const ata = getAssociatedTokenAddressSync(wsolMint, wallet.publicKey, false);
-          const ataInfo = await connection.getAccountInfo(ata);
-          
-          if (ataInfo) {
-            const tokenAccount = await connection.getTokenAccountBalance(ata);
-            setAtaBalance(Number(tokenAccount.value.amount));
-          } else {
-            setAtaBalance(0);
+          if (selectedToken.native) {
+            const wsolMint = NATIVE_MINT;
+            const ata = getAssociatedTokenAddressSync(wsolMint, wallet.publicKey, false);
+            const ataInfo = await connection.getAccountInfo(ata);
+            
+            if (ataInfo) {
+              const tokenAccount = await connection.getTokenAccountBalance(ata);
+              setAtaBalance(BigInt(tokenAccount.value.amount));
+            } else {
+              setAtaBalance(0n);
+            }
+            setAtaExists(true); // Created on the fly when wrapping SOL
+          } else if (mintInfo) {
+            const { exists, amount } = await getAtaBalance(connection, wallet.publicKey, mintInfo);
+            setAtaBalance(amount);
+            setAtaExists(exists);
           }
         } catch (err) {
           console.error('Error fetching ATA balance:', err);
-          setAtaBalance(0);
+          setAtaBalance(0n);
         }
       } catch (err) {
         console.error('Error fetching wallet balance:', err);
@@ -119,7 +205,95 @@ function Dashboard() {
     const interval = setInterval(fetchBalances, 5000);
     
     return () => clearInterval(interval);
-  }, [wallet.publicKey, connection, isConnected]);
+  }, [wallet.publicKey, connection, isConnected, selectedToken.mint, selectedToken.native, mintInfo, balancesVersion]);
+
+  // Relayer delegate and remaining allowance of the selected token's account
+  useEffect(() => {
+    if (!wallet.publicKey || !isConnected) {
+      setDelegateAllowance(null);
+      return;
+    }
+    let cancelled = false;
+    getDelegateAllowance(selectedToken.mint)
+      .then(allowance => { if (!cancelled) setDelegateAllowance(allowance); })
+      .catch(err => console.error('[Dashboard] Failed to load delegate allowance:', err));
+    return () => { cancelled = true; };
+  }, [wallet.publicKey, isConnected, selectedToken.mint, balancesVersion, getDelegateAllowance]);
+
+  // Point out fragmented balances once the notes are known, and again whenever they change
+  useEffect(() => {
+    if (!isConnected) {
+      setFragmentedTokens([]);
+      return;
+    }
+    let cancelled = false;
+    getDustReport()
+      .then(report => { if (!cancelled) setFragmentedTokens(report.filter(entry => entry.fragmented)); })
+      .catch(err => console.error('[Dashboard] Failed to load the note report:', err));
+    return () => { cancelled = true; };
+  }, [isConnected, allNotes, getDustReport]);
+
+  // Detect the selected mint's program (SPL Token or Token-2022) and transfer-fee extension
+  useEffect(() => {
+    setMintInfo(null);
+    if (selectedToken.native || !connection) return;
+    let cancelled = false;
+    getMintInfo(connection, selectedToken.mint)
+      .then(info => { if (!cancelled) setMintInfo(info); })
+      .catch(err => console.error('[Dashboard] Failed to load mint info:', err));
+    return () => { cancelled = true; };
+  }, [connection, selectedToken.mint, selectedToken.native]);
+
+  // Required vs available SOL for the deposit (wrap, wSOL account rent, network and priority fee)
+  useEffect(() => {
+    setDepositCost(null);
+    if (!showDepositModal || depositAmountInAtoms === 0n) return;
+    let cancelled = false;
+    // Wait for typing to settle; every estimate asks the RPC for balances, fees and a blockhash, and simulates
+    setEstimatingDeposit(true);
+    const timer = setTimeout(() => {
+      estimateDepositCost(selectedToken.mint, depositAmountInAtoms, exactApproval, priorityLevel)
+        .then(cost => { if (!cancelled) setDepositCost(cost); })
+        .catch(err => console.error('[Dashboard] Failed to estimate deposit cost:', err))
+        .finally(() => { if (!cancelled) setEstimatingDeposit(false); });
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      setEstimatingDeposit(false);
+    };
+  }, [showDepositModal, depositAmountInAtoms, selectedToken.mint, exactApproval, priorityLevel, estimateDepositCost]);
+
+  // Simulate the approval shown in the approve modal
+  useEffect(() => {
+    setApproveSimulation(null);
+    if (!showApproveModal || approveAmountInAtoms === 0n) return;
+    const allowance = approveMode === 'top-up' ? remainingAllowance + approveAmountInAtoms : approveAmountInAtoms;
+    let cancelled = false;
+    setSimulatingApproval(true);
+    const timer = setTimeout(() => {
+      simulateDelegateApproval(selectedToken.mint, allowance)
+        .then(simulation => { if (!cancelled) setApproveSimulation(simulation); })
+        .catch(err => console.error('[Dashboard] Failed to simulate approval:', err))
+        .finally(() => { if (!cancelled) setSimulatingApproval(false); });
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      setSimulatingApproval(false);
+    };
+  }, [showApproveModal, approveAmountInAtoms, approveMode, selectedToken.mint, remainingAllowance, simulateDelegateApproval]);
+
+  // Transfer fee withheld from the deposit amount (Token-2022 transfer-fee mints only)
+  useEffect(() => {
+    setDepositFee(null);
+    if (!showDepositModal || !mintInfo?.transferFeeConfig || depositAmountInAtoms === 0n) return;
+    let cancelled = false;
+    estimateTransferFee(connection, mintInfo, depositAmountInAtoms)
+      .then(fee => { if (!cancelled) setDepositFee(fee); })
+      .catch(err => console.error('[Dashboard] Failed to estimate transfer fee:', err));
+    return () => { cancelled = true; };
+  }, [connection, mintInfo, depositAmountInAtoms, showDepositModal]);
 
   const handleDisconnect = async () => {
     try {
@@ -156,31 +330,68 @@ function Dashboard() {
     return Number(balance) / 1e9; // Convert lamports to SOL
   };
 
+  // Token picker shared by the action modals; hidden while wSOL is the only registered token
+  const renderTokenSelect = () => tokens.length > 1 && (
+    <div className="mb-4">
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Token
+      </label>
+      <select
+        value={selectedToken.mint}
+        onChange={(e) => setTokenMint(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+      >
+        {tokens.map(token => (
+          <option key={token.mint} value={token.mint}>{token.symbol} - {token.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  // Open the approve modal; a top-up prefills the amount missing for the current deposit, if any
+  const openApproveModal = (mode = 'approve') => {
+    setApproveMode(mode === 'top-up' && isDelegateApproved ? 'top-up' : 'approve');
+    if (depositExceedsAllowance) {
+      const shortfall = depositAmountInAtoms - (isDelegateApproved ? remainingAllowance : 0n);
+      setApproveAmount(formatTokenAmount(shortfall, selectedToken).split(' ')[0]);
+    }
+    setShowDepositModal(false);
+    setShowApproveModal(true);
+  };
+
+  const closeApproveModal = () => {
+    setShowApproveModal(false);
+    setApproveMode('approve');
+    setApproveAmount('10');
+  };
+
   const handleApproveDelegate = async () => {
-    if (!approveAmount || parseFloat(approveAmount) <= 0) {
+    const amountInAtoms = parseTokenAmount(approveAmount, selectedToken);
+    if (amountInAtoms === 0n) {
       alert('Please enter a valid approval amount');
       return;
     }
+    // An approve replaces the allowance, so a top-up approves what is left plus the extra amount
+    const allowance = approveMode === 'top-up' ? remainingAllowance + amountInAtoms : amountInAtoms;
     try {
       setActionLoading(true);
-      const amountInLamports = BigInt(Math.floor(parseFloat(approveAmount) * 1e9));
       
       const approvalParams = {
         connection,
         wallet,
-        tokenMint: 'So11111111111111111111111111111111111111112', // Native SOL (Wrapped SOL)
-        amount: amountInLamports,
+        tokenMint: selectedToken.mint,
+        amount: allowance,
+        priorityLevel,
       };
       
       console.log('[Dashboard] Approving relayer delegate with params:', approvalParams);
       const result = await approveRelayerDelegate(approvalParams);
       console.log('[Dashboard] Delegate approval successful:', result);
       
-      setIsDelegateApproved(true);
-      setShowApproveModal(false);
-      setApproveAmount('10');
+      closeApproveModal();
+      setBalancesVersion(v => v + 1);
       
-      alert(`Delegate approved! You can now make deposits. Transaction: ${result?.signature || 'success'}`);
+      alert(`Delegate approved for ${formatTokenAmount(allowance, selectedToken)}! You can now make deposits. Transaction: ${result?.signature || 'success'}`);
     } catch (err) {
       console.error('[Dashboard] Failed to approve delegate:', err);
       alert(`Delegate approval failed: ${err.message || 'Unknown error'}`);
@@ -189,35 +400,63 @@ function Dashboard() {
     }
   };
 
+  const handleRevokeDelegate = async () => {
+    if (!confirm(`Revoke the delegate of your ${selectedToken.symbol} token account? Deposits need a new approval afterwards.`)) {
+      return;
+    }
+    try {
+      setActionLoading(true);
+      const result = await revokeRelayerDelegate({ connection, wallet, tokenMint: selectedToken.mint });
+      setBalancesVersion(v => v + 1);
+      alert(result?.signature ? `Delegate revoked. Transaction: ${result.signature}` : 'There was no delegate to revoke.');
+    } catch (err) {
+      console.error('[Dashboard] Failed to revoke delegate:', err);
+      alert(`Revoking the delegate failed: ${err.message || 'Unknown error'}`);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const handleDeposit = async () => {
-    if (!depositAmount || parseFloat(depositAmount) <= 0) {
+    const amountInAtoms = depositAmountInAtoms;
+    if (amountInAtoms === 0n) {
       alert('Please enter a valid deposit amount');
       return;
     }
     
-    // Check if delegate approval is needed
-    if (!isDelegateApproved) {
+    // The relayer pulls the deposit through its delegate allowance, which must cover the amount
+    // (unless it is approved just for this deposit)
+    if (!exactApproval && !isDelegateApproved) {
       const shouldApprove = confirm('You need to approve the relayer as a delegate before making your first deposit. Would you like to approve now?');
       if (shouldApprove) {
-        setShowDepositModal(false);
-        setShowApproveModal(true);
-        return;
-      } else {
-        return;
+        openApproveModal('approve');
+      }
+      return;
+    }
+    if (depositExceedsAllowance) {
+      const shouldTopUp = confirm(
+        `This deposit exceeds the relayer's remaining allowance of ${formatTokenAmount(remainingAllowance, selectedToken)}. ` +
+        'Would you like to top it up now?'
+      );
+      if (shouldTopUp) {
+        openApproveModal('top-up');
       }
+      return;
     }
     
     try {
       setActionLoading(true);
-      const amountInLamports = BigInt(Math.floor(parseFloat(depositAmount) * 1e9));
+      setDepositStartedAt(Date.now());
       
       // Prepare deposit parameters with proper structure
       const depositParams = {
-        amount: amountInLamports,
-        tokenMint: 'So11111111111111111111111111111111111111112', // Native SOL (Wrapped SOL)
-        tokenSymbol: 'SOL',
-        decimals: 9,
+        amount: amountInAtoms,
+        tokenMint: selectedToken.mint,
+        tokenSymbol: selectedToken.symbol,
+        decimals: selectedToken.decimals,
         memo: 0,
+        exactApproval,
+        priorityLevel,
       };
       
       console.log('[Dashboard] Creating deposit with params:', depositParams);
@@ -226,7 +465,7 @@ function Dashboard() {
       
       setShowDepositModal(false);
       setDepositAmount('');
-      await refreshData();
+      setBalancesVersion(v => v + 1); // The deposit used part of the allowance
       
       alert(`Deposit successful! Transaction: ${result?.txHash || result?.signature || 'pending'}`);
     } catch (err) {
@@ -237,8 +476,18 @@ function Dashboard() {
     }
   };
 
+  const closeTransferModal = () => {
+    setShowTransferModal(false);
+    setTransferAmount('');
+    setTransferRecipient('');
+    setTransferPlanDraft(null);
+    clearActiveTransferPlan();
+  };
+
+  // Step 1: build the transfer plan (note selection) and show it for confirmation
   const handleTransfer = async () => {
-    if (!transferAmount || parseFloat(transferAmount) <= 0) {
+    const amountInAtoms = parseTokenAmount(transferAmount, selectedToken);
+    if (amountInAtoms === 0n) {
       alert('Please enter a valid transfer amount');
       return;
     }
@@ -248,23 +497,67 @@ function Dashboard() {
     }
     try {
       setActionLoading(true);
-      const amountInLamports = BigInt(Math.floor(parseFloat(transferAmount) * 1e9));
-      const transaction = await createTransfer(transferRecipient.trim(), amountInLamports);
+      const plan = await planTransfer(transferRecipient.trim(), amountInAtoms, null, { mint: selectedToken.mint });
+      setTransferPlanDraft(plan);
+    } catch (err) {
+      console.error('Failed to plan transfer:', err);
+      alert(`Transfer failed: ${err.message || 'Unknown error'}`);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Step 2: send the confirmed plan, one transfer per step
+  const handleConfirmTransfer = async () => {
+    if (!transferPlanDraft) return;
+    try {
+      setActionLoading(true);
+      const transaction = await confirmTransferPlan(transferPlanDraft);
       console.log('Transfer successful:', transaction);
-      setShowTransferModal(false);
-      setTransferAmount('');
-      setTransferRecipient('');
-      await refreshData();
+      closeTransferModal();
       const txHash = transaction?.id || transaction?.txHash || 'pending';
       alert(`Transfer successful! Transaction: ${txHash}`);
     } catch (err) {
+      if (isProofCancelled(err)) {
+        console.log('Transfer cancelled');
+        return;
+      }
       console.error('Failed to transfer:', err);
-      alert(`Transfer failed: ${err.message || 'Unknown error'}`);
+      alert(`Transfer failed: ${err.message || 'Unknown error'}\nThe steps that were sent are listed in Unfinished Transfers, where the rest can be resumed.`);
     } finally {
       setActionLoading(false);
     }
   };
 
+  const handleResumePlan = async (planId) => {
+    try {
+      setActionLoading(true);
+      const transaction = await resumeTransferPlan(planId);
+      alert(`Transfer completed! Transaction: ${transaction?.txHash || 'pending'}`);
+    } catch (err) {
+      if (isProofCancelled(err)) {
+        console.log('Resume cancelled');
+        return;
+      }
+      console.error('Failed to resume transfer:', err);
+      alert(`Resuming transfer failed: ${err.message || 'Unknown error'}`);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleDiscardPlan = async (planId) => {
+    if (!window.confirm('Discard this transfer? Steps already sent stay sent; the remaining steps will not be sent.')) {
+      return;
+    }
+    try {
+      await discardTransferPlan(planId);
+    } catch (err) {
+      console.error('Failed to discard transfer plan:', err);
+      alert(`Failed to discard transfer: ${err.message || 'Unknown error'}`);
+    }
+  };
+
   // Handle withdraw button click - check note count and proceed accordingly
   const handleWithdrawClick = async () => {
     try {
@@ -285,16 +578,10 @@ function Dashboard() {
         return;
       }
       
-      if (notes.length === 1) {
-        // Only one note: automatically withdraw the full amount
-        console.log('[Dashboard] Only one note available, auto-withdrawing:', notes[0]);
-        await executeWithdraw(notes[0], recipientAddress);
-      } else {
-        // Multiple notes: show selection modal
-        console.log('[Dashboard] Multiple notes available, showing selection modal:', notes.length);
-        setWithdrawableNotes(notes);
-        setShowNoteSelectionModal(true);
-      }
+      // Show the withdraw modal: enter an amount, or pick a note to withdraw in full
+      console.log('[Dashboard] Withdrawable notes available, showing withdraw modal:', notes.length);
+      setWithdrawableNotes(notes);
+      setShowNoteSelectionModal(true);
     } catch (err) {
       console.error('Failed to get withdrawable notes:', err);
       alert(`Failed to get withdrawable notes: ${err.message || 'Unknown error'}`);
@@ -303,18 +590,30 @@ function Dashboard() {
     }
   };
 
-  // Execute withdraw with selected note
-  const executeWithdraw = async (note, recipientAddress) => {
+  // Execute withdraw with selected note, or of an exact amount (atoms of the selected token) when amountInAtoms is given
+  const executeWithdraw = async (note, recipientAddress, amountInAtoms = null) => {
     try {
       setActionLoading(true);
-      const result = await createWithdraw(note, recipientAddress);
+      setWithdrawStartedAt(Date.now());
+      const unwrap = unwrapAfterWithdraw && selectedToken.native;
+      const result = await createWithdraw(note, recipientAddress, amountInAtoms, selectedToken.mint, unwrap);
       console.log('Withdraw successful:', result);
       setShowNoteSelectionModal(false);
       setSelectedNoteForWithdraw(null);
       setWithdrawableNotes([]);
-      await refreshData();
-      alert(`Withdraw successful! Amount: ${note.amountFormatted || (Number(note.amount) / 1e9).toFixed(9) + ' SOL'}\nTransaction: ${result.txHash || result.signature || 'pending'}`);
+      setWithdrawAmount('');
+      const token = note ? getToken(note.mint) : selectedToken;
+      const withdrawnAmount = amountInAtoms !== null
+        ? formatTokenAmount(amountInAtoms, token)
+        : note.amountFormatted || formatTokenAmount(note.amount, token);
+      const changeInfo = result.changeAmount ? `\nChange kept shielded: ${formatTokenAmount(result.changeAmount, token)}` : '';
+      const unwrapInfo = unwrap ? '\nThe wSOL will be unwrapped to SOL once the withdrawal completes (your wallet asks you to sign).' : '';
+      alert(`Withdraw successful! Amount: ${withdrawnAmount}${changeInfo}\nTransaction: ${result.txHash || result.signature || 'pending'}${unwrapInfo}`);
     } catch (err) {
+      if (isProofCancelled(err)) {
+        console.log('Withdraw cancelled');
+        return;
+      }
       console.error('Failed to withdraw:', err);
       alert(`Withdraw failed: ${err.message || 'Unknown error'}`);
     } finally {
@@ -322,6 +621,24 @@ function Dashboard() {
     }
   };
 
+  // Close the wSOL account so its balance comes back as native SOL
+  const handleUnwrap = async () => {
+    if (!confirm(`Unwrap ${formatTokenAmount(ataBalance, selectedToken)} of wSOL to native SOL? This closes your wSOL token account, including any relayer allowance on it.`)) {
+      return;
+    }
+    try {
+      setActionLoading(true);
+      const result = await unwrapWsol();
+      setBalancesVersion(v => v + 1);
+      alert(result?.signature ? `Unwrapped ${formatTokenAmount(result.amount, selectedToken)}. Transaction: ${result.signature}` : 'There is no wSOL to unwrap.');
+    } catch (err) {
+      console.error('[Dashboard] Failed to unwrap wSOL:', err);
+      alert(`Unwrap failed: ${err.message || 'Unknown error'}`);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   // Handle note selection from modal
   const handleNoteSelect = (note) => {
     setSelectedNoteForWithdraw(note);
@@ -338,6 +655,21 @@ function Dashboard() {
     executeWithdraw(note, recipientAddress);
   };
 
+  // Withdraw an exact amount; notes are picked by the service and any remainder stays shielded as change
+  const handleWithdrawAmount = () => {
+    const amountInAtoms = parseTokenAmount(withdrawAmount, selectedToken);
+    if (amountInAtoms === 0n) {
+      alert('Please enter a valid withdraw amount');
+      return;
+    }
+    const recipientAddress = publicAddress;
+    if (!recipientAddress) {
+      alert('Please connect your wallet first');
+      return;
+    }
+    executeWithdraw(null, recipientAddress, amountInAtoms);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -358,6 +690,7 @@ function Dashboard() {
               <h1 className="text-2xl font-bold text-gray-900">CipherPay Solana Dashboard</h1>
             </div>
             <div className="flex items-center space-x-4">
+              <EventStreamStatus />
               <span className="text-sm text-gray-500">
                 Connected: {formatAddress(publicAddress)}
               </span>
@@ -399,24 +732,73 @@ function Dashboard() {
                 </dd>
               </div>
               <div className="bg-gray-50 p-4 rounded-lg">
-                <dt className="text-sm font-medium text-gray-500">User ATA Balance</dt>
+                <dt className="text-sm font-medium text-gray-500">
+                  User ATA Balance{!selectedToken.native && mintInfo?.isToken2022 ? ' (Token-2022)' : ''}
+                </dt>
                 <dd className="mt-1 text-3xl font-semibold text-gray-900">
-                  {formatBalance(ataBalance)} SOL
+                  {ataExists ? formatTokenAmount(ataBalance, selectedToken) : `No ${selectedToken.symbol} account`}
                 </dd>
+                {selectedToken.native && ataBalance > 0n && (
+                  <button
+                    onClick={handleUnwrap}
+                    disabled={actionLoading}
+                    className="mt-2 px-3 py-1 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    Unwrap wSOL
+                  </button>
+                )}
               </div>
             </div>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div className="bg-gray-50 p-4 rounded-lg">
                 <dt className="text-sm font-medium text-gray-500">Shielded Balance</dt>
-                <dd className="mt-1 text-3xl font-semibold text-gray-900">
-                  {formatBalance(balance)} SOL
-                </dd>
+                {tokenBalances.length <= 1 ? (
+                  <dd className="mt-1 text-3xl font-semibold text-gray-900">
+                    {formatTokenAmount(tokenBalances[0]?.balance ?? balance, tokenBalances[0]?.token ?? getDefaultToken())}
+                  </dd>
+                ) : (
+                  <dd className="mt-1 space-y-1">
+                    {tokenBalances.map(entry => (
+                      <p key={entry.token?.mint || entry.tokenId} className="text-xl font-semibold text-gray-900">
+                        {entry.token
+                          ? formatTokenAmount(entry.balance, entry.token)
+                          : <span title={`tokenId ${entry.tokenId}`}>{formatTokenAmount(entry.balance, null)} (unknown token)</span>}
+                        <span className="ml-2 text-xs font-normal text-gray-500">
+                          {entry.spendableNotes} note{entry.spendableNotes === 1 ? '' : 's'}
+                        </span>
+                      </p>
+                    ))}
+                  </dd>
+                )}
+                {pendingBalances.map(entry => (
+                  <p key={entry.mint} className="mt-1 text-xs text-yellow-700">
+                    {[
+                      entry.debit > 0n && `−${formatTokenAmount(entry.debit, getToken(entry.mint))} pending out`,
+                      entry.credit > 0n && `+${formatTokenAmount(entry.credit, getToken(entry.mint))} pending in`,
+                    ].filter(Boolean).join(', ')}
+                  </p>
+                ))}
+                {pendingIncoming.length > 0 && (
+                  <p className="mt-1 text-xs text-blue-700">
+                    {pendingIncoming.length} incoming transfer{pendingIncoming.length === 1 ? '' : 's'}, confirming…
+                  </p>
+                )}
+                {syncProgress && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Decrypting notes… {syncProgress.processed}{syncProgress.total ? ` / ${syncProgress.total}` : ''}
+                  </p>
+                )}
               </div>
               <div className="bg-gray-50 p-4 rounded-lg">
                 <dt className="text-sm font-medium text-gray-500">Spendable Notes</dt>
                 <dd className="mt-1 text-3xl font-semibold text-gray-900">
                   {spendableNotes.length}
                 </dd>
+                {pendingNoteCount > 0 && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    {pendingNoteCount} pending (being spent)
+                  </p>
+                )}
               </div>
               <div className="bg-gray-50 p-4 rounded-lg">
                 <dt className="text-sm font-medium text-gray-500">Total Notes</dt>
@@ -428,13 +810,95 @@ function Dashboard() {
           </div>
         </div>
 
+        {/* Balances spread over many notes, or holding notes too small to spend */}
+        {fragmentedTokens.length > 0 && (
+          <div className="bg-white overflow-hidden shadow rounded-lg mb-6">
+            <div className="px-4 py-5 sm:p-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-2">Fragmented notes</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Every note is spent with its own proof, so sending or withdrawing a balance spread over many notes takes many proofs.
+                Notes cannot be consolidated yet: a transfer spends one note and creates two, so transferring to yourself never reduces their number.
+              </p>
+              <div className="space-y-3">
+                {fragmentedTokens.map(entry => (
+                  <div key={entry.token.mint} className="p-4 bg-gray-50 rounded-lg">
+                    <p className="text-sm font-medium text-gray-900">
+                      {entry.noteCount} {entry.token.symbol} note{entry.noteCount === 1 ? '' : 's'}: {formatTokenAmount(entry.total, entry.token)}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Spending all of it takes {entry.proofs} proof{entry.proofs === 1 ? '' : 's'}.
+                    </p>
+                    {entry.dust.length > 0 && (
+                      <p className="text-xs text-yellow-700">
+                        {entry.dust.length} note{entry.dust.length === 1 ? '' : 's'} ({formatTokenAmount(entry.dustTotal, entry.token)}) below the minimum of {formatTokenAmount(entry.token.minAmount, entry.token)} can be neither transferred nor withdrawn.
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Unfinished multi-note transfers */}
+        {transferPlans.length > 0 && (
+          <div className="bg-white overflow-hidden shadow rounded-lg mb-6">
+            <div className="px-4 py-5 sm:p-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-2">Unfinished Transfers</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                These transfers stopped before every step was sent. Resume to send the rest, or discard them.
+              </p>
+              <div className="space-y-4">
+                {transferPlans.map(plan => (
+                  <div key={plan.id}>
+                    <TransferPlanView plan={plan} />
+                    <div className="flex justify-end space-x-3 mt-2">
+                      <button
+                        onClick={() => handleDiscardPlan(plan.id)}
+                        disabled={actionLoading}
+                        className="px-3 py-1 text-sm bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 disabled:opacity-50"
+                      >
+                        Discard
+                      </button>
+                      <button
+                        onClick={() => handleResumePlan(plan.id)}
+                        disabled={actionLoading || plan.status === 'running'}
+                        className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                      >
+                        Resume
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Deposits, transfers and withdrawals of the last day, including those restored after a reload */}
+        {operations.length > 0 && (
+          <div className="bg-white overflow-hidden shadow rounded-lg mb-6">
+            <div className="px-4 py-5 sm:p-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-2">Operations</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Submitted operations are followed until the server has indexed them, also after a page reload.
+              </p>
+              <div className="space-y-3">
+                {operations.map(operation => (
+                  <OperationProgress key={operation.id} operation={operation} onDismiss={dismissOperation} />
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Actions */}
         <div className="bg-white overflow-hidden shadow rounded-lg mb-6">
           <div className="px-4 py-5 sm:p-6">
             <h2 className="text-lg font-medium text-gray-900 mb-4">Actions</h2>
             
             {/* Show approve delegate button if not approved */}
-            {!isDelegateApproved && (
+            {delegateAllowance && !isDelegateApproved && !exactApproval && (
               <div className="mb-4 p-4 bg-yellow-50 border-l-4 border-yellow-400 rounded">
                 <div className="flex">
                   <div className="flex-shrink-0">
@@ -446,7 +910,7 @@ function Dashboard() {
                     <p className="text-sm text-yellow-700">
                       Before making your first deposit, you need to approve the relayer as a delegate for your tokens.
                       <button
-                        onClick={() => setShowApproveModal(true)}
+                        onClick={() => openApproveModal('approve')}
                         className="ml-2 font-medium underline text-yellow-700 hover:text-yellow-600"
                       >
                         Approve Now
@@ -457,6 +921,43 @@ function Dashboard() {
               </div>
             )}
             
+            {/* Relayer delegate of the selected token's account */}
+            {delegateAllowance && (delegateAllowance.delegate || isDelegateApproved) && (
+              <div className="mb-4 p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-start justify-between">
+                  <div className="text-sm">
+                    <p className="font-medium text-gray-900">Relayer Delegate ({selectedToken.symbol})</p>
+                    {delegateAllowance.isRelayer ? (
+                      <p className="text-gray-600">
+                        Remaining allowance: <span className="font-medium">{formatTokenAmount(remainingAllowance, selectedToken)}</span>
+                      </p>
+                    ) : (
+                      <p className="text-yellow-800 break-all">
+                        Delegated to another account ({delegateAllowance.delegate}), not the relayer.
+                      </p>
+                    )}
+                    <p className="text-xs text-gray-500 break-all">Token account {delegateAllowance.tokenAccount}</p>
+                  </div>
+                  <div className="flex space-x-2 flex-shrink-0 ml-4">
+                    <button
+                      onClick={() => openApproveModal('top-up')}
+                      disabled={actionLoading}
+                      className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                      {delegateAllowance.isRelayer ? 'Top Up' : 'Approve Relayer'}
+                    </button>
+                    <button
+                      onClick={handleRevokeDelegate}
+                      disabled={actionLoading}
+                      className="px-3 py-1 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+            
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               {/* Deposit */}
               <button
@@ -538,6 +1039,34 @@ function Dashboard() {
         <div className="bg-white overflow-hidden shadow rounded-lg">
           <div className="px-4 py-5 sm:p-6">
             <h2 className="text-lg font-medium text-gray-900 mb-4">Recent Activity</h2>
+            {(pendingIncoming.length > 0 || pendingEntries.length > 0) && (
+              <div className="space-y-4 mb-4">
+                {pendingIncoming.map(entry => (
+                  <div key={entry.id} className="flex items-center justify-between p-4 bg-blue-50 rounded-lg">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">Incoming transfer</p>
+                      <p className="text-sm text-gray-500">Amount shown once the note arrives</p>
+                    </div>
+                    <span className="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
+                      Incoming, confirming
+                    </span>
+                  </div>
+                ))}
+                {pendingEntries.map(entry => (
+                  <div key={entry.id} className="flex items-center justify-between p-4 bg-yellow-50 rounded-lg">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{entry.label}</p>
+                      <p className="text-sm text-gray-500">
+                        Amount: {entry.direction === 'out' ? '−' : '+'}{formatTokenAmount(entry.amount, getToken(entry.mint))}
+                      </p>
+                    </div>
+                    <span className="px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+                      {entry.direction === 'out' ? 'Pending debit' : 'Pending credit'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
             {allNotes.length === 0 ? (
               <p className="text-gray-500">No recent activity. Start by creating a transaction!</p>
             ) : (
@@ -549,12 +1078,12 @@ function Dashboard() {
                         Note {note.commitment?.slice(0, 8)}...
                       </p>
                       <p className="text-sm text-gray-500">
-                        Amount: {Number(note.amount) / 1e9} SOL
+                        Amount: {formatTokenAmount(note.amount, getToken(note.mint))}
                       </p>
                     </div>
-                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${note.spent ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${note.spent ? 'bg-red-100 text-red-800' : note.pending ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-800'
                       }`}>
-                      {note.spent ? 'Spent' : 'Available'}
+                      {note.spent ? 'Spent' : note.pending ? 'Pending' : 'Available'}
                     </span>
                   </div>
                 ))}
@@ -565,17 +1094,26 @@ function Dashboard() {
 
         {/* Approve Delegate Modal */}
         {showApproveModal && (
-          <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50" onClick={() => setShowApproveModal(false)}>
+          <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50" onClick={closeApproveModal}>
             <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white" onClick={(e) => e.stopPropagation()}>
               <div className="mt-3">
-                <h3 className="text-lg font-medium text-gray-900 mb-4">Approve Relayer Delegate</h3>
+                <h3 className="text-lg font-medium text-gray-900 mb-4">
+                  {approveMode === 'top-up' ? 'Top Up Relayer Allowance' : 'Approve Relayer Delegate'}
+                </h3>
                 <p className="text-sm text-gray-600 mb-4">
-                  This is a one-time setup that allows the relayer to process deposits on your behalf. 
-                  You're approving the relayer to spend up to the specified amount of tokens from your wallet.
+                  {approveMode === 'top-up'
+                    ? `The relayer can currently pull ${formatTokenAmount(remainingAllowance, selectedToken)} from your wallet. The amount below is added to it.`
+                    : 'This allows the relayer to process deposits on your behalf. You\'re approving the relayer to spend up to the specified amount of tokens from your wallet.'}
                 </p>
+                {delegateAllowance?.delegate && !delegateAllowance.isRelayer && (
+                  <p className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md p-2 mb-4 break-all">
+                    This token account is currently delegated to {delegateAllowance.delegate}. Approving the relayer replaces that delegate.
+                  </p>
+                )}
+                {approveMode !== 'top-up' && renderTokenSelect()}
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Approval Amount (SOL)
+                    {approveMode === 'top-up' ? 'Amount to Add' : 'Approval Amount'} ({selectedToken.symbol})
                   </label>
                   <input
                     type="number"
@@ -590,22 +1128,20 @@ function Dashboard() {
                     Recommended: Approve enough for multiple deposits to avoid frequent approvals
                   </p>
                 </div>
+                <SimulationEffects simulation={approveSimulation} loading={simulatingApproval} className="mb-4" />
                 <div className="flex justify-end space-x-3">
                   <button
-                    onClick={() => {
-                      setShowApproveModal(false);
-                      setApproveAmount('10');
-                    }}
+                    onClick={closeApproveModal}
                     className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
                   >
                     Cancel
                   </button>
                   <button
                     onClick={handleApproveDelegate}
-                    disabled={actionLoading || !approveAmount}
+                    disabled={actionLoading || !approveAmount || approveSimulation?.ok === false}
                     className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
                   >
-                    {actionLoading ? 'Processing...' : 'Approve Delegate'}
+                    {actionLoading ? 'Processing...' : approveMode === 'top-up' ? 'Top Up' : 'Approve Delegate'}
                   </button>
                 </div>
               </div>
@@ -619,9 +1155,10 @@ function Dashboard() {
             <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white" onClick={(e) => e.stopPropagation()}>
               <div className="mt-3">
                 <h3 className="text-lg font-medium text-gray-900 mb-4">Deposit Funds</h3>
+                {renderTokenSelect()}
                 <div className="mb-4">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Amount (SOL)
+                    Amount ({selectedToken.symbol})
                   </label>
                   <input
                     type="number"
@@ -632,7 +1169,118 @@ function Dashboard() {
                     className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
                     placeholder="0.0"
                   />
+                  {depositExceedsAllowance && (
+                    <p className="mt-1 text-xs text-yellow-800">
+                      {isDelegateApproved
+                        ? `Exceeds the relayer's remaining allowance of ${formatTokenAmount(remainingAllowance, selectedToken)}.`
+                        : 'The relayer has no allowance for this token yet.'}
+                      <button
+                        onClick={() => openApproveModal('top-up')}
+                        className="ml-1 font-medium underline hover:text-yellow-600"
+                      >
+                        {isDelegateApproved ? 'Top up' : 'Approve'}
+                      </button>
+                    </p>
+                  )}
+                  {!selectedToken.native && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      Wallet balance: {ataExists ? formatTokenAmount(ataBalance, selectedToken) : 'no token account'}
+                    </p>
+                  )}
+                  {depositFee?.fee > 0n && (
+                    <p className="mt-1 text-xs text-red-600">
+                      {selectedToken.symbol} charges a transfer fee of {(depositFee.basisPoints / 100).toFixed(2)}%
+                      (max {formatTokenAmount(depositFee.maximumFee, selectedToken)}): the pool would receive {formatTokenAmount(depositFee.received, selectedToken)},
+                      while the note would be for the full amount. Tokens with a transfer fee cannot be deposited.
+                    </p>
+                  )}
+                </div>
+                <div className="mb-4">
+                  <label className="flex items-start text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={exactApproval}
+                      onChange={(e) => {
+                        setExactApproval(e.target.checked);
+                        localStorage.setItem(EXACT_APPROVAL_KEY, String(e.target.checked));
+                      }}
+                      className="mt-1 mr-2"
+                    />
+                    <span>
+                      Approve exactly this amount with the deposit
+                      <span className="block text-xs text-gray-500">
+                        No standing allowance: the approval is signed together with the deposit and anything left over is revoked once the deposit completes.
+                        {isDelegateApproved && exactApproval && ` This replaces the current allowance of ${formatTokenAmount(remainingAllowance, selectedToken)}.`}
+                      </span>
+                    </span>
+                  </label>
+                </div>
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Priority Fee
+                  </label>
+                  <select
+                    value={priorityLevel}
+                    onChange={(e) => {
+                      setPriorityLevel(e.target.value);
+                      savePriorityLevel(e.target.value);
+                    }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {PRIORITY_LEVELS.map(level => (
+                      <option key={level.id} value={level.id}>{level.label}</option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {PRIORITY_LEVELS.find(level => level.id === priorityLevel)?.description}
+                  </p>
                 </div>
+                {depositCost && (
+                  <div className="mb-4 p-3 border border-gray-200 rounded-md text-xs text-gray-600 space-y-1">
+                    <p className="font-medium text-gray-700">SOL paid by your wallet</p>
+                    {depositCost.wrap > 0n && (
+                      <p className="flex justify-between"><span>Wrapped to wSOL</span><span>{formatTokenAmount(depositCost.wrap, getDefaultToken())}</span></p>
+                    )}
+                    {depositCost.rent > 0n && (
+                      <p className="flex justify-between"><span>wSOL account rent</span><span>{formatTokenAmount(depositCost.rent, getDefaultToken())}</span></p>
+                    )}
+                    <p className="flex justify-between">
+                      <span>Network fee{depositCost.priorityFee > 0n ? ` (incl. ${formatTokenAmount(depositCost.priorityFee, getDefaultToken())} priority)` : ''}</span>
+                      <span>{formatTokenAmount(depositCost.fee, getDefaultToken())}</span>
+                    </p>
+                    <p className="flex justify-between font-medium text-gray-800 border-t border-gray-200 pt-1">
+                      <span>Required</span><span>{formatTokenAmount(depositCost.required, getDefaultToken())}</span>
+                    </p>
+                    <p className="flex justify-between">
+                      <span>Available</span><span>{formatTokenAmount(depositCost.available, getDefaultToken())}</span>
+                    </p>
+                    {depositCost.shortfall > 0n && (
+                      <p className="text-red-700">
+                        Short by {formatTokenAmount(depositCost.shortfall, getDefaultToken())}.
+                      </p>
+                    )}
+                  </div>
+                )}
+                {(estimatingDeposit || depositCost?.simulation) && (
+                  <SimulationEffects simulation={depositCost?.simulation} loading={estimatingDeposit} className="mb-4" />
+                )}
+                {actionLoading && depositStartedAt && operations
+                  .filter(operation => operation.kind === 'deposit' && operation.createdAt >= depositStartedAt)
+                  .map(operation => (
+                    <OperationProgress key={operation.id} operation={operation} className="mb-4" />
+                  ))}
+                {!selectedToken.native && mintInfo && !ataExists && (
+                  <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-md text-sm text-yellow-800">
+                    <p className="mb-2">Your wallet has no {selectedToken.symbol} token account yet.</p>
+                    <CreateAtaButton
+                      mint={selectedMintKey}
+                      isToken2022={mintInfo.isToken2022}
+                      label={`Create ${selectedToken.symbol} token account`}
+                      className="font-medium underline"
+                      onReady={() => setBalancesVersion(v => v + 1)}
+                    />
+                  </div>
+                )}
                 <div className="flex justify-end space-x-3">
                   <button
                     onClick={() => {
@@ -645,7 +1293,7 @@ function Dashboard() {
                   </button>
                   <button
                     onClick={handleDeposit}
-                    disabled={actionLoading || !depositAmount}
+                    disabled={actionLoading || !depositAmount || depositCost?.simulation?.ok === false || depositFee?.fee > 0n}
                     className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
                   >
                     {actionLoading ? 'Processing...' : 'Deposit'}
@@ -658,75 +1306,164 @@ function Dashboard() {
 
         {/* Transfer Modal */}
         {showTransferModal && (
-          <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50" onClick={() => setShowTransferModal(false)}>
+          <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50" onClick={() => !actionLoading && closeTransferModal()}>
             <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white" onClick={(e) => e.stopPropagation()}>
               <div className="mt-3">
                 <h3 className="text-lg font-medium text-gray-900 mb-4">Transfer Funds</h3>
-                <div className="mb-4">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Recipient Address
-                  </label>
-                  <input
-                    type="text"
-                    value={transferRecipient}
-                    onChange={(e) => setTransferRecipient(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    placeholder="0x..."
-                  />
-                </div>
-                <div className="mb-4">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Amount (SOL)
-                  </label>
-                  <input
-                    type="number"
-                    step="0.001"
-                    min="0"
-                    value={transferAmount}
-                    onChange={(e) => setTransferAmount(e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    placeholder="0.0"
-                  />
-                </div>
-                <div className="flex justify-end space-x-3">
-                  <button
-                    onClick={() => {
-                      setShowTransferModal(false);
-                      setTransferAmount('');
-                      setTransferRecipient('');
-                    }}
-                    className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
-                  >
-                    Cancel
-                  </button>
-                  <button
-                    onClick={handleTransfer}
-                    disabled={actionLoading || !transferAmount || !transferRecipient}
-                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
-                  >
-                    {actionLoading ? 'Processing...' : 'Transfer'}
-                  </button>
-                </div>
+                {transferPlanDraft ? (
+                  <>
+                    <p className="text-sm text-gray-600 mb-2">
+                      Review the transfer plan. Nothing is signed until you confirm.
+                    </p>
+                    <TransferPlanView
+                      plan={activeTransferPlan?.id === transferPlanDraft.id ? activeTransferPlan : transferPlanDraft}
+                      className="mb-4"
+                    />
+                    {operations
+                      .filter(operation => operation.planId === transferPlanDraft.id)
+                      .map(operation => (
+                        <OperationProgress key={operation.id} operation={operation} className="mb-4" />
+                      ))}
+                    <div className="flex justify-end space-x-3">
+                      <button
+                        onClick={() => {
+                          setTransferPlanDraft(null);
+                          clearActiveTransferPlan();
+                        }}
+                        disabled={actionLoading}
+                        className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400 disabled:opacity-50"
+                      >
+                        Back
+                      </button>
+                      <button
+                        onClick={handleConfirmTransfer}
+                        disabled={actionLoading}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {actionLoading ? 'Sending...' : 'Confirm & Send'}
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <>
+                    <div className="mb-4">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Recipient Address
+                      </label>
+                      <input
+                        type="text"
+                        value={transferRecipient}
+                        onChange={(e) => setTransferRecipient(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                        placeholder="0x..."
+                      />
+                    </div>
+                    {renderTokenSelect()}
+                    <div className="mb-4">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Amount ({selectedToken.symbol})
+                      </label>
+                      <input
+                        type="number"
+                        step="0.001"
+                        min="0"
+                        value={transferAmount}
+                        onChange={(e) => setTransferAmount(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                        placeholder="0.0"
+                      />
+                    </div>
+                    <div className="flex justify-end space-x-3">
+                      <button
+                        onClick={closeTransferModal}
+                        className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleTransfer}
+                        disabled={actionLoading || !transferAmount || !transferRecipient}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {actionLoading ? 'Processing...' : 'Review Transfer'}
+                      </button>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
           </div>
         )}
 
+        {/* Proof progress for running transfers/withdrawals */}
+        <div className="fixed bottom-4 right-4 w-72 z-50 shadow-lg">
+          <ProofProgress />
+        </div>
+
         {/* Note Selection Modal for Withdraw */}
         {showNoteSelectionModal && (
           <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50" onClick={() => setShowNoteSelectionModal(false)}>
             <div className="relative top-20 mx-auto p-5 border w-96 shadow-lg rounded-md bg-white" onClick={(e) => e.stopPropagation()}>
               <div className="mt-3">
-                <h3 className="text-lg font-medium text-gray-900 mb-4">Select Note to Withdraw</h3>
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Withdraw</h3>
+                {renderTokenSelect()}
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Amount ({selectedToken.symbol})
+                  </label>
+                  <div className="flex space-x-2">
+                    <input
+                      type="number"
+                      step="0.001"
+                      min="0"
+                      value={withdrawAmount}
+                      onChange={(e) => setWithdrawAmount(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                      placeholder="0.0"
+                    />
+                    <button
+                      onClick={handleWithdrawAmount}
+                      disabled={actionLoading || !withdrawAmount}
+                      className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {actionLoading ? 'Processing...' : 'Withdraw'}
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    The remainder of a partly used note is kept in your shielded balance as a change note.
+                  </p>
+                </div>
+                {selectedToken.native && (
+                  <label className="flex items-center text-sm text-gray-700 mb-4">
+                    <input
+                      type="checkbox"
+                      checked={unwrapAfterWithdraw}
+                      onChange={(e) => setUnwrapAfterWithdraw(e.target.checked)}
+                      className="mr-2"
+                    />
+                    Unwrap to SOL when the withdrawal completes
+                  </label>
+                )}
+                {selectedToken.native && unwrapAfterWithdraw && (
+                  <p className="text-xs text-gray-500 -mt-3 mb-4">
+                    Unwrapping closes your wSOL account. It is skipped when the account holds other wSOL or a relayer allowance, which closing it would take along.
+                  </p>
+                )}
+                {/* A partial withdrawal first splits a note with a transfer to yourself */}
+                {actionLoading && withdrawStartedAt && operations
+                  .filter(operation => ['transfer', 'withdraw'].includes(operation.kind) && operation.createdAt >= withdrawStartedAt)
+                  .map(operation => (
+                    <OperationProgress key={operation.id} operation={operation} className="mb-4" />
+                  ))}
                 <p className="text-sm text-gray-600 mb-4">
-                  Select a note to withdraw. The full amount of the selected note will be withdrawn to your Solana wallet.
+                  Or select a note to withdraw its full amount to your Solana wallet.
                 </p>
                 <div className="mb-4 max-h-96 overflow-y-auto">
-                  {withdrawableNotes.length === 0 ? (
-                    <p className="text-gray-500 text-center py-4">No withdrawable notes available</p>
+                  {withdrawableNotes.filter(note => note.mint === selectedToken.mint).length === 0 ? (
+                    <p className="text-gray-500 text-center py-4">No withdrawable {selectedToken.symbol} notes available</p>
                   ) : (
                     <div className="space-y-2">
-                      {withdrawableNotes.map((note, index) => (
+                      {withdrawableNotes.filter(note => note.mint === selectedToken.mint).map((note, index) => (
                         <button
                           key={index}
                           onClick={() => handleNoteSelect(note)}
@@ -736,7 +1473,7 @@ function Dashboard() {
                           <div className="flex justify-between items-center">
                             <div>
                               <p className="text-sm font-medium text-gray-900">
-                                {note.amountFormatted || (Number(note.amount) / 1e9).toFixed(9) + ' SOL'}
+                                {note.amountFormatted || formatTokenAmount(note.amount, selectedToken)}
                               </p>
                               <p className="text-xs text-gray-500 mt-1">
                                 Note #{index + 1}
@@ -759,6 +1496,7 @@ function Dashboard() {
                     onClick={() => {
                       setShowNoteSelectionModal(false);
                       setWithdrawableNotes([]);
+                      setWithdrawAmount('');
                     }}
                     className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
                   >
@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from 'react';
+import { useCipherPay } from '../contexts/CipherPayContext';
+
+const STATUS_DISPLAY = {
+  connecting: { label: 'Connecting to updates', dot: 'bg-yellow-400' },
+  open: { label: 'Live updates', dot: 'bg-green-500' },
+  reconnecting: { label: 'Updates reconnecting', dot: 'bg-yellow-400' },
+  unauthorized: { label: 'Updates stopped, sign in again', dot: 'bg-red-500' },
+  closed: { label: 'Updates off', dot: 'bg-gray-400' },
+};
+
+// Connection state of the server event stream (deposit/transfer/withdraw completions).
+// While reconnecting it counts down to the next attempt and offers to retry right away.
+function EventStreamStatus({ className = '' }) {
+  const { eventStreamState, reconnectEventStream } = useCipherPay();
+  const [now, setNow] = useState(Date.now());
+
+  const retryAt = eventStreamState?.retryAt;
+  useEffect(() => {
+    if (!retryAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [retryAt]);
+
+  if (!eventStreamState) return null;
+
+  const display = STATUS_DISPLAY[eventStreamState.status] || STATUS_DISPLAY.closed;
+  const secondsLeft = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : null;
+  const details = [
+    eventStreamState.error,
+    eventStreamState.lastEventAt && `Last event ${new Date(eventStreamState.lastEventAt).toLocaleTimeString()}`,
+  ].filter(Boolean).join('\n');
+
+  return (
+    <span className={`inline-flex items-center text-sm text-gray-500 ${className}`} title={details}>
+      <span className={`inline-block h-2 w-2 rounded-full mr-2 ${display.dot}`}></span>
+      {display.label}
+      {secondsLeft !== null && ` in ${secondsLeft}s (attempt ${eventStreamState.attempt})`}
+      {eventStreamState.status === 'reconnecting' && (
+        <button
+          type="button"
+          onClick={reconnectEventStream}
+          className="ml-2 text-xs text-indigo-600 hover:text-indigo-800 underline"
+        >
+          Retry now
+        </button>
+      )}
+    </span>
+  );
+}
+
+export default EventStreamStatus;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { LIFECYCLE_STAGES, isOperationFinished } from '../services/operationLifecycle';
+import { getDefaultToken, getToken, formatTokenAmount } from '../services/tokenRegistry';
+
+const KIND_LABELS = {
+  deposit: 'Deposit',
+  transfer: 'Transfer',
+  withdraw: 'Withdraw',
+};
+
+const STAGE_LABELS = {
+  prepared: 'Prepared',
+  proving: 'Generating proof',
+  submitted: 'Submitted to relayer',
+  confirmed: 'Confirmed on-chain',
+  indexed: 'Indexed',
+};
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+// Shows where a deposit, transfer or withdrawal is in its lifecycle (see services/operationLifecycle).
+// Used in the action modals while an operation runs and for in-flight operations restored after a reload;
+// finished operations get a Dismiss button when onDismiss is given.
+function OperationProgress({ operation, onDismiss, className = '' }) {
+  if (!operation) return null;
+
+  const token = getToken(operation.mint) || getDefaultToken();
+  const currentIndex = LIFECYCLE_STAGES.indexOf(operation.status);
+  // A failed or interrupted operation stopped after the last stage it reached
+  const reachedIndex = currentIndex >= 0
+    ? currentIndex
+    : LIFECYCLE_STAGES.reduce((last, stage, index) => (operation.stages?.[stage] ? index : last), -1);
+  const stopped = operation.status === 'failed' || operation.status === 'interrupted';
+
+  return (
+    <div className={`border border-gray-200 rounded-md p-3 ${className}`}>
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm text-gray-700">
+          <span className="font-medium">{KIND_LABELS[operation.kind] || operation.kind}</span>
+          {operation.amount !== null && ` of ${formatTokenAmount(operation.amount, token)}`}
+        </p>
+        {onDismiss && isOperationFinished(operation) && (
+          <button
+            type="button"
+            onClick={() => onDismiss(operation.id)}
+            className="px-2 py-1 text-xs bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+          >
+            Dismiss
+          </button>
+        )}
+      </div>
+      <ol className="space-y-1">
+        {LIFECYCLE_STAGES.map((stage, index) => {
+          const done = index <= reachedIndex;
+          // The stage being waited for
+          const active = !stopped && index === reachedIndex + 1;
+          return (
+            <li
+              key={stage}
+              className={`text-xs flex items-center justify-between ${active ? 'text-indigo-700 font-medium' : done ? 'text-green-700' : 'text-gray-400'}`}
+            >
+              <span className="flex items-center">
+                {active ? (
+                  <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-indigo-600 mr-2"></span>
+                ) : (
+                  <span className="w-3 mr-2">{done ? '✓' : '•'}</span>
+                )}
+                {STAGE_LABELS[stage]}
+              </span>
+              {operation.stages?.[stage] && <span className="text-gray-500">{formatTime(operation.stages[stage])}</span>}
+            </li>
+          );
+        })}
+      </ol>
+      {operation.txHash && (
+        <p className="text-xs text-gray-500 mt-2 break-all">Transaction: {operation.txHash}</p>
+      )}
+      {stopped && (
+        <p className="text-xs text-red-700 mt-2">
+          {operation.status === 'interrupted' ? 'Interrupted' : 'Failed'}{operation.error ? `: ${operation.error}` : ''}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default OperationProgress;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCipherPay } from '../contexts/CipherPayContext';
+import { getToken, formatTokenAmount } from '../services/tokenRegistry';
 
 function Proof() {
   const navigate = useNavigate();
@@ -116,7 +117,7 @@ function Proof() {
   };
 
   const formatNote = (note) => {
-    return `${note.commitment?.slice(0, 8)}... (${Number(note.amount) / 1e18} ETH)`;
+    return `${note.commitment?.slice(0, 8)}... (${formatTokenAmount(note.amount, getToken(note.mint))})`;
   };
 
   if (!isConnected) {
@@ -0,0 +1,64 @@
+import React from 'react';
+import { useCipherPay } from '../contexts/CipherPayContext';
+
+const STAGE_LABELS = {
+  loading: 'Loading circuit',
+  witness: 'Computing witness',
+  proving: 'Generating proof',
+  verifying: 'Verifying proof',
+  submitting: 'Submitting to relayer',
+};
+
+const STAGE_ORDER = ['loading', 'witness', 'proving', 'verifying', 'submitting'];
+
+// Shows the current proof stage for a running transfer/withdraw with a Cancel button.
+// Renders nothing when no proof is running.
+function ProofProgress({ className = '' }) {
+  const { proofProgress, cancelProof } = useCipherPay();
+
+  if (!proofProgress) return null;
+
+  const currentIndex = STAGE_ORDER.indexOf(proofProgress.stage);
+  // Nothing can be cancelled once the relayer has the proof
+  const canCancel = proofProgress.stage !== 'submitting';
+
+  return (
+    <div className={`bg-white border border-indigo-200 rounded-lg p-4 ${className}`}>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-900">
+          {proofProgress.operation === 'withdraw' ? 'Withdraw' : 'Transfer'} in progress
+        </h3>
+        {canCancel && (
+          <button
+            type="button"
+            onClick={cancelProof}
+            className="px-3 py-1 text-xs bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+      <ol className="space-y-1">
+        {STAGE_ORDER.map((stage, index) => {
+          const done = currentIndex > index;
+          const active = currentIndex === index;
+          return (
+            <li
+              key={stage}
+              className={`text-xs flex items-center ${active ? 'text-indigo-700 font-medium' : done ? 'text-green-700' : 'text-gray-400'}`}
+            >
+              {active ? (
+                <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-indigo-600 mr-2"></span>
+              ) : (
+                <span className="w-3 mr-2">{done ? '✓' : '•'}</span>
+              )}
+              {STAGE_LABELS[stage]}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+export default ProofProgress;
@@ -0,0 +1,69 @@
+import React from 'react';
+import { getDefaultToken, getToken, formatTokenAmount } from '../services/tokenRegistry';
+
+const shortAddress = (address) => `${address.slice(0, 4)}…${address.slice(-4)}`;
+const accountName = (entry) => entry.label || shortAddress(entry.address);
+const signed = (text, delta) => (delta > 0n ? `+${text}` : text);
+
+// Shows what a simulated wallet transaction would do (see services/transactionSimulation), so the user can
+// check it before the wallet asks for a signature. A failed simulation is shown as the reason it would fail.
+function SimulationEffects({ simulation, loading = false, className = '' }) {
+  if (loading) {
+    return <p className={`text-xs text-gray-500 ${className}`}>Simulating transaction…</p>;
+  }
+  if (!simulation) return null;
+
+  if (!simulation.ok) {
+    return (
+      <div className={`p-3 border border-red-200 bg-red-50 rounded-md text-xs text-red-800 ${className}`}>
+        <p className="font-medium">This transaction would fail, so it will not be sent.</p>
+        <p className="mt-1 break-words">{simulation.error}</p>
+      </div>
+    );
+  }
+
+  const sol = (lamports) => formatTokenAmount(lamports, getDefaultToken());
+  const tokens = (atoms, mint) => formatTokenAmount(atoms, getToken(mint));
+  const nothing = simulation.solChanges.length + simulation.tokenChanges.length + simulation.createdAccounts.length
+    + simulation.closedAccounts.length + simulation.delegations.length === 0;
+
+  return (
+    <div className={`p-3 border border-gray-200 rounded-md text-xs text-gray-600 space-y-1 ${className}`}>
+      <p className="font-medium text-gray-700">Simulated effects</p>
+      {simulation.createdAccounts.map(entry => (
+        <p key={`created-${entry.address}`}>
+          Creates {accountName(entry)} ({entry.mint ? `${getToken(entry.mint)?.symbol || 'token'} account` : entry.program}), rent {sol(entry.rent)}
+        </p>
+      ))}
+      {simulation.closedAccounts.map(entry => (
+        <p key={`closed-${entry.address}`}>
+          Closes {accountName(entry)}, returning {sol(entry.refund)}
+        </p>
+      ))}
+      {simulation.solChanges.map(entry => (
+        <p key={`sol-${entry.address}`} className="flex justify-between">
+          <span>{accountName(entry)}</span>
+          <span className={entry.delta < 0n ? 'text-red-700' : 'text-green-700'}>{signed(sol(entry.delta), entry.delta)}</span>
+        </p>
+      ))}
+      {simulation.tokenChanges.map(entry => (
+        <p key={`token-${entry.address}`} className="flex justify-between">
+          <span>{accountName(entry)}</span>
+          <span className={entry.delta < 0n ? 'text-red-700' : 'text-green-700'}>{signed(tokens(entry.delta, entry.mint), entry.delta)}</span>
+        </p>
+      ))}
+      {simulation.delegations.map(entry => (
+        <p key={`delegation-${entry.address}`}>
+          {entry.after.delegate
+            ? `Lets ${entry.after.delegateLabel || shortAddress(entry.after.delegate)} move up to ${tokens(entry.after.amount, entry.mint)} from ${accountName(entry)}`
+            : `Removes the delegate ${entry.before.delegateLabel || shortAddress(entry.before.delegate)} of ${accountName(entry)}`}
+          {entry.after.delegate && entry.before.delegate && entry.before.delegate !== entry.after.delegate &&
+            ` (replaces ${entry.before.delegateLabel || shortAddress(entry.before.delegate)})`}
+        </p>
+      ))}
+      {nothing && <p>No balance or account changes.</p>}
+    </div>
+  );
+}
+
+export default SimulationEffects;
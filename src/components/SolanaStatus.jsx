@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useCipherPay } from '../contexts/CipherPayContext';
 import cipherPayService from '../services';
+import { listCircuits } from '../services/circuitRegistry';
+import { getIntegrityStatus, subscribeIntegrityStatus } from '../services/circuitArtifacts';
 
 function SolanaStatus() {
     const { isInitialized, error, sdk } = useCipherPay();
@@ -9,6 +11,7 @@ function SolanaStatus() {
     const [lastCheckTime, setLastCheckTime] = useState(null);
     const [merkleRoot, setMerkleRoot] = useState(null);
     const [circuits, setCircuits] = useState([]);
+    const [artifactStatus, setArtifactStatus] = useState(getIntegrityStatus());
     const intervalRef = useRef(null);
     const isMountedRef = useRef(true);
 
@@ -162,46 +165,14 @@ function SolanaStatus() {
         if (!isMountedRef.current) return;
         
         try {
-            // Try to use SDK service method first
-            if (cipherPayService.sdk?.relayerClient) {
-                try {
-                    const circuitsData = await cipherPayService.sdk.relayerClient.getCircuits();
-                    if (isMountedRef.current) {
-                        setCircuits(circuitsData.circuits || []);
-                    }
-                    return;
-                } catch (sdkError) {
-                    console.log('SDK circuits fetch failed, trying fallback:', sdkError);
-                }
-            }
-
-            // Fallback to direct API call through backend server
-            // Note: Circuits endpoint might need to go through backend or directly to relayer
-            // For now, try through backend first, then fallback to relayer if needed
-            const serverUrl = getServerUrl();
-            let response;
-            try {
-                // Try through backend if it proxies this endpoint
-                response = await fetch(`${serverUrl}/api/v1/circuits`);
-            } catch (serverError) {
-                // If backend doesn't proxy, we might need direct access, but this shouldn't happen in production
-                // For now, just throw the error
-                throw serverError;
-            }
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            const contentType = response.headers.get('content-type');
-            if (!contentType || !contentType.includes('application/json')) {
-                throw new Error('Response is not JSON');
-            }
-            const data = await response.json();
-            if (data.success && isMountedRef.current) {
-                setCircuits(data.circuits);
+            // Circuits shipped with the app (public/circuits), from the circuit registry
+            const registered = await listCircuits();
+            if (isMountedRef.current) {
+                setCircuits(registered);
             }
         } catch (error) {
             if (isMountedRef.current) {
-                console.error('Failed to fetch circuits:', error);
+                console.error('Failed to load circuits:', error);
             }
         }
     };
@@ -232,6 +203,19 @@ function SolanaStatus() {
         };
     }, [isInitialized, sdk]);
 
+    // Circuit artifact integrity checks happen whenever artifacts load (registry, proving)
+    useEffect(() => subscribeIntegrityStatus(setArtifactStatus), []);
+
+    const integrityFailures = artifactStatus.filter(s => s.status === 'mismatch' || s.status === 'missing-digest');
+
+    const getCircuitIntegrity = (name) => {
+        const checks = artifactStatus.filter(s => s.circuit === name);
+        if (checks.length === 0) return null;
+        if (checks.some(s => s.status === 'mismatch' || s.status === 'missing-digest')) return 'failed';
+        if (checks.some(s => s.status === 'error')) return 'error';
+        return 'verified';
+    };
+
     const getStatusColor = (status) => {
         switch (status) {
             case 'healthy':
@@ -327,19 +311,47 @@ function SolanaStatus() {
                     {circuits.length > 0 && (
                         <div>
                             <span className="text-sm font-medium text-gray-500">Supported Circuits</span>
-                            <div className="mt-2 flex flex-wrap gap-2">
-                                {circuits.map((circuit, index) => (
-                                    <span
-                                        key={index}
-                                        className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
-                                    >
-                                        {circuit.name}
-                                    </span>
+                            <div className="mt-2 space-y-1">
+                                {circuits.map((circuit) => (
+                                    <div key={circuit.name} className="flex items-center justify-between">
+                                        <span
+                                            className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${circuit.hasProvingKey ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-600'}`}
+                                            title={circuit.hasProvingKey ? 'Proving key available' : 'Verification only (no proving key shipped)'}
+                                        >
+                                            {circuit.name}{circuit.version ? ` v${circuit.version}` : ''}
+                                        </span>
+                                        <span className="text-xs font-mono text-gray-400" title={circuit.hashes.vkey || ''}>
+                                            {circuit.nPublic !== null ? `${circuit.nPublic} public` : ''}
+                                            {circuit.hashes.vkey ? ` · vkey ${circuit.hashes.vkey.slice(0, 8)}` : ''}
+                                            {getCircuitIntegrity(circuit.name) === 'verified' && <span className="ml-1 text-green-600" title="Artifacts match artifacts.json">✓</span>}
+                                            {getCircuitIntegrity(circuit.name) === 'failed' && <span className="ml-1 text-red-600" title="Artifact integrity check failed">✗</span>}
+                                            {getCircuitIntegrity(circuit.name) === 'error' && <span className="ml-1 text-orange-600" title="Artifact could not be loaded">!</span>}
+                                        </span>
+                                    </div>
                                 ))}
                             </div>
                         </div>
                     )}
 
+                    {/* Circuit Artifact Integrity Failures */}
+                    {integrityFailures.length > 0 && (
+                        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+                            <h3 className="text-sm font-medium text-red-800">Circuit artifact integrity check failed</h3>
+                            <p className="mt-1 text-xs text-red-700">
+                                Proofs will not be generated with these artifacts. Reload the app; if this persists the deployed circuit files do not match artifacts.json.
+                            </p>
+                            <ul className="mt-2 space-y-1">
+                                {integrityFailures.map((failure) => (
+                                    <li key={`${failure.circuit}:${failure.kind}`} className="text-xs font-mono text-red-700 break-all">
+                                        {failure.circuit}/{failure.kind}: {failure.status === 'mismatch'
+                                            ? `expected ${failure.expected.slice(0, 16)}…, got ${failure.actual.slice(0, 16)}…`
+                                            : failure.message}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
                     {/* Error Display */}
                     {error && (
                         <div className="mt-4 bg-red-50 border border-red-200 rounded-md p-4">
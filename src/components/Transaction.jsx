@@ -1,15 +1,25 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useCipherPay } from '../contexts/CipherPayContext';
+import ProofProgress from './ProofProgress';
+import TransferPlanView from './TransferPlanView';
+import OperationProgress from './OperationProgress';
+import { COIN_SELECTION_STRATEGIES, DEFAULT_COIN_SELECTION_STRATEGY, previewSelection } from '../services/coinSelection';
+import { isProofCancelled } from '../services/proverWorkerClient';
+import { WSOL_MINT, getTokens, getToken, getDefaultToken, formatTokenAmount, parseTokenAmount } from '../services/tokenRegistry';
 
 function Transaction() {
   const navigate = useNavigate();
   const {
     isConnected,
     balance,
+    tokenBalances,
     spendableNotes,
-    createTransfer,
-    sendTransfer,
+    allNotes,
+    planTransfer,
+    confirmTransferPlan,
+    activeTransferPlan,
+    operations,
     loading,
     error,
     clearError
@@ -17,9 +27,44 @@ function Transaction() {
 
   const [amount, setAmount] = useState('');
   const [recipient, setRecipient] = useState('');
-  const [transactionStep, setTransactionStep] = useState('form'); // form, creating, sending, success
+  const [transactionStep, setTransactionStep] = useState('form'); // form, review, sending, success
   const [transactionHash, setTransactionHash] = useState('');
   const [selectedNotes, setSelectedNotes] = useState([]);
+  const [strategy, setStrategy] = useState(DEFAULT_COIN_SELECTION_STRATEGY);
+  const [plan, setPlan] = useState(null);
+  const [tokenMint, setTokenMint] = useState(WSOL_MINT);
+
+  const tokens = getTokens();
+  const token = getToken(tokenMint) || getDefaultToken();
+  const formatAmount = (atoms) => formatTokenAmount(atoms, token);
+  const tokenNotes = useMemo(() => spendableNotes.filter(note => note.mint === token.mint), [spendableNotes, token.mint]);
+  // Notes of the token locked by another transfer or withdrawal in progress
+  const pendingNoteCount = allNotes.filter(note => note.pending && note.mint === token.mint).length;
+  // Lifecycle of the transfers (one per plan step) being sent
+  const planOperations = plan ? operations.filter(operation => operation.planId === plan.id).reverse() : [];
+  const tokenBalance = tokenBalances.find(entry => entry.token?.mint === token.mint)?.balance
+    ?? (token.mint === WSOL_MINT ? balance : 0n);
+
+  // Notes the chosen strategy would consume: the hand-picked notes if any, otherwise all spendable notes of the token
+  const selectionPreview = useMemo(() => {
+    const atoms = parseTokenAmount(amount, token);
+    if (atoms === 0n) return null;
+    return previewSelection(selectedNotes.length > 0 ? selectedNotes : tokenNotes, atoms, strategy);
+  }, [amount, selectedNotes, tokenNotes, strategy, token]);
+
+  const handleTokenChange = (mint) => {
+    setTokenMint(mint);
+    // Picked notes belong to the previous token
+    setSelectedNotes([]);
+  };
+
+  // A picked note that another operation started spending (or that got spent) can no longer be used
+  useEffect(() => {
+    setSelectedNotes(prev => {
+      const kept = prev.filter(n => tokenNotes.some(note => note.commitment === n.commitment));
+      return kept.length === prev.length ? prev : kept;
+    });
+  }, [tokenNotes]);
 
   useEffect(() => {
     if (!isConnected) {
@@ -35,7 +80,8 @@ function Transaction() {
       return;
     }
 
-    if (Number(amount) <= 0) {
+    const atoms = parseTokenAmount(amount, token);
+    if (atoms === 0n) {
       alert('Please enter a valid amount');
       return;
     }
@@ -45,44 +91,52 @@ function Transaction() {
       return;
     }
 
-    if (Number(amount) > Number(balance) / 1e18) {
-      alert('Insufficient balance');
+    if (selectionPreview?.error) {
+      alert(selectionPreview.error);
       return;
     }
 
     try {
       clearError();
-      setTransactionStep('creating');
-
-      // Create the transfer
-      const transaction = await createTransfer(recipient, amount);
+      // Plan only; nothing is signed until the plan is confirmed
+      const draft = await planTransfer(recipient.trim(), atoms, null, { strategy, notes: selectedNotes, mint: token.mint });
+      setPlan(draft);
+      setTransactionStep('review');
+    } catch (err) {
+      console.error('Transaction planning failed:', err);
+    }
+  };
 
+  const handleConfirm = async () => {
+    if (!plan) return;
+    try {
+      clearError();
       setTransactionStep('sending');
-
-      // Send the transfer
-      const receipt = await sendTransfer(transaction);
-      setTransactionHash(receipt.txHash);
+      const result = await confirmTransferPlan(plan);
+      setTransactionHash(result?.txHash || result?.signature || '');
       setTransactionStep('success');
 
       // Reset form after successful transaction
       setTimeout(() => {
         setAmount('');
         setRecipient('');
+        setSelectedNotes([]);
+        setPlan(null);
         setTransactionStep('form');
         setTransactionHash('');
         navigate('/dashboard');
       }, 3000);
 
     } catch (err) {
-      console.error('Transaction failed:', err);
+      if (!isProofCancelled(err)) {
+        console.error('Transaction failed:', err);
+      }
+      // Sent steps stay recorded; the rest can be resumed from the dashboard
+      setPlan(null);
       setTransactionStep('form');
     }
   };
 
-  const formatBalance = (balance) => {
-    return Number(balance) / 1e18;
-  };
-
   const handleNoteSelection = (note) => {
     setSelectedNotes(prev => {
       const isSelected = prev.find(n => n.commitment === note.commitment);
@@ -95,7 +149,7 @@ function Transaction() {
   };
 
   const getSelectedAmount = () => {
-    return selectedNotes.reduce((total, note) => total + Number(note.amount), 0) / 1e18;
+    return formatAmount(selectedNotes.reduce((total, note) => total + BigInt(note.amount), 0n));
   };
 
   if (!isConnected) {
@@ -150,14 +204,19 @@ function Transaction() {
               <div className="bg-gray-50 p-4 rounded-lg">
                 <dt className="text-sm font-medium text-gray-500">Available Balance</dt>
                 <dd className="mt-1 text-2xl font-semibold text-gray-900">
-                  {formatBalance(balance)} ETH
+                  {formatAmount(tokenBalance)}
                 </dd>
               </div>
               <div className="bg-gray-50 p-4 rounded-lg">
                 <dt className="text-sm font-medium text-gray-500">Spendable Notes</dt>
                 <dd className="mt-1 text-2xl font-semibold text-gray-900">
-                  {spendableNotes.length}
+                  {tokenNotes.length}
                 </dd>
+                {pendingNoteCount > 0 && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    {pendingNoteCount} pending (being spent)
+                  </p>
+                )}
               </div>
             </div>
           </div>
@@ -184,14 +243,32 @@ function Transaction() {
                   />
                 </div>
 
+                {tokens.length > 1 && (
+                  <div>
+                    <label htmlFor="token" className="block text-sm font-medium text-gray-700">
+                      Token
+                    </label>
+                    <select
+                      id="token"
+                      value={token.mint}
+                      onChange={(e) => handleTokenChange(e.target.value)}
+                      className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    >
+                      {tokens.map(option => (
+                        <option key={option.mint} value={option.mint}>{option.symbol} - {option.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div>
                   <label htmlFor="amount" className="block text-sm font-medium text-gray-700">
-                    Amount (ETH)
+                    Amount ({token.symbol})
                   </label>
                   <input
                     type="number"
                     id="amount"
-                    step="0.000001"
+                    step="any"
                     value={amount}
                     onChange={(e) => setAmount(e.target.value)}
                     required
@@ -200,6 +277,55 @@ function Transaction() {
                   />
                 </div>
 
+                <div>
+                  <label htmlFor="strategy" className="block text-sm font-medium text-gray-700">
+                    Note Selection
+                  </label>
+                  <select
+                    id="strategy"
+                    value={strategy}
+                    onChange={(e) => setStrategy(e.target.value)}
+                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  >
+                    {COIN_SELECTION_STRATEGIES.map(option => (
+                      <option key={option.id} value={option.id}>{option.label}</option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {COIN_SELECTION_STRATEGIES.find(option => option.id === strategy)?.description}
+                    {selectedNotes.length > 0 && ' Only the notes selected below are considered.'}
+                  </p>
+                </div>
+
+                {selectionPreview && (
+                  <div className="border border-gray-200 rounded-md p-3 text-sm">
+                    {selectionPreview.error ? (
+                      <p className="text-red-700">{selectionPreview.error}</p>
+                    ) : (
+                      <>
+                        <p className="text-gray-700">
+                          Spends {selectionPreview.notes.length} note{selectionPreview.notes.length === 1 ? '' : 's'} ({selectionPreview.proofs} proof{selectionPreview.proofs === 1 ? '' : 's'}), {formatAmount(selectionPreview.total)} in total
+                        </p>
+                        <ul className="mt-1 space-y-0.5">
+                          {selectionPreview.notes.map(note => (
+                            <li key={note.commitment} className="text-xs text-gray-500 font-mono">
+                              {note.commitment?.slice(0, 8)}... {formatAmount(note.amount)}
+                            </li>
+                          ))}
+                        </ul>
+                        <p className="text-xs text-gray-500 mt-1">
+                          Change kept shielded: {formatAmount(selectionPreview.change)}
+                        </p>
+                        {selectionPreview.lineages > 1 && (
+                          <p className="text-xs text-amber-700 mt-1">
+                            Combines notes from {selectionPreview.lineages} different deposits or incoming transfers.
+                          </p>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+
                 <div className="flex justify-end space-x-3">
                   <button
                     type="button"
@@ -213,7 +339,7 @@ function Transaction() {
                     disabled={loading}
                     className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
                   >
-                    {loading ? 'Processing...' : 'Create Transaction'}
+                    {loading ? 'Processing...' : 'Review Transaction'}
                   </button>
                 </div>
               </form>
@@ -221,23 +347,45 @@ function Transaction() {
           </div>
         )}
 
-        {/* Transaction Progress */}
-        {transactionStep === 'creating' && (
+        {/* Plan Review */}
+        {transactionStep === 'review' && plan && (
           <div className="bg-white overflow-hidden shadow rounded-lg">
-            <div className="px-4 py-5 sm:p-6 text-center">
-              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto mb-4"></div>
-              <h3 className="text-lg font-medium text-gray-900">Creating Transaction</h3>
-              <p className="text-gray-600">Generating zero-knowledge proof...</p>
+            <div className="px-4 py-5 sm:p-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-4">Review Transaction</h2>
+              <TransferPlanView plan={plan} />
+              <div className="flex justify-end space-x-3 mt-4">
+                <button
+                  type="button"
+                  onClick={() => { setPlan(null); setTransactionStep('form'); }}
+                  className="bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-md text-sm font-medium"
+                >
+                  Back
+                </button>
+                <button
+                  type="button"
+                  onClick={handleConfirm}
+                  disabled={loading}
+                  className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm font-medium disabled:opacity-50"
+                >
+                  Confirm &amp; Send
+                </button>
+              </div>
             </div>
           </div>
         )}
 
+        {/* Transaction Progress */}
         {transactionStep === 'sending' && (
           <div className="bg-white overflow-hidden shadow rounded-lg">
             <div className="px-4 py-5 sm:p-6 text-center">
               <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto mb-4"></div>
               <h3 className="text-lg font-medium text-gray-900">Sending Transaction</h3>
-              <p className="text-gray-600">Submitting to relayer...</p>
+              <p className="text-gray-600">Generating zero-knowledge proofs and submitting to the relayer...</p>
+              <ProofProgress className="mt-4 text-left" />
+              <TransferPlanView plan={activeTransferPlan} className="mt-4 text-left" />
+              {planOperations.map(operation => (
+                <OperationProgress key={operation.id} operation={operation} className="mt-4 text-left" />
+              ))}
             </div>
           </div>
         )}
@@ -259,21 +407,24 @@ function Transaction() {
                   <p className="text-sm font-mono text-gray-900 break-all">{transactionHash}</p>
                 </div>
               )}
+              {planOperations.map(operation => (
+                <OperationProgress key={operation.id} operation={operation} className="mt-4 text-left" />
+              ))}
               <p className="text-sm text-gray-500 mt-4">Redirecting to dashboard...</p>
             </div>
           </div>
         )}
 
         {/* Note Selection (Optional Enhancement) */}
-        {spendableNotes.length > 0 && transactionStep === 'form' && (
+        {tokenNotes.length > 0 && transactionStep === 'form' && (
           <div className="bg-white overflow-hidden shadow rounded-lg mt-6">
             <div className="px-4 py-5 sm:p-6">
               <h2 className="text-lg font-medium text-gray-900 mb-4">Select Input Notes (Optional)</h2>
               <p className="text-sm text-gray-600 mb-4">
-                You can manually select which notes to spend, or let the system choose automatically.
+                You can manually select which notes to spend, or let the selected strategy choose from all of them.
               </p>
               <div className="space-y-2">
-                {spendableNotes.map((note, index) => (
+                {tokenNotes.map((note, index) => (
                   <label key={index} className="flex items-center p-3 border border-gray-200 rounded-lg hover:bg-gray-50">
                     <input
                       type="checkbox"
@@ -286,7 +437,7 @@ function Transaction() {
                         Note {note.commitment?.slice(0, 8)}...
                       </p>
                       <p className="text-sm text-gray-500">
-                        Amount: {Number(note.amount) / 1e18} ETH
+                        Amount: {formatAmount(note.amount)}
                       </p>
                     </div>
                   </label>
@@ -295,7 +446,7 @@ function Transaction() {
               {selectedNotes.length > 0 && (
                 <div className="mt-4 p-3 bg-indigo-50 rounded-lg">
                   <p className="text-sm text-indigo-700">
-                    Selected amount: {getSelectedAmount()} ETH
+                    Selected amount: {getSelectedAmount()}
                   </p>
                 </div>
               )}
@@ -0,0 +1,66 @@
+import React from 'react';
+import { getDefaultToken, getToken, formatTokenAmount } from '../services/tokenRegistry';
+
+const STEP_LABELS = {
+  pending: 'Pending',
+  running: 'Sending',
+  done: 'Sent',
+  failed: 'Failed',
+};
+
+const STEP_CLASSES = {
+  pending: 'text-gray-500',
+  running: 'text-indigo-700 font-medium',
+  done: 'text-green-700',
+  failed: 'text-red-700',
+};
+
+// Lists the steps of a transfer plan (one transfer and proof per input note) with their status.
+// Used both to confirm a plan before anything is signed and to follow or resume a running plan.
+function TransferPlanView({ plan, className = '' }) {
+  if (!plan) return null;
+
+  const token = getToken(plan.mint) || getDefaultToken();
+  const format = (atoms) => formatTokenAmount(atoms, token);
+
+  const sent = plan.steps
+    .filter(step => step.status === 'done')
+    .reduce((sum, step) => sum + BigInt(step.amount), 0n);
+  const change = plan.steps.reduce((sum, step) => sum + BigInt(step.changeAmount), 0n);
+
+  return (
+    <div className={`border border-gray-200 rounded-md p-3 ${className}`}>
+      <div className="text-sm text-gray-700 mb-2">
+        <p>
+          Sends <span className="font-medium">{format(plan.amount)}</span> in {plan.steps.length} transfer{plan.steps.length === 1 ? '' : 's'} ({plan.steps.length} proof{plan.steps.length === 1 ? '' : 's'})
+        </p>
+        <p className="text-xs text-gray-500 break-all">To {plan.recipient}</p>
+        {change > 0n && (
+          <p className="text-xs text-gray-500">Change kept shielded: {format(change)}</p>
+        )}
+      </div>
+      <ol className="space-y-1">
+        {plan.steps.map(step => (
+          <li key={step.index} className="text-xs flex justify-between">
+            <span className="text-gray-700">
+              {step.index + 1}. {format(step.amount)} from a {format(step.noteAmount)} note
+            </span>
+            <span className={STEP_CLASSES[step.status] || 'text-gray-500'} title={step.error || step.txHash || ''}>
+              {STEP_LABELS[step.status] || step.status}
+            </span>
+          </li>
+        ))}
+      </ol>
+      {plan.status !== 'draft' && (
+        <p className="text-xs text-gray-600 mt-2">
+          Sent so far: {format(sent)} of {format(plan.amount)}
+        </p>
+      )}
+      {plan.error && (
+        <p className="text-xs text-red-700 mt-2">{plan.error}</p>
+      )}
+    </div>
+  );
+}
+
+export default TransferPlanView;
@@ -1,12 +1,35 @@
-import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useWallet, useConnection } from '@solana/wallet-adapter-react';
-import { getAssociatedTokenAddressSync, NATIVE_MINT, TOKEN_PROGRAM_ID, createAssociatedTokenAccountInstruction, createSyncNativeInstruction } from '@solana/spl-token';
-import { SystemProgram, Transaction } from '@solana/web3.js';
+import { NATIVE_MINT, createAssociatedTokenAccountInstruction, createSyncNativeInstruction, createApproveInstruction, ACCOUNT_SIZE } from '@solana/spl-token';
+import { PublicKey, SystemProgram, Transaction } from '@solana/web3.js';
 import cipherPayService from '../services';
 import authService from '../services/authService';
+import { terminateDecryptWorker } from '../services/decryptWorkerClient';
+import { subscribeTabMessages, postTabMessage, startLeaderElection, isTabLeader } from '../services/tabCoordinator';
+import { isNoteLocked } from '../services/noteLocks';
+import { getPendingOperations, getPendingIncoming, summarizePendingBalances, toIncomingTransfer } from '../services/pendingBalances';
+import { isProofCancelled } from '../services/proverWorkerClient';
+import { toSpendableNote } from '../services/overviewEngine';
+import { getToken, getDefaultToken, formatTokenAmount } from '../services/tokenRegistry';
+import { getMintInfo, getAtaBalance, estimateTransferFee } from '../services/tokenAccounts';
+import { prepareTransaction, sendPreparedTransaction } from '../services/transactionFees';
+import { simulateTransaction, assertSimulationOk, walletAccountLabels } from '../services/transactionSimulation';
 
 const CipherPayContext = createContext();
 
+// "Required vs available" message for a deposit the wallet cannot pay for (breakdown from buildDepositFunding)
+const describeDepositShortfall = (breakdown) => {
+    const sol = (lamports) => formatTokenAmount(lamports, getDefaultToken());
+    const parts = [
+        breakdown.wrap > 0n && `${sol(breakdown.wrap)} to wrap`,
+        breakdown.rent > 0n && `${sol(breakdown.rent)} wSOL account rent`,
+        `${sol(breakdown.fee)} network fee${breakdown.priorityFee > 0n ? ` incl. ${sol(breakdown.priorityFee)} priority fee` : ''}`,
+    ].filter(Boolean);
+    return `Not enough balance in the wallet to deposit. ` +
+        `Required: ${sol(breakdown.required)} (${parts.join(' + ')}). ` +
+        `Available: ${sol(breakdown.available)}`;
+};
+
 export const useCipherPay = () => {
     const context = useContext(CipherPayContext);
     if (!context) {
@@ -24,22 +47,37 @@ export const CipherPayProvider = ({ children }) => {
     const [isConnected, setIsConnected] = useState(false);
     const [publicAddress, setPublicAddress] = useState(null);
     const [balance, setBalance] = useState(0);
+    // Shielded balance per token: [{ token, tokenId, balance, spendableNotes }]
+    const [tokenBalances, setTokenBalances] = useState([]);
     const [spendableNotes, setSpendableNotes] = useState([]);
     const [allNotes, setAllNotes] = useState([]);
+    // Nullifiers of notes locked by an operation in progress, in this tab or another (see services/noteLocks)
+    const [lockedNullifiers, setLockedNullifiers] = useState(() => new Set());
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    // { processed, total } while new messages are being decrypted, null otherwise
+    const [syncProgress, setSyncProgress] = useState(null);
+    // { operation, stage } while a transfer/withdraw proof is running, null otherwise
+    const [proofProgress, setProofProgress] = useState(null);
+    const proofAbortRef = useRef(null);
+    // Persisted multi-note transfer plans that have not completed, and the plan running in this tab
+    const [transferPlans, setTransferPlans] = useState([]);
+    const [activeTransferPlan, setActiveTransferPlan] = useState(null);
+    const runningPlanIdRef = useRef(null);
+    // Lifecycle records of deposits, transfers and withdrawals (see services/operationLifecycle), newest first
+    const [operations, setOperations] = useState([]);
+    // Incoming transfers announced by the event stream whose note is not stored yet (see services/pendingBalances)
+    const [incomingTransfers, setIncomingTransfers] = useState([]);
+    // Connection state of the server event stream (see services/eventStream)
+    const [eventStreamState, setEventStreamState] = useState(() => cipherPayService.getEventStreamState());
     const [sdk, setSdk] = useState(null);
     // Don't initialize isAuthenticated from localStorage - wait for connection check
     // This prevents false authentication state from stale tokens
     const [isAuthenticated, setIsAuthenticated] = useState(false);
     const [authUser, setAuthUser] = useState(null);
-    
-    // Store event handler references for cleanup
-    const eventHandlersRef = useRef({
-        depositCompleted: null,
-        transferCompleted: null,
-        withdrawCompleted: null
-    });
+    // Whether this tab owns the event stream and the syncs (see services/tabCoordinator)
+    const isLeaderRef = useRef(false);
+    const tabMessageHandlerRef = useRef(null);
 
     // Sync Solana wallet state with CipherPay state
     useEffect(() => {
@@ -59,6 +97,50 @@ export const CipherPayProvider = ({ children }) => {
         }
     }, [solanaConnected, solanaPublicKey]);
 
+    // Keep operation records current as the service reports lifecycle changes
+    useEffect(() => {
+        const handleOperationUpdate = (operation) => {
+            setOperations(prev => [operation, ...prev.filter(entry => entry.id !== operation.id)]
+                .sort((a, b) => b.createdAt - a.createdAt));
+        };
+        cipherPayService.on('operationUpdate', handleOperationUpdate);
+        return () => cipherPayService.off('operationUpdate', handleOperationUpdate);
+    }, []);
+
+    useEffect(() => {
+        cipherPayService.on('eventStreamState', setEventStreamState);
+        return () => cipherPayService.off('eventStreamState', setEventStreamState);
+    }, []);
+
+    useEffect(() => {
+        const refreshNoteLocks = () => {
+            cipherPayService.getLockedNullifiers()
+                .then(setLockedNullifiers)
+                .catch(err => console.warn('[CipherPayContext] Failed to read note locks:', err));
+        };
+        refreshNoteLocks();
+        cipherPayService.on('noteLocks', refreshNoteLocks);
+        return () => cipherPayService.off('noteLocks', refreshNoteLocks);
+    }, []);
+
+    // Locked notes are being spent: they are not offered for new operations and show as pending
+    const availableNotes = useMemo(
+        () => spendableNotes.filter(note => !isNoteLocked(note, lockedNullifiers)),
+        [spendableNotes, lockedNullifiers]
+    );
+    const notesWithLocks = useMemo(
+        () => allNotes.map(note => ({ ...note, pending: !note.spent && isNoteLocked(note, lockedNullifiers) })),
+        [allNotes, lockedNullifiers]
+    );
+    // Read by the completion event listener, which is registered once per account
+    const allNotesRef = useRef(allNotes);
+    allNotesRef.current = allNotes;
+
+    // Optimistic balances: submitted operations and announced incoming transfers until the notes reflect them
+    const pendingOperations = useMemo(() => getPendingOperations(operations, allNotes), [operations, allNotes]);
+    const pendingIncoming = useMemo(() => getPendingIncoming(incomingTransfers, allNotes), [incomingTransfers, allNotes]);
+    const pendingBalances = useMemo(() => summarizePendingBalances(pendingOperations), [pendingOperations]);
+
     // Initialize the service
     useEffect(() => {
         const initializeService = async () => {
@@ -105,6 +187,46 @@ export const CipherPayProvider = ({ children }) => {
         initializeService();
     }, []);
 
+    // Apply an account overview ({ shieldedBalance, balances, notes }) to balance and note state
+    const applyOverview = (overview) => {
+        // Update balance from overview (even if 0)
+        setBalance(overview.shieldedBalance || 0n);
+        setTokenBalances(overview.balances || []);
+        // Update notes from overview (even if empty)
+        const spendable = (overview.notes || []).filter(n => !n.isSpent).map(toSpendableNote);
+        setSpendableNotes(spendable);
+        setAllNotes((overview.notes || []).map(n => ({
+            ...n.note,
+            commitment: n.commitmentHex,
+            nullifierHex: n.nullifierHex,
+            spent: n.isSpent,
+            amount: n.amount,
+            mint: n.mint,
+        })));
+    };
+
+    // After a deposit, transfer or withdrawal: its completion event updates notes and balances
+    // (applyCompletionEvent), so a full sync is only needed while the event stream is down
+    const refreshAfterOperation = async () => {
+        if (cipherPayService.getEventStreamState()?.status === 'open') return;
+        await updateServiceStatus();
+    };
+
+    // Apply a completion event from the server stream to balances and notes, falling back to a full sync
+    const applyCompletionEvent = async (eventData) => {
+        try {
+            const { overview, consistent, reason } = await cipherPayService.applyCompletionEvent(eventData);
+            if (consistent) {
+                applyOverview(overview);
+                return;
+            }
+            console.warn('[CipherPayContext] Completion event does not match the note store, running a full sync:', reason);
+        } catch (err) {
+            console.warn('[CipherPayContext] Could not apply completion event, running a full sync:', err);
+        }
+        await updateServiceStatus();
+    };
+
     const updateServiceStatus = async () => {
         if (!cipherPayService.isInitialized) {
             console.log('[CipherPayContext] updateServiceStatus: Service not initialized, skipping');
@@ -140,22 +262,41 @@ export const CipherPayProvider = ({ children }) => {
         try {
             console.log('[CipherPayContext] updateServiceStatus: isAuthenticated =', isAuthenticated, 'authToken present =', isAuthTokenPresent);
             if (isAuthTokenPresent) {
-                console.log('[CipherPayContext] updateServiceStatus: Attempting to get account overview from backend...');
-                const backendOverview = await cipherPayService.getAccountOverviewFromBackend({ checkOnChain: false });
+                // Show what the local note store already knows while new messages sync
+                const storedOverview = await cipherPayService.getStoredAccountOverview().catch(() => null);
+                if (storedOverview) {
+                    applyOverview(storedOverview);
+                }
+
+                // Only the leader tab syncs; it reports back with 'notesChanged' and this tab re-reads the store
+                if (!isTabLeader()) {
+                    postTabMessage('syncRequest');
+                    refreshTransferPlans();
+                    refreshOperations();
+                    return;
+                }
+
+                console.log('[CipherPayContext] updateServiceStatus: Syncing account overview from backend...');
+                let backendOverview;
+                try {
+                    backendOverview = await cipherPayService.getAccountOverviewFromBackend({
+                        checkOnChain: false,
+                        // Render partial balances as decrypted chunks arrive
+                        onProgress: ({ processed, total, overview }) => {
+                            setSyncProgress({ processed, total });
+                            applyOverview(overview);
+                        },
+                    });
+                } finally {
+                    setSyncProgress(null);
+                }
                 
                 console.log('[CipherPayContext] updateServiceStatus: Got account overview from backend:', backendOverview);
-                // Update balance from backend overview (even if 0)
-                setBalance(backendOverview.shieldedBalance || 0n);
-                // Update notes from backend overview (even if empty)
-                const spendable = (backendOverview.notes || []).filter(n => !n.isSpent);
-                setSpendableNotes(spendable);
-                setAllNotes((backendOverview.notes || []).map(n => ({
-                    ...n.note,
-                    commitment: n.nullifierHex, // Use nullifier hex as identifier
-                    spent: n.isSpent,
-                    amount: n.amount,
-                })));
+                applyOverview(backendOverview);
                 console.log('[CipherPayContext] updateServiceStatus: Updated from backend overview - balance:', backendOverview.shieldedBalance, 'notes:', backendOverview.notes?.length || 0);
+                refreshTransferPlans();
+                // After the sync, so operations whose completion event was missed are found in the note store
+                refreshOperations();
                 return; // Early return, skip SDK fallback
             } else {
                 console.log('[CipherPayContext] updateServiceStatus: No auth token, skipping backend account overview');
@@ -309,28 +450,128 @@ export const CipherPayProvider = ({ children }) => {
         }
     };
 
+    // Proof progress: each transfer/withdraw gets an AbortController that cancelProof() aborts
+    const startProof = (operation) => {
+        proofAbortRef.current?.abort();
+        const controller = new AbortController();
+        proofAbortRef.current = controller;
+        setProofProgress({ operation, stage: null });
+        return {
+            signal: controller.signal,
+            onStage: (stage) => setProofProgress({ operation, stage }),
+        };
+    };
+
+    const endProof = (options) => {
+        if (proofAbortRef.current?.signal === options.signal) {
+            proofAbortRef.current = null;
+            setProofProgress(null);
+        }
+    };
+
+    const cancelProof = () => {
+        proofAbortRef.current?.abort();
+    };
+
     // Transfer Management
-    const createTransfer = async (recipientPublicKey, amount, inputNote = null) => {
+    const refreshTransferPlans = async () => {
+        const plans = await cipherPayService.getUnfinishedTransferPlans(runningPlanIdRef.current);
+        setTransferPlans(plans);
+        return plans;
+    };
+
+    // Runs a transfer plan operation (execute or resume) with proof progress and plan updates
+    const runTransferPlan = async (label, run) => {
+        const proofOptions = startProof('transfer');
         try {
             setLoading(true);
             setError(null);
-            console.log('[CipherPayContext] createTransfer: Called with recipientPublicKey:', recipientPublicKey, 'amount:', amount.toString());
-            const transaction = await cipherPayService.createTransaction(recipientPublicKey, amount, inputNote);
-            console.log('[CipherPayContext] createTransfer: Transaction created:', transaction);
-            
-            // Refresh account overview after transfer
-            setTimeout(() => {
-                console.log('[CipherPayContext] createTransfer: Triggering account overview refresh after transfer');
-                updateServiceStatus();
-            }, 1000); // Wait a bit for backend to process the transfer
-            
+            const onPlanUpdate = (plan) => {
+                runningPlanIdRef.current = plan.id;
+                setActiveTransferPlan(plan);
+            };
+            const transaction = await run({ ...proofOptions, onPlanUpdate });
+            console.log(`[CipherPayContext] ${label}: Transaction created:`, transaction);
+
+            refreshAfterOperation();
+
             return transaction;
         } catch (err) {
-            setError(err.message);
+            if (!isProofCancelled(err)) {
+                setError(err.message);
+            }
             throw err;
         } finally {
+            endProof(proofOptions);
             setLoading(false);
+            runningPlanIdRef.current = null;
+            refreshTransferPlans().catch(() => {});
+        }
+    };
+
+    const createTransfer = async (recipientPublicKey, amount, inputNote = null, selection = {}) => {
+        console.log('[CipherPayContext] createTransfer: Called with recipientPublicKey:', recipientPublicKey, 'amount:', amount.toString());
+        return runTransferPlan('createTransfer', (options) =>
+            cipherPayService.createTransaction(recipientPublicKey, amount, inputNote, { ...selection, ...options })
+        );
+    };
+
+    // Build a transfer plan for confirmation; nothing is signed until confirmTransferPlan
+    // selection: { strategy, notes, mint } coin-selection strategy, notes picked by hand and token to send
+    const planTransfer = async (recipientPublicKey, amount, inputNote = null, selection = {}) => {
+        try {
+            setError(null);
+            const plan = await cipherPayService.planTransaction(recipientPublicKey, amount, inputNote, selection);
+            setActiveTransferPlan(plan);
+            return plan;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        }
+    };
+
+    const confirmTransferPlan = async (plan) => {
+        return runTransferPlan('confirmTransferPlan', (options) =>
+            cipherPayService.executeTransferPlan(plan, options)
+        );
+    };
+
+    const resumeTransferPlan = async (planId) => {
+        return runTransferPlan('resumeTransferPlan', (options) =>
+            cipherPayService.resumeTransferPlan(planId, options)
+        );
+    };
+
+    const discardTransferPlan = async (planId) => {
+        await cipherPayService.discardTransferPlan(planId);
+        if (activeTransferPlan?.id === planId) {
+            setActiveTransferPlan(null);
         }
+        await refreshTransferPlans();
+    };
+
+    const clearActiveTransferPlan = () => setActiveTransferPlan(null);
+
+    // Operation lifecycle: reload the records and follow submitted operations again (e.g. after a reload)
+    const refreshOperations = async () => {
+        try {
+            const loaded = await cipherPayService.resumeOperations();
+            setOperations(loaded);
+            return loaded;
+        } catch (err) {
+            console.warn('[CipherPayContext] Failed to load operations:', err);
+            return [];
+        }
+    };
+
+    const dismissOperation = async (id) => {
+        await cipherPayService.dismissOperation(id);
+        setOperations(prev => prev.filter(operation => operation.id !== id));
+    };
+
+    // Skip the backoff wait of a dropped event stream
+    const reconnectEventStream = () => {
+        cipherPayService.reconnectEventStream();
     };
 
     const sendTransfer = async (transaction) => {
@@ -394,8 +635,151 @@ export const CipherPayProvider = ({ children }) => {
         }
     };
 
+    // Relayer delegate allowance of the connected wallet's token account, read on-chain
+    const getDelegateAllowance = useCallback(async (tokenMint) => {
+        if (!solanaPublicKey) return null;
+        return await cipherPayService.getDelegateAllowance({ connection, owner: solanaPublicKey, tokenMint });
+    }, [connection, solanaPublicKey]);
+
+    // Revoke the delegate of the wallet's token account (no deposits can be pulled until approved again)
+    const revokeRelayerDelegate = async (params) => {
+        try {
+            setLoading(true);
+            setError(null);
+
+            if (!params.connection) {
+                throw new Error('Connection is required');
+            }
+            if (!params.wallet || !params.wallet.publicKey) {
+                throw new Error('Please connect your wallet first');
+            }
+
+            const result = await cipherPayService.revokeRelayerDelegate(params);
+            console.log('[CipherPayContext] revokeRelayerDelegate: Result:', result);
+            return result;
+        } catch (err) {
+            console.error('[CipherPayContext] revokeRelayerDelegate: Error:', err);
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Revoke what is left of a just-in-time deposit approval (nothing is left when the relayer pulled the full amount)
+    const revokeLeftoverAllowance = async (tokenMint) => {
+        try {
+            const allowance = await cipherPayService.getDelegateAllowance({ connection, owner: solanaPublicKey, tokenMint });
+            if (!allowance.isRelayer || allowance.remaining === 0n) {
+                return;
+            }
+            console.log('[CipherPayContext] Revoking leftover deposit allowance:', allowance.remaining.toString());
+            await cipherPayService.revokeRelayerDelegate({
+                connection,
+                wallet: { publicKey: solanaPublicKey, sendTransaction },
+                tokenMint,
+            });
+        } catch (err) {
+            console.warn('[CipherPayContext] Failed to revoke leftover deposit allowance:', err);
+            setError('The leftover deposit allowance could not be revoked. Revoke it from the relayer delegate panel.');
+        }
+    };
+
+    // Source token account of a deposit and the wallet transaction that funds it (create the wSOL account,
+    // wrap SOL, exact approval), priced at the priority level. Nothing is sent.
+    const buildDepositFunding = useCallback(async (token, amount, exactApproval = false, priorityLevel = undefined) => {
+        const atoms = BigInt(amount);
+        const mintInfo = await getMintInfo(connection, token.mint);
+        if (mintInfo.decimals !== token.decimals) {
+            throw new Error(`Token registry lists ${token.decimals} decimals for ${token.symbol}, but the mint has ${mintInfo.decimals}`);
+        }
+        const [{ ata, exists, amount: tokenBalance }, walletBalance] = await Promise.all([
+            getAtaBalance(connection, solanaPublicKey, mintInfo),
+            connection.getBalance(solanaPublicKey),
+        ]);
+
+        const tx = new Transaction();
+        let wrap = 0n;
+        let rent = 0n;
+        if (token.native && tokenBalance < atoms) {
+            wrap = atoms - tokenBalance;
+            if (!exists) {
+                rent = BigInt(await connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE));
+                tx.add(createAssociatedTokenAccountInstruction(solanaPublicKey, ata, solanaPublicKey, NATIVE_MINT));
+            }
+            tx.add(
+                SystemProgram.transfer({
+                    fromPubkey: solanaPublicKey,
+                    toPubkey: ata,
+                    lamports: wrap,
+                }),
+                createSyncNativeInstruction(ata)
+            );
+        }
+        const relayerPubkey = exactApproval ? await cipherPayService.getRelayerPubkey() : null;
+        if (exactApproval) {
+            tx.add(createApproveInstruction(
+                ata,
+                new PublicKey(relayerPubkey),
+                solanaPublicKey,
+                atoms,
+                [],
+                mintInfo.programId
+            ));
+        }
+
+        const prepared = tx.instructions.length > 0
+            ? await prepareTransaction(connection, tx, solanaPublicKey, { priorityLevel })
+            : null;
+        const simulation = prepared
+            ? await simulateTransaction(connection, prepared.transaction, {
+                labels: walletAccountLabels({ owner: solanaPublicKey, tokenAccount: ata, symbol: token.native ? 'wSOL' : token.symbol, relayer: relayerPubkey }),
+            })
+            : null;
+        const fee = prepared?.fee ?? 0n;
+        const required = wrap + rent + fee;
+        const available = BigInt(walletBalance);
+        return {
+            mintInfo,
+            sourceTokenAccount: ata,
+            tokenAccountExists: exists,
+            tokenBalance,
+            prepared,
+            simulation, // null when the wallet has nothing to sign
+            // SOL the wallet pays, in lamports
+            breakdown: {
+                wrap,
+                rent,
+                fee,
+                priorityFee: prepared?.priorityFee ?? 0n,
+                priorityLevel: prepared?.priorityLevel ?? priorityLevel ?? null,
+                required,
+                available,
+                shortfall: required > available ? required - available : 0n,
+            },
+        };
+    }, [connection, solanaPublicKey]);
+
+    // Simulated effects of approving the relayer for an amount, for display before the wallet signs
+    const simulateDelegateApproval = useCallback(async (tokenMint, amount) => {
+        if (!solanaPublicKey) return null;
+        return await cipherPayService.simulateDelegateApproval({ connection, owner: solanaPublicKey, tokenMint, amount });
+    }, [connection, solanaPublicKey]);
+
+    // What a deposit costs the wallet and what its transaction does, for display before it is sent
+    const estimateDepositCost = useCallback(async (tokenMint, amount, exactApproval = false, priorityLevel = undefined) => {
+        const token = getToken(tokenMint);
+        if (!token || !solanaPublicKey) return null;
+        const { breakdown, tokenAccountExists, tokenBalance, simulation } = await buildDepositFunding(token, amount, exactApproval, priorityLevel);
+        return { ...breakdown, tokenAccountExists, tokenBalance, simulation };
+    }, [buildDepositFunding, solanaPublicKey]);
+
     // Deposit Management (calls server APIs via SDK)
+    // params.exactApproval: approve the relayer for exactly this deposit in the same signature as the wrap
+    // (replacing any standing allowance) and revoke whatever is left once DepositCompleted arrives.
+    // params.priorityLevel: priority fee level of the wallet transaction (default: the saved preference)
     const createDeposit = async (params) => {
+        let exactApprovalMint = null; // Set once an exact approval is on-chain, so a failed deposit still cleans it up
         try {
             setLoading(true);
             setError(null);
@@ -410,111 +794,70 @@ export const CipherPayProvider = ({ children }) => {
                 throw new Error('Please connect your Solana wallet first');
             }
             
-            let sourceOwner = solanaPublicKey.toBase58();
-            let sourceTokenAccount = null;
-            let useDelegate = false;
+            const token = getToken(params.tokenMint);
+            if (!token) {
+                throw new Error('Unknown token. Add it to the token registry (VITE_TOKEN_REGISTRY) first.');
+            }
+
+            const sourceOwner = solanaPublicKey.toBase58();
+            const exactApproval = !!params.exactApproval;
+            const funding = await buildDepositFunding(token, params.amount, exactApproval, params.priorityLevel);
+            const sourceTokenAccount = funding.sourceTokenAccount.toBase58();
+
+            // The relayer pulls the amount and the note commits to that same amount, so a fee withheld on the way
+            // would leave the note worth more than the pool received
+            const transferFee = await estimateTransferFee(connection, funding.mintInfo, params.amount);
+            if (transferFee?.fee > 0n) {
+                throw new Error(`${token.symbol} charges a transfer fee of ${formatTokenAmount(transferFee.fee, token)} on this amount. Tokens with a transfer fee cannot be deposited.`);
+            }
             
-            // If depositing SOL/wSOL, wrap SOL to wSOL first
-            if (params.tokenMint === NATIVE_MINT.toBase58() || params.tokenMint === 'So11111111111111111111111111111111111111112') {
-                const { PublicKey } = await import('@solana/web3.js');
-                const WSOL_MINT = new PublicKey('So11111111111111111111111111111111111111112');
-                const wsolAta = getAssociatedTokenAddressSync(WSOL_MINT, solanaPublicKey, false, TOKEN_PROGRAM_ID);
-                sourceTokenAccount = wsolAta.toBase58();
-                
-                // Check if ATA exists and has enough balance
-                const ataInfo = await connection.getAccountInfo(wsolAta);
-                const requiredLamports = Number(params.amount);
-                
-                // Get current wSOL balance
-                let currentBalance = 0;
-                if (ataInfo) {
-                    try {
-                        const tokenAccount = await connection.getTokenAccountBalance(wsolAta);
-                        currentBalance = Number(tokenAccount.value.amount);
-                    } catch (e) {
-                        // ATA exists but might not be initialized yet
-                        currentBalance = 0;
-                    }
-                }
-                
-                // Check wallet SOL balance before attempting wrap
-                const walletBalance = await connection.getBalance(solanaPublicKey);
-                const estimatedTxFee = 5000; // Rough estimate for transaction fees
-                const neededForWrap = requiredLamports - currentBalance;
-                
-                // If we need to wrap, check if wallet has enough SOL
-                if (currentBalance < requiredLamports) {
-                    if (walletBalance < neededForWrap + estimatedTxFee) {
-                        const availableSOL = walletBalance / 1e9;
-                        const requiredSOL = (neededForWrap + estimatedTxFee) / 1e9;
-                        throw new Error(
-                            `Not enough balance in the wallet to deposit. ` +
-                            `Required: ${requiredSOL.toFixed(9)} SOL (${(neededForWrap / 1e9).toFixed(9)} SOL for deposit + ~${(estimatedTxFee / 1e9).toFixed(9)} SOL for fees). ` +
-                            `Available: ${availableSOL.toFixed(9)} SOL`
-                        );
-                    }
+            if (!token.native) {
+                // Other tokens are deposited from the wallet's associated token account, created beforehand with useAta
+                if (!funding.tokenAccountExists) {
+                    throw new Error(`No ${token.symbol} token account found for this wallet. Create it before depositing.`);
                 }
-                
-                // Wrap SOL to wSOL if needed
-                if (currentBalance < requiredLamports) {
-                    const delta = requiredLamports - currentBalance;
-                    const tx = new Transaction();
-                    
-                    // Create ATA if it doesn't exist
-                    if (!ataInfo) {
-                        tx.add(createAssociatedTokenAccountInstruction(
-                            solanaPublicKey, // payer
-                            wsolAta, // ata
-                            solanaPublicKey, // owner
-                            WSOL_MINT // mint
-                        ));
-                    }
-                    
-                    // Transfer SOL to ATA and sync
-                    tx.add(
-                        SystemProgram.transfer({
-                            fromPubkey: solanaPublicKey,
-                            toPubkey: wsolAta,
-                            lamports: delta,
-                        }),
-                        createSyncNativeInstruction(wsolAta)
+                if (funding.tokenBalance < BigInt(params.amount)) {
+                    throw new Error(
+                        `Not enough ${token.symbol} in the wallet to deposit. ` +
+                        `Required: ${formatTokenAmount(params.amount, token)}. Available: ${formatTokenAmount(funding.tokenBalance, token)}`
                     );
-                    
-                    // Send transaction with better error handling
-                    try {
-                        const signature = await sendTransaction(tx, connection);
-                        await connection.confirmTransaction(signature, 'confirmed');
-                        console.log('[CipherPayContext] Wrapped', delta / 1e9, 'SOL to wSOL:', signature);
-                    } catch (txError) {
-                        // Provide clearer error messages for common wallet errors
-                        const errorMessage = txError?.message || String(txError);
-                        if (errorMessage.includes('insufficient') || errorMessage.includes('balance') || errorMessage.includes('funds')) {
-                            const availableSOL = walletBalance / 1e9;
-                            const requiredSOL = (neededForWrap + estimatedTxFee) / 1e9;
-                            throw new Error(
-                                `Not enough balance in the wallet to deposit. ` +
-                                `Required: ${requiredSOL.toFixed(9)} SOL (${(neededForWrap / 1e9).toFixed(9)} SOL for deposit + ~${(estimatedTxFee / 1e9).toFixed(9)} SOL for fees). ` +
-                                `Available: ${availableSOL.toFixed(9)} SOL`
-                            );
-                        }
-                        // Re-throw with a more descriptive message
-                        throw new Error(`Failed to wrap SOL to wSOL: ${errorMessage}`);
+                }
+            }
+            if (funding.breakdown.shortfall > 0n) {
+                throw new Error(describeDepositShortfall(funding.breakdown));
+            }
+            assertSimulationOk(funding.simulation);
+            
+            // Wrap SOL to wSOL if needed; an exact approval rides in the same transaction
+            if (funding.prepared) {
+                try {
+                    const signature = await sendPreparedTransaction(connection, sendTransaction, funding.prepared);
+                    if (exactApproval) exactApprovalMint = token.mint;
+                    if (funding.breakdown.wrap > 0n) console.log('[CipherPayContext] Wrapped', funding.breakdown.wrap.toString(), 'lamports to wSOL:', signature);
+                    if (exactApproval) console.log('[CipherPayContext] Approved relayer for exactly', params.amount.toString(), 'atoms:', signature);
+                } catch (txError) {
+                    // Provide clearer error messages for common wallet errors
+                    const errorMessage = txError?.message || String(txError);
+                    if (errorMessage.includes('insufficient') || errorMessage.includes('balance') || errorMessage.includes('funds')) {
+                        throw new Error(describeDepositShortfall(funding.breakdown));
                     }
+                    // Re-throw with a more descriptive message
+                    throw new Error(`${funding.breakdown.wrap > 0n ? 'Failed to wrap SOL to wSOL' : 'Failed to approve the deposit amount'}: ${errorMessage}`);
                 }
-                
-                useDelegate = true;
             }
+            const useDelegate = true;
             
             // Prepare deposit parameters (SDK will call server APIs)
             const depositParams = {
                 amount: params.amount,
                 tokenMint: params.tokenMint,
-                tokenSymbol: params.tokenSymbol || 'SOL',
-                decimals: params.decimals || 9,
+                tokenSymbol: token.symbol,
+                decimals: token.decimals,
                 memo: params.memo || 0,
                 sourceOwner,
                 sourceTokenAccount,
                 useDelegate,
+                awaitCompletion: exactApproval,
             };
             
             console.log('[CipherPayContext] createDeposit: Calling service with params:', depositParams);
@@ -523,10 +866,20 @@ export const CipherPayProvider = ({ children }) => {
             
             console.log('[CipherPayContext] createDeposit: Result:', result);
             
-            await updateServiceStatus(); // Refresh balance and notes
+            if (exactApprovalMint) {
+                // In the background: the deposit is done; the wallet is only asked to sign if allowance is left
+                const mint = exactApprovalMint;
+                exactApprovalMint = null;
+                result.completed.then(() => revokeLeftoverAllowance(mint));
+            }
+            
+            await refreshAfterOperation();
             return result;
         } catch (err) {
             console.error('[CipherPayContext] createDeposit: Error:', err);
+            if (exactApprovalMint) {
+                revokeLeftoverAllowance(exactApprovalMint);
+            }
             
             // Provide clearer error messages
             let errorMessage = err?.message || String(err);
@@ -633,10 +986,10 @@ export const CipherPayProvider = ({ children }) => {
 
     // Withdrawal Management
     // New design: Get withdrawable notes for selection
-    const getWithdrawableNotes = async () => {
+    const getWithdrawableNotes = async (mint = null) => {
         try {
             setError(null);
-            const notes = await cipherPayService.getWithdrawableNotes();
+            const notes = await cipherPayService.getWithdrawableNotes(mint);
             return notes;
         } catch (err) {
             setError(err.message);
@@ -644,14 +997,22 @@ export const CipherPayProvider = ({ children }) => {
         }
     };
 
-    // Withdraw the full amount of a selected note
-    const createWithdraw = async (selectedNote, recipientAddress) => {
+    // Notes per token and the dust among them (see CipherPayService.getDustReport); stable, for effects
+    const getDustReport = useCallback(async (mint = null) => {
+        return await cipherPayService.getDustReport(mint);
+    }, []);
+
+    // Close the wallet's wSOL account, returning its balance as native SOL
+    // onlyAmount: close it only when it holds exactly this much and has no delegate (see CipherPayService.unwrapWsol)
+    const unwrapWsol = async (onlyAmount = null) => {
         try {
             setLoading(true);
             setError(null);
-            const result = await cipherPayService.withdraw(selectedNote, recipientAddress);
-            await updateServiceStatus(); // Refresh balance and notes
-            return result;
+            return await cipherPayService.unwrapWsol({
+                connection,
+                wallet: { publicKey: solanaPublicKey, sendTransaction },
+                onlyAmount,
+            });
         } catch (err) {
             setError(err.message);
             throw err;
@@ -660,6 +1021,60 @@ export const CipherPayProvider = ({ children }) => {
         }
     };
 
+    // Withdraw the full amount of a selected note, or an exact amount (in atoms of mint) when amount is given;
+    // with an amount, selectedNote may be null to let the service pick notes (and create a change note)
+    // unwrap: for wSOL withdrawals to the connected wallet, unwrap to native SOL once WithdrawCompleted arrives,
+    // as long as the wSOL account holds nothing but the withdrawn amount
+    const createWithdraw = async (selectedNote, recipientAddress, amount = null, mint = null, unwrap = false) => {
+        const proofOptions = startProof('withdraw');
+        try {
+            setLoading(true);
+            setError(null);
+            const token = selectedNote?.mint ? getToken(selectedNote.mint) : getToken(mint);
+            const canUnwrap = unwrap && !!token?.native && recipientAddress === solanaPublicKey?.toBase58();
+            if (unwrap && !canUnwrap) {
+                console.warn('[CipherPayContext] Unwrap skipped: only wSOL withdrawn to the connected wallet can be unwrapped');
+            }
+            const result = await cipherPayService.withdraw(selectedNote, recipientAddress, {
+                ...proofOptions,
+                amount,
+                mint,
+                awaitCompletion: canUnwrap,
+            });
+            endProof(proofOptions);
+            if (canUnwrap) {
+                // In the background, so the withdrawal is reported right away
+                result.completed.then(async (events) => {
+                    if ([].concat(events).some(event => !event)) {
+                        setError('The withdrawal was not confirmed in time, so wSOL was not unwrapped. Unwrap it from the dashboard once it arrives.');
+                        return;
+                    }
+                    try {
+                        const withdrawn = BigInt(amount ?? selectedNote.amount);
+                        const unwrapped = await unwrapWsol(withdrawn);
+                        if (!unwrapped.signature && unwrapped.skipped) {
+                            setError('Your wSOL account also holds other wSOL or a relayer allowance, so the withdrawal was left wrapped. Unwrap it from the dashboard to close the account.');
+                            return;
+                        }
+                        await updateServiceStatus();
+                    } catch (err) {
+                        console.warn('[CipherPayContext] Failed to unwrap withdrawn wSOL:', err);
+                    }
+                });
+            }
+            await refreshAfterOperation();
+            return result;
+        } catch (err) {
+            if (!isProofCancelled(err)) {
+                setError(err.message);
+            }
+            throw err;
+        } finally {
+            endProof(proofOptions);
+            setLoading(false);
+        }
+    };
+
     // Authentication Management
     const signIn = async (walletAddressOverride = null) => {
         try {
@@ -706,46 +1121,12 @@ export const CipherPayProvider = ({ children }) => {
                 }
             }
             
-            // Start event monitoring for this user
-            if (user?.ownerCipherPayPubKey) {
-                console.log('[CipherPayContext] signIn: Starting event monitoring for user:', user.ownerCipherPayPubKey);
+            // Event monitoring starts with the account's tab election (see the effect below). With a new token,
+            // the leader tab restarts a stream the server rejected; the other tabs pick up the session.
+            if (user?.ownerCipherPayPubKey && isLeaderRef.current) {
                 await cipherPayService.startEventMonitoring(user.ownerCipherPayPubKey);
-                
-                // Define event handlers
-                const handleDepositCompleted = async (eventData) => {
-                    console.log('[CipherPayContext] Deposit completed event received, refreshing account overview...', eventData);
-                    // Wait a bit for backend to process the deposit
-                    setTimeout(() => {
-                        updateServiceStatus();
-                    }, 1000);
-                };
-                
-                const handleTransferCompleted = async (eventData) => {
-                    console.log('[CipherPayContext] Transfer completed event received, refreshing account overview...', eventData);
-                    // Wait a bit for backend to process the transfer (nullifier tracking, note updates)
-                    setTimeout(() => {
-                        updateServiceStatus();
-                    }, 1000);
-                };
-                
-                const handleWithdrawCompleted = async (eventData) => {
-                    console.log('[CipherPayContext] Withdraw completed event received, refreshing account overview...', eventData);
-                    // Wait a bit for backend to process the withdraw (nullifier tracking)
-                    setTimeout(() => {
-                        updateServiceStatus();
-                    }, 1000);
-                };
-                
-                // Register event listeners
-                cipherPayService.on('depositCompleted', handleDepositCompleted);
-                cipherPayService.on('transferCompleted', handleTransferCompleted);
-                cipherPayService.on('withdrawCompleted', handleWithdrawCompleted);
-                
-                // Store handlers for cleanup on signOut
-                eventHandlersRef.current.depositCompleted = handleDepositCompleted;
-                eventHandlersRef.current.transferCompleted = handleTransferCompleted;
-                eventHandlersRef.current.withdrawCompleted = handleWithdrawCompleted;
             }
+            postTabMessage('signedIn');
             
             // Refresh account overview from backend after authentication
             // Use setTimeout to ensure token is stored and state has updated
@@ -801,11 +1182,11 @@ export const CipherPayProvider = ({ children }) => {
                 }
             }
             
-            // Start event monitoring for this user
-            if (user?.ownerCipherPayPubKey) {
-                console.log('[CipherPayContext] signUp: Starting event monitoring for user:', user.ownerCipherPayPubKey);
+            // Event monitoring starts with the account's tab election, as in signIn
+            if (user?.ownerCipherPayPubKey && isLeaderRef.current) {
                 await cipherPayService.startEventMonitoring(user.ownerCipherPayPubKey);
             }
+            postTabMessage('signedIn');
             
             // Refresh account overview from backend after authentication
             // Use setTimeout to ensure token is stored and state has updated
@@ -822,24 +1203,23 @@ export const CipherPayProvider = ({ children }) => {
         }
     };
 
+    // Sign out in every open tab
     const signOut = async () => {
+        postTabMessage('signedOut');
+        await signOutLocally();
+    };
+
+    const signOutLocally = async () => {
         try {
-            // Remove event listeners to prevent memory leaks
-            if (eventHandlersRef.current.depositCompleted) {
-                cipherPayService.removeEventListener('depositCompleted', eventHandlersRef.current.depositCompleted);
-                eventHandlersRef.current.depositCompleted = null;
-            }
-            if (eventHandlersRef.current.transferCompleted) {
-                cipherPayService.removeEventListener('transferCompleted', eventHandlersRef.current.transferCompleted);
-                eventHandlersRef.current.transferCompleted = null;
-            }
-            if (eventHandlersRef.current.withdrawCompleted) {
-                cipherPayService.removeEventListener('withdrawCompleted', eventHandlersRef.current.withdrawCompleted);
-                eventHandlersRef.current.withdrawCompleted = null;
-            }
-            
+            // Completion event listeners are removed by the account effect once isAuthenticated is false
             // Stop event monitoring
             cipherPayService.stopEventMonitoring();
+            // Drop the decryption key held by the worker
+            terminateDecryptWorker();
+            setTransferPlans([]);
+            setActiveTransferPlan(null);
+            setOperations([]);
+            setIncomingTransfers([]);
             
             authService.clearAuth();
             setIsAuthenticated(false);
@@ -853,6 +1233,117 @@ export const CipherPayProvider = ({ children }) => {
         }
     };
 
+    // Completion events, the event stream and syncs of the signed-in account
+    // One tab per account is elected leader (see services/tabCoordinator): it keeps the stream open, applies
+    // events to the shared note store and runs the syncs. The other tabs get the events forwarded, so their own
+    // operations still see them, and re-read the note store when the leader reports a change.
+    const ownerKey = isAuthenticated ? authUser?.ownerCipherPayPubKey : null;
+    // Read by the listeners below, which are registered once per account; this render's versions see current state
+    const syncHandlersRef = useRef(null);
+    syncHandlersRef.current = { applyCompletionEvent, updateServiceStatus };
+    useEffect(() => {
+        if (!ownerKey) return undefined;
+
+        // Each event is applied to the local note state directly; a full sync only runs when the
+        // event does not match what the note store knows
+        const handleCompletionEvent = async (eventData) => {
+            // Every tab shows an incoming transfer until its note is stored
+            const incoming = toIncomingTransfer(eventData, allNotesRef.current);
+            if (incoming) {
+                // Expired announcements are dropped on the way
+                setIncomingTransfers(prev => [...getPendingIncoming(prev, []).filter(entry => entry.id !== incoming.id), incoming]);
+            }
+            if (!isLeaderRef.current) return;
+            console.log('[CipherPayContext] Completion event received, applying to notes...', eventData);
+            await syncHandlersRef.current.applyCompletionEvent(eventData);
+        };
+        cipherPayService.on('depositCompleted', handleCompletionEvent);
+        cipherPayService.on('transferCompleted', handleCompletionEvent);
+        cipherPayService.on('withdrawCompleted', handleCompletionEvent);
+
+        const leaveElection = startLeaderElection(ownerKey, (leader) => {
+            isLeaderRef.current = leader;
+            if (leader) {
+                console.log('[CipherPayContext] Starting event monitoring for user:', ownerKey);
+                cipherPayService.startEventMonitoring(ownerKey);
+                syncHandlersRef.current.updateServiceStatus();
+            } else {
+                postTabMessage('streamStateRequest');
+            }
+        });
+
+        return () => {
+            leaveElection();
+            isLeaderRef.current = false;
+            cipherPayService.stopEventMonitoring();
+            cipherPayService.off('depositCompleted', handleCompletionEvent);
+            cipherPayService.off('transferCompleted', handleCompletionEvent);
+            cipherPayService.off('withdrawCompleted', handleCompletionEvent);
+        };
+    }, [ownerKey]);
+
+    // Messages from the other tabs
+    tabMessageHandlerRef.current = async (type, payload) => {
+        switch (type) {
+            case 'event':
+                // A tab with its own stream (leader, or no coordination) already saw it
+                if (!isTabLeader()) cipherPayService.dispatchStreamEvent(payload);
+                break;
+            case 'eventStreamState':
+                if (!isTabLeader()) cipherPayService.setEventStreamState(payload);
+                break;
+            case 'streamStateRequest':
+                if (isLeaderRef.current && cipherPayService.getEventStreamState()) {
+                    postTabMessage('eventStreamState', cipherPayService.getEventStreamState());
+                }
+                break;
+            case 'reconnectStream':
+                if (isLeaderRef.current) cipherPayService.reconnectEventStream();
+                break;
+            case 'syncRequest':
+                if (isLeaderRef.current) await updateServiceStatus();
+                break;
+            case 'notesChanged': {
+                if (!isAuthenticated) break;
+                const overview = await cipherPayService.reloadStoredAccountOverview().catch(() => null);
+                if (overview) applyOverview(overview);
+                break;
+            }
+            case 'operationUpdate':
+                if (isAuthenticated) cipherPayService.applyRemoteOperation(payload);
+                break;
+            case 'noteLocks':
+                cipherPayService.emit('noteLocks');
+                break;
+            case 'signedIn': {
+                // Token, user and identity (possibly of another account) are in localStorage now
+                authService.reloadFromStorage();
+                const user = authService.getUser();
+                if (!user) break;
+                console.log('[CipherPayContext] Signed in from another tab');
+                setIsAuthenticated(true);
+                setAuthUser(user);
+                if (isLeaderRef.current && user.ownerCipherPayPubKey === ownerKey) {
+                    await cipherPayService.startEventMonitoring(user.ownerCipherPayPubKey);
+                }
+                await updateServiceStatus();
+                break;
+            }
+            case 'signedOut':
+                console.log('[CipherPayContext] Signed out from another tab');
+                await signOutLocally();
+                break;
+            default:
+                break;
+        }
+    };
+
+    useEffect(() => subscribeTabMessages((type, payload) => {
+        tabMessageHandlerRef.current?.(type, payload)?.catch?.(err => {
+            console.error(`[CipherPayContext] Failed to handle ${type} from another tab:`, err);
+        });
+    }), []);
+
     // Sync authentication state with connection state
     // IMPORTANT: Only clear auth when explicitly disconnected, don't auto-set from stored tokens
     // This prevents auto-redirect to dashboard when user navigates back to login
@@ -899,11 +1390,21 @@ export const CipherPayProvider = ({ children }) => {
         isConnected,
         publicAddress,
         balance,
-        spendableNotes,
-        allNotes,
+        tokenBalances,
+        spendableNotes: availableNotes,
+        allNotes: notesWithLocks,
         loading,
         error,
         sdk,
+        syncProgress,
+        proofProgress,
+        transferPlans,
+        activeTransferPlan,
+        operations,
+        pendingOperations,
+        pendingIncoming,
+        pendingBalances,
+        eventStreamState,
         isAuthenticated,
         authUser,
 
@@ -918,19 +1419,39 @@ export const CipherPayProvider = ({ children }) => {
 
         // Transfer Management
         createTransfer,
+        planTransfer,
+        confirmTransferPlan,
+        resumeTransferPlan,
+        discardTransferPlan,
+        clearActiveTransferPlan,
+        refreshTransferPlans,
         sendTransfer,
         checkTransferStatus,
 
         // Deposit Management
-        approveRelayerDelegate, // One-time setup before first deposit
+        approveRelayerDelegate, // Sets the relayer's allowance (also used to top it up)
+        estimateDepositCost,
+        simulateDelegateApproval,
+        getDelegateAllowance,
+        revokeRelayerDelegate,
         createDeposit,
 
         // Withdrawal Management
         getWithdrawableNotes,
         createWithdraw,
+        getDustReport,
+        unwrapWsol,
+
+        // Operation Lifecycle
+        refreshOperations,
+        dismissOperation,
+
+        // Event Stream
+        reconnectEventStream,
 
         // Proof Management
         generateProof,
+        cancelProof,
         verifyProof,
 
         // View Key Management
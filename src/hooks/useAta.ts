@@ -16,6 +16,8 @@ import { useCallback, useMemo, useState } from "react";
 import type { PublicKey, Connection, Transaction } from "@solana/web3.js";
 import { Transaction as Web3Transaction } from "@solana/web3.js";
 import { useConnection, useWallet } from "@solana/wallet-adapter-react";
+import { prepareTransaction } from "../services/transactionFees";
+import { simulateTransaction, assertSimulationOk, walletAccountLabels } from "../services/transactionSimulation";
 
 // Preferred if SDK is published:
 import {
@@ -42,12 +44,16 @@ export type UseAtaOptions = {
   programIds?: ProgramIds;
   /** Commitment level used when confirming the transaction. */
   commitment?: "processed" | "confirmed" | "finalized";
+  /** Priority fee level (see services/transactionFees); defaults to the user's saved preference. */
+  priorityLevel?: string;
 };
 
 export type UseAtaState = {
   ata: PublicKey | null;
   creating: boolean;
   error: string | null;
+  /** Simulated effects of the last "create ATA" transaction (see services/transactionSimulation). */
+  simulation: any | null;
 };
 
 export type UseAtaResult = UseAtaState & {
@@ -67,6 +73,7 @@ export function useAta(mint: PublicKey | null, opts: UseAtaOptions = {}): UseAta
   const [ata, setAta] = useState<PublicKey | null>(null);
   const [creating, setCreating] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [simulation, setSimulation] = useState<any | null>(null);
 
   const pids: ProgramIds = useMemo(() => {
     if (opts.programIds) return opts.programIds;
@@ -95,22 +102,27 @@ export function useAta(mint: PublicKey | null, opts: UseAtaOptions = {}): UseAta
     // Already exists — nothing to send.
     if (!ix) return derivedAta;
 
-    // 2) Build the one-instruction "create ATA" transaction and send via wallet.
+    // 2) Build the one-instruction "create ATA" transaction (with compute budget and priority fee)
+    //    and send via wallet.
     setCreating(true);
     try {
-      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
-
       const tx = new Web3Transaction().add(ix);
-      tx.feePayer = wallet.publicKey;
-      tx.recentBlockhash = blockhash;
+      const prepared = await prepareTransaction(connection, tx, wallet.publicKey, { priorityLevel: opts.priorityLevel });
+
+      // Simulate first: a transaction that would fail is never sent to the wallet
+      const simulated = await simulateTransaction(connection as Connection, prepared.transaction, {
+        labels: walletAccountLabels({ owner: wallet.publicKey, tokenAccount: derivedAta }),
+      });
+      setSimulation(simulated);
+      assertSimulationOk(simulated);
 
       // wallet-adapter will handle signing and sending
-      const sig = await wallet.sendTransaction(tx as unknown as Transaction, connection);
+      const sig = await wallet.sendTransaction(prepared.transaction as unknown as Transaction, connection);
 
       // Optional confirm (recommended for UX)
       const commitment = opts.commitment ?? "confirmed";
       await connection.confirmTransaction(
-        { signature: sig, blockhash, lastValidBlockHeight },
+        { signature: sig, blockhash: prepared.blockhash, lastValidBlockHeight: prepared.lastValidBlockHeight },
         commitment
       );
 
@@ -122,7 +134,7 @@ export function useAta(mint: PublicKey | null, opts: UseAtaOptions = {}): UseAta
     } finally {
       setCreating(false);
     }
-  }, [connection, wallet, mint, pids, opts.commitment]);
+  }, [connection, wallet, mint, pids, opts.commitment, opts.priorityLevel]);
 
-  return { ata, creating, error, ensure };
+  return { ata, creating, error, simulation, ensure };
 }
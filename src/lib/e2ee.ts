@@ -434,6 +434,29 @@ export function encryptForRecipient(recipientPubB64: string, obj: unknown): stri
   return btoa(JSON.stringify(envelope));
 }
 
+/**
+ * Decrypt a message envelope with an explicit secret key.
+ * Does not touch localStorage, so it can run inside a Web Worker.
+ * Returns null if the envelope is malformed or was not encrypted to this key.
+ */
+export function openEnvelopeWithSecretKey(ciphertextB64: string, secretKey: Uint8Array): any | null {
+  try {
+    const env = JSON.parse(atob(ciphertextB64)) as {
+      v: number;
+      epk: string;
+      n: string;
+      ct: string;
+    };
+    if (!env || env.v !== 1) return null;
+
+    const pt = nacl.box.open(b64ToU8(env.ct), b64ToU8(env.n), b64ToU8(env.epk), secretKey);
+    if (!pt) return null;
+    return JSON.parse(new TextDecoder().decode(pt));
+  } catch {
+    return null;
+  }
+}
+
 export function decryptFromSenderForMe(ciphertextB64: string): any | null {
   try {
     console.log('[e2ee] decryptFromSenderForMe: Starting decryption');
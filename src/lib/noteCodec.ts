@@ -0,0 +1,63 @@
+// src/lib/noteCodec.ts
+// Conversion between the JSON note format carried in encrypted messages (hex strings)
+// and the in-memory note format (BigInt fields). Shared by the main thread and workers.
+
+export type Note = {
+  amount: bigint;
+  tokenId: bigint;
+  ownerCipherPayPubKey: bigint;
+  randomness: { r: bigint; s?: bigint };
+  memo?: unknown;
+};
+
+export type EncodedNote = {
+  amount: string;
+  tokenId: string;
+  ownerCipherPayPubKey: string;
+  randomness: { r: string; s?: string };
+  memo?: unknown;
+};
+
+/**
+ * Parse a field that may be a hex string (with or without 0x), a number or a bigint.
+ * Strings without a 0x prefix are treated as hex, matching how notes are written.
+ */
+function parseField(value: unknown): bigint {
+  if (typeof value === "bigint") return value;
+  if (typeof value === "string") {
+    return BigInt(value.startsWith("0x") ? value : `0x${value}`);
+  }
+  return BigInt((value as number | undefined) || 0);
+}
+
+/**
+ * Parse the `note` object of a decrypted message into BigInt fields
+ */
+export function parseDecryptedNote(raw: any): Note {
+  return {
+    amount: parseField(raw.amount),
+    tokenId: parseField(raw.tokenId),
+    ownerCipherPayPubKey: parseField(raw.ownerCipherPayPubKey),
+    randomness: {
+      r: parseField(raw.randomness?.r),
+      s: raw.randomness?.s ? parseField(raw.randomness.s) : undefined,
+    },
+    memo: raw.memo,
+  };
+}
+
+/**
+ * Encode a note as hex strings (0x-prefixed, keys/randomness padded to 32 bytes)
+ */
+export function serializeNote(note: Note): EncodedNote {
+  return {
+    amount: "0x" + BigInt(note.amount).toString(16),
+    tokenId: "0x" + BigInt(note.tokenId).toString(16),
+    ownerCipherPayPubKey: "0x" + BigInt(note.ownerCipherPayPubKey).toString(16).padStart(64, "0"),
+    randomness: {
+      r: "0x" + BigInt(note.randomness.r).toString(16).padStart(64, "0"),
+      ...(note.randomness.s ? { s: "0x" + BigInt(note.randomness.s).toString(16).padStart(64, "0") } : {}),
+    },
+    ...(note.memo ? { memo: "0x" + parseField(note.memo).toString(16) } : {}),
+  };
+}
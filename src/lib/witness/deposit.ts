@@ -0,0 +1,81 @@
+// src/lib/witness/deposit.ts
+// Witness for the deposit circuit: appends a new note at nextLeafIndex.
+// The circuit checks depositHash = Poseidon(owner, amount, nonce) and that oldMerkleRoot is the
+// root with an empty (zero) leaf at nextLeafIndex, reached through inPathElements.
+
+import { type FieldLike, toBigInt, toFieldString } from "./field";
+import { type PoseidonFn, depositHash, merkleRootFromPath, noteCommitment, ownerCipherPayPubKey, randomnessOf } from "./notes";
+import { MERKLE_DEPTH, type WitnessInput, checkSignals, orderPublicSignals } from "./signals";
+
+export type DepositWitnessParams = {
+  amount: FieldLike;
+  tokenId: FieldLike;
+  memo?: FieldLike | null;
+  randomness: FieldLike | { r: FieldLike; s?: FieldLike };
+  ownerWalletPubKey: FieldLike;
+  ownerWalletPrivKey: FieldLike;
+  nonce: FieldLike;
+  oldMerkleRoot: FieldLike;
+  nextLeafIndex: number | bigint;
+  inPathElements: FieldLike[];
+  // Defaults to the bits of nextLeafIndex, which is the only path the circuit accepts
+  inPathIndices?: Array<number | string>;
+};
+
+export type DepositWitness = {
+  input: WitnessInput;
+  ownerCipherPayPubKey: bigint;
+  commitment: bigint;
+  depositHash: bigint;
+  newMerkleRoot: bigint;
+  publicSignals: Record<string, bigint>;
+  orderedPublicSignals: string[];
+};
+
+export function leafIndexBits(index: number | bigint, depth = MERKLE_DEPTH): number[] {
+  const value = BigInt(index);
+  return Array.from({ length: depth }, (_, i) => Number((value >> BigInt(i)) & 1n));
+}
+
+export async function buildDepositWitness(params: DepositWitnessParams, poseidon?: PoseidonFn): Promise<DepositWitness> {
+  const owner = await ownerCipherPayPubKey(params.ownerWalletPubKey, params.ownerWalletPrivKey, poseidon);
+  const commitment = await noteCommitment({ ...params, ownerCipherPayPubKey: owner }, poseidon);
+  const hash = await depositHash(owner, params.amount, params.nonce, poseidon);
+  const inPathIndices = params.inPathIndices ?? leafIndexBits(params.nextLeafIndex);
+  const newMerkleRoot = await merkleRootFromPath(commitment, params.inPathElements, inPathIndices, poseidon);
+
+  const input = checkSignals("deposit", {
+    amount: toFieldString(params.amount),
+    tokenId: toFieldString(params.tokenId),
+    memo: toFieldString(params.memo),
+    randomness: toFieldString(randomnessOf(params.randomness)),
+    ownerWalletPubKey: toFieldString(params.ownerWalletPubKey),
+    ownerWalletPrivKey: toFieldString(params.ownerWalletPrivKey),
+    depositHash: toFieldString(hash),
+    nonce: toFieldString(params.nonce),
+    oldMerkleRoot: toFieldString(params.oldMerkleRoot),
+    nextLeafIndex: toFieldString(BigInt(params.nextLeafIndex)),
+    inPathElements: params.inPathElements.map(toFieldString),
+    inPathIndices: inPathIndices.map(toFieldString),
+  });
+
+  const publicSignals = {
+    newCommitment: commitment,
+    ownerCipherPayPubKey: owner,
+    newMerkleRoot,
+    newNextLeafIndex: BigInt(params.nextLeafIndex) + 1n,
+    amount: toBigInt(params.amount),
+    depositHash: hash,
+    oldMerkleRoot: toBigInt(params.oldMerkleRoot),
+  };
+
+  return {
+    input,
+    ownerCipherPayPubKey: owner,
+    commitment,
+    depositHash: hash,
+    newMerkleRoot,
+    publicSignals,
+    orderedPublicSignals: orderPublicSignals("deposit", publicSignals) as string[],
+  };
+}
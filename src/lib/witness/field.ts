@@ -0,0 +1,85 @@
+// src/lib/witness/field.ts
+// BN254 scalar field encoding shared by every circuit witness.
+// Witness inputs are always canonical decimal strings of values reduced into the field.
+
+export const FQ = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+export type FieldLike = bigint | number | string;
+
+/**
+ * Parse a value into a BigInt.
+ * Strings may be 0x-hex, decimal digits or bare hex (the format notes are written in).
+ * Empty values parse as 0.
+ */
+export function toBigInt(value: FieldLike | null | undefined): bigint {
+  if (value === undefined || value === null || value === "") return 0n;
+  if (typeof value === "bigint") return value;
+  if (typeof value === "number") return BigInt(value);
+  if (typeof value === "string") {
+    return BigInt(value.startsWith("0x") ? value : (/^\d+$/.test(value) ? value : `0x${value}`));
+  }
+  return BigInt(value);
+}
+
+/**
+ * Parse a big-endian hex string (with or without 0x) such as the relayer's merkle path elements.
+ * Unlike toBigInt, digit-only strings are still read as hex.
+ */
+export function parseHexField(hex: string): bigint {
+  const digits = hex.startsWith("0x") ? hex.slice(2) : hex;
+  return BigInt("0x" + (digits || "0"));
+}
+
+export function modF(value: bigint): bigint {
+  return ((value % FQ) + FQ) % FQ;
+}
+
+/**
+ * Encode a value as a witness input: reduced into the field, decimal string
+ */
+export function toFieldString(value: FieldLike | null | undefined): string {
+  return modF(toBigInt(value)).toString();
+}
+
+/**
+ * 32-byte big-endian hex without 0x, the format the relayer and server use for field elements
+ */
+export function toHex64(value: bigint): string {
+  return value.toString(16).padStart(64, "0");
+}
+
+export function bigIntFromBytesLE(bytes: Uint8Array | number[]): bigint {
+  let result = 0n;
+  for (let i = 0; i < bytes.length; i++) {
+    result += BigInt(bytes[i]) << (8n * BigInt(i));
+  }
+  return result;
+}
+
+/**
+ * Split a 32-byte Solana public key into the two 128-bit limbs the withdraw circuit takes.
+ * Bytes 0-15 form lo and bytes 16-31 form hi, each read little-endian.
+ */
+export function splitPubkeyLimbs(bytes: Uint8Array | number[]): { lo: bigint; hi: bigint } {
+  if (bytes.length !== 32) {
+    throw new Error(`Expected a 32-byte public key, got ${bytes.length} bytes`);
+  }
+  return {
+    lo: bigIntFromBytesLE(Array.from(bytes).slice(0, 16)),
+    hi: bigIntFromBytesLE(Array.from(bytes).slice(16, 32)),
+  };
+}
+
+/**
+ * Uniformly random field element, e.g. the randomness of a new note
+ */
+export function randomFieldElement(): bigint {
+  const bytes = new Uint8Array(32);
+  for (;;) {
+    crypto.getRandomValues(bytes);
+    // Keep 254 bits (FQ is just below 2^254) and retry the few values past FQ
+    bytes[0] &= 0x3f;
+    const value = BigInt("0x" + Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join(""));
+    if (value < FQ) return value;
+  }
+}
@@ -0,0 +1,11 @@
+// src/lib/witness/index.ts
+// Witness construction for the deposit, transfer and withdraw circuits.
+// Test vectors for each builder live in ./vectors (generated with circomlibjs Poseidon and checked
+// against the shipped circuit wasm); `npm run check:witness-vectors` re-checks them.
+
+export * from "./field";
+export * from "./notes";
+export * from "./signals";
+export * from "./deposit";
+export * from "./transfer";
+export * from "./withdraw";
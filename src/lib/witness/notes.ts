@@ -0,0 +1,89 @@
+// src/lib/witness/notes.ts
+// Note hashes shared by the deposit, transfer and withdraw witnesses:
+//   owner      = Poseidon(walletPubKey, walletPrivKey)
+//   commitment = Poseidon(amount, owner, r, tokenId, memo)
+//   nullifier  = Poseidon(owner, r, tokenId)
+// Every helper takes an optional poseidon function and defaults to the SDK's poseidonHash.
+
+import { type FieldLike, toBigInt } from "./field";
+
+export type PoseidonFn = (inputs: bigint[]) => Promise<bigint> | bigint;
+
+export type NoteFields = {
+  amount: FieldLike;
+  ownerCipherPayPubKey: FieldLike;
+  randomness: FieldLike | { r: FieldLike; s?: FieldLike };
+  tokenId: FieldLike;
+  memo?: FieldLike | null;
+};
+
+export function getPoseidon(poseidon?: PoseidonFn): PoseidonFn {
+  if (poseidon) return poseidon;
+  const sdkHash = typeof window !== "undefined" ? (window as any).CipherPaySDK?.poseidonHash : undefined;
+  if (!sdkHash) {
+    throw new Error("SDK poseidonHash not available");
+  }
+  return sdkHash;
+}
+
+async function hash(inputs: bigint[], poseidon?: PoseidonFn): Promise<bigint> {
+  return BigInt(await getPoseidon(poseidon)(inputs));
+}
+
+/**
+ * Notes carry randomness as { r, s }; older callers pass r directly
+ */
+export function randomnessOf(randomness: NoteFields["randomness"]): bigint {
+  if (typeof randomness === "object" && randomness !== null) {
+    return toBigInt(randomness.r);
+  }
+  return toBigInt(randomness);
+}
+
+export function ownerCipherPayPubKey(walletPubKey: FieldLike, walletPrivKey: FieldLike, poseidon?: PoseidonFn): Promise<bigint> {
+  return hash([toBigInt(walletPubKey), toBigInt(walletPrivKey)], poseidon);
+}
+
+export function noteCommitment(note: NoteFields, poseidon?: PoseidonFn): Promise<bigint> {
+  return hash([
+    toBigInt(note.amount),
+    toBigInt(note.ownerCipherPayPubKey),
+    randomnessOf(note.randomness),
+    toBigInt(note.tokenId),
+    toBigInt(note.memo),
+  ], poseidon);
+}
+
+export function noteNullifier(note: Pick<NoteFields, "ownerCipherPayPubKey" | "randomness" | "tokenId">, poseidon?: PoseidonFn): Promise<bigint> {
+  return hash([
+    toBigInt(note.ownerCipherPayPubKey),
+    randomnessOf(note.randomness),
+    toBigInt(note.tokenId),
+  ], poseidon);
+}
+
+/**
+ * Deposit binding checked by the deposit circuit: Poseidon(owner, amount, nonce)
+ */
+export function depositHash(owner: FieldLike, amount: FieldLike, nonce: FieldLike, poseidon?: PoseidonFn): Promise<bigint> {
+  return hash([toBigInt(owner), toBigInt(amount), toBigInt(nonce)], poseidon);
+}
+
+/**
+ * Fold a leaf up a merkle path. An index bit of 1 means the current node is the right child.
+ */
+export async function merkleRootFromPath(
+  leaf: FieldLike,
+  pathElements: FieldLike[],
+  pathIndices: Array<number | string>,
+  poseidon?: PoseidonFn
+): Promise<bigint> {
+  let current = toBigInt(leaf);
+  for (let i = 0; i < pathElements.length; i++) {
+    const sibling = toBigInt(pathElements[i]);
+    current = Number(pathIndices[i]) === 1
+      ? await hash([sibling, current], poseidon)
+      : await hash([current, sibling], poseidon);
+  }
+  return current;
+}
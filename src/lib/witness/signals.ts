@@ -0,0 +1,171 @@
+// src/lib/witness/signals.ts
+// Input signal lists of the circuits under public/circuits (name -> element count), and the order
+// of their public signals. Builders check their output against these lists so a
+// renamed or resized signal fails here, by name, rather than inside the prover.
+
+import { FQ } from "./field";
+
+export const MERKLE_DEPTH = 16;
+
+export type CircuitName = "deposit" | "transfer" | "withdraw";
+
+export type CircuitSignals = {
+  inputs: Record<string, number>;
+  // null when the public signal order has not been pinned down for this circuit
+  publicSignals: string[] | null;
+};
+
+export const CIRCUIT_SIGNALS: Record<CircuitName, CircuitSignals> = {
+  deposit: {
+    inputs: {
+      amount: 1,
+      tokenId: 1,
+      memo: 1,
+      randomness: 1,
+      ownerWalletPubKey: 1,
+      ownerWalletPrivKey: 1,
+      depositHash: 1,
+      nonce: 1,
+      oldMerkleRoot: 1,
+      nextLeafIndex: 1,
+      inPathElements: MERKLE_DEPTH,
+      inPathIndices: MERKLE_DEPTH,
+    },
+    publicSignals: [
+      "newCommitment",
+      "ownerCipherPayPubKey",
+      "newMerkleRoot",
+      "newNextLeafIndex",
+      "amount",
+      "depositHash",
+      "oldMerkleRoot",
+    ],
+  },
+  transfer: {
+    inputs: {
+      inAmount: 1,
+      inSenderWalletPubKey: 1,
+      inSenderWalletPrivKey: 1,
+      inRandomness: 1,
+      inTokenId: 1,
+      inMemo: 1,
+      inPathElements: MERKLE_DEPTH,
+      inPathIndices: MERKLE_DEPTH,
+      out1Amount: 1,
+      out2Amount: 1,
+      out1RecipientCipherPayPubKey: 1,
+      out2RecipientCipherPayPubKey: 1,
+      out1Randomness: 1,
+      out2Randomness: 1,
+      out1TokenId: 1,
+      out2TokenId: 1,
+      out1Memo: 1,
+      out2Memo: 1,
+      encNote1Hash: 1,
+      encNote2Hash: 1,
+      nextLeafIndex: 1,
+      out1PathElements: MERKLE_DEPTH,
+      out2PathElements: MERKLE_DEPTH,
+    },
+    publicSignals: [
+      "out1Commitment",
+      "out2Commitment",
+      "nullifier",
+      "merkleRoot",
+      "newMerkleRoot1",
+      "newMerkleRoot2",
+      "newNextLeafIndex",
+      "encNote1Hash",
+      "encNote2Hash",
+    ],
+  },
+  withdraw: {
+    inputs: {
+      recipientOwner_lo: 1,
+      recipientOwner_hi: 1,
+      recipientWalletPubKey: 1,
+      recipientWalletPrivKey: 1,
+      amount: 1,
+      tokenId: 1,
+      randomness: 1,
+      memo: 1,
+      pathElements: MERKLE_DEPTH,
+      pathIndices: MERKLE_DEPTH,
+      commitment: 1,
+    },
+    publicSignals: [
+      "nullifier",
+      "merkleRoot",
+      "recipientOwner_lo",
+      "recipientOwner_hi",
+      "recipientWalletPubKey",
+      "amount",
+      "tokenId",
+    ],
+  },
+};
+
+export type WitnessInput = Record<string, string | string[]>;
+
+/**
+ * Check an error raised by checkSignals
+ */
+export function isWitnessInputError(error: any): boolean {
+  return error?.name === "WitnessInputError";
+}
+
+function isFieldString(value: unknown): boolean {
+  return typeof value === "string" && /^\d+$/.test(value) && BigInt(value) < FQ;
+}
+
+/**
+ * Check witness inputs against a circuit's signal list: every signal present with the right
+ * length, no unknown signals, every value a canonical decimal field element and every
+ * path index 0 or 1. Throws a WitnessInputError listing all problems.
+ */
+export function checkSignals(circuit: CircuitName, input: WitnessInput): WitnessInput {
+  const { inputs } = CIRCUIT_SIGNALS[circuit];
+  const problems: string[] = [];
+
+  for (const [name, size] of Object.entries(inputs)) {
+    const value = input[name];
+    if (value === undefined) {
+      problems.push(`missing ${name}`);
+      continue;
+    }
+    const values = Array.isArray(value) ? value : [value];
+    if (Array.isArray(value) !== (size > 1) || values.length !== size) {
+      problems.push(`${name} must have ${size} element${size > 1 ? "s" : ""}, got ${Array.isArray(value) ? values.length : "a scalar"}`);
+    }
+    values.forEach((v, i) => {
+      const label = size > 1 ? `${name}[${i}]` : name;
+      if (!isFieldString(v)) {
+        problems.push(`${label} is not a decimal field element`);
+      } else if (/PathIndices$|^pathIndices$/.test(name) && v !== "0" && v !== "1") {
+        problems.push(`${label} must be 0 or 1`);
+      }
+    });
+  }
+  for (const name of Object.keys(input)) {
+    if (!(name in inputs)) {
+      problems.push(`unknown signal ${name}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid ${circuit} witness: ${problems.join("; ")}`);
+    error.name = "WitnessInputError";
+    (error as any).circuit = circuit;
+    (error as any).problems = problems;
+    throw error;
+  }
+  return input;
+}
+
+/**
+ * Order named public signal values the way the circuit emits them
+ */
+export function orderPublicSignals(circuit: CircuitName, values: Record<string, bigint>): string[] | null {
+  const order = CIRCUIT_SIGNALS[circuit].publicSignals;
+  return order ? order.map((name) => values[name].toString()) : null;
+}
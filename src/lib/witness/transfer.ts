@@ -0,0 +1,162 @@
+// src/lib/witness/transfer.ts
+// Witness for the transfer circuit: spends one note into two output notes appended at
+// nextLeafIndex and nextLeafIndex + 1.
+// The circuit binds each output to its encrypted note through encNoteHash = Poseidon(commitment,
+// recipientCipherPayPubKey), so the builder derives those hashes rather than taking them. The path
+// of the second output is derived from the first one: it is the path of the leaf after out1 once
+// out1 has been inserted into a tree whose leaves past nextLeafIndex are empty (zero).
+
+import { type FieldLike, toBigInt, toFieldString } from "./field";
+import { type PoseidonFn, getPoseidon, merkleRootFromPath, noteCommitment, noteNullifier, ownerCipherPayPubKey, randomnessOf } from "./notes";
+import { type WitnessInput, checkSignals, orderPublicSignals } from "./signals";
+import { leafIndexBits } from "./deposit";
+
+type Randomness = FieldLike | { r: FieldLike; s?: FieldLike };
+
+export type TransferOutput = {
+  amount: FieldLike;
+  recipientCipherPayPubKey: FieldLike;
+  randomness: Randomness;
+  tokenId: FieldLike;
+  memo?: FieldLike | null;
+};
+
+export type TransferWitnessParams = {
+  inNote: {
+    amount: FieldLike;
+    randomness: Randomness;
+    tokenId: FieldLike;
+    memo?: FieldLike | null;
+  };
+  senderWalletPubKey: FieldLike;
+  senderWalletPrivKey: FieldLike;
+  inPathElements: FieldLike[];
+  inPathIndices: Array<number | string>;
+  out1: TransferOutput;
+  out2: TransferOutput;
+  nextLeafIndex: number | bigint;
+  // Siblings of the empty leaf at nextLeafIndex in the current tree
+  out1PathElements: FieldLike[];
+};
+
+export type TransferWitness = {
+  input: WitnessInput;
+  senderCipherPayPubKey: bigint;
+  inCommitment: bigint;
+  inNullifier: bigint;
+  out1Commitment: bigint;
+  out2Commitment: bigint;
+  encNote1Hash: bigint;
+  encNote2Hash: bigint;
+  out2PathElements: bigint[];
+  // Public signal values by name, for verifyProofLocally
+  publicSignals: Record<string, bigint>;
+  orderedPublicSignals: string[];
+};
+
+function outputCommitment(out: TransferOutput, poseidon?: PoseidonFn): Promise<bigint> {
+  return noteCommitment({ ...out, ownerCipherPayPubKey: out.recipientCipherPayPubKey }, poseidon);
+}
+
+async function encNoteHash(commitment: bigint, out: TransferOutput, poseidon?: PoseidonFn): Promise<bigint> {
+  return BigInt(await getPoseidon(poseidon)([commitment, toBigInt(out.recipientCipherPayPubKey)]));
+}
+
+/**
+ * Siblings of leaf nextLeafIndex + 1 after inserting out1Commitment at nextLeafIndex.
+ * Where both leaves share an ancestor the sibling is unchanged; otherwise it is either the
+ * subtree holding out1 (left of us) or an empty subtree (right of us).
+ */
+export async function nextLeafPathElements(
+  out1Commitment: FieldLike,
+  out1PathElements: FieldLike[],
+  nextLeafIndex: number | bigint,
+  poseidon?: PoseidonFn
+): Promise<bigint[]> {
+  const hash = async (inputs: bigint[]) => BigInt(await getPoseidon(poseidon)(inputs));
+  const bits = leafIndexBits(nextLeafIndex, out1PathElements.length);
+  const first = BigInt(nextLeafIndex);
+  const second = first + 1n;
+
+  const elements: bigint[] = [];
+  let zero = 0n;
+  let node = toBigInt(out1Commitment);
+  for (let level = 0; level < out1PathElements.length; level++) {
+    const sibling = toBigInt(out1PathElements[level]);
+    const mine = second >> BigInt(level);
+    if (mine === first >> BigInt(level)) {
+      elements.push(sibling);
+    } else {
+      elements.push((mine & 1n) === 1n ? node : zero);
+    }
+    node = bits[level] === 1 ? await hash([sibling, node]) : await hash([node, sibling]);
+    zero = await hash([zero, zero]);
+  }
+  return elements;
+}
+
+export async function buildTransferWitness(params: TransferWitnessParams, poseidon?: PoseidonFn): Promise<TransferWitness> {
+  const { inNote, out1, out2 } = params;
+  const sender = await ownerCipherPayPubKey(params.senderWalletPubKey, params.senderWalletPrivKey, poseidon);
+  const spent = { ...inNote, ownerCipherPayPubKey: sender };
+  const inCommitment = await noteCommitment(spent, poseidon);
+  const inNullifier = await noteNullifier(spent, poseidon);
+  const out1Commitment = await outputCommitment(out1, poseidon);
+  const out2Commitment = await outputCommitment(out2, poseidon);
+  const encNote1Hash = await encNoteHash(out1Commitment, out1, poseidon);
+  const encNote2Hash = await encNoteHash(out2Commitment, out2, poseidon);
+  const next = BigInt(params.nextLeafIndex);
+  const out2PathElements = await nextLeafPathElements(out1Commitment, params.out1PathElements, next, poseidon);
+
+  const input = checkSignals("transfer", {
+    inAmount: toFieldString(inNote.amount),
+    inSenderWalletPubKey: toFieldString(params.senderWalletPubKey),
+    inSenderWalletPrivKey: toFieldString(params.senderWalletPrivKey),
+    inRandomness: toFieldString(randomnessOf(inNote.randomness)),
+    inTokenId: toFieldString(inNote.tokenId),
+    inMemo: toFieldString(inNote.memo),
+    inPathElements: params.inPathElements.map(toFieldString),
+    inPathIndices: params.inPathIndices.map(toFieldString),
+    out1Amount: toFieldString(out1.amount),
+    out2Amount: toFieldString(out2.amount),
+    out1RecipientCipherPayPubKey: toFieldString(out1.recipientCipherPayPubKey),
+    out2RecipientCipherPayPubKey: toFieldString(out2.recipientCipherPayPubKey),
+    out1Randomness: toFieldString(randomnessOf(out1.randomness)),
+    out2Randomness: toFieldString(randomnessOf(out2.randomness)),
+    out1TokenId: toFieldString(out1.tokenId),
+    out2TokenId: toFieldString(out2.tokenId),
+    out1Memo: toFieldString(out1.memo),
+    out2Memo: toFieldString(out2.memo),
+    encNote1Hash: toFieldString(encNote1Hash),
+    encNote2Hash: toFieldString(encNote2Hash),
+    nextLeafIndex: toFieldString(next),
+    out1PathElements: params.out1PathElements.map(toFieldString),
+    out2PathElements: out2PathElements.map(toFieldString),
+  });
+
+  const publicSignals = {
+    out1Commitment,
+    out2Commitment,
+    nullifier: inNullifier,
+    merkleRoot: await merkleRootFromPath(inCommitment, params.inPathElements, params.inPathIndices, poseidon),
+    newMerkleRoot1: await merkleRootFromPath(out1Commitment, params.out1PathElements, leafIndexBits(next), poseidon),
+    newMerkleRoot2: await merkleRootFromPath(out2Commitment, out2PathElements, leafIndexBits(next + 1n), poseidon),
+    newNextLeafIndex: next + 2n,
+    encNote1Hash,
+    encNote2Hash,
+  };
+
+  return {
+    input,
+    senderCipherPayPubKey: sender,
+    inCommitment,
+    inNullifier,
+    out1Commitment,
+    out2Commitment,
+    encNote1Hash,
+    encNote2Hash,
+    out2PathElements,
+    publicSignals,
+    orderedPublicSignals: orderPublicSignals("transfer", publicSignals) as string[],
+  };
+}
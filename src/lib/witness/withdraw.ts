@@ -0,0 +1,79 @@
+// src/lib/witness/withdraw.ts
+// Witness for the withdraw circuit: spends one note to a Solana wallet.
+
+import { type FieldLike, modF, splitPubkeyLimbs, toBigInt, toFieldString } from "./field";
+import { type PoseidonFn, noteCommitment, noteNullifier, ownerCipherPayPubKey, randomnessOf } from "./notes";
+import { type WitnessInput, checkSignals } from "./signals";
+
+export type WithdrawWitnessParams = {
+  note: {
+    amount: FieldLike;
+    tokenId: FieldLike;
+    randomness: FieldLike | { r: FieldLike; s?: FieldLike };
+    memo?: FieldLike | null;
+  };
+  recipientWalletPubKey: FieldLike;
+  recipientWalletPrivKey: FieldLike;
+  // 32 bytes of the recipient Solana public key
+  recipientOwnerBytes: Uint8Array | number[];
+  pathElements: FieldLike[];
+  pathIndices: Array<number | string>;
+  // Root the path leads to, as reported by the relayer; only used for the expected public signals
+  merkleRoot?: FieldLike;
+};
+
+export type WithdrawWitness = {
+  input: WitnessInput;
+  ownerCipherPayPubKey: bigint;
+  commitment: bigint;
+  nullifier: bigint;
+  recipientOwner_lo: bigint;
+  recipientOwner_hi: bigint;
+  // Public signal values by name, for verifyProofLocally
+  publicSignals: Record<string, bigint>;
+};
+
+export async function buildWithdrawWitness(params: WithdrawWitnessParams, poseidon?: PoseidonFn): Promise<WithdrawWitness> {
+  const { note } = params;
+  const owner = await ownerCipherPayPubKey(params.recipientWalletPubKey, params.recipientWalletPrivKey, poseidon);
+  const fields = { ...note, ownerCipherPayPubKey: owner };
+  const commitment = await noteCommitment(fields, poseidon);
+  const nullifier = await noteNullifier(fields, poseidon);
+  const { lo, hi } = splitPubkeyLimbs(params.recipientOwnerBytes);
+
+  const input = checkSignals("withdraw", {
+    recipientOwner_lo: toFieldString(lo),
+    recipientOwner_hi: toFieldString(hi),
+    recipientWalletPubKey: toFieldString(params.recipientWalletPubKey),
+    recipientWalletPrivKey: toFieldString(params.recipientWalletPrivKey),
+    amount: toFieldString(note.amount),
+    tokenId: toFieldString(note.tokenId),
+    randomness: toFieldString(randomnessOf(note.randomness)),
+    memo: toFieldString(note.memo),
+    pathElements: params.pathElements.map(toFieldString),
+    pathIndices: params.pathIndices.map(toFieldString),
+    commitment: toFieldString(commitment),
+  });
+
+  const publicSignals: Record<string, bigint> = {
+    nullifier,
+    recipientOwner_lo: lo,
+    recipientOwner_hi: hi,
+    recipientWalletPubKey: modF(toBigInt(params.recipientWalletPubKey)),
+    amount: toBigInt(note.amount),
+    tokenId: toBigInt(note.tokenId),
+  };
+  if (params.merkleRoot !== undefined) {
+    publicSignals.merkleRoot = toBigInt(params.merkleRoot);
+  }
+
+  return {
+    input,
+    ownerCipherPayPubKey: owner,
+    commitment,
+    nullifier,
+    recipientOwner_lo: lo,
+    recipientOwner_hi: hi,
+    publicSignals,
+  };
+}
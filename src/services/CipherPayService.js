@@ -15,8 +15,40 @@
 
 // Import SDK loader to get the global SDK instance
 import { loadSDK, getSDKStatus } from './sdkLoader';
-import { fetchAccountOverview, fetchMessages, decryptMessages, computeAccountOverview } from './accountOverviewService';
+import { fetchAccountOverview, fetchMessages, decryptMessages, computeAccountOverview, getStoredAccountOverview, applyCompletionEvent, parseCompletionEvent, invalidateEntryCache } from './accountOverviewService';
 import { encryptForRecipient, getLocalEncPublicKeyB64 } from '../lib/e2ee';
+import { generateProofInWorker, throwIfCancelled, isProofCancelled } from './proverWorkerClient';
+import { loadCircuitRegistry, buildSdkCircuitConfig, getVerificationKey, getCircuit } from './circuitRegistry';
+import { verifyProofLocally } from './proofVerification';
+import { buildTransferPlan, getSentAmount, toPlanSnapshot, saveTransferPlan, loadTransferPlan, loadUnfinishedTransferPlans, removeTransferPlan } from './transferPlans';
+import { checkNullifiersSpent, toSpendableNote } from './overviewEngine';
+import { selectNotes, DEFAULT_COIN_SELECTION_STRATEGY } from './coinSelection';
+import { WSOL_MINT, getToken, getDefaultToken, getTokenForTokenId, rememberTokenId, formatTokenAmount } from './tokenRegistry';
+import { getMintInfo, getAtaAddress, getAtaDelegation } from './tokenAccounts';
+import { prepareTransaction, sendPreparedTransaction } from './transactionFees';
+import { simulateTransaction, assertSimulationOk, walletAccountLabels } from './transactionSimulation';
+import { openEventStream } from './eventStream';
+import { postTabMessage, isTabLeader } from './tabCoordinator';
+import { lockNotes, unlockNotes, getLockedNullifiers, isNoteLocked } from './noteLocks';
+import { createOperation, advanceOperation, failOperation, isOperationFinished, toOperationSnapshot, saveOperation, loadOperations, removeOperation, findIndexedOperations, LIFECYCLE_STAGES } from './operationLifecycle';
+import { ownerCipherPayPubKey, noteCommitment, noteNullifier, buildTransferWitness, buildWithdrawWitness, parseHexField, randomFieldElement, toHex64 } from '../lib/witness';
+
+// How long follow-up work (revoking a just-in-time deposit approval, unwrapping a withdrawal) waits for
+// the operation's completion event
+const COMPLETION_EVENT_TIMEOUT_MS = 120000;
+// How long a submitted operation is followed to 'confirmed' and 'indexed' before it is left to the next
+// reconciliation with the note store (resumeOperations); also covers proving time, as the completion
+// listener starts before the proof is submitted
+const OPERATION_FOLLOW_TIMEOUT_MS = 600000;
+const SIGNATURE_POLL_INTERVAL_MS = 2000;
+// localStorage key prefix of the last event id seen per account (the stream resumes from it)
+const EVENT_CURSOR_KEY_PREFIX = 'cipherpay_event_cursor:';
+// Circuits still proved inside the SDK; withdraw proofs come from the prover worker, and transfer proofs too
+// once the transfer circuit ships a proving key (see getTransferProver)
+const SDK_PROVED_CIRCUITS = ['deposit', 'transfer'];
+// Spendable notes of one token from which getDustReport reports the balance as fragmented
+const FRAGMENTED_NOTE_COUNT = 8;
+const NO_TRANSFER_PROVER = 'Transfers cannot be proven: the transfer circuit ships no proving key and the SDK transfer function is not available. Ensure the SDK bundle is loaded.';
 
 class CipherPayService {
     constructor() {
@@ -26,6 +58,14 @@ class CipherPayService {
         this.eventListeners = {}; // Event listeners for deposit completion, etc.
         this.eventMonitoringActive = false;
         this.stopEventStream = null;
+        this.reconnectEventStreamNow = null;
+        this.eventStreamRecipientKey = null;
+        this.eventStreamState = null; // See eventStream.js
+        this.relayerPubkey = null; // Fetched once from /api/relayer/info
+        this.connection = null; // RPC connection for following submitted operations
+        this.activeOperations = new Map(); // Lifecycle records running or followed in this tab, by id
+        this.followedOperationIds = new Set(); // Operations with a completion listener
+        this.remoteOperationIds = new Set(); // Unfinished operations running in other tabs (see tabCoordinator.js)
         this.config = {
             chainType: 'solana', // Use string instead of ChainType enum
             rpcUrl: import.meta.env.VITE_RPC_URL || 'http://127.0.0.1:8899',
@@ -65,34 +105,13 @@ class CipherPayService {
                 throw new Error('CipherPay SDK not available in global scope. Ensure the SDK bundle is loaded via script tag in index.html');
             }
 
-            // Configure circuit files for browser compatibility
-            const circuitConfig = {
-                transfer: {
-                    wasmUrl: import.meta.env.VITE_TRANSFER_WASM_URL || '/circuits/transfer.wasm',
-                    zkeyUrl: import.meta.env.VITE_TRANSFER_ZKEY_URL || '/circuits/transfer.zkey',
-                    verificationKeyUrl: import.meta.env.VITE_TRANSFER_VKEY_URL || '/circuits/verifier-transfer.json'
-                },
-                merkle: {
-                    wasmUrl: import.meta.env.VITE_MERKLE_WASM_URL || '/circuits/merkle.wasm',
-                    zkeyUrl: import.meta.env.VITE_MERKLE_ZKEY_URL || '/circuits/merkle.zkey',
-                    verificationKeyUrl: import.meta.env.VITE_MERKLE_VKEY_URL || '/circuits/verifier-merkle.json'
-                },
-                withdraw: {
-                    wasmUrl: '/circuits/withdraw.wasm',
-                    zkeyUrl: '/circuits/withdraw.zkey',
-                    verificationKeyUrl: '/circuits/verifier-withdraw.json'
-                },
-                nullifier: {
-                    wasmUrl: '/circuits/nullifier.wasm',
-                    zkeyUrl: '/circuits/nullifier.zkey',
-                    verificationKeyUrl: '/circuits/verifier-nullifier.json'
-                },
-                audit_proof: {
-                    wasmUrl: '/circuits/audit_proof.wasm',
-                    zkeyUrl: '/circuits/audit_proof.zkey',
-                    verificationKeyUrl: '/circuits/verifier-audit_proof.json'
-                }
-            };
+            // Circuit files come from the circuit registry (public/circuits/*/artifacts.json), digest-checked
+            let circuitConfig = {};
+            try {
+                circuitConfig = await buildSdkCircuitConfig(await loadCircuitRegistry(), SDK_PROVED_CIRCUITS);
+            } catch (registryError) {
+                console.warn('[CipherPayService] Failed to load circuit registry, SDK will start without circuit config:', registryError);
+            }
 
             // Initialize the SDK with configuration
             const sdkConfig = {
@@ -189,54 +208,66 @@ class CipherPayService {
     }
 
     // Note Management
-    // ALWAYS get notes from backend (database), never from SDK
+    // Notes are read from the local note store (IndexedDB), which is synced incrementally from backend messages
+    async getStoredOverview() {
+        const stored = await getStoredAccountOverview();
+        // First load for this account: populate the store before answering
+        return stored || await this.getAccountOverviewFromBackend({ checkOnChain: false });
+    }
+
     async getSpendableNotes() {
         try {
-            // Fetch messages from backend DB, decrypt them, and get account overview
-            const overview = await this.getAccountOverviewFromBackend({ checkOnChain: false });
-            // Filter out spent notes and return in the format expected by transfer
-            const spendable = (overview.notes || []).filter(n => !n.isSpent);
-            // Convert to the format expected by createTransaction
-            // Backend returns amounts as hex strings, convert to BigInt
-            return spendable.map(n => ({
-                amount: typeof n.amount === 'string' && n.amount.startsWith('0x') 
-                    ? BigInt(n.amount) 
-                    : BigInt(n.amount),
-                tokenId: typeof n.note.tokenId === 'string' && n.note.tokenId.startsWith('0x')
-                    ? BigInt(n.note.tokenId)
-                    : BigInt(n.note.tokenId),
-                ownerCipherPayPubKey: typeof n.note.ownerCipherPayPubKey === 'string' && n.note.ownerCipherPayPubKey.startsWith('0x')
-                    ? BigInt(n.note.ownerCipherPayPubKey)
-                    : BigInt(n.note.ownerCipherPayPubKey),
-                randomness: {
-                    r: typeof n.note.randomness.r === 'string' && n.note.randomness.r.startsWith('0x')
-                        ? BigInt(n.note.randomness.r)
-                        : BigInt(n.note.randomness.r),
-                    s: n.note.randomness.s 
-                        ? (typeof n.note.randomness.s === 'string' && n.note.randomness.s.startsWith('0x')
-                            ? BigInt(n.note.randomness.s)
-                            : BigInt(n.note.randomness.s))
-                        : undefined,
-                },
-                memo: n.note.memo 
-                    ? (typeof n.note.memo === 'string' && n.note.memo.startsWith('0x')
-                        ? BigInt(n.note.memo)
-                        : BigInt(n.note.memo))
-                    : 0n,
-            }));
+            const overview = await this.getStoredOverview();
+            const locked = await getLockedNullifiers();
+            // Filter out spent notes and notes locked by an operation in progress, and return in the format expected by transfer
+            return (overview.notes || []).filter(n => !n.isSpent && !isNoteLocked(n, locked)).map(toSpendableNote);
         } catch (error) {
-            console.error('[CipherPayService] Failed to get spendable notes from backend:', error);
+            console.error('[CipherPayService] Failed to get spendable notes from note store:', error);
             return [];
         }
     }
 
+    // Note locks (see noteLocks.js)
+    // Notes are locked when an operation picks them. A lock is released when the lifecycle record of the operation
+    // spending the note is indexed or fails, or by the caller when it fails before that operation started.
+    // Changes are emitted as 'noteLocks' and announced to the other tabs.
+
+    async reserveNotes(notes, purpose) {
+        const nullifiers = await lockNotes(notes.map(note => note?.nullifierHex), purpose);
+        this.announceNoteLocks();
+        return nullifiers;
+    }
+
+    async releaseNotes(nullifiers) {
+        if (await unlockNotes(nullifiers)) {
+            this.announceNoteLocks();
+        }
+    }
+
+    announceNoteLocks() {
+        this.emit('noteLocks');
+        postTabMessage('noteLocks');
+    }
+
+    // Nullifiers of the notes locked in this tab or another one
+    async getLockedNullifiers() {
+        return getLockedNullifiers();
+    }
+
     async getAllNotes() {
         if (!this.isInitialized) await this.initialize();
         try {
-            const notes = await this.sdk.getNotes();
-            return Array.isArray(notes) ? notes : [];
+            const overview = await this.getStoredOverview();
+            return (overview.notes || []).map(n => ({
+                ...n.note,
+                commitment: n.commitmentHex,
+                nullifierHex: n.nullifierHex,
+                spent: n.isSpent,
+                amount: n.amount,
+                mint: n.mint,
+            }));
         } catch (error) {
-            console.error('Failed to get notes from SDK:', error);
+            console.error('Failed to get notes from note store:', error);
             return [];
         }
     }
@@ -279,32 +310,49 @@ class CipherPayService {
     }
 
     // Transaction Management - Transfer
-    // Note Selection Strategy:
-    // 1. Try to find a single note with amount >= transfer amount
-    // 2. If not found, select multiple notes (biggest to smallest) and transfer one by one
-    async createTransaction(recipientPublicKey, amount, inputNote = null) {
+    // Plan a transfer and execute it right away (callers that want to confirm first use planTransaction
+    // and executeTransferPlan directly)
+    // options: { onStage, signal, onPlanUpdate } - proof stage callback, AbortSignal for cancellation and plan progress,
+    // plus the planTransaction selection options { strategy, notes }
+    async createTransaction(recipientPublicKey, amount, inputNote = null, options = {}) {
+        const plan = await this.planTransaction(recipientPublicKey, amount, inputNote, options);
+        return this.executeTransferPlan(plan, options);
+    }
+
+    // Validate the recipient and select input notes; returns a draft transfer plan (nothing is signed)
+    // Input notes are chosen by a coin-selection strategy (see coinSelection.js), one transfer per note.
+    // options: { strategy, notes, mint, allowSelf } - strategy id (default fewest proofs), notes picked by hand to
+    // choose from, the token to send (default wSOL; the input note's token when inputNote is given) and whether the
+    // recipient may be ourselves (only for the split before a partial withdrawal)
+    async planTransaction(recipientPublicKey, amount, inputNote = null, options = {}) {
         if (!this.isInitialized) await this.initialize();
+        const strategy = options.strategy || DEFAULT_COIN_SELECTION_STRATEGY;
+        const token = inputNote ? getTokenForTokenId(inputNote.tokenId) : (options.mint ? getToken(options.mint) : getDefaultToken());
 
         try {
-            console.log('[CipherPayService] createTransaction called with params:', {
+            console.log('[CipherPayService] planTransaction called with params:', {
                 recipientPublicKey,
                 amount: amount.toString(),
-                inputNote: inputNote ? 'provided' : 'not provided'
+                inputNote: inputNote ? 'provided' : 'not provided',
+                strategy,
+                manualNotes: options.notes?.length || 0,
+                token: token?.symbol || null
             });
 
             // Validate required parameters
             if (!recipientPublicKey) throw new Error('Recipient public key is required');
             if (!amount || amount <= 0n) throw new Error('Amount must be greater than 0');
+            if (!token) throw new Error('Unknown token. Add it to the token registry (VITE_TOKEN_REGISTRY) first.');
             
-            // Minimum transfer amount: 0.001 SOL (1,000,000 atoms)
-            const MIN_TRANSFER_AMOUNT = 1_000_000n; // 0.001 SOL
+            // Minimum transfer amount is per token (0.001 SOL for wSOL)
+            const MIN_TRANSFER_AMOUNT = token.minAmount;
             if (amount < MIN_TRANSFER_AMOUNT) {
-                throw new Error(`Minimum transfer amount is 0.001 SOL. Requested: ${(Number(amount) / 1e9).toFixed(9)} SOL`);
+                throw new Error(`Minimum transfer amount is ${formatTokenAmount(MIN_TRANSFER_AMOUNT, token)}. Requested: ${formatTokenAmount(amount, token)}`);
             }
 
-            // Check if SDK transfer function is available
-            if (!window.CipherPaySDK?.transfer) {
-                throw new Error('SDK transfer function not available. Ensure the SDK bundle is loaded.');
+            // Every step is a transfer, so fail before any note is picked when none can be proven
+            if (!(await this.getTransferProver())) {
+                throw new Error(NO_TRANSFER_PROVER);
             }
 
             // Get identity from stored keys
@@ -318,12 +366,8 @@ class CipherPayService {
             const ownerWalletPubKey = identity.ownerWalletPubKey || BigInt(0);
             const ownerWalletPrivKey = identity.ownerWalletPrivKey || BigInt(0);
             
-            // Derive sender's ownerCipherPayPubKey using poseidonHash (same as SDK does)
-            const { poseidonHash } = window.CipherPaySDK || {};
-            if (!poseidonHash) {
-                throw new Error('SDK poseidonHash not available');
-            }
-            const senderOwnerCipherPayPubKey = await poseidonHash([ownerWalletPubKey, ownerWalletPrivKey]);
+            // Derive sender's ownerCipherPayPubKey (same as SDK does)
+            const senderOwnerCipherPayPubKey = await ownerCipherPayPubKey(ownerWalletPubKey, ownerWalletPrivKey);
             const senderOwnerKeyHex = '0x' + senderOwnerCipherPayPubKey.toString(16).padStart(64, '0').toLowerCase();
             
             // Normalize recipient public key for comparison
@@ -336,7 +380,7 @@ class CipherPayService {
                 normalizedRecipientKey = '0x' + recipientPublicKey.toString(16).padStart(64, '0').toLowerCase();
             }
             
-            if (normalizedRecipientKey === senderOwnerKeyHex) {
+            if (normalizedRecipientKey === senderOwnerKeyHex && !options.allowSelf) {
                 alert('Cannot transfer to yourself!');
                 throw new Error('Cannot transfer to yourself!');
             }
@@ -467,155 +511,240 @@ class CipherPayService {
                 throw new Error('Invalid recipient! Failed to verify recipient in database.');
             }
 
-            // NOTE SELECTION STRATEGY
+            // NOTE SELECTION
             let selectedNotes = [];
             
             if (inputNote) {
                 // Use provided note - validate it has enough balance
                 const inputNoteAmount = BigInt(inputNote.amount);
                 if (inputNoteAmount < MIN_TRANSFER_AMOUNT) {
-                    throw new Error(`Input note amount must be at least 0.001 SOL. Current: ${(Number(inputNoteAmount) / 1e9).toFixed(9)} SOL`);
+                    throw new Error(`Input note amount must be at least ${formatTokenAmount(MIN_TRANSFER_AMOUNT, token)}. Current: ${formatTokenAmount(inputNoteAmount, token)}`);
                 }
                 if (inputNoteAmount < amount) {
                     throw new Error('Available shield balance insufficient');
                 }
                 selectedNotes = [inputNote];
             } else {
-                // Get spendable notes from backend database (queries messages table and checks nullifiers)
-                const spendable = await this.getSpendableNotes();
-                if (spendable.length === 0) {
-                    throw new Error('No spendable notes available. Please deposit funds first.');
+                // Candidates: notes of this token picked by hand, or every spendable note of it in the local note store
+                const candidates = (options.notes?.length ? options.notes : await this.getSpendableNotes())
+                    .filter(n => n.mint === token.mint);
+                if (candidates.length === 0) {
+                    throw new Error(`No spendable ${token.symbol} notes available. Please deposit funds first.`);
                 }
 
-                // Filter out notes that are less than minimum transfer amount (0.001 SOL)
-                const validNotes = spendable.filter(n => BigInt(n.amount) >= MIN_TRANSFER_AMOUNT);
+                // Filter out notes that are less than the token's minimum transfer amount
+                const validNotes = candidates.filter(n => BigInt(n.amount) >= MIN_TRANSFER_AMOUNT);
                 if (validNotes.length === 0) {
-                    throw new Error('No notes with sufficient amount (minimum 0.001 SOL) available for transfer.');
+                    throw new Error(`No notes with sufficient amount (minimum ${formatTokenAmount(MIN_TRANSFER_AMOUNT, token)}) available for transfer.`);
                 }
 
-                // VALIDATION: Check total available balance first
-                const totalAvailable = validNotes.reduce((sum, n) => sum + BigInt(n.amount), 0n);
-                if (totalAvailable < amount) {
-                    throw new Error('Available shield balance insufficient');
-                }
+                const selection = selectNotes(validNotes, amount, strategy);
+                selectedNotes = selection.notes;
+                console.log('[CipherPayService] Selected notes:', {
+                    strategy,
+                    count: selectedNotes.length,
+                    totalAmount: selection.total.toString(),
+                    changeAmount: selection.change.toString(),
+                    transferAmount: amount.toString(),
+                    notes: selectedNotes.map(n => ({ amount: n.amount.toString() }))
+                });
+            }
 
-                // Strategy 1: Try to find a single note with amount >= transfer amount
-                const singleNote = validNotes.find(n => BigInt(n.amount) >= amount);
-                
-                if (singleNote) {
-                    console.log('[CipherPayService] Found single note sufficient for transfer:', {
-                        noteAmount: singleNote.amount.toString(),
-                        transferAmount: amount.toString()
-                    });
-                    selectedNotes = [singleNote];
-                } else {
-                    // Strategy 2: Select multiple notes from biggest to smallest
-                    console.log('[CipherPayService] No single note sufficient, selecting multiple notes...');
-                    
-                    // Sort notes by amount (biggest first)
-                    const sortedNotes = [...validNotes].sort((a, b) => {
-                        const amountA = BigInt(a.amount);
-                        const amountB = BigInt(b.amount);
-                        if (amountB > amountA) return 1;
-                        if (amountB < amountA) return -1;
-                        return 0;
-                    });
-                    
-                    // Select notes until we have enough
-                    let totalSelected = 0n;
-                    for (const note of sortedNotes) {
-                        selectedNotes.push(note);
-                        totalSelected += BigInt(note.amount);
-                        if (totalSelected >= amount) {
-                            break;
-                        }
-                    }
-                    
-                    // Double-check if we have enough (should not happen due to earlier validation, but safety check)
-                    if (totalSelected < amount) {
-                        throw new Error('Available shield balance insufficient');
-                    }
-                    
-                    console.log('[CipherPayService] Selected multiple notes:', {
-                        count: selectedNotes.length,
-                        totalAmount: totalSelected.toString(),
-                        transferAmount: amount.toString(),
-                        notes: selectedNotes.map(n => ({ amount: n.amount.toString() }))
-                    });
-                }
+            const plan = buildTransferPlan(recipientPublicKey, amount, selectedNotes, token);
+            console.log('[CipherPayService] Transfer plan:', {
+                id: plan.id,
+                steps: plan.steps.map(step => ({ noteAmount: step.noteAmount, amount: step.amount, changeAmount: step.changeAmount }))
+            });
+            return plan;
+        } catch (error) {
+            console.error('[CipherPayService] Failed to plan transaction:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Execute a transfer plan, one transfer per step
+     * The plan is persisted before the first transfer and after every step, so an interrupted plan can be
+     * resumed with resumeTransferPlan. Steps run strictly in order and stop at the first failure.
+     * @param {Object} plan - Plan from planTransaction (or a resumed plan)
+     * @param {Object} options - { onStage, signal, onPlanUpdate(planSnapshot) }
+     * @returns {Promise<Object>} Transfer result; for several steps the aggregated result with `transfers`
+     */
+    async executeTransferPlan(plan, options = {}) {
+        if (!this.isInitialized) await this.initialize();
+
+        const { onPlanUpdate, ...transferOptions } = options;
+        const update = async () => {
+            await saveTransferPlan(plan);
+            try {
+                onPlanUpdate?.(toPlanSnapshot(plan));
+            } catch (error) {
+                console.error('[CipherPayService] onPlanUpdate callback failed:', error);
             }
+        };
 
-            // If multiple notes selected, execute transfers one by one
-            if (selectedNotes.length > 1) {
-                console.log('[CipherPayService] Executing', selectedNotes.length, 'transfers sequentially...');
-                const results = [];
-                let remainingAmount = amount;
-                
-                for (let i = 0; i < selectedNotes.length; i++) {
-                    const note = selectedNotes[i];
-                    const noteAmount = BigInt(note.amount);
-                    
-                    // Calculate transfer amount for this note
-                    // For each note, transfer the full note amount to recipient
-                    // The last note will have change if needed
-                    // But we need to track how much we still need to send
-                    const transferAmountForThisNote = remainingAmount <= noteAmount 
-                        ? remainingAmount  // Last note or enough: transfer remaining amount
-                        : noteAmount;      // Not enough yet: transfer full note amount
-                    
-                    console.log(`[CipherPayService] Transfer ${i + 1}/${selectedNotes.length}:`, {
-                        noteAmount: noteAmount.toString(),
-                        transferAmount: transferAmountForThisNote.toString(),
-                        remainingAmount: remainingAmount.toString(),
-                        willHaveChange: transferAmountForThisNote < noteAmount
-                    });
-                    
-                    // Execute transfer for this note
-                    const result = await this.executeSingleTransfer(
-                        identity,
-                        recipientPublicKey,
-                        transferAmountForThisNote,
-                        note
-                    );
-                    
-                    results.push(result);
-                    remainingAmount -= transferAmountForThisNote;
-                    
-                    // If we've transferred enough, stop
-                    if (remainingAmount <= 0n) {
-                        break;
-                    }
+        const identity = await this.getIdentity();
+        if (!identity) {
+            throw new Error('Identity not found. Please authenticate first.');
+        }
+        // Checked again here for resumed plans, which were planned while a prover may still have been available
+        if (!(await this.getTransferProver())) {
+            throw new Error(NO_TRANSFER_PROVER);
+        }
+
+        // Resolve input notes for steps that were loaded from storage
+        const pendingSteps = plan.steps.filter(step => step.status === 'pending');
+        if (pendingSteps.some(step => !step.note)) {
+            const spendable = await this.getSpendableNotes();
+            for (const step of pendingSteps) {
+                step.note = step.note || spendable.find(n => n.commitment === step.noteCommitment) || null;
+            }
+            const missing = pendingSteps.find(step => !step.note);
+            if (missing) {
+                plan.status = 'interrupted';
+                plan.error = `Input note of step ${missing.index + 1} is no longer spendable; ${getSentAmount(plan)} of ${plan.amount} atoms were sent`;
+                await update();
+                throw new Error(plan.error);
+            }
+        }
+
+        // Lock the input notes of the steps still to run, so no other transfer or withdrawal picks them meanwhile
+        await this.reserveNotes(pendingSteps.map(step => step.note), 'transfer');
+
+        plan.status = 'running';
+        plan.error = null;
+        await update();
+
+        // Note: the transfer circuit spends exactly one input note (1 in, 2 out), so notes cannot be merged
+        // by transferring to ourselves - every self-transfer leaves at least as many notes as before.
+        // Consolidating small notes (and sweeping dust below MIN_TRANSFER_AMOUNT) needs a multi-input
+        // transfer circuit; until then one transfer per note is the only way to spend several notes.
+        const results = [];
+        for (const step of plan.steps) {
+            if (step.status === 'done') continue;
+
+            console.log(`[CipherPayService] Transfer ${step.index + 1}/${plan.steps.length}:`, {
+                noteAmount: step.noteAmount,
+                transferAmount: step.amount,
+                willHaveChange: step.changeAmount !== '0'
+            });
+
+            step.status = 'running';
+            step.error = null;
+            await update();
+
+            try {
+                const result = await this.executeSingleTransfer(identity, plan.recipient, BigInt(step.amount), step.note, { ...transferOptions, planId: plan.id });
+                step.status = 'done';
+                step.txHash = result.txHash || null;
+                results.push(result);
+                await update();
+            } catch (error) {
+                // A cancelled step never reached the SDK; any other failure may have been submitted
+                step.status = isProofCancelled(error) ? 'pending' : 'failed';
+                step.error = error.message;
+                plan.status = 'interrupted';
+                plan.error = `Step ${step.index + 1} of ${plan.steps.length} failed: ${error.message}`;
+                // Notes of steps that did not run stay ours. The failed step's note is released too unless its operation
+                // record is still open (it may have been submitted): a record marked failed is done with the note, and
+                // resuming has to find it among the spendable notes again
+                const stillOpen = error.operationId && this.activeOperations.has(error.operationId);
+                const unused = plan.steps.filter(entry => entry.status === 'pending' || (entry === step && !stillOpen));
+                await this.releaseNotes(unused.map(entry => entry.note?.nullifierHex));
+                await update();
+                throw error;
+            }
+        }
+
+        plan.status = 'completed';
+        await update();
+        // Completed plans need no resuming; the transfers themselves show up through note sync
+        await removeTransferPlan(plan.id).catch(error => console.warn('[CipherPayService] Failed to remove completed plan:', error));
+
+        if (plan.steps.length === 1) {
+            return { ...results[0], planId: plan.id };
+        }
+        const last = plan.steps[plan.steps.length - 1];
+        return {
+            recipient: plan.recipient,
+            amount: BigInt(plan.amount),
+            timestamp: Date.now(),
+            id: last.txHash,
+            txHash: last.txHash,
+            transfers: results,
+            totalTransfers: plan.steps.length,
+            planId: plan.id,
+        };
+    }
+
+    // Unfinished transfer plans of the signed-in account (for the resume UI)
+    async getUnfinishedTransferPlans(activePlanId = null) {
+        return loadUnfinishedTransferPlans({ activePlanId });
+    }
+
+    /**
+     * Resume an interrupted transfer plan
+     * Steps that were running or failed are checked against their input nullifier first: a spent nullifier
+     * means the transfer went through, so it is marked done instead of being sent twice.
+     * @param {string} planId
+     * @param {Object} options - Same as executeTransferPlan
+     */
+    async resumeTransferPlan(planId, options = {}) {
+        if (!this.isInitialized) await this.initialize();
+
+        const plan = await loadTransferPlan(planId);
+        if (!plan) throw new Error('Transfer plan not found');
+        if (plan.status === 'completed') throw new Error('Transfer plan already completed');
+
+        const uncertain = plan.steps.filter(step => step.status === 'running' || step.status === 'failed');
+        if (uncertain.length > 0) {
+            const nullifiers = uncertain.map(step => step.noteNullifier).filter(Boolean);
+            const spent = nullifiers.length > 0 ? await checkNullifiersSpent(nullifiers, { checkOnChain: true }) : new Set();
+            for (const step of uncertain) {
+                if (step.noteNullifier && spent.has(step.noteNullifier.toLowerCase())) {
+                    console.log('[CipherPayService] Step', step.index + 1, 'already went through, marking done');
+                    step.status = 'done';
+                    step.error = null;
+                } else {
+                    step.status = 'pending';
                 }
-                
-                // Return aggregated result
-                return {
-                    recipient: recipientPublicKey,
-                    amount: amount,
-                    timestamp: Date.now(),
-                    id: results[results.length - 1]?.txHash || results[0]?.txHash,
-                    txHash: results[results.length - 1]?.txHash || results[0]?.txHash,
-                    transfers: results,
-                    totalTransfers: results.length,
-                };
-            } else {
-                // Single note transfer
-                const inputNoteToUse = selectedNotes[0];
-                return await this.executeSingleTransfer(
-                    identity,
-                    recipientPublicKey,
-                    amount,
-                    inputNoteToUse
-                );
             }
-        } catch (error) {
-            console.error('[CipherPayService] Failed to create transaction:', error);
-            throw error;
         }
+
+        console.log('[CipherPayService] Resuming transfer plan', planId, {
+            sent: getSentAmount(plan).toString(),
+            amount: plan.amount
+        });
+        return this.executeTransferPlan(plan, options);
+    }
+
+    // Drop an unfinished plan without sending its remaining steps
+    async discardTransferPlan(planId) {
+        await removeTransferPlan(planId);
+    }
+
+    /**
+     * How transfers are proven: 'worker' once the transfer circuit ships a digest-checked proving key (see
+     * circuitRegistry), else 'sdk' when the SDK bundle provides transfer, else null (transfers cannot be made)
+     * @returns {Promise<'worker'|'sdk'|null>}
+     */
+    async getTransferProver() {
+        const circuit = await getCircuit('transfer').catch(() => null);
+        if (typeof Worker !== 'undefined' && circuit?.hasProvingKey) return 'worker';
+        return window.CipherPaySDK?.transfer ? 'sdk' : null;
     }
 
     // Execute a single transfer with a specific note
-    async executeSingleTransfer(identity, recipientPublicKey, amount, inputNoteToUse) {
+    // options: { onStage, signal, planId } - proof stage callback, AbortSignal and the plan this transfer is a step of
+    async executeSingleTransfer(identity, recipientPublicKey, amount, inputNoteToUse, options = {}) {
+        const { onStage, signal, planId } = options;
+        // Lifecycle record, created once the input nullifier is known
+        let operation = null;
         try {
+            // Cancelling is honoured until the transfer is submitted: between steps and, when proving in the worker,
+            // by terminating the prover. The SDK proves and submits in one call, which cannot be interrupted.
+            throwIfCancelled(signal);
+
             // Validate input note structure
             if (!inputNoteToUse.amount || !inputNoteToUse.tokenId || !inputNoteToUse.ownerCipherPayPubKey || !inputNoteToUse.randomness) {
                 throw new Error('Invalid input note structure');
@@ -631,6 +760,12 @@ class CipherPayService {
                 recipientCipherPayPubKey = BigInt(recipientPublicKey);
             }
 
+            // Outputs keep the input note's token, which has to be a registered one
+            const token = getTokenForTokenId(inputNoteToUse.tokenId);
+            if (!token) {
+                throw new Error('Input note belongs to a token that is not in the token registry');
+            }
+
             // Validate sufficient balance
             if (inputNoteToUse.amount < amount) {
                 throw new Error(`Insufficient balance in selected note. Note amount: ${inputNoteToUse.amount}, requested: ${amount}`);
@@ -650,14 +785,18 @@ class CipherPayService {
                 // CASE 1: Transfer amount equals input amount - Full transfer
                 // Randomly split the full amount into two outputs, BOTH for recipient
                 // This enhances privacy - can't tell which output is the "real" amount
-                // Round to 3 decimal places for readability (0.001 SOL = 1,000,000)
-                const roundingPrecision = 1_000_000n; // 0.001 SOL (3 decimal places)
-                const minAmountPerOutput = 500_000n; // 0.0005 SOL - minimum per output
+                // Round to 3 decimal places of the token for readability (0.001 SOL = 1,000,000 atoms)
+                const roundingPrecision = 10n ** BigInt(Math.max(token.decimals - 3, 0));
+                // Each output gets at least half the token's minimum (0.0005 SOL for wSOL)
+                const minAmountPerOutput = token.minAmount / 2n > 0n ? token.minAmount / 2n : 1n;
                 
-                // inputAmount is already validated to be >= 0.001 SOL (MIN_TRANSFER_AMOUNT)
-                // So we can always split into two outputs of at least 0.0005 SOL each
+                // inputAmount is normally validated to be >= token.minAmount (MIN_TRANSFER_AMOUNT), so it splits into
+                // two outputs of at least minAmountPerOutput each; a note spent directly is checked here
+                if (inputAmount < 2n * minAmountPerOutput) {
+                    throw new Error(`Note amount ${formatTokenAmount(inputAmount, token)} is too small to split into two outputs`);
+                }
                 
-                // Generate random split between 1% and 99% (rounded to 0.001 SOL)
+                // Generate random split between 1% and 99% (rounded to roundingPrecision)
                 const minPercent = 1n; // 1%
                 const maxPercent = 99n; // 99%
                 
@@ -666,12 +805,12 @@ class CipherPayService {
                 crypto.getRandomValues(randomBytes);
                 const randomPercent = minPercent + (BigInt(randomBytes[0]) % (maxPercent - minPercent + 1n));
                 
-                // Calculate out1Amount as randomPercent of inputAmount, rounded to 0.001 SOL
+                // Calculate out1Amount as randomPercent of inputAmount, rounded to roundingPrecision
                 const out1AmountUnrounded = (inputAmount * randomPercent) / 100n;
                 out1Amount = (out1AmountUnrounded / roundingPrecision) * roundingPrecision;
                 
-                // Ensure it's at least 0.0005 SOL and at most (inputAmount - 0.0005 SOL)
-                // This guarantees both outputs are at least 0.0005 SOL
+                // Ensure it's at least minAmountPerOutput and at most (inputAmount - minAmountPerOutput)
+                // This guarantees both outputs are at least minAmountPerOutput
                 const maxAmount = inputAmount - minAmountPerOutput;
                 if (out1Amount < minAmountPerOutput) out1Amount = minAmountPerOutput;
                 if (out1Amount > maxAmount) out1Amount = maxAmount;
@@ -679,7 +818,7 @@ class CipherPayService {
                 // out2Amount is the remainder
                 out2Amount = inputAmount - out1Amount;
                 
-                // Ensure out2Amount is also at least 0.0005 SOL (defensive check)
+                // Ensure out2Amount is also at least minAmountPerOutput (defensive check)
                 // If rounding caused out2Amount to be less than minAmountPerOutput, adjust
                 if (out2Amount < minAmountPerOutput) {
                     // Adjust out1Amount down to ensure out2Amount is at least minAmountPerOutput
@@ -687,9 +826,9 @@ class CipherPayService {
                     out2Amount = minAmountPerOutput;
                 }
                 
-                // Final verification: both must be non-zero and at least 0.0005 SOL
+                // Final verification: both must be non-zero and at least minAmountPerOutput
                 if (out1Amount === 0n || out2Amount === 0n || out1Amount < minAmountPerOutput || out2Amount < minAmountPerOutput) {
-                    // Fallback: split equally (rounded to 0.001 SOL)
+                    // Fallback: split equally (rounded to roundingPrecision)
                     const halfAmount = (inputAmount / 2n / roundingPrecision) * roundingPrecision;
                     out1Amount = halfAmount;
                     out2Amount = inputAmount - out1Amount;
@@ -712,7 +851,7 @@ class CipherPayService {
                 recipientAmount = inputAmount; // Full amount goes to recipient
                 changeAmount = 0n; // No change for sender
                 
-                console.log('[CipherPayService] Full amount transfer - Randomly split (rounded to 0.001 SOL), both outputs for recipient:', {
+                console.log('[CipherPayService] Full amount transfer - Randomly split, both outputs for recipient:', {
                     inputAmount: inputAmount.toString(),
                     transferAmount: transferAmount.toString(),
                     randomPercent: randomPercent.toString(),
@@ -747,18 +886,21 @@ class CipherPayService {
             const authToken = localStorage.getItem('cipherpay_token');
             const serverUrl = import.meta.env.VITE_SERVER_URL || 'http://localhost:8788';
 
-            // Determine token descriptor from input note (assume same token for outputs)
-            // For now, assume wSOL (can be enhanced to support other tokens)
             const tokenDescriptor = {
                 chain: 'solana',
-                symbol: 'SOL',
-                decimals: 9,
+                symbol: token.symbol,
+                decimals: token.decimals,
                 solana: {
-                    mint: 'So11111111111111111111111111111111111111112', // wSOL
-                    decimals: 9,
+                    mint: token.mint,
+                    decimals: token.decimals,
                 }
             };
 
+            const prover = await this.getTransferProver();
+            if (!prover) {
+                throw new Error(NO_TRANSFER_PROVER);
+            }
+
             // Import encryption utilities
             const { getLocalEncPublicKeyB64, encryptForRecipient } = await import('../lib/e2ee');
             
@@ -811,16 +953,8 @@ class CipherPayService {
             };
             
             // Compute nullifier from input note (for storing with transfer messages)
-            const { poseidonHash } = window.CipherPaySDK || {};
-            if (!poseidonHash) {
-                throw new Error('SDK poseidonHash not available');
-            }
-            const inputNullifier = await poseidonHash([
-                inputNoteObj.ownerCipherPayPubKey,
-                convertedRandomnessR,
-                convertedTokenId
-            ]);
-            const inputNullifierHex = inputNullifier.toString(16).padStart(64, '0');
+            const inputNullifier = await noteNullifier(inputNoteObj);
+            const inputNullifierHex = toHex64(inputNullifier);
             
             // Determine recipient for each output
             // For full transfer: both outputs go to recipient
@@ -833,192 +967,359 @@ class CipherPayService {
                 ? recipientCipherPayPubKey  // Full transfer: both to recipient
                 : (recipientGetsOut1 ? BigInt(inputNoteToUse.ownerCipherPayPubKey) : recipientCipherPayPubKey);
             
-            const transferParams = {
-                identity,
-                inputNote: inputNoteObj,
-                out1: {
-                    amount: { atoms: out1Amount, decimals: 9 },
-                    recipientCipherPayPubKey: out1Recipient,
-                    token: tokenDescriptor,
-                    memo: 0n,
-                },
-                out2: {
-                    amount: { atoms: out2Amount, decimals: 9 },
-                    recipientCipherPayPubKey: out2Recipient,
-                    token: tokenDescriptor,
-                    memo: 0n,
-                },
-                serverUrl,
-                authToken,
-                ownerWalletPubKey: identity.ownerWalletPubKey || BigInt(0),
-                ownerWalletPrivKey: identity.ownerWalletPrivKey || BigInt(0),
-                onOut1NoteReady: async (note) => {
-                    try {
-                        console.log('[CipherPayService] Out1 note ready, encrypting and saving...', note);
-                        console.log('[CipherPayService] Out1 note ownerCipherPayPubKey:', '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0'));
-                        console.log('[CipherPayService] Expected recipient key:', '0x' + recipientCipherPayPubKey.toString(16).padStart(64, '0'));
-                        
-                        // Verify that note.ownerCipherPayPubKey matches the expected recipient
-                        const noteOwnerKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
-                        const expectedRecipientKey = '0x' + recipientCipherPayPubKey.toString(16).padStart(64, '0');
-                        
-                        if (noteOwnerKey !== expectedRecipientKey) {
-                            console.error('[CipherPayService] WARNING: Out1 note ownerCipherPayPubKey does not match expected recipient!', {
-                                noteOwnerKey,
-                                expectedRecipientKey,
-                            });
-                            // Continue anyway - might be a full transfer where both outputs go to recipient
-                        }
-                        
+            // Output notes, returned so callers can spend them next (e.g. partial withdrawals). Proving in the worker
+            // they get fresh randomness here; the SDK creates them itself and hands them over through its callbacks.
+            const makeOutputNote = (noteAmount, owner) => ({
+                amount: noteAmount,
+                tokenId: convertedTokenId,
+                ownerCipherPayPubKey: owner,
+                randomness: { r: randomFieldElement() },
+                memo: 0n,
+            });
+            const outputNotes = prover === 'worker'
+                ? { out1: makeOutputNote(out1Amount, out1Recipient), out2: makeOutputNote(out2Amount, out2Recipient) }
+                : { out1: null, out2: null };
+            const toWitnessOutput = (note) => ({ ...note, recipientCipherPayPubKey: note.ownerCipherPayPubKey });
+
+            // Store each output note as a message encrypted to its owner
+            const onOut1NoteReady = async (note) => {
+                try {
+                    console.log('[CipherPayService] Out1 note ready, encrypting and saving...', note);
+                    console.log('[CipherPayService] Out1 note ownerCipherPayPubKey:', '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0'));
+                    console.log('[CipherPayService] Expected recipient key:', '0x' + recipientCipherPayPubKey.toString(16).padStart(64, '0'));
+                    
+                    // Verify that note.ownerCipherPayPubKey matches the expected recipient
+                    const noteOwnerKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
+                    const expectedRecipientKey = '0x' + recipientCipherPayPubKey.toString(16).padStart(64, '0');
+                    
+                    if (noteOwnerKey !== expectedRecipientKey) {
+                        console.error('[CipherPayService] WARNING: Out1 note ownerCipherPayPubKey does not match expected recipient!', {
+                            noteOwnerKey,
+                            expectedRecipientKey,
+                        });
+                        // Continue anyway - might be a full transfer where both outputs go to recipient
+                    }
+                    
+                    // Get recipient's Curve25519 encryption public key from DB (SECURE approach)
+                    // This is a Curve25519 public key (base64), derived from wallet signature seed
+                    // The seed is never stored - only this public key is stored
+                    const recipientOwnerKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
+                    console.log('[CipherPayService] Fetching note_enc_pub_key for recipient:', recipientOwnerKey);
+                    const recipientNoteEncPubKey = await getRecipientNoteEncPubKey(recipientOwnerKey);
+                    if (!recipientNoteEncPubKey) {
+                        const errorMsg = `Failed to get note_enc_pub_key for recipient ${recipientOwnerKey}. Recipient may not be registered yet.`;
+                        console.error('[CipherPayService]', errorMsg);
+                        throw new Error(errorMsg);
+                    }
+                    console.log('[CipherPayService] Successfully retrieved note_enc_pub_key for recipient');
+                    // Use Curve25519 public key directly (no derivation needed - it's already a Curve25519 key)
+                    // This public key was derived from wallet signature seed and stored in DB
+                    // Recipient will derive the matching keypair from their wallet signature seed when decrypting
+                    const recipientEncPubKeyB64 = recipientNoteEncPubKey; // Already base64 Curve25519 public key
+                    console.log('[CipherPayService] Out1 encryption - Using recipient Curve25519 public key directly from DB (first 20 chars):', recipientEncPubKeyB64.substring(0, 20) + '...');
+                    const noteData = {
+                        note: {
+                            amount: '0x' + note.amount.toString(16),
+                            tokenId: '0x' + note.tokenId.toString(16),
+                            ownerCipherPayPubKey: '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0'),
+                            randomness: {
+                                r: '0x' + note.randomness.r.toString(16).padStart(64, '0'),
+                                ...(note.randomness.s ? { s: '0x' + note.randomness.s.toString(16).padStart(64, '0') } : {}),
+                            },
+                            ...(note.memo ? { memo: '0x' + note.memo.toString(16) } : {}),
+                        },
+                    };
+                    const ciphertextB64 = encryptForRecipient(recipientEncPubKeyB64, noteData);
+                    const recipientKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
+                    const messageResponse = await fetch(`${serverUrl}/api/v1/messages`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
+                        },
+                        body: JSON.stringify({
+                            recipientKey,
+                            ciphertextB64,
+                            kind: 'note-transfer',
+                            nullifierHex: inputNullifierHex, // Store input note's nullifier with both output messages
+                        }),
+                    });
+                    if (messageResponse.ok) {
+                        const messageResult = await messageResponse.json();
+                        console.log('[CipherPayService] ✅ Successfully saved encrypted out1 note message:', messageResult);
+                        console.log('[CipherPayService] Out1 message saved with recipient_key:', recipientKey);
+                    } else {
+                        const errorText = await messageResponse.text();
+                        console.error('[CipherPayService] ❌ Failed to save out1 note message:', messageResponse.status, errorText);
+                        console.error('[CipherPayService] Out1 message details:', {
+                            recipientKey,
+                            kind: 'note-transfer',
+                            ciphertextLength: ciphertextB64.length,
+                        });
+                    }
+                } catch (error) {
+                    console.error('[CipherPayService] ❌ Exception while saving encrypted out1 note message:', error);
+                    console.error('[CipherPayService] Error stack:', error.stack);
+                    // Don't throw - let the transfer continue even if message saving fails
+                }
+            };
+            const onOut2NoteReady = async (note) => {
+                // Skip saving note if amount is 0 (should not happen, but defensive check)
+                if (note.amount === 0n || note.amount === 0) {
+                    console.log('[CipherPayService] Out2 note has 0 amount, skipping save');
+                    return;
+                }
+                
+                try {
+                    // For full transfer: out2 is for recipient (part of random split)
+                    // For partial transfer: out2 is change for sender
+                    console.log('[CipherPayService] Out2 note ready, encrypting and saving...', note);
+                    // Determine the actual recipient of this specific output note
+                    // If it's a change note for the sender, use the sender's encryption public key
+                    // Otherwise, use the recipient's encryption public key (from DB)
+                    const isChangeNoteForSender = !isFullTransfer && (note.ownerCipherPayPubKey === BigInt(inputNoteToUse.ownerCipherPayPubKey));
+                    let encryptionTargetPubKey;
+                    if (isChangeNoteForSender) {
+                        // Sender's own encryption key (derived from their privKey)
+                        encryptionTargetPubKey = getLocalEncPublicKeyB64();
+                    } else {
                         // Get recipient's Curve25519 encryption public key from DB (SECURE approach)
-                        // This is a Curve25519 public key (base64), derived from wallet signature seed
-                        // The seed is never stored - only this public key is stored
                         const recipientOwnerKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
-                        console.log('[CipherPayService] Fetching note_enc_pub_key for recipient:', recipientOwnerKey);
                         const recipientNoteEncPubKey = await getRecipientNoteEncPubKey(recipientOwnerKey);
                         if (!recipientNoteEncPubKey) {
-                            const errorMsg = `Failed to get note_enc_pub_key for recipient ${recipientOwnerKey}. Recipient may not be registered yet.`;
-                            console.error('[CipherPayService]', errorMsg);
-                            throw new Error(errorMsg);
+                            throw new Error(`Failed to get note_enc_pub_key for recipient ${recipientOwnerKey}`);
                         }
-                        console.log('[CipherPayService] Successfully retrieved note_enc_pub_key for recipient');
                         // Use Curve25519 public key directly (no derivation needed - it's already a Curve25519 key)
-                        // This public key was derived from wallet signature seed and stored in DB
-                        // Recipient will derive the matching keypair from their wallet signature seed when decrypting
-                        const recipientEncPubKeyB64 = recipientNoteEncPubKey; // Already base64 Curve25519 public key
-                        console.log('[CipherPayService] Out1 encryption - Using recipient Curve25519 public key directly from DB (first 20 chars):', recipientEncPubKeyB64.substring(0, 20) + '...');
-                        const noteData = {
-                            note: {
-                                amount: '0x' + note.amount.toString(16),
-                                tokenId: '0x' + note.tokenId.toString(16),
-                                ownerCipherPayPubKey: '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0'),
-                                randomness: {
-                                    r: '0x' + note.randomness.r.toString(16).padStart(64, '0'),
-                                    ...(note.randomness.s ? { s: '0x' + note.randomness.s.toString(16).padStart(64, '0') } : {}),
-                                },
-                                ...(note.memo ? { memo: '0x' + note.memo.toString(16) } : {}),
-                            },
-                        };
-                        const ciphertextB64 = encryptForRecipient(recipientEncPubKeyB64, noteData);
-                        const recipientKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
-                        const messageResponse = await fetch(`${serverUrl}/api/v1/messages`, {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                                ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
-                            },
-                            body: JSON.stringify({
-                                recipientKey,
-                                ciphertextB64,
-                                kind: 'note-transfer',
-                                nullifierHex: inputNullifierHex, // Store input note's nullifier with both output messages
-                            }),
-                        });
-                        if (messageResponse.ok) {
-                            const messageResult = await messageResponse.json();
-                            console.log('[CipherPayService] ✅ Successfully saved encrypted out1 note message:', messageResult);
-                            console.log('[CipherPayService] Out1 message saved with recipient_key:', recipientKey);
-                        } else {
-                            const errorText = await messageResponse.text();
-                            console.error('[CipherPayService] ❌ Failed to save out1 note message:', messageResponse.status, errorText);
-                            console.error('[CipherPayService] Out1 message details:', {
-                                recipientKey,
-                                kind: 'note-transfer',
-                                ciphertextLength: ciphertextB64.length,
-                            });
-                        }
-                    } catch (error) {
-                        console.error('[CipherPayService] ❌ Exception while saving encrypted out1 note message:', error);
-                        console.error('[CipherPayService] Error stack:', error.stack);
-                        // Don't throw - let the transfer continue even if message saving fails
+                        encryptionTargetPubKey = recipientNoteEncPubKey;
                     }
-                },
-                onOut2NoteReady: async (note) => {
-                    // Skip saving note if amount is 0 (should not happen, but defensive check)
-                    if (note.amount === 0n || note.amount === 0) {
-                        console.log('[CipherPayService] Out2 note has 0 amount, skipping save');
-                        return;
-                    }
-                    
-                    try {
-                        // For full transfer: out2 is for recipient (part of random split)
-                        // For partial transfer: out2 is change for sender
-                        console.log('[CipherPayService] Out2 note ready, encrypting and saving...', note);
-                        // Determine the actual recipient of this specific output note
-                        // If it's a change note for the sender, use the sender's encryption public key
-                        // Otherwise, use the recipient's encryption public key (from DB)
-                        const isChangeNoteForSender = !isFullTransfer && (note.ownerCipherPayPubKey === BigInt(inputNoteToUse.ownerCipherPayPubKey));
-                        let encryptionTargetPubKey;
-                        if (isChangeNoteForSender) {
-                            // Sender's own encryption key (derived from their privKey)
-                            encryptionTargetPubKey = getLocalEncPublicKeyB64();
-                        } else {
-                            // Get recipient's Curve25519 encryption public key from DB (SECURE approach)
-                            const recipientOwnerKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
-                            const recipientNoteEncPubKey = await getRecipientNoteEncPubKey(recipientOwnerKey);
-                            if (!recipientNoteEncPubKey) {
-                                throw new Error(`Failed to get note_enc_pub_key for recipient ${recipientOwnerKey}`);
-                            }
-                            // Use Curve25519 public key directly (no derivation needed - it's already a Curve25519 key)
-                            encryptionTargetPubKey = recipientNoteEncPubKey;
-                        }
-                        console.log('[CipherPayService] Out2 encryption - Using public key (first 20 chars):', encryptionTargetPubKey.substring(0, 20) + '...');
-                        const noteData = {
-                            note: {
-                                amount: '0x' + note.amount.toString(16),
-                                tokenId: '0x' + note.tokenId.toString(16),
-                                ownerCipherPayPubKey: '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0'),
-                                randomness: {
-                                    r: '0x' + note.randomness.r.toString(16).padStart(64, '0'),
-                                    ...(note.randomness.s ? { s: '0x' + note.randomness.s.toString(16).padStart(64, '0') } : {}),
-                                },
-                                ...(note.memo ? { memo: '0x' + note.memo.toString(16) } : {}),
-                            },
-                        };
-                        const ciphertextB64 = encryptForRecipient(encryptionTargetPubKey, noteData);
-                        const recipientKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
-                        const messageResponse = await fetch(`${serverUrl}/api/v1/messages`, {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                                ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
+                    console.log('[CipherPayService] Out2 encryption - Using public key (first 20 chars):', encryptionTargetPubKey.substring(0, 20) + '...');
+                    const noteData = {
+                        note: {
+                            amount: '0x' + note.amount.toString(16),
+                            tokenId: '0x' + note.tokenId.toString(16),
+                            ownerCipherPayPubKey: '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0'),
+                            randomness: {
+                                r: '0x' + note.randomness.r.toString(16).padStart(64, '0'),
+                                ...(note.randomness.s ? { s: '0x' + note.randomness.s.toString(16).padStart(64, '0') } : {}),
                             },
-                            body: JSON.stringify({
-                                recipientKey,
-                                ciphertextB64,
-                                kind: 'note-transfer',
-                                nullifierHex: inputNullifierHex, // Store input note's nullifier with both output messages
-                            }),
-                        });
-                        if (messageResponse.ok) {
-                            const messageResult = await messageResponse.json();
-                            console.log('[CipherPayService] Saved encrypted out2 note message (change):', messageResult);
-                        } else {
-                            const errorText = await messageResponse.text();
-                            console.warn('[CipherPayService] Failed to save out2 note message:', errorText);
-                        }
-                    } catch (error) {
-                        console.warn('[CipherPayService] Failed to save encrypted out2 note message:', error);
+                            ...(note.memo ? { memo: '0x' + note.memo.toString(16) } : {}),
+                        },
+                    };
+                    const ciphertextB64 = encryptForRecipient(encryptionTargetPubKey, noteData);
+                    const recipientKey = '0x' + note.ownerCipherPayPubKey.toString(16).padStart(64, '0');
+                    const messageResponse = await fetch(`${serverUrl}/api/v1/messages`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...(authToken ? { 'Authorization': `Bearer ${authToken}` } : {}),
+                        },
+                        body: JSON.stringify({
+                            recipientKey,
+                            ciphertextB64,
+                            kind: 'note-transfer',
+                            nullifierHex: inputNullifierHex, // Store input note's nullifier with both output messages
+                        }),
+                    });
+                    if (messageResponse.ok) {
+                        const messageResult = await messageResponse.json();
+                        console.log('[CipherPayService] Saved encrypted out2 note message (change):', messageResult);
+                    } else {
+                        const errorText = await messageResponse.text();
+                        console.warn('[CipherPayService] Failed to save out2 note message:', errorText);
                     }
-                },
+                } catch (error) {
+                    console.warn('[CipherPayService] Failed to save encrypted out2 note message:', error);
+                }
             };
 
-            // Call SDK transfer
-            const result = await window.CipherPaySDK.transfer(transferParams);
+            // A transfer to ourselves (e.g. the split before a partial withdrawal) sends nothing out
+            const toSelf = recipientCipherPayPubKey === BigInt(inputNoteToUse.ownerCipherPayPubKey);
+            operation = await this.startOperation('transfer', {
+                amount,
+                mint: token.mint,
+                recipient: typeof recipientPublicKey === 'string' ? recipientPublicKey : '0x' + toHex64(recipientCipherPayPubKey),
+                nullifier: inputNullifierHex,
+                planId,
+                debit: toSelf ? 0n : recipientAmount,
+                credit: toSelf ? inputAmount : changeAmount,
+            });
+            this.followOperation(operation);
+
+            // Prove in the prover worker and submit to the relayer; resolves with { txHash, out1Commitment, out2Commitment }
+            const proveAndSubmit = async () => {
+                // Step 1: Prepare transfer - merkle path of the input note and where the outputs go
+                // The relayer answers { merkleRoot, inPathElements, inPathIndices, nextLeafIndex, out1PathElements },
+                // path elements as big-endian hex like the withdraw prepare
+                throwIfCancelled(signal);
+                const relayerUrl = this.config.relayerUrl || 'http://localhost:3000';
+                const inputCommitment = await noteCommitment(inputNoteObj);
+                const prepareResponse = await fetch(`${relayerUrl}/api/v1/prepare/transfer`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        spendCommitment: inputCommitment.toString(10)
+                    })
+                });
+                if (!prepareResponse.ok) {
+                    const errorText = await prepareResponse.text();
+                    throw new Error(`Failed to prepare transfer: ${prepareResponse.status} ${errorText}`);
+                }
+                const prepareData = await prepareResponse.json();
+                console.log('[CipherPayService] Transfer prepare response:', {
+                    merkleRoot: prepareData.merkleRoot,
+                    nextLeafIndex: prepareData.nextLeafIndex,
+                    inPathElementsCount: prepareData.inPathElements?.length,
+                    out1PathElementsCount: prepareData.out1PathElements?.length
+                });
+
+                // Step 2: Build circuit witness inputs (the path of out2 is derived from out1's)
+                const witness = await buildTransferWitness({
+                    inNote: inputNoteObj,
+                    senderWalletPubKey: identity.ownerWalletPubKey || BigInt(0),
+                    senderWalletPrivKey: identity.ownerWalletPrivKey || BigInt(0),
+                    inPathElements: prepareData.inPathElements.map(parseHexField),
+                    inPathIndices: prepareData.inPathIndices,
+                    out1: toWitnessOutput(outputNotes.out1),
+                    out2: toWitnessOutput(outputNotes.out2),
+                    nextLeafIndex: prepareData.nextLeafIndex,
+                    out1PathElements: prepareData.out1PathElements.map(parseHexField),
+                });
+
+                // Step 3: Generate the transfer proof in the prover worker (keeps the UI responsive, supports cancellation)
+                throwIfCancelled(signal);
+                await this.updateOperation(operation, 'proving');
+                console.log('[CipherPayService] Generating transfer proof in prover worker...');
+                // Verification happens below, together with the public signal check
+                const { proof, publicSignals } = await generateProofInWorker('transfer', witness.input, { onStage, signal, verify: false });
+                console.log('[CipherPayService] Transfer proof generated successfully');
+
+                // Step 3.5: Verify the proof locally against transfer_vkey.json before it reaches the relayer.
+                // The expected values are what the submit body below tells the relayer; the old root is the
+                // relayer's, so a stale or wrong input path shows up as a merkleRoot mismatch.
+                throwIfCancelled(signal);
+                onStage?.('verifying');
+                await verifyProofLocally('transfer', proof, publicSignals, {
+                    ...witness.publicSignals,
+                    merkleRoot: parseHexField(String(prepareData.merkleRoot)),
+                });
+
+                // Step 4: Store the output notes and submit the transfer to the relayer
+                // Last point where cancelling still has no effect: the messages only go out now, so a cancelled
+                // transfer leaves no notes behind that never reach the tree
+                throwIfCancelled(signal);
+                onStage?.('submitting');
+                await onOut1NoteReady(outputNotes.out1);
+                await onOut2NoteReady(outputNotes.out2);
+
+                const relayerApiKey = this.config.relayerApiKey;
+                const submitBody = {
+                    operation: 'transfer',
+                    tokenMint: token.mint,
+                    proof: proof,
+                    publicSignals: publicSignals,
+                    nullifier: inputNullifierHex,
+                    oldMerkleRoot: prepareData.merkleRoot,
+                    out1Commitment: toHex64(witness.out1Commitment),
+                    out2Commitment: toHex64(witness.out2Commitment),
+                    newMerkleRoot1: toHex64(witness.publicSignals.newMerkleRoot1),
+                    newMerkleRoot2: toHex64(witness.publicSignals.newMerkleRoot2),
+                    newNextLeafIndex: witness.publicSignals.newNextLeafIndex.toString(),
+                    encNote1Hash: toHex64(witness.encNote1Hash),
+                    encNote2Hash: toHex64(witness.encNote2Hash),
+                };
+
+                console.log('[CipherPayService] Submitting transfer to relayer...');
+                const submitResponse = await fetch(`${relayerUrl}/api/v1/submit/transfer`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(relayerApiKey ? { 'Authorization': `Bearer ${relayerApiKey}` } : {}),
+                    },
+                    body: JSON.stringify(submitBody)
+                });
+
+                if (!submitResponse.ok) {
+                    const errorText = await submitResponse.text();
+                    throw new Error(`Failed to submit transfer: ${submitResponse.status} ${errorText}`);
+                }
+
+                const submitResult = await submitResponse.json();
+                console.log('[CipherPayService] Transfer submitted successfully:', submitResult);
+                return {
+                    txHash: submitResult.signature || submitResult.txid || submitResult.txSig,
+                    out1Commitment: witness.out1Commitment.toString(),
+                    out2Commitment: witness.out2Commitment.toString(),
+                };
+            };
+
+            // The SDK proves and submits in one call, so the proof cannot be verified locally before submission
+            // and, once handed over, the transfer cannot be cancelled (shown as the submitting stage)
+            const submitWithSdk = async () => {
+                throwIfCancelled(signal);
+                await this.updateOperation(operation, 'proving');
+                onStage?.('submitting');
+                const result = await window.CipherPaySDK.transfer({
+                    identity,
+                    inputNote: inputNoteObj,
+                    out1: {
+                        amount: { atoms: out1Amount, decimals: token.decimals },
+                        recipientCipherPayPubKey: out1Recipient,
+                        token: tokenDescriptor,
+                        memo: 0n,
+                    },
+                    out2: {
+                        amount: { atoms: out2Amount, decimals: token.decimals },
+                        recipientCipherPayPubKey: out2Recipient,
+                        token: tokenDescriptor,
+                        memo: 0n,
+                    },
+                    serverUrl,
+                    authToken,
+                    ownerWalletPubKey: identity.ownerWalletPubKey || BigInt(0),
+                    ownerWalletPrivKey: identity.ownerWalletPrivKey || BigInt(0),
+                    onOut1NoteReady: async (note) => {
+                        outputNotes.out1 = note;
+                        await onOut1NoteReady(note);
+                    },
+                    onOut2NoteReady: async (note) => {
+                        outputNotes.out2 = note;
+                        await onOut2NoteReady(note);
+                    },
+                });
+                return {
+                    txHash: result.txId || result.signature,
+                    out1Commitment: result.out1Commitment?.toString(),
+                    out2Commitment: result.out2Commitment?.toString(),
+                };
+            };
+
+            const submitted = prover === 'worker'
+                ? await proveAndSubmit()
+                : await submitWithSdk();
+            await this.updateOperation(operation, 'submitted', { txHash: submitted.txHash || null });
+            this.confirmOperation(operation);
 
             return {
                 recipient: recipientPublicKey,
                 amount: amount,
                 changeAmount: changeAmount,
                 timestamp: Date.now(),
-                id: result.txId || result.signature,
-                txHash: result.txId || result.signature,
-                out1Commitment: result.out1Commitment?.toString(),
-                out2Commitment: result.out2Commitment?.toString(),
-                nullifier: result.nullifier?.toString(),
+                id: submitted.txHash,
+                txHash: submitted.txHash,
+                out1Commitment: submitted.out1Commitment,
+                out2Commitment: submitted.out2Commitment,
+                nullifier: inputNullifier.toString(),
+                out1Note: outputNotes.out1,
+                out2Note: outputNotes.out2,
+                operationId: operation.id,
             };
         } catch (error) {
             console.error('[CipherPayService] Failed to execute single transfer:', error);
+            await this.markOperationFailed(operation, error);
+            // Callers leave the input note's lock to this record
+            if (operation) error.operationId = operation.id;
             throw error;
         }
     }
@@ -1055,51 +1356,146 @@ class CipherPayService {
         }
     }
 
-    // Delegate Approval (One-time setup before deposits)
-    async approveRelayerDelegate(params) {
+    // Delegate Approval (One-time setup before deposits)
+    // params: { connection, wallet (wallet adapter with sendTransaction), tokenMint, amount, priorityLevel }
+    async approveRelayerDelegate(params) {
+        try {
+            console.log('[CipherPayService] approveRelayerDelegate called with params:', params);
+            
+            // Validate required parameters
+            if (!params.connection) throw new Error('Solana connection is required');
+            if (!params.wallet?.publicKey) throw new Error('Wallet is required');
+            if (!params.tokenMint) throw new Error('Token mint address is required');
+            if (!params.amount) throw new Error('Amount is required');
+
+            // The transaction that is simulated is the one the wallet signs, with compute budget and priority fee
+            const { prepared, ata } = await this.buildDelegateApproval({
+                connection: params.connection,
+                owner: params.wallet.publicKey,
+                tokenMint: params.tokenMint,
+                amount: params.amount,
+                priorityLevel: params.priorityLevel,
+            });
+            // Never let the wallet sign an approval that would fail
+            assertSimulationOk(await simulateTransaction(params.connection, prepared.transaction));
+            const signature = await sendPreparedTransaction(params.connection, params.wallet.sendTransaction, prepared);
+            console.log('[CipherPayService] Delegate approval completed:', signature);
+            
+            return {
+                signature,
+                userTokenAccount: ata.toBase58(),
+            };
+        } catch (error) {
+            console.error('[CipherPayService] Failed to approve relayer delegate:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Simulate the relayer approval for the wallet's token account of a mint, before the wallet signs it
+     * @param {Object} params - { connection, owner (PublicKey), tokenMint, amount, priorityLevel }
+     * @returns {Promise<Object>} See transactionSimulation.simulateTransaction
+     */
+    async simulateDelegateApproval(params) {
+        const { prepared, labels } = await this.buildDelegateApproval(params);
+        return simulateTransaction(params.connection, prepared.transaction, { labels });
+    }
+
+    // Prepared approval of the relayer for the wallet's token account of a mint; the account is created first
+    // when it does not exist yet
+    async buildDelegateApproval(params) {
+        const { Transaction, PublicKey } = await import('@solana/web3.js');
+        const { createApproveInstruction, createAssociatedTokenAccountIdempotentInstruction } = await import('@solana/spl-token');
+
+        const [mintInfo, relayerPubkey] = await Promise.all([
+            getMintInfo(params.connection, params.tokenMint),
+            this.getRelayerPubkey(),
+        ]);
+        const owner = params.owner;
+        const ata = getAtaAddress(owner, mintInfo);
+        const tx = new Transaction();
+        if (!(await params.connection.getAccountInfo(ata))) {
+            tx.add(createAssociatedTokenAccountIdempotentInstruction(owner, ata, owner, mintInfo.mint, mintInfo.programId));
+        }
+        tx.add(createApproveInstruction(ata, new PublicKey(relayerPubkey), owner, BigInt(params.amount), [], mintInfo.programId));
+        const prepared = await prepareTransaction(params.connection, tx, owner, { priorityLevel: params.priorityLevel });
+
+        const labels = walletAccountLabels({ owner, tokenAccount: ata, symbol: getToken(mintInfo.mint.toBase58())?.symbol, relayer: relayerPubkey });
+        return { prepared, ata, labels };
+    }
+
+    // Relayer public key from the server (the delegate deposits are pulled by)
+    async getRelayerPubkey() {
+        if (this.relayerPubkey) return this.relayerPubkey;
+        const serverUrl = import.meta.env.VITE_SERVER_URL || 'http://localhost:8788';
+        const response = await fetch(`${serverUrl}/api/relayer/info`);
+        if (!response.ok) {
+            throw new Error(`Failed to get relayer info: ${response.status}`);
+        }
+        const { relayerPubkey } = await response.json();
+        this.relayerPubkey = relayerPubkey;
+        return relayerPubkey;
+    }
+
+    /**
+     * Current delegate of the wallet's token account for a mint, read on-chain
+     * An SPL approve replaces the previous allowance and every deposit pulled by the relayer lowers it,
+     * so the remaining allowance is what the next deposit can use.
+     * @param {Object} params - { connection, owner (PublicKey), tokenMint }
+     * @returns {Promise<{ tokenAccount: string, exists: boolean, delegate: string|null, delegatedAmount: bigint, relayerPubkey: string, isRelayer: boolean, remaining: bigint }>}
+     */
+    async getDelegateAllowance(params) {
+        if (!params.connection) throw new Error('Solana connection is required');
+        if (!params.owner) throw new Error('Wallet is required');
+        if (!params.tokenMint) throw new Error('Token mint address is required');
+
+        const [mintInfo, relayerPubkey] = await Promise.all([
+            getMintInfo(params.connection, params.tokenMint),
+            this.getRelayerPubkey(),
+        ]);
+        const { ata, exists, delegate, delegatedAmount } = await getAtaDelegation(params.connection, params.owner, mintInfo);
+        const isRelayer = !!delegate && delegate.toBase58() === relayerPubkey;
+        return {
+            tokenAccount: ata.toBase58(),
+            exists,
+            delegate: delegate ? delegate.toBase58() : null,
+            delegatedAmount,
+            relayerPubkey,
+            isRelayer,
+            remaining: isRelayer ? delegatedAmount : 0n,
+        };
+    }
+
+    /**
+     * Revoke the delegate of the wallet's token account for a mint
+     * @param {Object} params - { connection, wallet (wallet adapter with sendTransaction), tokenMint, priorityLevel }
+     * @returns {Promise<{ signature: string|null, userTokenAccount: string }>} signature is null when there was no delegate
+     */
+    async revokeRelayerDelegate(params) {
         try {
-            console.log('[CipherPayService] approveRelayerDelegate called with params:', params);
-            
-            // Validate required parameters
             if (!params.connection) throw new Error('Solana connection is required');
-            if (!params.wallet) throw new Error('Wallet is required');
+            if (!params.wallet?.publicKey) throw new Error('Wallet is required');
             if (!params.tokenMint) throw new Error('Token mint address is required');
-            if (!params.amount) throw new Error('Amount is required');
-            
-            // Check if SDK function is available
-            if (!window.CipherPaySDK?.approveRelayerDelegate) {
-                throw new Error('SDK approveRelayerDelegate function not available. Ensure the SDK bundle is loaded.');
-            }
 
-            // Get relayer public key from server
-            const serverUrl = import.meta.env.VITE_SERVER_URL || 'http://localhost:8788';
-            const response = await fetch(`${serverUrl}/api/relayer/info`);
-            if (!response.ok) {
-                throw new Error(`Failed to get relayer info: ${response.status}`);
+            const { Transaction } = await import('@solana/web3.js');
+            const { createRevokeInstruction } = await import('@solana/spl-token');
+
+            const mintInfo = await getMintInfo(params.connection, params.tokenMint);
+            const owner = params.wallet.publicKey;
+            const { ata, delegate } = await getAtaDelegation(params.connection, owner, mintInfo);
+            if (!delegate) {
+                return { signature: null, userTokenAccount: ata.toBase58() };
             }
-            const { relayerPubkey } = await response.json();
-            console.log('[CipherPayService] Relayer pubkey:', relayerPubkey);
 
-            // Import PublicKey
-            const { PublicKey } = await import('@solana/web3.js');
+            const tx = new Transaction().add(createRevokeInstruction(ata, owner, [], mintInfo.programId));
+            const prepared = await prepareTransaction(params.connection, tx, owner, { priorityLevel: params.priorityLevel });
+            assertSimulationOk(await simulateTransaction(params.connection, prepared.transaction));
+            const signature = await sendPreparedTransaction(params.connection, params.wallet.sendTransaction, prepared);
+            console.log('[CipherPayService] Revoked delegate', delegate.toBase58(), 'of', ata.toBase58(), ':', signature);
 
-            // Call SDK approveRelayerDelegate
-            const result = await window.CipherPaySDK.approveRelayerDelegate({
-                connection: params.connection,
-                wallet: params.wallet,
-                tokenMint: new PublicKey(params.tokenMint),
-                relayerPubkey: new PublicKey(relayerPubkey),
-                amount: BigInt(params.amount),
-            });
-            
-            console.log('[CipherPayService] Delegate approval completed:', result);
-            
-            return {
-                signature: result.signature,
-                userTokenAccount: result.userTokenAccount.toBase58(),
-            };
+            return { signature, userTokenAccount: ata.toBase58() };
         } catch (error) {
-            console.error('[CipherPayService] Failed to approve relayer delegate:', error);
+            console.error('[CipherPayService] Failed to revoke relayer delegate:', error);
             throw error;
         }
     }
@@ -1108,6 +1504,8 @@ class CipherPayService {
     async createDeposit(params) {
         if (!this.isInitialized) await this.initialize();
 
+        // Lifecycle record, created once the SDK has prepared the note
+        let operation = null;
         try {
             console.log('[CipherPayService] createDeposit called with params:', params);
             
@@ -1129,14 +1527,16 @@ class CipherPayService {
             // Get auth token for server API calls
             const authToken = localStorage.getItem('cipherpay_token');
 
-            // Prepare token descriptor
+            // Prepare token descriptor (registry values win over the caller's symbol/decimals)
+            const token = getToken(params.tokenMint);
+            const decimals = token?.decimals ?? params.decimals ?? 9;
             const tokenDescriptor = {
                 chain: 'solana',
-                symbol: params.tokenSymbol || 'UNKNOWN',
-                decimals: params.decimals || 9,
+                symbol: token?.symbol || params.tokenSymbol || 'UNKNOWN',
+                decimals,
                 solana: {
                     mint: params.tokenMint,
-                    decimals: params.decimals || 9,
+                    decimals,
                 }
             };
 
@@ -1149,7 +1549,7 @@ class CipherPayService {
                 token: tokenDescriptor,
                 amount: {
                     atoms: BigInt(params.amount),
-                    decimals: params.decimals || 9,
+                    decimals,
                 },
                 memo: params.memo ? BigInt(params.memo) : 0n,
                 serverUrl,  // UI → Server → Relayer flow
@@ -1163,27 +1563,29 @@ class CipherPayService {
                 useDelegate: params.useDelegate,
             };
 
+            // With awaitCompletion the result carries a promise of the DepositCompleted event; listening
+            // starts before the SDK call because the event can arrive before deposit() returns
+            let depositCommitmentHex = null;
+            const completed = params.awaitCompletion
+                ? this.waitForDepositCompleted(() => depositCommitmentHex)
+                : null;
+
             // Callback to save encrypted note during prepare phase
             const onNoteReady = async (note) => {
                 try {
                     console.log('[CipherPayService] Note ready, encrypting and saving...', note);
+                    // The SDK decides which tokenId the mint maps to; remember it so notes of this token are recognized
+                    rememberTokenId(params.tokenMint, note.tokenId);
                     
                     // Get encryption public key (will validate and recreate if corrupted)
                     const recipientEncPubKeyB64 = getLocalEncPublicKeyB64();
                     
                     // Compute commitment for deposit message (stored in nullifier_hex field for consistency)
-                    const { poseidonHash } = window.CipherPaySDK || {};
-                    if (!poseidonHash) {
-                        throw new Error('SDK poseidonHash not available');
-                    }
-                    const commitment = await poseidonHash([
-                        note.amount,
-                        note.ownerCipherPayPubKey,
-                        note.randomness.r,
-                        note.tokenId,
-                        note.memo || 0n
-                    ]);
-                    const commitmentHex = commitment.toString(16).padStart(64, '0');
+                    const commitment = await noteCommitment(note);
+                    const commitmentHex = toHex64(commitment);
+                    depositCommitmentHex = commitmentHex;
+                    // Match a DepositCompleted that arrived while the commitment was still unknown
+                    completed?.recheck();
                     
                     // Format note data as hex strings (with 0x prefix) for consistency with decrypt function
                     const noteData = {
@@ -1232,6 +1634,17 @@ class CipherPayService {
                     console.warn('[CipherPayService] Failed to save encrypted note message:', error);
                     // Don't throw - deposit can continue even if message save fails
                 }
+
+                // The SDK generates the proof right after this callback
+                operation = await this.startOperation('deposit', {
+                    amount: params.amount,
+                    mint: params.tokenMint,
+                    commitment: depositCommitmentHex,
+                    debit: 0n,
+                    credit: params.amount,
+                });
+                this.followOperation(operation);
+                await this.updateOperation(operation, 'proving');
             };
 
             console.log('[CipherPayService] Calling SDK deposit with params:', {
@@ -1246,15 +1659,22 @@ class CipherPayService {
             const result = await window.CipherPaySDK.deposit(depositParams);
             
             console.log('[CipherPayService] Deposit completed:', result);
+
+            const txHash = result.signature || result.txId;
+            await this.updateOperation(operation, 'submitted', { txHash: txHash || null });
+            if (operation) this.confirmOperation(operation);
             
             return {
-                txHash: result.signature || result.txId,
+                txHash,
                 commitment: result.commitment?.toString(),
                 merkleRoot: result.merkleRoot?.toString(),
                 index: result.index,
+                operationId: operation?.id ?? null,
+                ...(completed ? { completed } : {}),
             };
         } catch (error) {
             console.error('[CipherPayService] Failed to create deposit:', error);
+            await this.markOperationFailed(operation, error);
             throw error;
         }
     }
@@ -1330,11 +1750,13 @@ class CipherPayService {
         }
     }
 
+    // verifierKey may be a verification key object or a circuit name from the circuit registry
     async verifyProof(proof, publicSignals, verifierKey) {
         if (!this.isInitialized) await this.initialize();
 
         try {
-            return await this.sdk.zkProver.verifyProof(proof, publicSignals, verifierKey);
+            const vkey = typeof verifierKey === 'string' ? await getVerificationKey(verifierKey) : verifierKey;
+            return await this.sdk.zkProver.verifyProof(proof, publicSignals, vkey);
         } catch (error) {
             console.error('Failed to verify proof:', error);
             throw error;
@@ -1384,27 +1806,30 @@ class CipherPayService {
     
     /**
      * Get spendable notes for withdraw selection
-     * Returns notes that can be withdrawn (amount >= 0.001 SOL)
+     * Returns notes of registered tokens that meet their token's minimum withdraw amount (0.001 SOL for wSOL)
+     * @param {string|null} mint - Only notes of this token; all registered tokens when omitted
      */
-    async getWithdrawableNotes() {
+    async getWithdrawableNotes(mint = null) {
         if (!this.isInitialized) await this.initialize();
 
         try {
-            // Get spendable notes from backend database
+            // Get spendable notes from the local note store
             const spendable = await this.getSpendableNotes();
             if (spendable.length === 0) {
                 return [];
             }
 
-            // Filter out notes that are less than minimum withdraw amount
-            const MIN_WITHDRAW_AMOUNT = 1_000_000n; // 0.001 SOL
-            const validNotes = spendable.filter(n => BigInt(n.amount) >= MIN_WITHDRAW_AMOUNT);
+            // Filter out notes of unknown tokens and notes below their token's minimum withdraw amount
+            const validNotes = spendable
+                .map(note => ({ note, token: getToken(note.mint) }))
+                .filter(({ note, token }) => token && (!mint || token.mint === mint) && BigInt(note.amount) >= token.minAmount);
             
             // Return notes with formatted amounts for display
-            return validNotes.map(note => ({
+            return validNotes.map(({ note, token }) => ({
                 ...note,
-                amountFormatted: (Number(note.amount) / 1e9).toFixed(9) + ' SOL',
-                amountBigInt: BigInt(note.amount)
+                amountFormatted: formatTokenAmount(note.amount, token, { fixed: true }),
+                amountBigInt: BigInt(note.amount),
+                symbol: token.symbol,
             }));
         } catch (error) {
             console.error('[CipherPayService] Failed to get withdrawable notes:', error);
@@ -1413,15 +1838,219 @@ class CipherPayService {
     }
 
     /**
-     * Withdraw the full amount of a selected note
+     * Plan a withdrawal of an exact amount from a set of notes
+     * A note of exactly the requested amount is withdrawn as is. Otherwise the first note that covers the amount
+     * is split; if none does, notes are taken biggest first and only the last one is split. A split never leaves
+     * change below the token's minimum amount.
+     * @param {Array} notes - Candidate notes
+     * @param {bigint} amount - Amount to withdraw in atoms
+     * @param {Object} token - Registry token the notes belong to (default wSOL)
+     * @returns {{ fullNotes: Array, splitNote: Object|null, splitAmount: bigint, changeAmount: bigint }}
+     */
+    planWithdrawal(notes, amount, token = getDefaultToken()) {
+        const MIN_WITHDRAW_AMOUNT = token.minAmount;
+        if (amount < MIN_WITHDRAW_AMOUNT) {
+            throw new Error(`Minimum withdraw amount is ${formatTokenAmount(MIN_WITHDRAW_AMOUNT, token)}. Requested: ${formatTokenAmount(amount, token)}`);
+        }
+
+        const validNotes = notes.filter(n => BigInt(n.amount) >= MIN_WITHDRAW_AMOUNT);
+        const totalAvailable = validNotes.reduce((sum, n) => sum + BigInt(n.amount), 0n);
+        if (totalAvailable < amount) {
+            throw new Error('Available shield balance insufficient');
+        }
+
+        const exactNote = validNotes.find(n => BigInt(n.amount) === amount);
+        if (exactNote) {
+            return { fullNotes: [exactNote], splitNote: null, splitAmount: 0n, changeAmount: 0n };
+        }
+
+        // The change of a split stays shielded as a note of its own, so it has to meet the minimum too
+        const singleNote = validNotes.find(n => BigInt(n.amount) - amount >= MIN_WITHDRAW_AMOUNT);
+        if (singleNote) {
+            return { fullNotes: [], splitNote: singleNote, splitAmount: amount, changeAmount: BigInt(singleNote.amount) - amount };
+        }
+
+        const sortedNotes = [...validNotes].sort((a, b) => {
+            const amountA = BigInt(a.amount);
+            const amountB = BigInt(b.amount);
+            if (amountB > amountA) return 1;
+            if (amountB < amountA) return -1;
+            return 0;
+        });
+
+        const fullNotes = [];
+        let remaining = amount;
+        for (const note of sortedNotes) {
+            const noteAmount = BigInt(note.amount);
+            if (noteAmount <= remaining) {
+                fullNotes.push(note);
+                remaining -= noteAmount;
+                if (remaining === 0n) break;
+                continue;
+            }
+            // The split part is itself withdrawn, so it has to meet the minimum as well (and so does the change)
+            if (remaining >= MIN_WITHDRAW_AMOUNT && noteAmount - remaining >= MIN_WITHDRAW_AMOUNT) {
+                return { fullNotes, splitNote: note, splitAmount: remaining, changeAmount: noteAmount - remaining };
+            }
+        }
+        if (remaining !== 0n) {
+            throw new Error('Cannot withdraw this exact amount from the available notes; try a slightly different amount');
+        }
+        return { fullNotes, splitNote: null, splitAmount: 0n, changeAmount: 0n };
+    }
+
+    /**
+     * Withdraw a selected note, or an exact amount taken from one or more notes
+     * Without options.amount the full amount of selectedNote is withdrawn.
+     * With options.amount, notes are picked with planWithdrawal (from selectedNote if given, otherwise from all
+     * withdrawable notes of options.mint, default wSOL). A note larger than what is still needed is first split by
+     * a transfer to ourselves: out1 carries the amount to withdraw and out2 the change, which is encrypted back to
+     * us as a message.
+     * @param {Object|null} selectedNote - Note to withdraw from; null to pick notes automatically
+     * @param {string} recipientSolanaAddress - Solana wallet address to receive the funds
+     * @param {Object} options - { amount, mint, onStage, signal, awaitCompletion }; with awaitCompletion the
+     *   result carries `completed`, a promise of the WithdrawCompleted event(s) (null entries on timeout)
+     */
+    async withdraw(selectedNote, recipientSolanaAddress, options = {}) {
+        if (!this.isInitialized) await this.initialize();
+
+        const { amount, mint, ...proofOptions } = options;
+        if (amount === undefined || amount === null) {
+            if (!selectedNote) throw new Error('Note is required');
+            await this.reserveNotes([selectedNote], 'withdraw');
+            try {
+                return await this.withdrawNote(selectedNote, recipientSolanaAddress, proofOptions);
+            } catch (error) {
+                await this.releaseNotes([selectedNote.nullifierHex]);
+                throw error;
+            }
+        }
+
+        // Notes locked for this withdrawal that no operation has taken over yet; released here if it fails
+        let unclaimed = [];
+        try {
+            const withdrawAmount = BigInt(amount);
+            const token = selectedNote ? getTokenForTokenId(selectedNote.tokenId) : (mint ? getToken(mint) : getDefaultToken());
+            if (!token) {
+                throw new Error('Unknown token. Add it to the token registry (VITE_TOKEN_REGISTRY) first.');
+            }
+            const candidates = selectedNote ? [selectedNote] : await this.getWithdrawableNotes(token.mint);
+            const plan = this.planWithdrawal(candidates, withdrawAmount, token);
+            console.log('[CipherPayService] Withdraw plan:', {
+                amount: withdrawAmount.toString(),
+                fullNotes: plan.fullNotes.map(n => n.amount.toString()),
+                splitNote: plan.splitNote?.amount?.toString() || null,
+                splitAmount: plan.splitAmount.toString(),
+                changeAmount: plan.changeAmount.toString()
+            });
+
+            // The split is a transfer; find out it cannot be proven before any note is locked or withdrawn
+            if (plan.splitNote && !(await this.getTransferProver())) {
+                throw new Error('Partial withdrawals split the note with a transfer to yourself, and transfers cannot be proven: the transfer circuit ships no proving key and the SDK transfer function is not available. Withdraw whole notes instead.');
+            }
+
+            const planNotes = [plan.splitNote, ...plan.fullNotes].filter(Boolean);
+            await this.reserveNotes(planNotes, 'withdraw');
+            unclaimed = planNotes;
+
+            const identity = await this.getIdentity();
+            if (!identity) {
+                throw new Error('Identity not found. Please authenticate first.');
+            }
+
+            const withdrawals = [];
+            let splitTransfer = null;
+
+            // Split first: it keeps funds shielded, so a failure here leaves nothing half-withdrawn
+            if (plan.splitNote) {
+                const ownKey = '0x' + toHex64(BigInt(plan.splitNote.ownerCipherPayPubKey));
+                console.log('[CipherPayService] Splitting note for partial withdraw...');
+                // Validated like any other transfer; only the self-transfer guard is lifted
+                const splitPlan = await this.planTransaction(ownKey, plan.splitAmount, plan.splitNote, { allowSelf: true });
+                const [splitStep] = splitPlan.steps;
+                splitTransfer = await this.executeSingleTransfer(identity, splitPlan.recipient, BigInt(splitStep.amount), splitStep.note, proofOptions);
+                unclaimed = unclaimed.filter(note => note !== plan.splitNote);
+                if (!splitTransfer.out1Note) {
+                    throw new Error('Split transfer did not return the note to withdraw');
+                }
+                // The new note only becomes provable once the relayer has indexed it
+                withdrawals.push(await this.withdrawNote(splitTransfer.out1Note, recipientSolanaAddress, { ...proofOptions, prepareAttempts: 5 }));
+            }
+
+            for (const note of plan.fullNotes) {
+                withdrawals.push(await this.withdrawNote(note, recipientSolanaAddress, proofOptions));
+                unclaimed = unclaimed.filter(entry => entry !== note);
+            }
+
+            const last = withdrawals[withdrawals.length - 1];
+            return {
+                amount: withdrawAmount,
+                changeAmount: plan.changeAmount,
+                txHash: last?.txHash,
+                signature: last?.signature,
+                success: withdrawals.every(w => w.success),
+                withdrawals,
+                splitTransfer,
+                ...(proofOptions.awaitCompletion ? { completed: Promise.all(withdrawals.map(w => w.completed)) } : {}),
+            };
+        } catch (error) {
+            console.error('[CipherPayService] Failed to withdraw amount:', error);
+            await this.releaseNotes(unclaimed.map(note => note.nullifierHex));
+            throw error;
+        }
+    }
+
+    /**
+     * Note fragmentation per token: how many notes the spendable balance is spread over, and which are dust
+     * Spending a token's whole balance takes one proof per note, and dust (notes below the token's minimum) can be
+     * neither transferred nor withdrawn. Notes cannot be consolidated yet (see executeTransferPlan), so this only
+     * reports; an entry is `fragmented` from FRAGMENTED_NOTE_COUNT notes or as soon as it holds dust.
+     * @param {string|null} mint - Only notes of this token; all registered tokens when omitted
+     * @returns {Promise<Array<{ token, noteCount, total, proofs, dust, dustTotal, fragmented }>>} One entry per token with notes
+     */
+    async getDustReport(mint = null) {
+        if (!this.isInitialized) await this.initialize();
+
+        const byMint = new Map();
+        for (const note of await this.getSpendableNotes()) {
+            const token = getToken(note.mint);
+            if (!token || (mint && token.mint !== mint)) continue;
+            const entry = byMint.get(token.mint) || { token, noteCount: 0, total: 0n, proofs: 0, dust: [], dustTotal: 0n };
+            const amount = BigInt(note.amount);
+            entry.noteCount++;
+            entry.total += amount;
+            if (amount < token.minAmount) {
+                entry.dust.push(note);
+                entry.dustTotal += amount;
+            } else {
+                entry.proofs++;
+            }
+            byMint.set(token.mint, entry);
+        }
+        return [...byMint.values()].map(entry => ({
+            ...entry,
+            fragmented: entry.noteCount >= FRAGMENTED_NOTE_COUNT || entry.dust.length > 0,
+        }));
+    }
+
+    /**
+     * Withdraw the full amount of a single note
      * @param {Object} selectedNote - The note to withdraw (must have amount, tokenId, ownerCipherPayPubKey, randomness)
      * @param {string} recipientSolanaAddress - Solana wallet address to receive the funds
      */
-    async withdraw(selectedNote, recipientSolanaAddress) {
+    // options: { onStage, signal, prepareAttempts, awaitCompletion } - proof stage callback, AbortSignal for
+    // cancellation, how often to ask the relayer for the merkle path (for notes created moments ago) and whether
+    // to return `completed`, a promise of the WithdrawCompleted event
+    async withdrawNote(selectedNote, recipientSolanaAddress, options = {}) {
         if (!this.isInitialized) await this.initialize();
 
+        const { onStage, signal, prepareAttempts = 1, awaitCompletion = false } = options;
+        // Lifecycle record, created once the merkle path and the withdraw message are in place
+        let operation = null;
         try {
-            console.log('[CipherPayService] withdraw called with selected note:', {
+            throwIfCancelled(signal);
+
+            console.log('[CipherPayService] withdrawNote called with selected note:', {
                 noteAmount: selectedNote.amount?.toString(),
                 recipientSolanaAddress
             });
@@ -1435,11 +2064,17 @@ class CipherPayService {
                 throw new Error('Invalid note structure');
             }
 
-            // Minimum withdraw amount: 0.001 SOL (1,000,000 atoms)
-            const MIN_WITHDRAW_AMOUNT = 1_000_000n; // 0.001 SOL
+            // The relayer pays out in the note's token, so it has to be a registered one
+            const token = getTokenForTokenId(selectedNote.tokenId);
+            if (!token) {
+                throw new Error('Note belongs to a token that is not in the token registry');
+            }
+
+            // Minimum withdraw amount is per token (0.001 SOL for wSOL)
+            const MIN_WITHDRAW_AMOUNT = token.minAmount;
             const noteAmount = BigInt(selectedNote.amount);
             if (noteAmount < MIN_WITHDRAW_AMOUNT) {
-                throw new Error(`Note amount must be at least 0.001 SOL. Current: ${(Number(noteAmount) / 1e9).toFixed(9)} SOL`);
+                throw new Error(`Note amount must be at least ${formatTokenAmount(MIN_WITHDRAW_AMOUNT, token)}. Current: ${formatTokenAmount(noteAmount, token)}`);
             }
 
             // Get identity from stored keys
@@ -1450,7 +2085,7 @@ class CipherPayService {
 
             console.log('[CipherPayService] Withdrawing full amount of selected note:', {
                 noteAmount: noteAmount.toString(),
-                amountFormatted: (Number(noteAmount) / 1e9).toFixed(9) + ' SOL'
+                amountFormatted: formatTokenAmount(noteAmount, token, { fixed: true })
             });
 
             // Get wallet keys from identity
@@ -1458,44 +2093,38 @@ class CipherPayService {
             const recipientWalletPrivKey = identity.ownerWalletPrivKey || BigInt(0);
 
             // Compute commitment for the selected note
-            const { poseidonHash } = window.CipherPaySDK || {};
-            if (!poseidonHash) {
-                throw new Error('SDK poseidonHash not available');
-            }
-
-            const recipientCipherPayPubKey = await poseidonHash([recipientWalletPubKey, recipientWalletPrivKey]);
+            const recipientCipherPayPubKey = await ownerCipherPayPubKey(recipientWalletPubKey, recipientWalletPrivKey);
             // noteAmount already declared above
             const tokenId = BigInt(selectedNote.tokenId);
-            const randomnessValue = selectedNote.randomness;
-            const randomness = BigInt(
-                typeof randomnessValue === 'object' && randomnessValue !== null && randomnessValue.r !== undefined
-                    ? randomnessValue.r
-                    : randomnessValue
-            );
-            const memo = 0n; // Withdraw doesn't use memo
-
-            // Compute commitment
-            const commitment = await poseidonHash([
-                noteAmount,
-                recipientCipherPayPubKey,
-                randomness,
+            const spentNote = {
+                amount: noteAmount,
+                ownerCipherPayPubKey: recipientCipherPayPubKey,
+                randomness: selectedNote.randomness,
                 tokenId,
-                memo
-            ]);
+                memo: 0n, // Withdraw doesn't use memo
+            };
+            const commitment = await noteCommitment(spentNote);
 
             console.log('[CipherPayService] Computed commitment for withdraw:', commitment.toString(16));
 
             // Step 1: Prepare withdraw - get merkle path
             const relayerUrl = this.config.relayerUrl || 'http://localhost:3000';
-            const prepareResponse = await fetch(`${relayerUrl}/api/v1/prepare/withdraw`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    spendCommitment: commitment.toString(10)
-                })
-            });
+            let prepareResponse;
+            for (let attempt = 1; attempt <= prepareAttempts; attempt++) {
+                prepareResponse = await fetch(`${relayerUrl}/api/v1/prepare/withdraw`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        spendCommitment: commitment.toString(10)
+                    })
+                });
+                if (prepareResponse.ok || attempt === prepareAttempts) break;
+                console.log(`[CipherPayService] Commitment not ready for withdraw yet (attempt ${attempt}/${prepareAttempts}), retrying...`);
+                await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+                throwIfCancelled(signal);
+            }
 
             if (!prepareResponse.ok) {
                 const errorText = await prepareResponse.text();
@@ -1512,12 +2141,8 @@ class CipherPayService {
 
             // Step 1.5: Create withdraw message during prepare phase (before proof generation)
             // This follows the same pattern as deposits and transfers
-            const nullifier = await poseidonHash([
-                recipientCipherPayPubKey,
-                randomness,
-                tokenId
-            ]);
-            const nullifierHex = nullifier.toString(16).padStart(64, '0');
+            const nullifier = await noteNullifier(spentNote);
+            const nullifierHex = toHex64(nullifier);
             
             try {
                 const serverUrl = import.meta.env.VITE_SERVER_URL || 'http://localhost:8788';
@@ -1571,30 +2196,36 @@ class CipherPayService {
                 // Don't throw - withdraw can continue even if message save fails
             }
 
-            // Step 2: Split recipient Solana public key into 128-bit limbs
-            // Convert base58 address to bytes, then split into two 16-byte LE integers
+            operation = await this.startOperation('withdraw', {
+                amount: noteAmount,
+                mint: token.mint,
+                recipient: recipientSolanaAddress,
+                nullifier: nullifierHex,
+                debit: noteAmount,
+                credit: 0n,
+            });
+            this.followOperation(operation);
+
+            // Step 2: Build circuit witness inputs
+            // The recipient Solana public key is split into two 128-bit limbs inside the witness builder
             const { PublicKey } = await import('@solana/web3.js');
             const recipientPubKey = new PublicKey(recipientSolanaAddress);
-            const pubKeyBytes = recipientPubKey.toBytes(); // 32 bytes, big-endian/network order
-
-            // Split into two 16-byte chunks and interpret each as little-endian
-            function bigIntFromBytesLE(bytes) {
-                let result = 0n;
-                for (let i = 0; i < bytes.length; i++) {
-                    result += BigInt(bytes[i]) << (8n * BigInt(i));
-                }
-                return result;
-            }
-
-            const loBytes = pubKeyBytes.slice(0, 16);
-            const hiBytes = pubKeyBytes.slice(16, 32);
-            const recipientOwner_lo = bigIntFromBytesLE(loBytes);
-            const recipientOwner_hi = bigIntFromBytesLE(hiBytes);
+            const witness = await buildWithdrawWitness({
+                note: spentNote,
+                recipientWalletPubKey,
+                recipientWalletPrivKey,
+                recipientOwnerBytes: recipientPubKey.toBytes(),
+                // Relayer returns path elements as big-endian hex
+                pathElements: prepareData.pathElements.map(parseHexField),
+                pathIndices: prepareData.pathIndices,
+                merkleRoot: parseHexField(String(prepareData.merkleRoot)),
+            });
+            const witnessInputs = witness.input;
+            const { recipientOwner_lo, recipientOwner_hi } = witness;
 
             // Convert to hex32 for submission (32 hex chars = 16 bytes)
-            const hex32 = (bi) => bi.toString(16).padStart(32, '0');
-            const recipientOwner_lo_hex = hex32(recipientOwner_lo);
-            const recipientOwner_hi_hex = hex32(recipientOwner_hi);
+            const recipientOwner_lo_hex = recipientOwner_lo.toString(16).padStart(32, '0');
+            const recipientOwner_hi_hex = recipientOwner_hi.toString(16).padStart(32, '0');
 
             console.log('[CipherPayService] Recipient owner limbs:', {
                 lo_hex: recipientOwner_lo_hex,
@@ -1603,43 +2234,28 @@ class CipherPayService {
                 hi_dec: recipientOwner_hi.toString()
             });
 
-            // Step 3: Build circuit witness inputs
-            const FQ = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
-            const modF = (x) => ((x % FQ) + FQ) % FQ;
-
-            // Convert path elements from hex (BE) to bigint
-            const pathElements = prepareData.pathElements.map(hex => {
-                // Convert BE hex to bigint
-                const hexStr = hex.startsWith('0x') ? hex.slice(2) : hex;
-                return modF(BigInt('0x' + hexStr));
-            });
-
-            const witnessInputs = {
-                recipientOwner_lo: modF(recipientOwner_lo).toString(),
-                recipientOwner_hi: modF(recipientOwner_hi).toString(),
-                recipientWalletPubKey: modF(recipientWalletPubKey).toString(),
-                recipientWalletPrivKey: modF(recipientWalletPrivKey).toString(),
-                amount: modF(noteAmount).toString(),
-                tokenId: modF(tokenId).toString(),
-                randomness: modF(randomness).toString(),
-                memo: modF(memo).toString(),
-                pathElements: pathElements.map(p => p.toString()),
-                pathIndices: prepareData.pathIndices,
-                commitment: modF(commitment).toString()
-            };
-
             console.log('[CipherPayService] Withdraw witness inputs prepared');
 
-            // Step 4: Generate withdraw proof
+            // Step 3: Generate withdraw proof
             // Note: nullifier was already computed above for message creation
+            throwIfCancelled(signal);
+            await this.updateOperation(operation, 'proving');
 
             // Try to generate proof using SDK's proof generation utilities
             // Check if SDK has withdraw proof generation capability
             let proof = null;
             let publicSignals = [];
             
-            // Try to use SDK's zkProver if available
-            if (this.sdk?.zkProver?.generateWithdrawProof) {
+            // Prefer the prover worker (keeps the UI responsive, supports cancellation);
+            // fall back to SDK's zkProver on the main thread when Web Workers are unavailable
+            if (typeof Worker !== 'undefined') {
+                console.log('[CipherPayService] Generating withdraw proof in prover worker...');
+                // Verification happens below, together with the public signal check
+                const proofResult = await generateProofInWorker('withdraw', witnessInputs, { onStage, signal, verify: false });
+                proof = proofResult.proof;
+                publicSignals = proofResult.publicSignals;
+                console.log('[CipherPayService] Withdraw proof generated successfully');
+            } else if (this.sdk?.zkProver?.generateWithdrawProof) {
                 try {
                     console.log('[CipherPayService] Generating withdraw proof using SDK zkProver...');
                     const proofResult = await this.sdk.zkProver.generateWithdrawProof(witnessInputs);
@@ -1660,11 +2276,21 @@ class CipherPayService {
                 );
             }
 
-            // Step 5: Submit withdraw to relayer
+            // Step 3.5: Verify the proof locally against withdraw_vkey.json before it reaches the relayer.
+            // The expected values are exactly what the submit body below tells the relayer,
+            // so witness mistakes (limb split, modF) are reported by signal name instead of as relayer errors.
+            throwIfCancelled(signal);
+            onStage?.('verifying');
+            await verifyProofLocally('withdraw', proof, publicSignals, witness.publicSignals);
+
+            // Step 4: Submit withdraw to relayer
+            // Last point where cancelling still has no on-chain effect
+            throwIfCancelled(signal);
+            onStage?.('submitting');
             const relayerApiKey = this.config.relayerApiKey;
             const submitBody = {
                 operation: 'withdraw',
-                tokenMint: 'So11111111111111111111111111111111111111112', // wSOL mint
+                tokenMint: token.mint,
                 proof: proof,
                 publicSignals: publicSignals,
                 nullifier: nullifier.toString(16).padStart(64, '0'),
@@ -1678,6 +2304,9 @@ class CipherPayService {
                 // recipientTokenAccount will be derived by relayer from recipientOwner
             };
 
+            // Listen before submitting: the event can arrive before the relayer answers
+            const completed = awaitCompletion ? this.waitForWithdrawCompleted(() => nullifierHex) : null;
+
             console.log('[CipherPayService] Submitting withdraw to relayer...');
             const submitResponse = await fetch(`${relayerUrl}/api/v1/submit/withdraw`, {
                 method: 'POST',
@@ -1695,17 +2324,24 @@ class CipherPayService {
 
             const submitResult = await submitResponse.json();
             console.log('[CipherPayService] Withdraw submitted successfully:', submitResult);
+            const signature = submitResult.signature || submitResult.txid || submitResult.txSig;
+            await this.updateOperation(operation, 'submitted', { txHash: signature || null });
+            this.confirmOperation(operation);
 
             // Note: Message was already created during prepare phase
             // It will be updated by the event listener when WithdrawCompleted event is received
 
             return {
-                txHash: submitResult.signature || submitResult.txid || submitResult.txSig || 'pending',
-                signature: submitResult.signature || submitResult.txid || submitResult.txSig,
-                success: submitResult.ok !== false
+                amount: noteAmount,
+                txHash: signature || 'pending',
+                signature,
+                success: submitResult.ok !== false,
+                operationId: operation.id,
+                ...(completed ? { completed } : {}),
             };
         } catch (error) {
             console.error('[CipherPayService] Failed to withdraw:', error);
+            await this.markOperationFailed(operation, error);
             throw error;
         }
     }
@@ -1761,7 +2397,7 @@ class CipherPayService {
         };
     }
 
-    // Account Overview from Backend (decrypts messages.ciphertext)
+    // Account Overview from Backend (syncs new messages.ciphertext into the note store)
     async getAccountOverviewFromBackend(options = {}) {
         try {
             const overview = await fetchAccountOverview(options);
@@ -1772,6 +2408,32 @@ class CipherPayService {
         }
     }
 
+    // Account Overview from the local note store (no network)
+    async getStoredAccountOverview() {
+        try {
+            return await getStoredAccountOverview();
+        } catch (error) {
+            console.error('[CipherPayService] Failed to read account overview from note store:', error);
+            throw error;
+        }
+    }
+
+    // Re-read the note store after another tab changed it
+    async reloadStoredAccountOverview() {
+        invalidateEntryCache();
+        return this.getStoredAccountOverview();
+    }
+
+    // Apply a completion event to the note store instead of a full sync; see accountOverviewService.applyCompletionEvent
+    async applyCompletionEvent(event) {
+        try {
+            return await applyCompletionEvent(event);
+        } catch (error) {
+            console.error('[CipherPayService] Failed to apply completion event:', error);
+            throw error;
+        }
+    }
+
     async getMessagesFromBackend(options = {}) {
         try {
             return await fetchMessages(options);
@@ -1814,21 +2476,292 @@ class CipherPayService {
         console.log(`[CipherPayService] Event listener removed for: ${eventType}`);
     }
 
+    on(eventType, callback) {
+        this.addEventListener(eventType, callback);
+    }
+
+    off(eventType, callback) {
+        this.removeEventListener(eventType, callback);
+    }
+
+    /**
+     * Wait for the completion SSE event of one of our operations
+     * Only an event carrying the expected value (commitment for deposits, nullifier for transfers and withdrawals)
+     * is taken; replayed events and events relayed from other tabs are for other operations. Events that arrive
+     * before the expected value is known are kept and matched when recheck() is called on the returned promise.
+     * @param {string} eventType - 'depositCompleted', 'transferCompleted' or 'withdrawCompleted'
+     * @param {Function} getValues - (event) => the event's values to match, as 64-digit hex
+     * @param {Function} getExpected - Returns the expected value (64-digit hex, with or without 0x) once it is known
+     * @param {number} timeoutMs
+     * @returns {Promise<Object|null>} The event, or null when none arrived in time; has a recheck() method
+     */
+    waitForCompletionEvent(eventType, getValues, getExpected, timeoutMs = COMPLETION_EVENT_TIMEOUT_MS) {
+        const early = [];
+        let recheck = () => {};
+        const promise = new Promise(resolve => {
+            let timer = null;
+            let listener = null;
+            const finish = (data) => {
+                clearTimeout(timer);
+                this.off(eventType, listener);
+                early.length = 0;
+                recheck = () => {};
+                resolve(data);
+            };
+            const matches = (data, expected) => {
+                const wanted = String(expected).replace(/^0x/i, '').toLowerCase().padStart(64, '0');
+                return getValues(data).includes(wanted);
+            };
+            listener = (data) => {
+                const expected = getExpected();
+                if (!expected) {
+                    early.push(data);
+                } else if (matches(data, expected)) {
+                    finish(data);
+                }
+            };
+            recheck = () => {
+                const expected = getExpected();
+                if (!expected) return;
+                const match = early.find(data => matches(data, expected));
+                early.length = 0;
+                if (match) finish(match);
+            };
+            timer = setTimeout(() => finish(null), timeoutMs);
+            this.on(eventType, listener);
+        });
+        promise.recheck = () => recheck();
+        return promise;
+    }
+
+    waitForDepositCompleted(getCommitment, timeoutMs) {
+        return this.waitForCompletionEvent('depositCompleted', event => parseCompletionEvent(event).commitmentHexes, getCommitment, timeoutMs);
+    }
+
+    waitForWithdrawCompleted(getNullifier, timeoutMs) {
+        return this.waitForCompletionEvent('withdrawCompleted', event => [parseCompletionEvent(event).nullifierHex], getNullifier, timeoutMs);
+    }
+
+    waitForTransferCompleted(getNullifier, timeoutMs) {
+        return this.waitForCompletionEvent('transferCompleted', event => [parseCompletionEvent(event).nullifierHex], getNullifier, timeoutMs);
+    }
+
+    // Operation lifecycle (see operationLifecycle.js)
+    // Every change is persisted and emitted as 'operationUpdate' with a snapshot of the record.
+
+    async getConnection() {
+        if (!this.connection) {
+            const { Connection } = await import('@solana/web3.js');
+            this.connection = new Connection(this.config.rpcUrl, 'confirmed');
+        }
+        return this.connection;
+    }
+
+    async startOperation(kind, fields) {
+        const operation = createOperation(kind, fields);
+        this.activeOperations.set(operation.id, operation);
+        await this.reportOperation(operation);
+        return operation;
+    }
+
+    async updateOperation(operation, stage, fields = {}) {
+        if (!operation || !advanceOperation(operation, stage, fields)) return;
+        await this.reportOperation(operation);
+    }
+
+    async markOperationFailed(operation, error) {
+        if (!operation || !failOperation(operation, error)) return;
+        await this.reportOperation(operation);
+    }
+
+    async reportOperation(operation) {
+        if (isOperationFinished(operation)) {
+            this.activeOperations.delete(operation.id);
+            // The spent note is either marked spent now, or still unspent because the operation failed
+            if (operation.nullifier) this.releaseNotes([operation.nullifier]);
+        }
+        await saveOperation(operation);
+        const snapshot = toOperationSnapshot(operation);
+        this.emit('operationUpdate', snapshot);
+        postTabMessage('operationUpdate', snapshot);
+    }
+
+    // An operation running in another tab changed: show it here, and do not report it as interrupted
+    applyRemoteOperation(snapshot) {
+        if (isOperationFinished(snapshot)) {
+            this.remoteOperationIds.delete(snapshot.id);
+        } else {
+            this.remoteOperationIds.add(snapshot.id);
+        }
+        this.emit('operationUpdate', snapshot);
+    }
+
+    /**
+     * Listen for the completion event of an operation and mark it indexed when it arrives
+     * Call before submitting: the event can arrive before the relayer answers.
+     * @param {Object} operation - Record with its commitment (deposit) or nullifier (transfer, withdraw)
+     */
+    followOperation(operation) {
+        if (this.followedOperationIds.has(operation.id)) return;
+        this.followedOperationIds.add(operation.id);
+
+        const getExpected = () => (operation.kind === 'deposit' ? operation.commitment : operation.nullifier);
+        const completed = operation.kind === 'deposit'
+            ? this.waitForDepositCompleted(getExpected, OPERATION_FOLLOW_TIMEOUT_MS)
+            : operation.kind === 'withdraw'
+                ? this.waitForWithdrawCompleted(getExpected, OPERATION_FOLLOW_TIMEOUT_MS)
+                : this.waitForTransferCompleted(getExpected, OPERATION_FOLLOW_TIMEOUT_MS);
+
+        completed
+            .then(event => (event ? this.updateOperation(operation, 'indexed') : null))
+            .catch(error => console.warn('[CipherPayService] Failed to follow operation', operation.id, error))
+            .finally(() => {
+                this.followedOperationIds.delete(operation.id);
+                // A submitted operation that is no longer followed is picked up again by resumeOperations
+                if (!isOperationFinished(operation) && LIFECYCLE_STAGES.indexOf(operation.status) >= LIFECYCLE_STAGES.indexOf('submitted')) {
+                    this.activeOperations.delete(operation.id);
+                    // Its completion event did not arrive in time; do not keep the note locked indefinitely
+                    if (operation.nullifier) this.releaseNotes([operation.nullifier]);
+                }
+            });
+    }
+
+    /**
+     * Poll the signature of a submitted operation until it is confirmed, or mark the operation failed when the
+     * transaction failed on-chain
+     * @param {Object} operation
+     * @param {number} timeoutMs
+     */
+    async confirmOperation(operation, timeoutMs = OPERATION_FOLLOW_TIMEOUT_MS) {
+        if (!operation.txHash || operation.txHash === 'pending') return;
+        try {
+            const connection = await this.getConnection();
+            const deadline = Date.now() + timeoutMs;
+            while (Date.now() < deadline && operation.status === 'submitted') {
+                const { value } = await connection.getSignatureStatuses([operation.txHash], { searchTransactionHistory: true });
+                const status = value[0];
+                if (status?.err) {
+                    await this.markOperationFailed(operation, `Transaction failed on-chain: ${JSON.stringify(status.err)}`);
+                    return;
+                }
+                if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+                    await this.updateOperation(operation, 'confirmed');
+                    return;
+                }
+                await new Promise(resolve => setTimeout(resolve, SIGNATURE_POLL_INTERVAL_MS));
+            }
+        } catch (error) {
+            console.warn('[CipherPayService] Failed to confirm operation', operation.id, error);
+        }
+    }
+
+    /**
+     * Load the signed-in account's operations and pick up submitted ones that this tab is not following
+     * (e.g. after a reload): operations the note store already shows as done are marked indexed, the others
+     * are followed again.
+     * @returns {Promise<Array>} Operation snapshots, newest first
+     */
+    async resumeOperations() {
+        const operations = await loadOperations({
+            activeIds: new Set([...this.activeOperations.keys(), ...this.remoteOperationIds]),
+        });
+        const indexed = await findIndexedOperations(operations).catch(error => {
+            console.warn('[CipherPayService] Failed to reconcile operations with the note store:', error);
+            return new Set();
+        });
+
+        const snapshots = [];
+        for (const stored of operations) {
+            const operation = this.activeOperations.get(stored.id) || stored;
+            if (indexed.has(operation.id)) {
+                await this.updateOperation(operation, 'indexed');
+            } else if (['submitted', 'confirmed'].includes(operation.status) && !this.activeOperations.has(operation.id)) {
+                console.log('[CipherPayService] Resuming', operation.kind, 'operation', operation.id, 'at', operation.status);
+                this.activeOperations.set(operation.id, operation);
+                // Its note is still being spent; another tab following it may hold the lock already
+                if (operation.nullifier) {
+                    this.reserveNotes([{ nullifierHex: operation.nullifier }], operation.kind).catch(() => null);
+                }
+                this.followOperation(operation);
+                this.confirmOperation(operation);
+            }
+            snapshots.push(toOperationSnapshot(operation));
+        }
+        return snapshots;
+    }
+
+    // Forget a finished (or interrupted) operation
+    async dismissOperation(id) {
+        const operation = this.activeOperations.get(id);
+        if (operation && !isOperationFinished(operation)) {
+            throw new Error('Operation is still in progress');
+        }
+        await removeOperation(id);
+    }
+
+    /**
+     * Unwrap wSOL: close the wallet's wSOL token account, which returns its balance and rent as native SOL
+     * Closing the account also drops any delegate approval on it. With onlyAmount (e.g. a withdrawal that just
+     * arrived) the account is only closed when it holds exactly that amount and has no delegate, so wSOL wrapped
+     * earlier and a relayer allowance are not taken along; otherwise it is left as it is and skipped is true.
+     * @param {Object} params - { connection, wallet (wallet adapter with sendTransaction), priorityLevel, onlyAmount }
+     * @returns {Promise<{ signature: string|null, amount: bigint, skipped?: boolean }>} signature is null when nothing was sent
+     */
+    async unwrapWsol(params) {
+        try {
+            if (!params.connection) throw new Error('Solana connection is required');
+            if (!params.wallet?.publicKey) throw new Error('Wallet is required');
+
+            const { Transaction } = await import('@solana/web3.js');
+            const { createCloseAccountInstruction } = await import('@solana/spl-token');
+
+            const mintInfo = await getMintInfo(params.connection, WSOL_MINT);
+            const owner = params.wallet.publicKey;
+            const { ata, exists, amount, delegate } = await getAtaDelegation(params.connection, owner, mintInfo);
+            if (!exists) {
+                return { signature: null, amount: 0n };
+            }
+            if (params.onlyAmount !== undefined && params.onlyAmount !== null
+                && (amount !== BigInt(params.onlyAmount) || delegate)) {
+                console.log('[CipherPayService] Not unwrapping: the wSOL account holds', amount.toString(), 'lamports, expected', params.onlyAmount.toString(), delegate ? '(and has a delegate)' : '');
+                return { signature: null, amount, skipped: true };
+            }
+
+            const tx = new Transaction().add(createCloseAccountInstruction(ata, owner, owner, [], mintInfo.programId));
+            const prepared = await prepareTransaction(params.connection, tx, owner, { priorityLevel: params.priorityLevel });
+            assertSimulationOk(await simulateTransaction(params.connection, prepared.transaction));
+            const signature = await sendPreparedTransaction(params.connection, params.wallet.sendTransaction, prepared);
+            console.log('[CipherPayService] Unwrapped', amount.toString(), 'lamports of wSOL:', signature);
+
+            return { signature, amount };
+        } catch (error) {
+            console.error('[CipherPayService] Failed to unwrap wSOL:', error);
+            throw error;
+        }
+    }
+
+    // Resolves once every listener is done, including async ones; listener errors are logged, not thrown
     emit(eventType, data) {
         console.log(`[CipherPayService] Emitting event: ${eventType}`, data);
-        if (!this.eventListeners[eventType]) return;
-        this.eventListeners[eventType].forEach(callback => {
+        if (!this.eventListeners[eventType]) return Promise.resolve();
+        return Promise.all(this.eventListeners[eventType].map(async callback => {
             try {
-                callback(data);
+                await callback(data);
             } catch (error) {
                 console.error(`[CipherPayService] Error in event listener for ${eventType}:`, error);
             }
-        });
+        }));
     }
 
     // Start event monitoring via Server SSE (not relayer API)
+    // The stream (see eventStream.js) reconnects by itself and resumes from the last event id, which is kept
+    // per account in localStorage so events that arrived while the app was closed are replayed too.
+    // Connection changes are emitted as 'eventStreamState'.
+    // With several tabs open only the leader tab calls this; events and state are forwarded to the others
+    // (see tabCoordinator.js), which replay them with dispatchStreamEvent / setEventStreamState.
     async startEventMonitoring(recipientKey) {
-        if (this.eventMonitoringActive) {
+        if (this.eventMonitoringActive && this.eventStreamRecipientKey === recipientKey
+            && this.eventStreamState?.status !== 'unauthorized') {
             console.log('[CipherPayService] Event monitoring already active');
             return;
         }
@@ -1838,56 +2771,54 @@ class CipherPayService {
             return;
         }
 
+        // Another account, or a session the server rejected: start over with the current token
+        if (this.eventMonitoringActive) {
+            this.stopEventMonitoring();
+        }
+
         console.log('[CipherPayService] Starting SSE event monitoring for:', recipientKey);
         this.eventMonitoringActive = true;
+        this.eventStreamRecipientKey = recipientKey;
 
         try {
             const serverUrl = import.meta.env.VITE_SERVER_URL || 'http://localhost:8788';
-            // EventSource doesn't support custom headers, so pass token as query param if needed
-            const token = localStorage.getItem('cipherpay_token');
-            const url = token 
-                ? `${serverUrl}/stream?recipientKey=${recipientKey}&token=${encodeURIComponent(token)}`
-                : `${serverUrl}/stream?recipientKey=${recipientKey}`;
-            const eventSource = new EventSource(url);
-
-            eventSource.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    console.log('[CipherPayService] SSE event received:', data);
-                    
-                    // Emit specific event types
-                    if (data.type === 'DepositCompleted') {
-                        console.log('[CipherPayService] Deposit completed event:', data);
-                        this.emit('depositCompleted', data);
-                    } else if (data.type === 'TransferCompleted') {
-                        console.log('[CipherPayService] Transfer completed event:', data);
-                        this.emit('transferCompleted', data);
-                    } else if (data.type === 'WithdrawCompleted') {
-                        console.log('[CipherPayService] Withdraw completed event:', data);
-                        this.emit('withdrawCompleted', data);
+            const cursorKey = `${EVENT_CURSOR_KEY_PREFIX}${recipientKey.toLowerCase()}`;
+            const stream = openEventStream({
+                url: `${serverUrl}/stream?recipientKey=${encodeURIComponent(recipientKey)}`,
+                // The token goes in the Authorization header, never in the URL
+                getAuthToken: () => localStorage.getItem('cipherpay_token'),
+                lastEventId: localStorage.getItem(cursorKey),
+                onStateChange: (state) => {
+                    this.setEventStreamState(state);
+                    postTabMessage('eventStreamState', state);
+                },
+                // The stream waits for this before delivering the next event
+                onEvent: async ({ id, data: raw }) => {
+                    let data;
+                    try {
+                        data = JSON.parse(raw);
+                    } catch (error) {
+                        console.error('[CipherPayService] Error parsing SSE event:', error);
+                        return;
                     }
-                    
-                    // Emit generic event for any listeners
-                    this.emit('event', data);
-                } catch (error) {
-                    console.error('[CipherPayService] Error parsing SSE event:', error);
-                }
-            };
+                    console.log('[CipherPayService] SSE event received:', data);
+                    postTabMessage('event', data);
+                    await this.dispatchStreamEvent(data);
 
-            eventSource.onerror = (error) => {
-                console.error('[CipherPayService] SSE connection error:', error);
-                if (eventSource.readyState === EventSource.CLOSED) {
-                    console.log('[CipherPayService] SSE connection closed, stopping monitoring');
-                    this.eventMonitoringActive = false;
-                }
-            };
+                    // Only advance the cursor once the event was handled (applied to the note store)
+                    if (id !== null) {
+                        localStorage.setItem(cursorKey, id);
+                    }
+                },
+            });
 
             // Store reference to close later
             this.stopEventStream = () => {
-                eventSource.close();
+                stream.close();
                 console.log('[CipherPayService] SSE connection closed');
             };
-            
+            this.reconnectEventStreamNow = stream.reconnect;
+
             console.log('[CipherPayService] SSE event monitoring started successfully');
         } catch (error) {
             console.error('[CipherPayService] Failed to start SSE event monitoring:', error);
@@ -1895,6 +2826,27 @@ class CipherPayService {
         }
     }
 
+    // Emit the service events for an event from the stream (this tab's, or forwarded by the leader tab)
+    // Resolves once the listeners handled it (e.g. the event was applied to the note store)
+    async dispatchStreamEvent(data) {
+        const handled = [];
+        // Emit specific event types
+        if (data.type === 'DepositCompleted') {
+            console.log('[CipherPayService] Deposit completed event:', data);
+            handled.push(this.emit('depositCompleted', data));
+        } else if (data.type === 'TransferCompleted') {
+            console.log('[CipherPayService] Transfer completed event:', data);
+            handled.push(this.emit('transferCompleted', data));
+        } else if (data.type === 'WithdrawCompleted') {
+            console.log('[CipherPayService] Withdraw completed event:', data);
+            handled.push(this.emit('withdrawCompleted', data));
+        }
+
+        // Emit generic event for any listeners
+        handled.push(this.emit('event', data));
+        await Promise.all(handled);
+    }
+
     stopEventMonitoring() {
         if (!this.eventMonitoringActive) {
             console.log('[CipherPayService] Event monitoring not active');
@@ -1906,10 +2858,33 @@ class CipherPayService {
             this.stopEventStream();
             this.stopEventStream = null;
         }
+        this.reconnectEventStreamNow = null;
+        this.eventStreamRecipientKey = null;
         this.eventMonitoringActive = false;
         console.log('[CipherPayService] Event monitoring stopped');
     }
 
+    // Connection state of the event stream (null before monitoring started)
+    getEventStreamState() {
+        return this.eventStreamState;
+    }
+
+    // State of this tab's stream, or of the leader tab's stream in a follower tab
+    setEventStreamState(state) {
+        this.eventStreamState = state;
+        this.emit('eventStreamState', state);
+    }
+
+    // Reconnect the event stream now instead of waiting for the next backoff attempt
+    // A follower tab has no stream of its own and asks the leader tab
+    reconnectEventStream() {
+        if (this.reconnectEventStreamNow) {
+            this.reconnectEventStreamNow();
+        } else if (!isTabLeader()) {
+            postTabMessage('reconnectStream');
+        }
+    }
+
     // Configuration Management
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
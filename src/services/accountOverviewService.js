@@ -1,7 +1,21 @@
 // Account Overview Service
-// Fetches messages from backend, decrypts them, and computes account overview
+// Syncs messages from backend into the local note store, decrypts them, and computes account overview
 
 import { decryptFromSenderForMe } from '../lib/e2ee';
+import { parseDecryptedNote } from '../lib/noteCodec';
+import { decryptMessagesInWorker } from './decryptWorkerClient';
+import { buildLocalAccountOverview, checkNullifiersSpent, deriveNoteEntry, summarizeOverview } from './overviewEngine';
+import { toHex64 } from '../lib/witness';
+import { postTabMessage } from './tabCoordinator';
+import {
+  getStoreAccount,
+  getStoredNotes,
+  getStoredCommitments,
+  putNotes,
+  markNullifiersSpent,
+  getSyncState,
+  setSyncState,
+} from './noteStore';
 
 // Use empty string in dev to use Vite proxy (same-origin), or explicit URL in production
 const API_BASE_URL = import.meta.env.VITE_SERVER_URL || import.meta.env.VITE_API_URL || (import.meta.env.DEV ? '' : 'http://localhost:8788');
@@ -117,54 +131,17 @@ export function decryptMessages(messages) {
   
   for (const msg of messages) {
     try {
-      console.log(`[accountOverviewService] Attempting to decrypt message ${msg.id}, kind: ${msg.kind}`);
-      console.log(`[accountOverviewService] Ciphertext type: ${typeof msg.ciphertext}, length: ${msg.ciphertext?.length}`);
-      console.log(`[accountOverviewService] Ciphertext preview: ${msg.ciphertext?.substring(0, 100)}...`);
-      
       // Decrypt the ciphertext
       const decrypted = decryptFromSenderForMe(msg.ciphertext);
       
-      console.log(`[accountOverviewService] Decryption result:`, decrypted ? 'success' : 'failed (null)');
-      if (decrypted) {
-        console.log(`[accountOverviewService] Decrypted keys:`, Object.keys(decrypted));
-        console.log(`[accountOverviewService] Has note property:`, !!decrypted.note);
-        if (decrypted.note) {
-          console.log(`[accountOverviewService] Note keys:`, Object.keys(decrypted.note));
-        }
-      }
-      
       if (decrypted && decrypted.note) {
-        // Convert hex strings to BigInt if needed
-        const note = {
-          amount: typeof decrypted.note.amount === 'string' 
-            ? BigInt(decrypted.note.amount.startsWith('0x') ? decrypted.note.amount : `0x${decrypted.note.amount}`)
-            : BigInt(decrypted.note.amount),
-          tokenId: typeof decrypted.note.tokenId === 'string'
-            ? BigInt(decrypted.note.tokenId.startsWith('0x') ? decrypted.note.tokenId : `0x${decrypted.note.tokenId}`)
-            : BigInt(decrypted.note.tokenId),
-          ownerCipherPayPubKey: typeof decrypted.note.ownerCipherPayPubKey === 'string'
-            ? BigInt(decrypted.note.ownerCipherPayPubKey.startsWith('0x') ? decrypted.note.ownerCipherPayPubKey : `0x${decrypted.note.ownerCipherPayPubKey}`)
-            : BigInt(decrypted.note.ownerCipherPayPubKey),
-          randomness: {
-            r: typeof decrypted.note.randomness?.r === 'string'
-              ? BigInt(decrypted.note.randomness.r.startsWith('0x') ? decrypted.note.randomness.r : `0x${decrypted.note.randomness.r}`)
-              : BigInt(decrypted.note.randomness?.r || 0),
-            s: decrypted.note.randomness?.s 
-              ? (typeof decrypted.note.randomness.s === 'string'
-                  ? BigInt(decrypted.note.randomness.s.startsWith('0x') ? decrypted.note.randomness.s : `0x${decrypted.note.randomness.s}`)
-                  : BigInt(decrypted.note.randomness.s))
-              : undefined,
-          },
-          memo: decrypted.note.memo,
-        };
-        console.log(`[accountOverviewService] Successfully decrypted and parsed note from message ${msg.id}`);
-        notes.push(note);
+        // Convert hex strings to BigInt
+        notes.push(parseDecryptedNote(decrypted.note));
       } else {
         console.warn(`[accountOverviewService] Message ${msg.id} decryption returned null or missing note property`);
       }
     } catch (error) {
       console.error(`[accountOverviewService] Failed to decrypt message ${msg.id}:`, error);
-      console.error(`[accountOverviewService] Error stack:`, error.stack);
       // Continue with other messages
     }
   }
@@ -174,6 +151,7 @@ export function decryptMessages(messages) {
 
 /**
  * Compute account overview from decrypted notes
+ * Commitments and nullifiers are computed locally; only nullifier spent-status is queried
  * @param {Array} notes - Array of decrypted notes
  * @param {boolean} checkOnChain - Whether to check on-chain for nullifiers not in DB
  * @returns {Promise<Object>} Account overview object
@@ -184,93 +162,288 @@ export async function computeAccountOverview(notes, checkOnChain = false) {
     throw new Error('Not authenticated');
   }
 
-  // Convert notes to the format expected by the API (BigInts as hex strings)
-  const notesForAPI = notes.map(note => ({
-    amount: `0x${note.amount.toString(16)}`,
-    tokenId: `0x${note.tokenId.toString(16)}`,
-    ownerCipherPayPubKey: `0x${note.ownerCipherPayPubKey.toString(16)}`,
-    randomness: {
-      r: `0x${note.randomness.r.toString(16)}`,
-      s: note.randomness.s ? `0x${note.randomness.s.toString(16)}` : undefined,
-    },
-    memo: note.memo,
-  }));
-
-  const response = await fetch(`${API_BASE_URL}/api/v1/account/overview`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      notes: notesForAPI,
-      checkOnChain,
-    }),
-  });
+  return buildLocalAccountOverview(notes, checkOnChain);
+}
 
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({ message: 'Failed to compute account overview' }));
-    throw new Error(error.message || `HTTP ${response.status}`);
+// Page size used when walking /api/v1/messages during sync
+const SYNC_PAGE_SIZE = 100;
+
+// Only one sync per account at a time
+const inFlightSyncs = new Map();
+
+// In-memory copy of each account's stored note entries, so completion events and repeated overview reads do not
+// decrypt the whole store again. All writes to the store go through this module and keep it current;
+// a full sync reloads it from the store.
+const entryCache = new Map();
+
+async function loadEntries(account) {
+  if (!entryCache.has(account)) {
+    entryCache.set(account, await getStoredNotes(account));
   }
+  return entryCache.get(account);
+}
 
-  const result = await response.json();
-  
-  // Convert hex strings back to BigInts
+/**
+ * Drop the in-memory copy of the signed-in account's notes, so the next read comes from the store
+ * (used when another tab changed the store)
+ */
+export function invalidateEntryCache() {
+  const account = getStoreAccount();
+  if (account) entryCache.delete(account);
+}
+
+/**
+ * Stored note entries of the signed-in account, from the in-memory copy when there is one
+ * @returns {Promise<Array>} Entries of { note, commitmentHex, nullifierHex, isSpent, ... }; empty when signed out
+ */
+export async function getStoredEntries() {
+  const account = getStoreAccount();
+  return account ? loadEntries(account) : [];
+}
+
+// Provenance recorded with each stored note (used by coin selection)
+// A transfer message carries the input note's nullifier, which links its outputs to the note they came from
+function messageProvenance(msg) {
+  const kind = msg?.kind ?? null;
+  const nullifierHex = msg?.nullifierHex ?? msg?.nullifier_hex ?? null;
   return {
-    shieldedBalance: BigInt(result.shieldedBalance),
-    spendableNotes: result.spendableNotes,
-    totalNotes: result.totalNotes,
-    notes: result.notes.map(n => ({
-      note: {
-        amount: BigInt(n.note.amount),
-        tokenId: BigInt(n.note.tokenId),
-        ownerCipherPayPubKey: BigInt(n.note.ownerCipherPayPubKey),
-        randomness: {
-          r: BigInt(n.note.randomness.r),
-          s: n.note.randomness.s ? BigInt(n.note.randomness.s) : undefined,
-        },
-        memo: n.note.memo,
-      },
-      nullifierHex: n.nullifierHex,
-      isSpent: n.isSpent,
-      amount: BigInt(n.amount),
-    })),
+    kind,
+    parentNullifierHex: kind === 'note-transfer' && nullifierHex ? nullifierHex.replace(/^0x/, '').toLowerCase() : null,
+    receivedAt: msg?.createdAt ?? msg?.created_at ?? null,
+  };
+}
+
+/**
+ * Read the account overview from the local note store without touching the network
+ * @returns {Promise<Object|null>} Account overview object, or null if the store was never synced
+ */
+export async function getStoredAccountOverview() {
+  const account = getStoreAccount();
+  if (!account) return null;
+  const state = await getSyncState(account);
+  if (!state.updatedAt) return null;
+  return summarizeOverview(await loadEntries(account));
+}
+
+// Store notes from messages past the stored offset; returns the new entries and where the sync got to
+async function syncMessages(account, onProgress) {
+  const state = await getSyncState(account);
+  const knownCommitments = await getStoredCommitments(account);
+  let offset = state.offset || 0;
+  let lastMessageId = state.lastMessageId ?? null;
+  const added = [];
+
+  // Partial overviews: stored notes plus new notes found so far (treated as unspent until checked)
+  const baseEntries = onProgress ? await loadEntries(account) : [];
+  const pendingEntries = [];
+  let processed = 0;
+  const reportProgress = (total) => {
+    if (!onProgress) return;
+    try {
+      onProgress({ processed, total, overview: summarizeOverview([...baseEntries, ...pendingEntries]) });
+    } catch (error) {
+      console.error('[accountOverviewService] onProgress callback failed:', error);
+    }
   };
+
+  // Page through messages until caught up; only messages past the stored offset are decrypted
+  for (;;) {
+    const { messages = [], total } = await fetchMessages({ limit: SYNC_PAGE_SIZE, offset });
+    if (messages.length === 0) break;
+    const expected = typeof total === 'number' ? Math.max(total - (state.offset || 0), 0) : null;
+
+    const entries = [];
+    const messagesById = new Map(messages.map(m => [m.id, m]));
+    // Decryption runs in a worker and streams back in chunks; derive entries as each chunk lands
+    let chunkWork = Promise.resolve();
+    const pageBase = processed;
+    await decryptMessagesInWorker(messages, {
+      onChunk: (decryptedNotes, progress) => {
+        chunkWork = chunkWork.then(async () => {
+          for (const { messageId, note } of decryptedNotes) {
+            const entry = await deriveNoteEntry(note);
+            if (knownCommitments.has(entry.commitmentHex)) continue;
+            knownCommitments.add(entry.commitmentHex);
+            const stored = { ...entry, isSpent: false, messageId, ...messageProvenance(messagesById.get(messageId)) };
+            entries.push(stored);
+            pendingEntries.push(stored);
+          }
+          processed = pageBase + progress.processed;
+          reportProgress(expected);
+        });
+      },
+    });
+    await chunkWork;
+    await putNotes(account, entries);
+    if (entryCache.has(account)) {
+      entryCache.set(account, [...entryCache.get(account), ...entries]);
+    }
+    added.push(...entries);
+
+    offset += messages.length;
+    lastMessageId = messages[messages.length - 1].id ?? lastMessageId;
+    await setSyncState(account, { offset, lastMessageId });
+
+    if (messages.length < SYNC_PAGE_SIZE) break;
+  }
+
+  return { added, offset, lastMessageId };
+}
+
+async function runNoteStoreSync(account, checkOnChain, onProgress) {
+  // A full sync starts from what is actually stored
+  entryCache.delete(account);
+  const { added, offset, lastMessageId } = await syncMessages(account, onProgress);
+
+  // Spent status can change for any unspent note, so re-check those (spent stays spent)
+  const stored = await loadEntries(account);
+  const unspent = stored.filter(e => !e.isSpent).map(e => e.nullifierHex);
+  const spent = await checkNullifiersSpent(unspent, { checkOnChain });
+  await markNullifiersSpent(account, spent);
+  // Record a completed sync even when there were no messages at all
+  await setSyncState(account, { offset, lastMessageId });
+
+  const entries = stored.map(e => ({ ...e, isSpent: e.isSpent || spent.has(e.nullifierHex) }));
+  entryCache.set(account, entries);
+  postTabMessage('notesChanged', { account });
+  console.log('[accountOverviewService] Sync complete - new notes:', added.length, 'newly spent:', spent.size, 'offset:', offset);
+  return summarizeOverview(entries);
 }
 
 /**
- * Fetch messages, decrypt them, and compute account overview
- * @param {Object} options - Options for fetching messages and computing overview
+ * Incrementally sync the local note store with /api/v1/messages
+ * @param {Object} options - { checkOnChain, onProgress }
+ *   onProgress receives { processed, total, overview } while new messages are decrypted;
+ *   total is null when the server does not report it. Only the caller that starts a sync gets progress.
  * @returns {Promise<Object>} Account overview object
  */
-export async function fetchAccountOverview(options = {}) {
-  const { checkOnChain = false, ...messageOptions } = options;
-  
-  console.log('[accountOverviewService] fetchAccountOverview: Starting...');
-  
-  // Fetch messages
-  const { messages, total } = await fetchMessages(messageOptions);
-  console.log('[accountOverviewService] fetchAccountOverview: Fetched', messages?.length || 0, 'messages (total:', total || 0, ')');
-  
-  // Decrypt messages to get notes
-  const notes = decryptMessages(messages || []);
-  console.log('[accountOverviewService] fetchAccountOverview: Decrypted', notes.length, 'notes');
-  
-  // If no notes, return empty overview
-  if (notes.length === 0) {
-    console.log('[accountOverviewService] fetchAccountOverview: No notes found, returning empty overview');
-    return {
-      shieldedBalance: 0n,
-      spendableNotes: 0,
-      totalNotes: 0,
-      notes: [],
-    };
+export async function syncNoteStore(options = {}) {
+  const { checkOnChain = false, onProgress = null } = options;
+  const account = getStoreAccount();
+  if (!account) {
+    throw new Error('Not authenticated');
   }
-  
-  // Compute account overview
-  const overview = await computeAccountOverview(notes, checkOnChain);
+
+  if (inFlightSyncs.has(account)) {
+    return inFlightSyncs.get(account);
+  }
+  const syncPromise = runNoteStoreSync(account, checkOnChain, onProgress).finally(() => {
+    inFlightSyncs.delete(account);
+  });
+  inFlightSyncs.set(account, syncPromise);
+  return syncPromise;
+}
+
+/**
+ * Sync new messages into the local note store and compute account overview
+ * @param {Object} options - Options for computing overview ({ checkOnChain, onProgress })
+ * @returns {Promise<Object>} Account overview object
+ */
+export async function fetchAccountOverview(options = {}) {
+  console.log('[accountOverviewService] fetchAccountOverview: Syncing note store...');
+  const overview = await syncNoteStore(options);
   console.log('[accountOverviewService] fetchAccountOverview: Computed overview - balance:', overview.shieldedBalance, 'spendable:', overview.spendableNotes, 'total:', overview.totalNotes);
-  
   return overview;
 }
 
+// Completion event fields holding field elements; the server sends them as hex (with or without 0x) or decimal
+const EVENT_NULLIFIER_FIELDS = ['nullifier', 'nullifierHex', 'nullifier_hex'];
+const EVENT_COMMITMENT_FIELDS = [
+  'commitment', 'commitmentHex', 'commitment_hex',
+  'out1Commitment', 'out2Commitment', 'out1_commitment', 'out2_commitment',
+];
+
+function toFieldHex(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value);
+  try {
+    if (/^0x/i.test(text)) return toHex64(BigInt(text));
+    // 64 hex digits is how the server stores field elements; anything shorter is decimal
+    if (/^[0-9a-f]{64}$/i.test(text)) return text.toLowerCase();
+    return toHex64(BigInt(text));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read the note fields of a completion event
+ * @param {Object} event - Event data from the server stream
+ * @returns {{ nullifierHex: string|null, commitmentHexes: string[] }} Spent input and created notes, as 64-digit hex
+ */
+export function parseCompletionEvent(event) {
+  return {
+    nullifierHex: EVENT_NULLIFIER_FIELDS.map(field => toFieldHex(event?.[field])).find(Boolean) || null,
+    commitmentHexes: [...new Set(EVENT_COMMITMENT_FIELDS.map(field => toFieldHex(event?.[field])).filter(Boolean))],
+  };
+}
+
+/**
+ * Apply a DepositCompleted / TransferCompleted / WithdrawCompleted event to the local note store
+ * The spent input nullifier is marked spent and new commitments are fetched from the messages past the stored
+ * offset (their note content only exists there), without re-checking every note or decrypting the whole store.
+ * The event must then match the store: a deposit's commitment is stored, a withdrawal spent one of our notes, a
+ * transfer spent one of our notes or created one. When it does not, `consistent` is false and the caller
+ * should run a full sync.
+ * @param {Object} event - Event data from the server stream (with `type`)
+ * @returns {Promise<{ overview: Object, consistent: boolean, reason: string|null }>}
+ */
+export async function applyCompletionEvent(event) {
+  const account = getStoreAccount();
+  if (!account) {
+    throw new Error('Not authenticated');
+  }
+
+  const { nullifierHex, commitmentHexes } = parseCompletionEvent(event);
+
+  // Never interleave with a running sync; its result already covers messages sent before the event
+  if (inFlightSyncs.has(account)) {
+    await inFlightSyncs.get(account).catch(() => null);
+  }
+
+  let entries = await loadEntries(account);
+  let changed = false;
+  const isStored = (commitmentHex) => entries.some(e => e.commitmentHex === commitmentHex);
+  if (commitmentHexes.some(commitmentHex => !isStored(commitmentHex))) {
+    const pull = syncMessages(account, null).then(async () => summarizeOverview(await loadEntries(account)));
+    inFlightSyncs.set(account, pull);
+    try {
+      await pull;
+    } finally {
+      inFlightSyncs.delete(account);
+    }
+    entries = await loadEntries(account);
+    changed = true;
+  }
+
+  const input = nullifierHex ? entries.find(e => e.nullifierHex === nullifierHex) : null;
+  if (input && !input.isSpent) {
+    await markNullifiersSpent(account, [nullifierHex]);
+    entries = entries.map(e => (e.nullifierHex === nullifierHex ? { ...e, isSpent: true } : e));
+    entryCache.set(account, entries);
+    changed = true;
+  }
+  if (changed) {
+    postTabMessage('notesChanged', { account });
+  }
+
+  const storedCommitments = commitmentHexes.filter(isStored);
+  let reason = null;
+  if (event?.type === 'DepositCompleted') {
+    if (commitmentHexes.length === 0) reason = 'deposit event without a commitment';
+    else if (storedCommitments.length < commitmentHexes.length) reason = 'deposited note not found in messages';
+  } else if (event?.type === 'WithdrawCompleted') {
+    if (!input) reason = 'withdrawn note not found in the note store';
+  } else if (event?.type === 'TransferCompleted') {
+    if (!input && storedCommitments.length === 0) reason = 'transfer neither spent nor created one of our notes';
+  } else {
+    reason = `unknown event type ${event?.type}`;
+  }
+
+  console.log('[accountOverviewService] Applied', event?.type, {
+    nullifierSpent: !!input,
+    newNotes: storedCommitments.length,
+    consistent: !reason,
+  });
+  return { overview: summarizeOverview(entries), consistent: !reason, reason };
+}
@@ -159,6 +159,11 @@ class AuthService {
     this.inFlightAuthentication = null; // Track in-flight authentication to avoid duplicates
     this.user = JSON.parse(localStorage.getItem('cipherpay_user') || 'null');
 
+    this.loadIdentity();
+  }
+
+  // Load the identity saved in localStorage (null when there is none or it is invalid)
+  loadIdentity() {
     const identityStr = localStorage.getItem('cipherpay_identity');
     if (identityStr) {
       try {
@@ -214,6 +219,13 @@ class AuthService {
     }
   }
 
+  // Re-read the session after another tab signed in or out (see tabCoordinator.js)
+  reloadFromStorage() {
+    this.token = localStorage.getItem('cipherpay_token');
+    this.user = JSON.parse(localStorage.getItem('cipherpay_user') || 'null');
+    this.loadIdentity();
+  }
+
   saveIdentity() {
     if (!this.identity) {
       localStorage.removeItem('cipherpay_identity');
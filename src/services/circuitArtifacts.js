@@ -0,0 +1,169 @@
+// Circuit Artifacts
+// Loads circuit wasm/zkey/vkey bytes and checks them against the SHA-256 digests declared in artifacts.json.
+// Verified bytes are kept in Cache Storage, keyed by circuit version and digest, so each artifact is
+// downloaded once per version and stale copies are dropped when artifacts.json changes.
+// Every check is recorded so SolanaStatus can show integrity failures.
+
+const CACHE_NAME = 'cipherpay-circuit-artifacts';
+
+// `${circuit}:${kind}` -> { circuit, kind, status: 'verified' | 'mismatch' | 'missing-digest' | 'error', expected, actual, message }
+const integrityStatus = new Map();
+const statusListeners = new Set();
+
+function recordStatus(entry) {
+  integrityStatus.set(`${entry.circuit}:${entry.kind}`, entry);
+  for (const listener of statusListeners) {
+    try {
+      listener(getIntegrityStatus());
+    } catch (error) {
+      console.error('[circuitArtifacts] Status listener failed:', error);
+    }
+  }
+}
+
+/**
+ * Snapshot of every integrity check done this session
+ * @returns {Array} Status entries
+ */
+export function getIntegrityStatus() {
+  return [...integrityStatus.values()];
+}
+
+/**
+ * Subscribe to integrity status changes
+ * @param {Function} listener - Called with the full status list
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeIntegrityStatus(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+/**
+ * Check whether an error is an artifact integrity failure
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isIntegrityError(error) {
+  return error?.name === 'CircuitIntegrityError';
+}
+
+function createIntegrityError(message, details) {
+  const error = new Error(message);
+  error.name = 'CircuitIntegrityError';
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * SHA-256 of a byte array as lowercase hex
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function openCache() {
+  if (typeof caches === 'undefined') return null;
+  try {
+    return await caches.open(CACHE_NAME);
+  } catch (error) {
+    console.warn('[circuitArtifacts] Cache Storage unavailable:', error);
+    return null;
+  }
+}
+
+function cacheKeyFor(url, version, expected) {
+  const key = new URL(url);
+  key.searchParams.set('v', version || 'unversioned');
+  key.searchParams.set('sha256', expected);
+  return key.href;
+}
+
+async function readCached(cache, key) {
+  if (!cache) return null;
+  const cached = await cache.match(key);
+  return cached ? new Uint8Array(await cached.arrayBuffer()) : null;
+}
+
+async function writeCached(cache, url, key, bytes) {
+  if (!cache) return;
+  try {
+    // Drop copies of this artifact stored under an older version/digest
+    const path = new URL(url).pathname;
+    for (const request of await cache.keys()) {
+      if (new URL(request.url).pathname === path && request.url !== key) {
+        await cache.delete(request);
+      }
+    }
+    await cache.put(key, new Response(bytes));
+  } catch (error) {
+    console.warn('[circuitArtifacts] Failed to cache artifact:', url, error);
+  }
+}
+
+/**
+ * Load a circuit artifact and verify its SHA-256 digest
+ * Artifacts without a declared digest are refused, since there is nothing to check them against.
+ * @param {Object} circuit - Circuit record from the circuit registry
+ * @param {string} kind - 'wasm' | 'zkey' | 'vkey'
+ * @returns {Promise<Uint8Array>} Verified artifact bytes
+ */
+export async function loadVerifiedArtifact(circuit, kind) {
+  const url = circuit[`${kind}Url`];
+  const expected = circuit.hashes?.[kind]?.toLowerCase();
+  if (!url) {
+    throw new Error(`Circuit ${circuit.name} has no ${kind} artifact`);
+  }
+  if (!expected) {
+    recordStatus({ circuit: circuit.name, kind, status: 'missing-digest', expected: null, actual: null, message: `No sha256 declared for ${kind}` });
+    throw createIntegrityError(
+      `Circuit ${circuit.name} ${kind} has no sha256 in artifacts.json; refusing to use an unverified artifact`,
+      { circuit: circuit.name, kind }
+    );
+  }
+
+  const cache = await openCache();
+  const key = cacheKeyFor(url, circuit.version, expected);
+
+  // Cached copies are re-hashed too, so a corrupted cache entry is never used
+  const cachedBytes = await readCached(cache, key);
+  if (cachedBytes && (await sha256Hex(cachedBytes)) === expected) {
+    recordStatus({ circuit: circuit.name, kind, status: 'verified', expected, actual: expected, message: null });
+    return cachedBytes;
+  }
+
+  let bytes;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    bytes = new Uint8Array(await response.arrayBuffer());
+  } catch (error) {
+    recordStatus({ circuit: circuit.name, kind, status: 'error', expected, actual: null, message: error.message });
+    throw new Error(`Failed to load ${circuit.name} ${kind}: ${error.message}`);
+  }
+
+  const actual = await sha256Hex(bytes);
+  if (actual !== expected) {
+    const message = `Circuit ${circuit.name} ${kind} digest mismatch: expected ${expected}, got ${actual}`;
+    recordStatus({ circuit: circuit.name, kind, status: 'mismatch', expected, actual, message });
+    console.error('[circuitArtifacts]', message);
+    throw createIntegrityError(message, { circuit: circuit.name, kind, expected, actual });
+  }
+
+  recordStatus({ circuit: circuit.name, kind, status: 'verified', expected, actual, message: null });
+  await writeCached(cache, url, key, bytes);
+  return bytes;
+}
+
+/**
+ * Remove every cached circuit artifact
+ */
+export async function clearArtifactCache() {
+  if (typeof caches === 'undefined') return;
+  await caches.delete(CACHE_NAME);
+}
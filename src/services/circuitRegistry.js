@@ -0,0 +1,174 @@
+// Circuit Registry
+// Single source of truth for the circuits shipped under public/circuits.
+// public/circuits/index.json lists the circuit directories; each directory has an artifacts.json:
+//   { "wasm": "./x.wasm", "zkey": "./x_final.zkey", "vkey": "./x_vkey.json",
+//     "version": "optional", "sha256": { "wasm": "...", "zkey": "...", "vkey": "..." } }
+// Paths are relative to the artifacts.json. sha256 is only published for files that actually ship.
+
+import { loadVerifiedArtifact } from './circuitArtifacts';
+
+const CIRCUITS_BASE_URL = import.meta.env.VITE_CIRCUITS_BASE_URL || '/circuits/';
+
+let registryPromise = null;
+
+async function fetchJson(url, what) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${what}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+async function loadCircuit(name, baseUrl) {
+  const manifestUrl = new URL(`${name}/artifacts.json`, baseUrl);
+  const manifest = await fetchJson(manifestUrl, `artifacts.json for circuit ${name}`);
+  const resolve = (path) => (path ? new URL(path, manifestUrl).href : null);
+  const hashes = {
+    wasm: manifest.sha256?.wasm || null,
+    zkey: manifest.sha256?.zkey || null,
+    vkey: manifest.sha256?.vkey || null,
+  };
+
+  const circuit = {
+    name,
+    version: manifest.version || null,
+    manifestUrl: manifestUrl.href,
+    wasmUrl: resolve(manifest.wasm),
+    zkeyUrl: resolve(manifest.zkey),
+    vkeyUrl: resolve(manifest.vkey),
+    hashes,
+    // A zkey path may be listed before the proving key is published; it only counts once it has a hash
+    hasProvingKey: !!(manifest.zkey && hashes.zkey),
+    protocol: null,
+    curve: null,
+    nPublic: null,
+    verificationKey: null,
+  };
+
+  // The vkey is small and needed for nPublic and verification, so load (and verify) it eagerly
+  if (circuit.vkeyUrl) {
+    try {
+      const bytes = await loadVerifiedArtifact(circuit, 'vkey');
+      const verificationKey = JSON.parse(new TextDecoder().decode(bytes));
+      circuit.verificationKey = verificationKey;
+      circuit.protocol = verificationKey.protocol || null;
+      circuit.curve = verificationKey.curve || null;
+      circuit.nPublic = verificationKey.nPublic ?? null;
+    } catch (error) {
+      console.warn('[circuitRegistry] Verification key unavailable for circuit', name, '-', error.message);
+    }
+  }
+
+  return circuit;
+}
+
+/**
+ * Load every circuit listed in public/circuits/index.json (cached after the first call)
+ * A circuit whose artifacts.json fails to load is skipped with a warning.
+ * @param {Object} options - { refresh } to discard the cached registry
+ * @returns {Promise<Object>} Circuits keyed by name
+ */
+export function loadCircuitRegistry(options = {}) {
+  if (registryPromise && !options.refresh) {
+    return registryPromise;
+  }
+
+  registryPromise = (async () => {
+    const baseUrl = new URL(CIRCUITS_BASE_URL, window.location.origin);
+    const index = await fetchJson(new URL('index.json', baseUrl), 'circuit index');
+    const names = index.circuits || [];
+
+    const circuits = {};
+    const results = await Promise.allSettled(names.map(name => loadCircuit(name, baseUrl)));
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        circuits[names[i]] = result.value;
+      } else {
+        console.warn('[circuitRegistry] Skipping circuit', names[i], '-', result.reason?.message || result.reason);
+      }
+    });
+
+    console.log('[circuitRegistry] Loaded circuits:', Object.keys(circuits));
+    return circuits;
+  })().catch((error) => {
+    // Allow a retry on the next call
+    registryPromise = null;
+    throw error;
+  });
+
+  return registryPromise;
+}
+
+/**
+ * List all registered circuits
+ * @returns {Promise<Array>} Circuit records sorted by name
+ */
+export async function listCircuits() {
+  const circuits = await loadCircuitRegistry();
+  return Object.values(circuits).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Look up a circuit by name
+ * @param {string} name - Circuit name (deposit, transfer, withdraw)
+ * @returns {Promise<Object>} Circuit record
+ */
+export async function getCircuit(name) {
+  const circuits = await loadCircuitRegistry();
+  const circuit = circuits[name];
+  if (!circuit) {
+    throw new Error(`Unknown circuit: ${name}`);
+  }
+  return circuit;
+}
+
+/**
+ * Get the verification key of a circuit
+ * @param {string} name - Circuit name
+ * @returns {Promise<Object>} snarkjs verification key
+ */
+export async function getVerificationKey(name) {
+  const circuit = await getCircuit(name);
+  if (!circuit.verificationKey) {
+    throw new Error(`No verification key available for circuit ${name}`);
+  }
+  return circuit.verificationKey;
+}
+
+/**
+ * Build the SDK circuitConfig ({ name: { wasmUrl, zkeyUrl, verificationKeyUrl } }) from the registry
+ * The SDK fetches whatever URLs it is given, so it only gets object URLs of bytes that passed the sha256
+ * check. A circuit without a published, digest-checked wasm, zkey and vkey is left out with a warning and
+ * the SDK falls back to its own, unchecked artifacts for it. Withdrawals are proved by the prover worker, which
+ * checks its artifacts itself. Deposits are proved by the SDK, and transfers too until transfer_final.zkey is
+ * published with a sha256 (then the worker takes them over); both go unverified until their zkey is published.
+ * @param {Object} circuits - Result of loadCircuitRegistry()
+ * @param {string[]} names - Circuits the SDK proves
+ * @returns {Promise<Object>}
+ */
+export async function buildSdkCircuitConfig(circuits, names) {
+  const config = {};
+  for (const name of names) {
+    const circuit = circuits[name];
+    if (!circuit?.wasmUrl || !circuit.hasProvingKey || !circuit.vkeyUrl) {
+      console.warn('[circuitRegistry] Circuit', name, 'has no verified artifact set; the SDK uses its own, unchecked artifacts');
+      continue;
+    }
+    try {
+      const [wasm, zkey, vkey] = await Promise.all([
+        loadVerifiedArtifact(circuit, 'wasm'),
+        loadVerifiedArtifact(circuit, 'zkey'),
+        loadVerifiedArtifact(circuit, 'vkey'),
+      ]);
+      const toObjectUrl = (bytes, type) => URL.createObjectURL(new Blob([bytes], { type }));
+      config[name] = {
+        wasmUrl: toObjectUrl(wasm, 'application/wasm'),
+        zkeyUrl: toObjectUrl(zkey, 'application/octet-stream'),
+        verificationKeyUrl: toObjectUrl(vkey, 'application/json'),
+      };
+    } catch (error) {
+      console.warn('[circuitRegistry] Leaving circuit', name, 'out of the SDK config -', error.message);
+    }
+  }
+  return config;
+}
@@ -0,0 +1,220 @@
+// Coin Selection
+// Chooses which notes a transfer consumes. The transfer circuit spends one note per proof, so the
+// selection also fixes how many transfers (proofs) the plan needs; the last selected note carries the change.
+//
+// Strategies:
+//   'fewest-proofs' - one note that covers the amount, otherwise the largest notes first (default)
+//   'least-change'  - the combination that leaves the smallest change, fewer notes on ties
+//   'privacy'       - stays within one lineage (notes descending from the same deposit or incoming
+//                     transfer) when possible, so unrelated funds are not linked by spending them together
+//   'oldest-first'  - the notes received first
+//
+// Notes are the spendable note objects from CipherPayService.getSpendableNotes ({ amount, commitment,
+// lineage, receivedAt, messageId, ... }). Notes synced before provenance was recorded have no lineage
+// and are treated as their own lineage.
+
+export const DEFAULT_COIN_SELECTION_STRATEGY = 'fewest-proofs';
+
+export const COIN_SELECTION_STRATEGIES = [
+  { id: 'fewest-proofs', label: 'Fewest proofs', description: 'Use as few notes as possible, so fewer proofs and transactions.' },
+  { id: 'least-change', label: 'Least change', description: 'Match the amount as closely as possible and leave the smallest change note.' },
+  { id: 'privacy', label: 'Privacy-preserving', description: 'Avoid spending notes from different deposits together.' },
+  { id: 'oldest-first', label: 'Oldest first', description: 'Spend the notes received first.' },
+];
+
+// Upper bound on combinations explored by least-change before settling for the best one found
+const MAX_SEARCH_STEPS = 20000;
+
+const byAmountDesc = (a, b) => {
+  const amountA = BigInt(a.amount);
+  const amountB = BigInt(b.amount);
+  if (amountB > amountA) return 1;
+  if (amountB < amountA) return -1;
+  return 0;
+};
+
+const sumAmounts = (notes) => notes.reduce((sum, n) => sum + BigInt(n.amount), 0n);
+
+const lineageOf = (note) => note.lineage || note.commitment || null;
+
+/**
+ * Resolve the lineage of stored note entries
+ * A transfer output descends from the note its message names as input (parentNullifierHex); walking up
+ * ends at a deposit (its own commitment) or at an input note that is not ours (the sender's nullifier).
+ * @param {Array} entries - Overview entries { commitmentHex, nullifierHex, kind, parentNullifierHex }, spent ones included
+ * @returns {Map<string, string>} commitmentHex -> lineage id
+ */
+export function resolveNoteLineages(entries) {
+  const byNullifier = new Map(entries.map(e => [e.nullifierHex, e]));
+  const lineages = new Map();
+
+  const resolve = (entry, seen) => {
+    if (lineages.has(entry.commitmentHex)) return lineages.get(entry.commitmentHex);
+    let lineage = entry.commitmentHex;
+    if (entry.kind === 'note-transfer' && entry.parentNullifierHex && !seen.has(entry.commitmentHex)) {
+      seen.add(entry.commitmentHex);
+      const parent = byNullifier.get(entry.parentNullifierHex);
+      lineage = parent ? resolve(parent, seen) : entry.parentNullifierHex;
+    }
+    lineages.set(entry.commitmentHex, lineage);
+    return lineage;
+  };
+
+  for (const entry of entries) {
+    resolve(entry, new Set());
+  }
+  return lineages;
+}
+
+// Take notes in the given order until the amount is covered
+function takeUntilCovered(ordered, amount) {
+  const selected = [];
+  let total = 0n;
+  for (const note of ordered) {
+    if (total >= amount) break;
+    selected.push(note);
+    total += BigInt(note.amount);
+  }
+  return total >= amount ? selected : null;
+}
+
+function selectFewestProofs(notes, amount) {
+  const single = notes.find(n => BigInt(n.amount) >= amount);
+  if (single) return [single];
+  return takeUntilCovered([...notes].sort(byAmountDesc), amount);
+}
+
+function selectLeastChange(notes, amount) {
+  const sorted = [...notes].sort(byAmountDesc);
+  const amounts = sorted.map(n => BigInt(n.amount));
+  // Suffix sums let a branch be dropped as soon as the remaining notes cannot cover the amount
+  const remainingTotal = new Array(amounts.length + 1).fill(0n);
+  for (let i = amounts.length - 1; i >= 0; i--) {
+    remainingTotal[i] = remainingTotal[i + 1] + amounts[i];
+  }
+
+  // Start from the fewest-proofs selection so there is always an answer if the search is cut short
+  let best = selectFewestProofs(sorted, amount);
+  if (!best) return null;
+  let bestChange = sumAmounts(best) - amount;
+  let steps = 0;
+  const picked = [];
+
+  const search = (index, total) => {
+    if (bestChange === 0n || steps++ > MAX_SEARCH_STEPS) return;
+    if (total >= amount) {
+      const change = total - amount;
+      if (change < bestChange || (change === bestChange && picked.length < best.length)) {
+        best = picked.map(i => sorted[i]);
+        bestChange = change;
+      }
+      return;
+    }
+    if (index >= amounts.length || total + remainingTotal[index] < amount) return;
+    picked.push(index);
+    search(index + 1, total + amounts[index]);
+    picked.pop();
+    search(index + 1, total);
+  };
+  search(0, 0n);
+
+  // Spend the larger notes first so the change comes out of the last, smallest one
+  return best.sort(byAmountDesc);
+}
+
+function selectPrivacy(notes, amount) {
+  const groups = new Map();
+  for (const note of notes) {
+    const lineage = lineageOf(note);
+    if (!groups.has(lineage)) groups.set(lineage, []);
+    groups.get(lineage).push(note);
+  }
+
+  // Best single lineage: fewest proofs, then least change
+  let best = null;
+  for (const group of groups.values()) {
+    const selected = selectFewestProofs(group, amount);
+    if (!selected) continue;
+    if (!best
+      || selected.length < best.length
+      || (selected.length === best.length && sumAmounts(selected) < sumAmounts(best))) {
+      best = selected;
+    }
+  }
+  if (best) return best;
+
+  // No lineage covers the amount alone: combine as few lineages as possible, largest first
+  const ordered = [...groups.values()].sort((a, b) => byAmountDesc({ amount: sumAmounts(a) }, { amount: sumAmounts(b) }));
+  const combined = [];
+  for (const group of ordered) {
+    combined.push(...group);
+    if (sumAmounts(combined) >= amount) break;
+  }
+  return selectFewestProofs(combined, amount);
+}
+
+function selectOldestFirst(notes, amount) {
+  const age = (note) => {
+    const time = note.receivedAt ? Date.parse(note.receivedAt) : NaN;
+    return Number.isNaN(time) ? Number.MAX_SAFE_INTEGER : time;
+  };
+  // Notes without a timestamp keep their store order, after the dated ones
+  const ordered = notes
+    .map((note, index) => ({ note, index }))
+    .sort((a, b) => (age(a.note) - age(b.note)) || (a.index - b.index))
+    .map(({ note }) => note);
+  return takeUntilCovered(ordered, amount);
+}
+
+const SELECTORS = {
+  'fewest-proofs': selectFewestProofs,
+  'least-change': selectLeastChange,
+  'privacy': selectPrivacy,
+  'oldest-first': selectOldestFirst,
+};
+
+/**
+ * Select the notes a transfer of `amount` consumes
+ * @param {Array} notes - Candidate notes (spendable, already filtered for the minimum amount)
+ * @param {bigint} amount - Amount in atoms
+ * @param {string} strategy - One of COIN_SELECTION_STRATEGIES ids
+ * @returns {{ notes: Array, total: bigint, change: bigint, proofs: number, lineages: number }}
+ */
+export function selectNotes(notes, amount, strategy = DEFAULT_COIN_SELECTION_STRATEGY) {
+  const select = SELECTORS[strategy];
+  if (!select) {
+    throw new Error(`Unknown coin selection strategy: ${strategy}`);
+  }
+  const target = BigInt(amount);
+  if (sumAmounts(notes) < target) {
+    throw new Error('Available shield balance insufficient');
+  }
+
+  const selected = select(notes, target);
+  if (!selected || selected.length === 0) {
+    throw new Error('Available shield balance insufficient');
+  }
+  const total = sumAmounts(selected);
+  return {
+    notes: selected,
+    total,
+    change: total - target,
+    proofs: selected.length,
+    lineages: new Set(selected.map(lineageOf)).size,
+  };
+}
+
+/**
+ * Preview a selection for the UI without throwing
+ * @param {Array} notes - Candidate notes
+ * @param {bigint} amount - Amount in atoms
+ * @param {string} strategy - Strategy id
+ * @returns {Object} selectNotes result plus { error }, or { error } alone when nothing can be selected
+ */
+export function previewSelection(notes, amount, strategy = DEFAULT_COIN_SELECTION_STRATEGY) {
+  try {
+    return { ...selectNotes(notes, amount, strategy), error: null };
+  } catch (error) {
+    return { notes: [], total: 0n, change: 0n, proofs: 0, lineages: 0, error: error.message };
+  }
+}
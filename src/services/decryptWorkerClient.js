@@ -0,0 +1,142 @@
+// Decrypt Worker Client
+// Owns the note decryption Web Worker for the current session.
+// The local encryption secret key is handed to the worker once; each decrypt job streams
+// parsed notes back in chunks so callers can render partial results while decryption continues.
+
+import { getOrCreateLocalEncKeypair, decryptFromSenderForMe } from '../lib/e2ee';
+import { parseDecryptedNote } from '../lib/noteCodec';
+
+const DEFAULT_CHUNK_SIZE = 25;
+
+let worker = null;
+let workerReady = null;
+let workerKey = null;
+let nextJobId = 1;
+const jobs = new Map();
+
+function handleWorkerMessage(event) {
+  const data = event.data || {};
+  const job = jobs.get(data.jobId);
+  if (!job) return;
+
+  if (data.type === 'chunk') {
+    job.notes.push(...data.notes);
+    try {
+      job.onChunk?.(data.notes, { processed: data.processed, total: data.total });
+    } catch (error) {
+      console.error('[decryptWorkerClient] onChunk callback failed:', error);
+    }
+  } else if (data.type === 'done') {
+    jobs.delete(data.jobId);
+    if (data.failed > 0) {
+      console.warn('[decryptWorkerClient] Job', data.jobId, 'could not decrypt', data.failed, 'of', data.total, 'messages');
+    }
+    job.resolve(job.notes);
+  } else if (data.type === 'error') {
+    jobs.delete(data.jobId);
+    job.reject(new Error(data.message));
+  }
+}
+
+function failAllJobs(error) {
+  for (const job of jobs.values()) {
+    job.reject(error);
+  }
+  jobs.clear();
+}
+
+function ensureWorker() {
+  if (typeof Worker === 'undefined') return null;
+
+  const { secretKeyB64 } = getOrCreateLocalEncKeypair();
+  if (worker && workerKey === secretKeyB64) return workerReady;
+
+  // Key changed (identity switch) or first use: start a fresh worker
+  terminateDecryptWorker();
+  worker = new Worker(new URL('../workers/noteDecrypt.worker.js', import.meta.url), { type: 'module' });
+  workerKey = secretKeyB64;
+  workerReady = new Promise((resolve, reject) => {
+    const onReady = (event) => {
+      if (event.data?.type === 'ready') {
+        worker.removeEventListener('message', onReady);
+        resolve(worker);
+      }
+    };
+    worker.addEventListener('message', onReady);
+    worker.addEventListener('message', handleWorkerMessage);
+    worker.addEventListener('error', (event) => {
+      const error = new Error(event.message || 'Decrypt worker failed');
+      reject(error);
+      failAllJobs(error);
+      terminateDecryptWorker();
+    });
+  });
+  worker.postMessage({ type: 'init', secretKeyB64 });
+  return workerReady;
+}
+
+/**
+ * Decrypt messages in the worker
+ * Falls back to main-thread decryption when Web Workers are unavailable.
+ * @param {Array} messages - Message objects with id and ciphertext
+ * @param {Object} options
+ * @param {Function} options.onChunk - Called with (notes, { processed, total }) as chunks arrive
+ * @param {number} options.chunkSize - Messages per streamed chunk
+ * @returns {Promise<Array<{messageId: *, note: Object}>>}
+ */
+export async function decryptMessagesInWorker(messages, options = {}) {
+  const { onChunk, chunkSize = DEFAULT_CHUNK_SIZE } = options;
+  if (messages.length === 0) return [];
+
+  let readyWorker = null;
+  try {
+    readyWorker = await ensureWorker();
+  } catch (error) {
+    console.warn('[decryptWorkerClient] Worker unavailable, decrypting on main thread:', error);
+  }
+
+  if (!readyWorker) {
+    const notes = [];
+    let chunk = [];
+    messages.forEach((msg, i) => {
+      try {
+        const decrypted = decryptFromSenderForMe(msg.ciphertext);
+        if (decrypted?.note) {
+          chunk.push({ messageId: msg.id ?? null, note: parseDecryptedNote(decrypted.note) });
+        }
+      } catch (error) {
+        console.warn('[decryptWorkerClient] Failed to decrypt message', msg.id, error);
+      }
+      if (chunk.length >= chunkSize || i === messages.length - 1) {
+        notes.push(...chunk);
+        onChunk?.(chunk, { processed: i + 1, total: messages.length });
+        chunk = [];
+      }
+    });
+    return notes;
+  }
+
+  const jobId = nextJobId++;
+  return new Promise((resolve, reject) => {
+    jobs.set(jobId, { notes: [], onChunk, resolve, reject });
+    readyWorker.postMessage({
+      type: 'decrypt',
+      jobId,
+      chunkSize,
+      messages: messages.map(m => ({ id: m.id, ciphertext: m.ciphertext })),
+    });
+  });
+}
+
+/**
+ * Stop the worker and drop the key it holds (call on sign out)
+ */
+export function terminateDecryptWorker() {
+  if (worker) {
+    worker.terminate();
+  }
+  failAllJobs(new Error('Decrypt worker terminated'));
+  worker = null;
+  workerReady = null;
+  workerKey = null;
+}
@@ -0,0 +1,200 @@
+// Event Stream
+// Server-sent events client built on fetch instead of EventSource, so the auth token goes in the Authorization
+// header rather than the URL. The connection is kept open: when it drops it reconnects with jittered exponential
+// backoff and sends the id of the last event it saw as Last-Event-ID, so the server can replay what was missed.
+// Events replayed twice (e.g. the last one before a reconnect) are delivered once, and one at a time: the next event
+// is only read after onEvent (which may be async) is done with the previous one.
+//
+// State: { status, attempt, retryAt, lastEventId, lastEventAt, error }
+//   status: 'connecting' | 'open' | 'reconnecting' | 'unauthorized' | 'closed'
+//   An unauthorized stream (401/403) is not retried; it needs a new token (sign in again).
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+// The backoff starts over once a connection delivered an event or stayed open this long, so a server that
+// accepts the connection and drops it right away is not hammered
+const STABLE_CONNECTION_MS = 30000;
+// Ids of recently delivered events, to drop replayed duplicates
+const SEEN_EVENT_IDS_LIMIT = 200;
+
+/**
+ * Backoff before reconnect attempt `attempt` (1-based): exponential, capped, with half of it randomized
+ * so clients that lost the server at the same time do not reconnect in lockstep
+ * @param {number} attempt
+ * @param {number} baseMs - Initial delay (the server may change it with a `retry:` field)
+ * @returns {number} milliseconds
+ */
+export function getReconnectDelay(attempt, baseMs = INITIAL_RETRY_MS) {
+  const capped = Math.min(MAX_RETRY_MS, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(capped / 2 + Math.random() * (capped / 2));
+}
+
+/**
+ * Split SSE text into events; returns the parsed events and the unterminated rest of the buffer
+ * @param {string} buffer
+ * @returns {{ events: Array<{ id: string|null, event: string, data: string, retry: number|null }>, rest: string }}
+ */
+export function parseEventStream(buffer) {
+  const events = [];
+  const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = blocks.pop();
+  for (const block of blocks) {
+    const entry = { id: null, event: 'message', data: [], retry: null };
+    for (const line of block.split('\n')) {
+      if (!line || line.startsWith(':')) continue; // Comments are keep-alives
+      const colon = line.indexOf(':');
+      const field = colon < 0 ? line : line.slice(0, colon);
+      const value = colon < 0 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'data') entry.data.push(value);
+      else if (field === 'id') entry.id = value;
+      else if (field === 'event') entry.event = value;
+      else if (field === 'retry' && /^\d+$/.test(value)) entry.retry = Number(value);
+    }
+    if (entry.data.length > 0 || entry.retry !== null) {
+      events.push({ ...entry, data: entry.data.join('\n') });
+    }
+  }
+  return { events, rest };
+}
+
+/**
+ * Open a reconnecting event stream
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {Function} options.getAuthToken - Returns the current token (read on every connect, so a refreshed token is used)
+ * @param {string|null} options.lastEventId - Cursor to resume from (e.g. persisted from a previous session)
+ * @param {Function} options.onEvent - ({ id, event, data }) for every new event; may return a promise, which is awaited
+ * @param {Function} options.onStateChange - (state) on every connection state change
+ * @returns {{ close: Function, reconnect: Function, getState: Function }}
+ */
+export function openEventStream({ url, getAuthToken, lastEventId = null, onEvent, onStateChange }) {
+  let state = { status: 'connecting', attempt: 0, retryAt: null, lastEventId, lastEventAt: null, error: null };
+  let controller = null;
+  let retryTimer = null;
+  let stableTimer = null;
+  let baseRetryMs = INITIAL_RETRY_MS;
+  let closed = false;
+  const seenIds = [];
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    try {
+      onStateChange?.(state);
+    } catch (error) {
+      console.error('[eventStream] onStateChange callback failed:', error);
+    }
+  };
+
+  const deliver = async (entry) => {
+    if (entry.retry !== null) baseRetryMs = entry.retry;
+    if (!entry.data) return;
+    if (entry.id !== null) {
+      if (seenIds.includes(entry.id)) return;
+      seenIds.push(entry.id);
+      if (seenIds.length > SEEN_EVENT_IDS_LIMIT) seenIds.shift();
+      setState({ attempt: 0, lastEventId: entry.id, lastEventAt: Date.now() });
+    } else {
+      setState({ attempt: 0, lastEventAt: Date.now() });
+    }
+    try {
+      await onEvent?.({ id: entry.id, event: entry.event, data: entry.data });
+    } catch (error) {
+      console.error('[eventStream] onEvent callback failed:', error);
+    }
+  };
+
+  const scheduleReconnect = (error) => {
+    clearTimeout(stableTimer);
+    stableTimer = null;
+    if (closed) return;
+    const attempt = state.attempt + 1;
+    const delay = getReconnectDelay(attempt, baseRetryMs);
+    console.warn(`[eventStream] Stream lost (${error?.message || 'closed by server'}), reconnecting in ${delay}ms (attempt ${attempt})`);
+    setState({ status: 'reconnecting', attempt, retryAt: Date.now() + delay, error: error?.message || null });
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  async function connect() {
+    retryTimer = null;
+    if (closed) return;
+    controller = new AbortController();
+    setState({ status: state.attempt > 0 ? 'reconnecting' : 'connecting', retryAt: null });
+
+    try {
+      const token = getAuthToken?.();
+      const response = await fetch(url, {
+        headers: {
+          Accept: 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...(state.lastEventId ? { 'Last-Event-ID': state.lastEventId } : {}),
+        },
+        cache: 'no-store',
+        signal: controller.signal,
+      });
+
+      if (response.status === 401 || response.status === 403) {
+        setState({ status: 'unauthorized', retryAt: null, error: `Event stream rejected the session (${response.status})` });
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream request failed: ${response.status} ${response.statusText}`);
+      }
+
+      setState({ status: 'open', error: null });
+      clearTimeout(stableTimer);
+      stableTimer = setTimeout(() => {
+        stableTimer = null;
+        setState({ attempt: 0 });
+      }, STABLE_CONNECTION_MS);
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const { events, rest } = parseEventStream(buffer);
+        buffer = rest;
+        for (const entry of events) {
+          await deliver(entry);
+        }
+      }
+      scheduleReconnect(null);
+    } catch (error) {
+      if (closed || error?.name === 'AbortError') return;
+      scheduleReconnect(error);
+    }
+  }
+
+  // Try again right away when the browser comes back online instead of waiting out the backoff
+  const handleOnline = () => {
+    if (state.status === 'reconnecting' && retryTimer) reconnect();
+  };
+
+  function reconnect() {
+    if (closed) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    clearTimeout(stableTimer);
+    stableTimer = null;
+    controller?.abort();
+    connect();
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    clearTimeout(stableTimer);
+    stableTimer = null;
+    controller?.abort();
+    if (typeof window !== 'undefined') window.removeEventListener('online', handleOnline);
+    setState({ status: 'closed', retryAt: null });
+  }
+
+  if (typeof window !== 'undefined') window.addEventListener('online', handleOnline);
+  connect();
+
+  return { close, reconnect, getState: () => state };
+}
@@ -0,0 +1,108 @@
+// Note Locks
+// A note picked for a transfer or withdrawal is locked until the operation spending it is indexed or fails, so
+// that a second operation cannot pick the same note while the first is still proving (it would only fail at the
+// relayer, with the nullifier already spent). Locks are keyed by the note's nullifier.
+// They are Web Locks, so they are visible to every tab of the app (navigator.locks.query) and are dropped by the
+// browser when the tab holding them goes away. Without Web Locks they only cover this tab.
+
+const LOCK_PREFIX = 'cipherpay-note:';
+
+// Locks held by this tab: nullifierHex -> { purpose, lockedAt, release, released }
+//   released: settles once the browser let go of the lock
+const heldLocks = new Map();
+
+const normalize = (nullifierHex) => String(nullifierHex).replace(/^0x/i, '').toLowerCase();
+const hasWebLocks = () => typeof navigator !== 'undefined' && !!navigator.locks;
+
+// Resolves true once the lock is held (it stays held until release is called), false when another tab holds it
+function acquire(nullifierHex, entry) {
+  if (!hasWebLocks()) return Promise.resolve(true);
+  return new Promise((resolve, reject) => {
+    entry.released = navigator.locks.request(`${LOCK_PREFIX}${nullifierHex}`, { ifAvailable: true }, (lock) => {
+      if (!lock) {
+        resolve(false);
+        return null;
+      }
+      resolve(true);
+      return new Promise(done => {
+        entry.release = done;
+      });
+    }).catch(reject);
+  });
+}
+
+/**
+ * Lock notes for an operation; all or none of them are locked
+ * @param {string[]} nullifiers - Nullifier hex of each note
+ * @param {string} purpose - 'transfer' | 'withdraw'
+ * @returns {Promise<string[]>} The locked nullifiers (normalized)
+ */
+export async function lockNotes(nullifiers, purpose) {
+  const keys = [...new Set(nullifiers.filter(Boolean).map(normalize))];
+  const locked = [];
+  try {
+    for (const key of keys) {
+      if (heldLocks.has(key)) {
+        throw new Error(`This note is already being spent by a ${heldLocks.get(key).purpose} in progress`);
+      }
+      const entry = { purpose, lockedAt: Date.now(), release: null, released: null };
+      heldLocks.set(key, entry);
+      if (!(await acquire(key, entry))) {
+        heldLocks.delete(key);
+        throw new Error('This note is already being spent by an operation in another tab');
+      }
+      locked.push(key);
+    }
+  } catch (error) {
+    await unlockNotes(locked);
+    throw error;
+  }
+  return locked;
+}
+
+/**
+ * Release note locks held by this tab
+ * @param {string[]} nullifiers
+ * @returns {Promise<boolean>} Whether any lock was released; resolves once other tabs no longer see them
+ */
+export async function unlockNotes(nullifiers) {
+  const released = [];
+  for (const key of nullifiers.filter(Boolean).map(normalize)) {
+    const entry = heldLocks.get(key);
+    if (!entry) continue;
+    heldLocks.delete(key);
+    entry.release?.();
+    released.push(entry.released);
+  }
+  await Promise.allSettled(released);
+  return released.length > 0;
+}
+
+/**
+ * Nullifiers of every locked note, in this tab and in the others
+ * @returns {Promise<Set<string>>}
+ */
+export async function getLockedNullifiers() {
+  const locked = new Set(heldLocks.keys());
+  if (hasWebLocks()) {
+    try {
+      const { held = [] } = await navigator.locks.query();
+      held
+        .filter(lock => lock.name?.startsWith(LOCK_PREFIX))
+        .forEach(lock => locked.add(lock.name.slice(LOCK_PREFIX.length)));
+    } catch (error) {
+      console.warn('[noteLocks] Failed to query locks of other tabs:', error);
+    }
+  }
+  return locked;
+}
+
+/**
+ * Whether a note is in a set returned by getLockedNullifiers
+ * @param {Object} note - Note with nullifierHex
+ * @param {Set<string>} locked
+ * @returns {boolean}
+ */
+export function isNoteLocked(note, locked) {
+  return !!note?.nullifierHex && locked.has(normalize(note.nullifierHex));
+}
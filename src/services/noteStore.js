@@ -0,0 +1,352 @@
+// Note Store
+// Persistent IndexedDB store for decrypted notes, message sync progress and multi-note transfer plans.
+// Note contents are encrypted at rest to the user's local encryption key (same envelope as messages);
+// only the commitment, nullifier and spent flag are stored in the clear so they can be indexed, along with
+// the message metadata the server already holds (kind, input nullifier of a transfer, receive time).
+// Transfer plans and operation lifecycle records are encrypted the same way; only their id and status are
+// in the clear.
+
+import { encryptForRecipient, openEnvelopeWithSecretKey, getOrCreateLocalEncKeypair, getLocalEncPublicKeyB64, b64ToU8 } from '../lib/e2ee';
+import { serializeNote, parseDecryptedNote } from '../lib/noteCodec';
+
+const DB_NAME = 'cipherpay-notes';
+const DB_VERSION = 3;
+const NOTES_STORE = 'notes';
+const SYNC_STORE = 'syncState';
+const PLANS_STORE = 'transferPlans';
+const OPERATIONS_STORE = 'operations';
+
+let dbPromise = null;
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function promisifyTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(NOTES_STORE)) {
+        const notes = db.createObjectStore(NOTES_STORE, { keyPath: ['account', 'commitmentHex'] });
+        notes.createIndex('account', 'account', { unique: false });
+        notes.createIndex('nullifier', ['account', 'nullifierHex'], { unique: true });
+      }
+      if (!db.objectStoreNames.contains(SYNC_STORE)) {
+        db.createObjectStore(SYNC_STORE, { keyPath: 'account' });
+      }
+      if (!db.objectStoreNames.contains(PLANS_STORE)) {
+        const plans = db.createObjectStore(PLANS_STORE, { keyPath: ['account', 'id'] });
+        plans.createIndex('account', 'account', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(OPERATIONS_STORE)) {
+        const operations = db.createObjectStore(OPERATIONS_STORE, { keyPath: ['account', 'id'] });
+        operations.createIndex('account', 'account', { unique: false });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Get the account key the store is namespaced by (the user's ownerCipherPayPubKey)
+ * @returns {string|null}
+ */
+export function getStoreAccount() {
+  try {
+    const user = JSON.parse(localStorage.getItem('cipherpay_user') || 'null');
+    return user?.ownerCipherPayPubKey ? user.ownerCipherPayPubKey.toLowerCase() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The local key is read once per batch: every lookup re-validates the keypair, and decryptFromSenderForMe
+// logs each step, which adds up to thousands of lines for a full store
+function getLocalSecretKey() {
+  return b64ToU8(getOrCreateLocalEncKeypair().secretKeyB64);
+}
+
+function toRecord(account, entry, publicKeyB64) {
+  return {
+    account,
+    commitmentHex: entry.commitmentHex,
+    nullifierHex: entry.nullifierHex,
+    isSpent: !!entry.isSpent,
+    messageId: entry.messageId ?? null,
+    kind: entry.kind ?? null,
+    parentNullifierHex: entry.parentNullifierHex ?? null,
+    receivedAt: entry.receivedAt ?? null,
+    ciphertextB64: encryptForRecipient(publicKeyB64, { note: serializeNote(entry.note) }),
+    storedAt: Date.now(),
+  };
+}
+
+function fromRecord(record, secretKey) {
+  const decrypted = openEnvelopeWithSecretKey(record.ciphertextB64, secretKey);
+  if (!decrypted?.note) return null;
+  return {
+    note: parseDecryptedNote(decrypted.note),
+    commitmentHex: record.commitmentHex,
+    nullifierHex: record.nullifierHex,
+    isSpent: record.isSpent,
+    messageId: record.messageId,
+    kind: record.kind ?? null,
+    parentNullifierHex: record.parentNullifierHex ?? null,
+    receivedAt: record.receivedAt ?? null,
+  };
+}
+
+/**
+ * Load all stored notes for an account (decrypted)
+ * @param {string} account
+ * @returns {Promise<Array>} Entries of { note, commitmentHex, nullifierHex, isSpent, messageId, kind, parentNullifierHex, receivedAt }
+ */
+export async function getStoredNotes(account) {
+  const db = await openDatabase();
+  const tx = db.transaction(NOTES_STORE, 'readonly');
+  const records = await promisifyRequest(tx.objectStore(NOTES_STORE).index('account').getAll(account));
+  const secretKey = getLocalSecretKey();
+  const entries = [];
+  for (const record of records) {
+    const entry = fromRecord(record, secretKey);
+    if (entry) {
+      entries.push(entry);
+    } else {
+      console.warn('[noteStore] Could not decrypt stored note', record.commitmentHex);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Get the set of commitments already stored for an account
+ * @param {string} account
+ * @returns {Promise<Set<string>>}
+ */
+export async function getStoredCommitments(account) {
+  const db = await openDatabase();
+  const tx = db.transaction(NOTES_STORE, 'readonly');
+  const keys = await promisifyRequest(tx.objectStore(NOTES_STORE).index('account').getAllKeys(account));
+  return new Set(keys.map(([, commitmentHex]) => commitmentHex));
+}
+
+/**
+ * Insert notes that are not stored yet
+ * @param {string} account
+ * @param {Array} entries - { note, commitmentHex, nullifierHex, isSpent, messageId, kind, parentNullifierHex, receivedAt }
+ */
+export async function putNotes(account, entries) {
+  if (entries.length === 0) return;
+  // Encrypt before opening the transaction - IndexedDB transactions auto-commit across awaits
+  const publicKeyB64 = getLocalEncPublicKeyB64();
+  const records = entries.map(entry => toRecord(account, entry, publicKeyB64));
+  const db = await openDatabase();
+  const tx = db.transaction(NOTES_STORE, 'readwrite');
+  const store = tx.objectStore(NOTES_STORE);
+  for (const record of records) {
+    const request = store.put(record);
+    // A nullifier already stored under another commitment would abort the whole batch; skip that note only
+    request.onerror = (event) => {
+      if (request.error?.name !== 'ConstraintError') return;
+      event.preventDefault();
+      event.stopPropagation();
+      console.warn('[noteStore] Skipping note with an already stored nullifier', record.commitmentHex);
+    };
+  }
+  await promisifyTransaction(tx);
+}
+
+/**
+ * Mark stored notes as spent by nullifier
+ * @param {string} account
+ * @param {Iterable<string>} nullifierHexes
+ */
+export async function markNullifiersSpent(account, nullifierHexes) {
+  const wanted = new Set(nullifierHexes);
+  if (wanted.size === 0) return;
+  const db = await openDatabase();
+  const tx = db.transaction(NOTES_STORE, 'readwrite');
+  const index = tx.objectStore(NOTES_STORE).index('nullifier');
+  for (const nullifierHex of wanted) {
+    const request = index.openCursor([account, nullifierHex]);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && !cursor.value.isSpent) {
+        cursor.update({ ...cursor.value, isSpent: true });
+      }
+    };
+  }
+  await promisifyTransaction(tx);
+}
+
+/**
+ * Get message sync progress for an account
+ * @param {string} account
+ * @returns {Promise<{account: string, offset: number, lastMessageId: (string|number|null), updatedAt: number}>}
+ */
+export async function getSyncState(account) {
+  const db = await openDatabase();
+  const tx = db.transaction(SYNC_STORE, 'readonly');
+  const state = await promisifyRequest(tx.objectStore(SYNC_STORE).get(account));
+  return state || { account, offset: 0, lastMessageId: null, updatedAt: 0 };
+}
+
+/**
+ * Persist message sync progress for an account
+ * @param {string} account
+ * @param {Object} state - { offset, lastMessageId }
+ */
+export async function setSyncState(account, state) {
+  const db = await openDatabase();
+  const tx = db.transaction(SYNC_STORE, 'readwrite');
+  tx.objectStore(SYNC_STORE).put({ ...state, account, updatedAt: Date.now() });
+  await promisifyTransaction(tx);
+}
+
+/**
+ * Remove all stored notes and sync progress for an account (forces a full resync)
+ * @param {string} account
+ */
+export async function clearNoteStore(account) {
+  const db = await openDatabase();
+  const tx = db.transaction([NOTES_STORE, SYNC_STORE], 'readwrite');
+  const notes = tx.objectStore(NOTES_STORE);
+  const request = notes.index('account').openKeyCursor(account);
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      notes.delete(cursor.primaryKey);
+      cursor.continue();
+    }
+  };
+  tx.objectStore(SYNC_STORE).delete(account);
+  await promisifyTransaction(tx);
+}
+
+/**
+ * Load the persisted transfer plans of an account (decrypted)
+ * @param {string} account
+ * @returns {Promise<Array>} Plans, oldest first
+ */
+export async function getTransferPlans(account) {
+  const db = await openDatabase();
+  const tx = db.transaction(PLANS_STORE, 'readonly');
+  const records = await promisifyRequest(tx.objectStore(PLANS_STORE).index('account').getAll(account));
+  const secretKey = getLocalSecretKey();
+  const plans = [];
+  for (const record of records) {
+    const decrypted = openEnvelopeWithSecretKey(record.ciphertextB64, secretKey);
+    if (decrypted?.plan) {
+      plans.push(decrypted.plan);
+    } else {
+      console.warn('[noteStore] Could not decrypt stored transfer plan', record.id);
+    }
+  }
+  return plans.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Insert or replace a transfer plan
+ * @param {string} account
+ * @param {Object} plan - JSON-serializable plan (see transferPlans.js)
+ */
+export async function putTransferPlan(account, plan) {
+  const record = {
+    account,
+    id: plan.id,
+    status: plan.status,
+    ciphertextB64: encryptForRecipient(getLocalEncPublicKeyB64(), { plan }),
+    storedAt: Date.now(),
+  };
+  const db = await openDatabase();
+  const tx = db.transaction(PLANS_STORE, 'readwrite');
+  tx.objectStore(PLANS_STORE).put(record);
+  await promisifyTransaction(tx);
+}
+
+/**
+ * Remove a transfer plan
+ * @param {string} account
+ * @param {string} id
+ */
+export async function deleteTransferPlan(account, id) {
+  const db = await openDatabase();
+  const tx = db.transaction(PLANS_STORE, 'readwrite');
+  tx.objectStore(PLANS_STORE).delete([account, id]);
+  await promisifyTransaction(tx);
+}
+
+/**
+ * Load the persisted operation lifecycle records of an account (decrypted)
+ * @param {string} account
+ * @returns {Promise<Array>} Records, oldest first
+ */
+export async function getOperations(account) {
+  const db = await openDatabase();
+  const tx = db.transaction(OPERATIONS_STORE, 'readonly');
+  const records = await promisifyRequest(tx.objectStore(OPERATIONS_STORE).index('account').getAll(account));
+  const secretKey = getLocalSecretKey();
+  const operations = [];
+  for (const record of records) {
+    const decrypted = openEnvelopeWithSecretKey(record.ciphertextB64, secretKey);
+    if (decrypted?.operation) {
+      operations.push(decrypted.operation);
+    } else {
+      console.warn('[noteStore] Could not decrypt stored operation', record.id);
+    }
+  }
+  return operations.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Insert or replace an operation lifecycle record
+ * @param {string} account
+ * @param {Object} operation - JSON-serializable record (see operationLifecycle.js)
+ */
+export async function putOperation(account, operation) {
+  const record = {
+    account,
+    id: operation.id,
+    status: operation.status,
+    ciphertextB64: encryptForRecipient(getLocalEncPublicKeyB64(), { operation }),
+    storedAt: Date.now(),
+  };
+  const db = await openDatabase();
+  const tx = db.transaction(OPERATIONS_STORE, 'readwrite');
+  tx.objectStore(OPERATIONS_STORE).put(record);
+  await promisifyTransaction(tx);
+}
+
+/**
+ * Remove an operation lifecycle record
+ * @param {string} account
+ * @param {string} id
+ */
+export async function deleteOperation(account, id) {
+  const db = await openDatabase();
+  const tx = db.transaction(OPERATIONS_STORE, 'readwrite');
+  tx.objectStore(OPERATIONS_STORE).delete([account, id]);
+  await promisifyTransaction(tx);
+}
@@ -0,0 +1,218 @@
+// Operation Lifecycle
+// Deposits, transfers and withdrawals all report into the same lifecycle:
+//   prepared  - inputs are fixed and the note message is stored on the server
+//   proving   - the zero-knowledge proof is being generated
+//   submitted - the relayer accepted the proof and returned the transaction signature
+//   confirmed - the transaction is confirmed on-chain
+//   indexed   - the server indexed it (completion event, or the note store shows the new note / spent input)
+// An operation can also end as 'failed' (with the error) or 'interrupted' (cut off by a reload before it was
+// known to be submitted; one still proving may have reached the relayer, so its outcome is unknown unless the note
+// store already shows it). Stages only move forward, but may be skipped: the completion event
+// can arrive before the confirmation poll sees the signature.
+//
+// Records are persisted in the note store so operations submitted before a reload are still followed to the
+// end. Amounts are decimal strings so records stay JSON-serializable.
+//
+// Record: { id, kind, status, stages, amount, mint, recipient, txHash, commitment, nullifier, planId, debit, credit,
+//           error, createdAt, updatedAt }
+//   kind: 'deposit' | 'transfer' | 'withdraw'
+//   stages: { [stage]: timestamp } of every stage reached
+//   commitment: the note a deposit creates; nullifier: the input note a transfer or withdrawal spends
+//   planId: transfer plan the operation is a step of (see transferPlans.js)
+//   debit / credit: what the operation takes out of the shielded balance and what comes back to us as new notes
+//     (a deposit's note, a transfer's change, both outputs of a transfer to ourselves); see pendingBalances.js
+
+import { getStoreAccount, getOperations, putOperation, deleteOperation } from './noteStore';
+import { getStoredEntries } from './accountOverviewService';
+
+export const LIFECYCLE_STAGES = ['prepared', 'proving', 'submitted', 'confirmed', 'indexed'];
+
+// Finished records are kept for the activity list this long, then dropped on load
+const FINISHED_OPERATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const toAmountString = (value) => (value !== undefined && value !== null ? BigInt(value).toString() : null);
+
+function newOperationId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Whether an operation reached an end state (indexed, failed or interrupted)
+ * @param {Object} operation
+ * @returns {boolean}
+ */
+export function isOperationFinished(operation) {
+  return ['indexed', 'failed', 'interrupted'].includes(operation.status);
+}
+
+/**
+ * Create the record of an operation whose inputs are prepared
+ * @param {string} kind - 'deposit' | 'transfer' | 'withdraw'
+ * @param {Object} fields - { amount, mint, recipient, commitment, nullifier, planId, debit, credit }
+ * @returns {Object} Record in the 'prepared' stage
+ */
+export function createOperation(kind, fields = {}) {
+  const now = Date.now();
+  return {
+    id: newOperationId(),
+    kind,
+    status: 'prepared',
+    stages: { prepared: now },
+    amount: toAmountString(fields.amount),
+    mint: fields.mint ?? null,
+    recipient: fields.recipient ?? null,
+    txHash: null,
+    commitment: fields.commitment ?? null,
+    nullifier: fields.nullifier ?? null,
+    planId: fields.planId ?? null,
+    debit: toAmountString(fields.debit),
+    credit: toAmountString(fields.credit),
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Move an operation forward to a stage
+ * @param {Object} operation - Modified in place
+ * @param {string} stage - One of LIFECYCLE_STAGES
+ * @param {Object} fields - Record fields learned at this stage, e.g. { txHash }
+ * @returns {boolean} false when the operation is finished or already at or past the stage
+ */
+export function advanceOperation(operation, stage, fields = {}) {
+  const target = LIFECYCLE_STAGES.indexOf(stage);
+  if (target < 0) {
+    throw new Error(`Unknown lifecycle stage: ${stage}`);
+  }
+  if (isOperationFinished(operation) || target <= LIFECYCLE_STAGES.indexOf(operation.status)) {
+    return false;
+  }
+  Object.assign(operation, fields);
+  operation.status = stage;
+  operation.stages = { ...operation.stages, [stage]: Date.now() };
+  operation.updatedAt = Date.now();
+  return true;
+}
+
+/**
+ * End an operation with an error
+ * @param {Object} operation - Modified in place
+ * @param {Error|string} error
+ * @returns {boolean} false when the operation had already finished
+ */
+export function failOperation(operation, error) {
+  if (isOperationFinished(operation)) return false;
+  operation.status = 'failed';
+  operation.error = error?.message || String(error);
+  operation.updatedAt = Date.now();
+  return true;
+}
+
+/**
+ * Copy of a record as persisted and handed to the UI
+ * @param {Object} operation
+ * @returns {Object}
+ */
+export function toOperationSnapshot(operation) {
+  return { ...operation, stages: { ...operation.stages } };
+}
+
+/**
+ * Persist an operation for the signed-in account
+ * @param {Object} operation
+ */
+export async function saveOperation(operation) {
+  const account = getStoreAccount();
+  if (!account) return;
+  try {
+    await putOperation(account, toOperationSnapshot(operation));
+  } catch (error) {
+    // The operation itself must not fail because it could not be recorded
+    console.warn('[operationLifecycle] Failed to persist operation:', error);
+  }
+}
+
+/**
+ * Load the signed-in account's operations, newest first
+ * Operations still before 'submitted' that are not running in this tab were cut off by a reload. Those the note
+ * store already shows are indexed; the others are reported (and stored) as 'interrupted'. Finished operations
+ * older than a day are removed.
+ * @param {Object} options - { activeIds } ids of operations running in this tab, reported as is
+ * @returns {Promise<Array>}
+ */
+export async function loadOperations(options = {}) {
+  const account = getStoreAccount();
+  if (!account) return [];
+  const activeIds = options.activeIds || new Set();
+  try {
+    const operations = await getOperations(account);
+    const cutOff = operations.filter(operation => ['prepared', 'proving'].includes(operation.status) && !activeIds.has(operation.id));
+    // A deposit or transfer is still 'proving' while it is being submitted, so it may have gone through
+    const reflected = await findReflectedOperations(cutOff).catch(error => {
+      console.warn('[operationLifecycle] Failed to check interrupted operations against the note store:', error);
+      return new Set();
+    });
+    const kept = [];
+    for (const operation of operations) {
+      if (isOperationFinished(operation) && Date.now() - operation.updatedAt > FINISHED_OPERATION_TTL_MS) {
+        await deleteOperation(account, operation.id);
+        continue;
+      }
+      if (reflected.has(operation.id)) {
+        advanceOperation(operation, 'indexed');
+        await putOperation(account, operation);
+      } else if (cutOff.includes(operation)) {
+        operation.error = operation.error || (operation.status === 'proving'
+          ? 'Interrupted while proving or submitting; the outcome is unknown until its notes show up after a sync'
+          : 'Interrupted before it was submitted; nothing was sent');
+        operation.status = 'interrupted';
+        operation.updatedAt = Date.now();
+        await putOperation(account, operation);
+      }
+      kept.push(operation);
+    }
+    return kept.reverse();
+  } catch (error) {
+    console.warn('[operationLifecycle] Failed to load operations:', error);
+    return [];
+  }
+}
+
+/**
+ * Remove a persisted operation
+ * @param {string} id
+ */
+export async function removeOperation(id) {
+  const account = getStoreAccount();
+  if (!account) return;
+  await deleteOperation(account, id);
+}
+
+// ids of the operations whose result the local note store shows: the note a deposit created, or the spent input
+// of a transfer or withdrawal
+async function findReflectedOperations(operations) {
+  if (operations.length === 0) return new Set();
+  const entries = await getStoredEntries();
+  const commitments = new Set(entries.map(entry => entry.commitmentHex?.toLowerCase()));
+  const spent = new Set(entries.filter(entry => entry.isSpent).map(entry => entry.nullifierHex?.toLowerCase()));
+  return new Set(operations
+    .filter(operation => (operation.kind === 'deposit'
+      ? operation.commitment && commitments.has(operation.commitment.toLowerCase())
+      : operation.nullifier && spent.has(operation.nullifier.toLowerCase())))
+    .map(operation => operation.id));
+}
+
+/**
+ * Find submitted operations whose result the local note store already shows: the note a deposit created,
+ * or the spent input of a transfer or withdrawal. Used to finish operations whose completion event was missed.
+ * Reads the note entries accountOverviewService keeps in memory rather than decrypting the store again.
+ * @param {Array} operations
+ * @returns {Promise<Set<string>>} ids of the operations that are indexed
+ */
+export async function findIndexedOperations(operations) {
+  return findReflectedOperations(operations.filter(operation => ['submitted', 'confirmed'].includes(operation.status)));
+}
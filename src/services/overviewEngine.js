@@ -0,0 +1,196 @@
+// Overview Engine
+// Computes the account overview locally from decrypted notes.
+// Commitments and nullifiers are derived in the browser with the shared witness helpers (SDK poseidonHash);
+// the server is only asked whether a batch of nullifiers (mixed with decoys) has been spent.
+
+import { FQ, noteCommitment, noteNullifier, toBigInt, toHex64 } from '../lib/witness';
+import { resolveNoteLineages } from './coinSelection';
+import { WSOL_MINT, getTokenForTokenId, summarizeTokenBalances } from './tokenRegistry';
+
+// Use empty string in dev to use Vite proxy (same-origin), or explicit URL in production
+const API_BASE_URL = import.meta.env.VITE_SERVER_URL || import.meta.env.VITE_API_URL || (import.meta.env.DEV ? '' : 'http://localhost:8788');
+
+// Nullifier status queries are sent in batches of this size (real + decoys)
+const NULLIFIER_BATCH_SIZE = 64;
+// Number of decoy nullifiers mixed in per real nullifier
+const DECOYS_PER_NULLIFIER = 1;
+// Lower bound on decoys per batch so small accounts are not trivially linkable
+const MIN_DECOYS_PER_BATCH = 4;
+
+function randomDecoyNullifierHex() {
+  const bytes = new Uint8Array(32);
+  crypto.getRandomValues(bytes);
+  let value = 0n;
+  for (const b of bytes) {
+    value = (value << 8n) | BigInt(b);
+  }
+  return toHex64(value % FQ);
+}
+
+function shuffleInPlace(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const rand = new Uint32Array(1);
+    crypto.getRandomValues(rand);
+    const j = rand[0] % (i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+async function postNullifierBatch(nullifierHexes, checkOnChain, token) {
+  const response = await fetch(`${API_BASE_URL}/api/v1/nullifiers/check`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      nullifiers: nullifierHexes,
+      checkOnChain,
+    }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ message: 'Failed to check nullifiers' }));
+    throw new Error(error.message || `HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  return (result.spent || []).map(hex => hex.toLowerCase().replace(/^0x/, ''));
+}
+
+/**
+ * Ask the server which of the given nullifiers are spent.
+ * Real nullifiers are shuffled together with random decoys and sent in batches,
+ * so the server never sees the exact set of nullifiers that belongs to this account.
+ * @param {string[]} nullifierHexes - 64-char hex nullifiers (no 0x prefix)
+ * @param {Object} options
+ * @param {boolean} options.checkOnChain - Ask the server to fall back to an RPC lookup
+ * @returns {Promise<Set<string>>} Set of spent nullifier hexes
+ */
+export async function checkNullifiersSpent(nullifierHexes, options = {}) {
+  const { checkOnChain = false } = options;
+
+  const token = localStorage.getItem('cipherpay_token');
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  const real = [...new Set(nullifierHexes.map(h => h.toLowerCase()))];
+  if (real.length === 0) return new Set();
+
+  const realPerBatch = Math.max(1, Math.floor(NULLIFIER_BATCH_SIZE / (1 + DECOYS_PER_NULLIFIER)));
+  const spent = new Set();
+
+  for (let i = 0; i < real.length; i += realPerBatch) {
+    const chunk = real.slice(i, i + realPerBatch);
+    const decoyCount = Math.max(MIN_DECOYS_PER_BATCH, chunk.length * DECOYS_PER_NULLIFIER);
+    const decoys = Array.from({ length: decoyCount }, randomDecoyNullifierHex);
+    const batch = shuffleInPlace([...chunk, ...decoys]);
+
+    const spentInBatch = await postNullifierBatch(batch, checkOnChain, token);
+    const chunkSet = new Set(chunk);
+    for (const hex of spentInBatch) {
+      if (chunkSet.has(hex)) spent.add(hex);
+    }
+  }
+
+  console.log('[overviewEngine] Checked', real.length, 'nullifiers,', spent.size, 'spent');
+  return spent;
+}
+
+/**
+ * Derive the commitment and nullifier for a decrypted note
+ * @param {Object} note - Decrypted note (BigInt fields)
+ * @returns {Promise<{note: Object, commitmentHex: string, nullifierHex: string}>}
+ */
+export async function deriveNoteEntry(note) {
+  const commitmentHex = toHex64(await noteCommitment(note));
+  const nullifierHex = toHex64(await noteNullifier(note));
+  return { note, commitmentHex, nullifierHex };
+}
+
+/**
+ * Assemble the overview shape consumed by CipherPayContext from note entries
+ * shieldedBalance is the wSOL balance; balances has one entry per token.
+ * @param {Array} entries - { note, commitmentHex, nullifierHex, isSpent, messageId, kind, parentNullifierHex, receivedAt }
+ * @returns {Object} { shieldedBalance, balances, spendableNotes, totalNotes, notes }
+ */
+export function summarizeOverview(entries) {
+  let spendableNotes = 0;
+  const lineages = resolveNoteLineages(entries);
+  const overviewNotes = entries.map(({ note, commitmentHex, nullifierHex, isSpent, messageId, receivedAt }) => {
+    const amount = toBigInt(note.amount);
+    if (!isSpent) {
+      spendableNotes++;
+    }
+    return {
+      note,
+      commitmentHex,
+      nullifierHex,
+      isSpent: !!isSpent,
+      amount,
+      messageId: messageId ?? null,
+      receivedAt: receivedAt ?? null,
+      lineage: lineages.get(commitmentHex),
+      mint: getTokenForTokenId(note.tokenId)?.mint ?? null,
+    };
+  });
+
+  const balances = summarizeTokenBalances(overviewNotes);
+  return {
+    shieldedBalance: balances.find(b => b.token?.mint === WSOL_MINT)?.balance ?? 0n,
+    balances,
+    spendableNotes,
+    totalNotes: overviewNotes.length,
+    notes: overviewNotes,
+  };
+}
+
+/**
+ * Convert an overview note into the flat note object used for transfers and withdrawals
+ * @param {Object} entry - Overview note { note, commitmentHex, nullifierHex, amount, lineage, receivedAt, messageId, mint }
+ * @returns {Object} { amount, tokenId, ownerCipherPayPubKey, randomness, memo, commitment, nullifierHex, mint, ... }
+ */
+export function toSpendableNote(entry) {
+  const { note } = entry;
+  return {
+    amount: toBigInt(entry.amount),
+    tokenId: toBigInt(note.tokenId),
+    ownerCipherPayPubKey: toBigInt(note.ownerCipherPayPubKey),
+    randomness: {
+      r: toBigInt(note.randomness.r),
+      s: note.randomness.s ? toBigInt(note.randomness.s) : undefined,
+    },
+    memo: note.memo ? toBigInt(note.memo) : 0n,
+    commitment: entry.commitmentHex,
+    nullifierHex: entry.nullifierHex,
+    mint: entry.mint ?? null,
+    // Provenance for coin selection
+    lineage: entry.lineage,
+    receivedAt: entry.receivedAt,
+    messageId: entry.messageId,
+  };
+}
+
+/**
+ * Build the account overview from decrypted notes without revealing note contents to the server
+ * @param {Array} notes - Array of decrypted notes (BigInt fields)
+ * @param {boolean} checkOnChain - Whether the server should check on-chain for nullifiers not in DB
+ * @returns {Promise<Object>} { shieldedBalance, spendableNotes, totalNotes, notes }
+ */
+export async function buildLocalAccountOverview(notes, checkOnChain = false) {
+  // Drop duplicates (same note delivered twice)
+  const byCommitment = new Map();
+  for (const note of notes) {
+    const entry = await deriveNoteEntry(note);
+    if (!byCommitment.has(entry.commitmentHex)) {
+      byCommitment.set(entry.commitmentHex, entry);
+    }
+  }
+
+  const entries = [...byCommitment.values()];
+  const spent = await checkNullifiersSpent(entries.map(e => e.nullifierHex), { checkOnChain });
+
+  return summarizeOverview(entries.map(e => ({ ...e, isSpent: spent.has(e.nullifierHex) })));
+}
@@ -0,0 +1,120 @@
+// Pending Balances
+// Optimistic view of what is on its way but not in the note store yet. A submitted operation shows what it takes
+// out of the shielded balance as a pending debit (a transfer's amount, a withdrawn note) and the notes coming back
+// to us as pending credits (change, a deposit, both outputs of a transfer to ourselves); see the debit / credit
+// fields in operationLifecycle.js. Transfers announced by the event stream that do not spend one of our notes are
+// incoming, shown as "confirming" until their note is stored.
+// Every entry is reconciled against the notes of the real overview: it goes away as soon as the store shows the
+// deposited note, the spent input or the incoming note, so no amount is counted twice. Entries the store never
+// reflects expire.
+
+import { parseCompletionEvent } from './accountOverviewService';
+
+const PENDING_STATUSES = ['submitted', 'confirmed'];
+// An indexed operation stays pending until the overview reflects it, but no longer than this
+const INDEXED_GRACE_MS = 60 * 1000;
+// Announced incoming transfers whose note never shows up (the sync failed, or it was not ours after all)
+const INCOMING_TTL_MS = 2 * 60 * 1000;
+
+const normalize = (hex) => (hex ? String(hex).replace(/^0x/i, '').toLowerCase() : null);
+const hasCommitment = (notes, commitmentHex) => notes.some(note => normalize(note.commitment) === commitmentHex);
+
+// Whether the notes already show the result of an operation
+function isReflected(operation, notes) {
+  if (operation.kind === 'deposit') {
+    return !!operation.commitment && hasCommitment(notes, normalize(operation.commitment));
+  }
+  const nullifierHex = normalize(operation.nullifier);
+  const input = nullifierHex && notes.find(note => normalize(note.nullifierHex) === nullifierHex);
+  // Without the input note in the store there is nothing to wait for once the operation is indexed
+  return input ? !!input.spent : operation.status === 'indexed';
+}
+
+/**
+ * Operations whose effect is not in the notes yet
+ * @param {Array} operations - Lifecycle records (see operationLifecycle.js)
+ * @param {Array} notes - Notes of the overview ({ commitment, nullifierHex, spent })
+ * @param {number} now
+ * @returns {Array}
+ */
+export function getPendingOperations(operations, notes, now = Date.now()) {
+  return operations.filter(operation => {
+    // Records written before debit / credit were recorded
+    if (!operation.debit && !operation.credit) return false;
+    if (PENDING_STATUSES.includes(operation.status)) return !isReflected(operation, notes);
+    if (operation.status === 'indexed') {
+      return now - operation.updatedAt < INDEXED_GRACE_MS && !isReflected(operation, notes);
+    }
+    return false;
+  });
+}
+
+/**
+ * Pending debits and credits per token
+ * @param {Array} pendingOperations - From getPendingOperations
+ * @returns {Array<{ mint: string, debit: bigint, credit: bigint }>}
+ */
+export function summarizePendingBalances(pendingOperations) {
+  const byMint = new Map();
+  for (const operation of pendingOperations) {
+    const entry = byMint.get(operation.mint) || { mint: operation.mint, debit: 0n, credit: 0n };
+    entry.debit += BigInt(operation.debit || 0);
+    entry.credit += BigInt(operation.credit || 0);
+    byMint.set(operation.mint, entry);
+  }
+  return [...byMint.values()];
+}
+
+/**
+ * Pending debits and credits as separate entries for an activity list, newest first
+ * @param {Array} pendingOperations - From getPendingOperations
+ * @returns {Array<{ id: string, direction: 'out'|'in', label: string, amount: bigint, mint: string, status: string }>}
+ */
+export function toPendingEntries(pendingOperations) {
+  const entries = [];
+  for (const operation of [...pendingOperations].sort((a, b) => b.createdAt - a.createdAt)) {
+    const debit = BigInt(operation.debit || 0);
+    const credit = BigInt(operation.credit || 0);
+    const base = { mint: operation.mint, status: operation.status };
+    if (debit > 0n) {
+      const label = operation.kind === 'withdraw' ? 'Withdrawal' : 'Outgoing transfer';
+      entries.push({ ...base, id: `${operation.id}:out`, direction: 'out', label, amount: debit });
+    }
+    if (credit > 0n) {
+      const label = operation.kind === 'deposit' ? 'Deposit' : debit > 0n ? 'Change' : 'Transfer to yourself';
+      entries.push({ ...base, id: `${operation.id}:in`, direction: 'in', label, amount: credit });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Incoming transfer announced by a TransferCompleted event, or null when the event is not one
+ * Transfers that spend one of our notes are our own (shown through their operation), and a transfer whose note
+ * is already stored needs no announcement.
+ * @param {Object} event - Event data from the server stream
+ * @param {Array} notes - Notes of the overview ({ commitment, nullifierHex })
+ * @param {number} now
+ * @returns {{ id: string, commitmentHexes: string[], receivedAt: number }|null}
+ */
+export function toIncomingTransfer(event, notes, now = Date.now()) {
+  if (event?.type !== 'TransferCompleted') return null;
+  const { nullifierHex, commitmentHexes } = parseCompletionEvent(event);
+  if (commitmentHexes.length === 0) return null;
+  if (nullifierHex && notes.some(note => normalize(note.nullifierHex) === nullifierHex)) return null;
+  if (commitmentHexes.some(commitmentHex => hasCommitment(notes, commitmentHex))) return null;
+  return { id: commitmentHexes.join(':'), commitmentHexes, receivedAt: now };
+}
+
+/**
+ * Announced incoming transfers whose note is not stored yet and that did not expire
+ * Only one output of a transfer is ours (the other is the sender's change), so one stored note settles it.
+ * @param {Array} incoming - From toIncomingTransfer
+ * @param {Array} notes - Notes of the overview ({ commitment })
+ * @param {number} now
+ * @returns {Array}
+ */
+export function getPendingIncoming(incoming, notes, now = Date.now()) {
+  return incoming.filter(entry => now - entry.receivedAt < INCOMING_TTL_MS
+    && !entry.commitmentHexes.some(commitmentHex => hasCommitment(notes, commitmentHex)));
+}
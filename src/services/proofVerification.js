@@ -0,0 +1,99 @@
+// Proof Verification
+// Verifies Groth16 proofs locally against the circuit vkey (from the circuit registry) before they are
+// handed to the relayer, and explains failures in terms of the public signals we expected.
+// Signals are compared by position, in the order the circuit emits them (CIRCUIT_SIGNALS in lib/witness).
+
+import { getVerificationKey } from './circuitRegistry';
+import { CIRCUIT_SIGNALS, toFieldString } from '../lib/witness';
+
+/**
+ * Check an error raised by verifyProofLocally
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isProofVerificationError(error) {
+  return error?.name === 'ProofVerificationError';
+}
+
+/**
+ * Compare a proof's public signals with the values computed for the witness
+ * @param {string} circuit - Circuit name (deposit, transfer, withdraw)
+ * @param {string[]} publicSignals - Public signals returned by the prover
+ * @param {Object} expectedSignals - { signalName: value } computed locally (bigint, decimal or hex string)
+ * @param {number|null} nPublic - Number of public signals the vkey expects
+ * @returns {{ lengthMismatch: boolean, mismatched: Array, unexpected: Array }}
+ */
+export function diagnosePublicSignals(circuit, publicSignals, expectedSignals = {}, nPublic = null) {
+  const order = CIRCUIT_SIGNALS[circuit]?.publicSignals || [];
+  const actual = publicSignals.map(toFieldString);
+
+  const mismatched = [];
+  const unexpected = [];
+  for (const [name, value] of Object.entries(expectedSignals)) {
+    const expected = toFieldString(value);
+    const index = order.indexOf(name);
+    if (index === -1) {
+      // A name the circuit does not emit is a bug in the caller, not in the proof
+      unexpected.push({ name, expected });
+    } else if (actual[index] !== expected) {
+      mismatched.push({ name, index, expected, actual: actual[index] ?? null });
+    }
+  }
+
+  return {
+    lengthMismatch: nPublic !== null && actual.length !== nPublic,
+    mismatched,
+    unexpected,
+  };
+}
+
+function describeDiagnostic(circuit, diagnostic, verified, nPublic, signalCount) {
+  const parts = [];
+  if (diagnostic.lengthMismatch) {
+    parts.push(`expected ${nPublic} public signals, proof has ${signalCount}`);
+  }
+  if (diagnostic.mismatched.length > 0) {
+    parts.push(`signals disagreeing with computed values: ${diagnostic.mismatched.map(m => `${m.name} [${m.index}] (expected ${m.expected}, got ${m.actual})`).join(', ')}`);
+  }
+  if (diagnostic.unexpected.length > 0) {
+    parts.push(`not public signals of ${circuit}: ${diagnostic.unexpected.map(u => u.name).join(', ')}`);
+  }
+  if (!verified && parts.length === 0) {
+    parts.push('all public signals match, so the private witness inputs or circuit artifacts are inconsistent');
+  }
+  return `${circuit} proof ${verified ? 'verified but does not match the submission' : 'failed local verification'}: ${parts.join('; ')}`;
+}
+
+/**
+ * Verify a proof against the circuit's vkey and check its public signals against the values we computed
+ * Throws a ProofVerificationError (with a `diagnostic` property) if either check fails.
+ * @param {string} circuit - Circuit name from the circuit registry
+ * @param {Object} proof - Groth16 proof
+ * @param {string[]} publicSignals - Public signals returned by the prover
+ * @param {Object} expectedSignals - { signalName: value } that the relayer will be told about
+ * @returns {Promise<true>}
+ */
+export async function verifyProofLocally(circuit, proof, publicSignals, expectedSignals = {}) {
+  const vkey = await getVerificationKey(circuit);
+  const nPublic = vkey.nPublic ?? null;
+  const diagnostic = diagnosePublicSignals(circuit, publicSignals, expectedSignals, nPublic);
+
+  let verified = false;
+  if (!diagnostic.lengthMismatch) {
+    const { groth16 } = await import('snarkjs');
+    verified = await groth16.verify(vkey, publicSignals, proof);
+  }
+
+  if (verified && diagnostic.mismatched.length === 0 && diagnostic.unexpected.length === 0) {
+    console.log('[proofVerification]', circuit, 'proof verified locally');
+    return true;
+  }
+
+  const error = new Error(describeDiagnostic(circuit, diagnostic, verified, nPublic, publicSignals.length));
+  error.name = 'ProofVerificationError';
+  error.circuit = circuit;
+  error.verified = verified;
+  error.diagnostic = diagnostic;
+  console.error('[proofVerification]', error.message);
+  throw error;
+}
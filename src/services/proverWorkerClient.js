@@ -0,0 +1,130 @@
+// Prover Worker Client
+// Runs Groth16 proving in a dedicated Web Worker so the UI stays responsive.
+// Each proof gets its own worker; cancelling terminates it immediately.
+// Circuit artifacts are resolved through the circuit registry and digest-checked before use.
+
+import { getCircuit } from './circuitRegistry';
+import { loadVerifiedArtifact } from './circuitArtifacts';
+
+// Stages reported through onStage, in order
+export const PROOF_STAGES = ['loading', 'witness', 'proving', 'verifying'];
+
+function createCancelledError() {
+  const error = new Error('Proof generation cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Throw an AbortError if the signal was aborted
+ * @param {AbortSignal} signal
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createCancelledError();
+  }
+}
+
+/**
+ * Check whether an error came from a cancelled proof
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isProofCancelled(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Load the verified proving artifacts for a circuit
+ * Rejects with a CircuitIntegrityError if the wasm or zkey does not match artifacts.json.
+ * @param {string} circuit - Circuit name (deposit, transfer, withdraw)
+ * @returns {Promise<{wasm: Uint8Array, zkey: Uint8Array, vkey: Object|null}>}
+ */
+export async function resolveCircuitArtifacts(circuit) {
+  const record = await getCircuit(circuit);
+  if (!record.wasmUrl || !record.hasProvingKey) {
+    throw new Error(`Circuit ${circuit} does not ship a wasm and proving key`);
+  }
+  const [wasm, zkey] = await Promise.all([
+    loadVerifiedArtifact(record, 'wasm'),
+    loadVerifiedArtifact(record, 'zkey'),
+  ]);
+  return { wasm, zkey, vkey: record.verificationKey };
+}
+
+/**
+ * Generate a Groth16 proof in a Web Worker
+ * @param {string} circuit - Circuit name from the circuit registry
+ * @param {Object} input - Circuit witness inputs
+ * @param {Object} options
+ * @param {Function} options.onStage - Called with one of PROOF_STAGES as proving advances
+ * @param {AbortSignal} options.signal - Aborting terminates the worker and rejects with an AbortError
+ * @param {boolean} options.verify - Verify the proof against the circuit vkey before returning (default true)
+ * @returns {Promise<{proof: Object, publicSignals: string[], verified: boolean|null}>}
+ */
+export async function generateProofInWorker(circuit, input, options = {}) {
+  const { onStage, signal, verify = true } = options;
+  const reportStage = (stage) => {
+    try {
+      onStage?.(stage);
+    } catch (error) {
+      console.error('[proverWorkerClient] onStage callback failed:', error);
+    }
+  };
+
+  throwIfCancelled(signal);
+  reportStage('loading');
+  const { wasm, zkey, vkey } = await resolveCircuitArtifacts(circuit);
+  throwIfCancelled(signal);
+
+  const worker = new Worker(new URL('../workers/prover.worker.js', import.meta.url), { type: 'module' });
+  const jobId = 1;
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      console.log('[proverWorkerClient] Cancelling', circuit, 'proof');
+      cleanup();
+      reject(createCancelledError());
+    };
+    signal?.addEventListener('abort', onAbort);
+
+    worker.onmessage = (event) => {
+      const data = event.data || {};
+      if (data.jobId !== jobId) return;
+
+      if (data.type === 'stage') {
+        reportStage(data.stage);
+      } else if (data.type === 'result') {
+        cleanup();
+        if (data.verified === false) {
+          reject(new Error(`Generated ${circuit} proof failed verification`));
+          return;
+        }
+        resolve({ proof: data.proof, publicSignals: data.publicSignals, verified: data.verified });
+      } else if (data.type === 'error') {
+        cleanup();
+        reject(new Error(`Proof generation failed during ${data.stage}: ${data.message}`));
+      }
+    };
+    worker.onerror = (event) => {
+      cleanup();
+      reject(new Error(event.message || 'Prover worker failed'));
+    };
+
+    // Copies are transferred so the cached originals stay usable on the main thread
+    const wasmCopy = wasm.slice();
+    const zkeyCopy = zkey.slice();
+    worker.postMessage({
+      type: 'prove',
+      jobId,
+      input,
+      wasm: wasmCopy,
+      zkey: zkeyCopy,
+      vkey: verify ? vkey : null,
+    }, [wasmCopy.buffer, zkeyCopy.buffer]);
+  });
+}
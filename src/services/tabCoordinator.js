@@ -0,0 +1,141 @@
+// Tab Coordinator
+// Tabs of the app share one session (localStorage) and one note store (IndexedDB). So that they do not each open
+// their own event stream and sync the same messages, one tab per account is elected leader with the Web Locks
+// API: it owns the /stream connection and runs the network syncs, and passes what it sees to the other tabs over a
+// BroadcastChannel. Followers only read the note store. When the leader tab closes, its lock is released and a
+// waiting tab takes over. Sign-in and sign-out go over the same channel, so every tab follows the session.
+// Without BroadcastChannel or Web Locks every tab is its own leader, as before.
+//
+// Messages: { type, payload, from }
+//   event              leader -> all: completion event data from the stream
+//   eventStreamState   leader -> all: connection state of the leader's stream
+//   streamStateRequest follower -> leader: a tab that just became a follower asks for the stream state
+//   reconnectStream    follower -> leader: reconnect the stream now
+//   syncRequest        follower -> leader: run a sync
+//   notesChanged       leader -> all: the note store changed (sync or applied event); re-read it
+//   operationUpdate    any -> all: snapshot of an operation running in the sending tab
+//   noteLocks          any -> all: notes were locked or released (see noteLocks.js); re-read the locks
+//   signedIn           any -> all: a session was started (the user is in localStorage)
+//   signedOut          any -> all: the session ended
+
+const CHANNEL_NAME = 'cipherpay-tabs';
+const LEADER_LOCK_PREFIX = 'cipherpay-leader:';
+
+const tabId = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+let channel = null;
+const handlers = new Set();
+// null while no election runs: a tab on its own acts as leader
+let leader = null;
+
+function getChannel() {
+  if (channel) return channel;
+  if (typeof BroadcastChannel === 'undefined') return null;
+  channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = ({ data }) => {
+    if (!data?.type || data.from === tabId) return;
+    handlers.forEach(handler => {
+      try {
+        handler(data.type, data.payload);
+      } catch (error) {
+        console.error(`[tabCoordinator] Handler for ${data.type} failed:`, error);
+      }
+    });
+  };
+  return channel;
+}
+
+/**
+ * Whether tabs can coordinate (BroadcastChannel and Web Locks are available)
+ * @returns {boolean}
+ */
+export function isTabCoordinationSupported() {
+  return typeof BroadcastChannel !== 'undefined' && typeof navigator !== 'undefined' && !!navigator.locks;
+}
+
+/**
+ * Receive messages from the other tabs
+ * @param {Function} handler - (type, payload)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeTabMessages(handler) {
+  getChannel();
+  handlers.add(handler);
+  return () => handlers.delete(handler);
+}
+
+/**
+ * Send a message to the other tabs (not to this one)
+ * @param {string} type
+ * @param {*} payload - Must be structured-cloneable
+ */
+export function postTabMessage(type, payload = null) {
+  const target = getChannel();
+  if (!target) return;
+  try {
+    target.postMessage({ type, payload, from: tabId });
+  } catch (error) {
+    console.warn(`[tabCoordinator] Failed to post ${type}:`, error);
+  }
+}
+
+/**
+ * Whether this tab owns the event stream and the syncs (also true while no election runs)
+ * @returns {boolean}
+ */
+export function isTabLeader() {
+  return leader !== false;
+}
+
+/**
+ * Take part in the leader election for an account; only one election runs per tab
+ * @param {string} account - e.g. the owner's CipherPay public key
+ * @param {Function} onLeaderChange - (isLeader) once the role of this tab is known, and when a follower takes over
+ * @returns {Function} Leave the election (a leader releases its lock and the next tab takes over)
+ */
+export function startLeaderElection(account, onLeaderChange) {
+  let stopped = false;
+  let release = null;
+  const controller = new AbortController();
+
+  const setLeader = (value) => {
+    if (stopped || leader === value) return;
+    leader = value;
+    console.log(`[tabCoordinator] This tab is ${value ? 'the leader' : 'a follower'} for ${account}`);
+    try {
+      onLeaderChange(value);
+    } catch (error) {
+      console.error('[tabCoordinator] onLeaderChange callback failed:', error);
+    }
+  };
+  // Leadership lasts as long as the lock is held: until the election is left or the tab is gone
+  const hold = () => (stopped ? null : new Promise(resolve => {
+    release = resolve;
+    setLeader(true);
+  }));
+
+  if (!isTabCoordinationSupported()) {
+    setLeader(true);
+  } else {
+    const lockName = `${LEADER_LOCK_PREFIX}${account}`;
+    navigator.locks.request(lockName, { ifAvailable: true }, (lock) => {
+      if (lock) return hold();
+      setLeader(false);
+      // Wait in line for the leader tab to go away
+      navigator.locks.request(lockName, { signal: controller.signal }, hold).catch(() => {});
+      return null;
+    }).catch(error => {
+      console.warn('[tabCoordinator] Leader election failed, acting as leader:', error);
+      setLeader(true);
+    });
+  }
+
+  return () => {
+    stopped = true;
+    controller.abort();
+    release?.();
+    leader = null;
+  };
+}
@@ -0,0 +1,148 @@
+// Token Accounts
+// On-chain details of a deposit mint: which token program owns it (SPL Token or Token-2022), its decimals,
+// the transfer-fee extension if it has one, and the wallet's associated token account for it (balance and delegate).
+// A Token-2022 mint with a transfer fee withholds part of every transfer, so the pool receives less than
+// the amount sent. A deposit note commits to the amount sent, so such mints are refused for deposits while
+// they charge a fee; the fee helpers here detect that and show the figures.
+
+import { PublicKey } from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getMint,
+  getAccount,
+  getTransferFeeConfig,
+  calculateEpochFee,
+  getAssociatedTokenAddressSync,
+} from '@solana/spl-token';
+
+// mint -> Promise<mint info>; mint accounts do not change program, so this is kept for the session
+const mintInfoCache = new Map();
+
+/**
+ * Load the program, decimals and transfer-fee configuration of a mint
+ * @param {Connection} connection
+ * @param {string|PublicKey} mint
+ * @returns {Promise<{ mint: PublicKey, programId: PublicKey, isToken2022: boolean, decimals: number, transferFeeConfig: Object|null }>}
+ */
+export function getMintInfo(connection, mint) {
+  const key = mint.toString();
+  if (!mintInfoCache.has(key)) {
+    const promise = (async () => {
+      const mintKey = new PublicKey(key);
+      const account = await connection.getAccountInfo(mintKey);
+      if (!account) {
+        throw new Error(`Mint ${key} does not exist on this cluster`);
+      }
+      let programId;
+      if (account.owner.equals(TOKEN_PROGRAM_ID)) {
+        programId = TOKEN_PROGRAM_ID;
+      } else if (account.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+        programId = TOKEN_2022_PROGRAM_ID;
+      } else {
+        throw new Error(`Account ${key} is not a token mint (owner ${account.owner.toBase58()})`);
+      }
+      const mintAccount = await getMint(connection, mintKey, 'confirmed', programId);
+      return {
+        mint: mintKey,
+        programId,
+        isToken2022: programId.equals(TOKEN_2022_PROGRAM_ID),
+        decimals: mintAccount.decimals,
+        transferFeeConfig: getTransferFeeConfig(mintAccount),
+      };
+    })();
+    // Do not cache failures (e.g. RPC hiccups)
+    promise.catch(() => mintInfoCache.delete(key));
+    mintInfoCache.set(key, promise);
+  }
+  return mintInfoCache.get(key);
+}
+
+/**
+ * Fee withheld when transferring `amount` of a mint in the given epoch (0n without a transfer-fee extension)
+ * @param {Object} mintInfo - From getMintInfo
+ * @param {bigint} amount - Atoms sent
+ * @param {number|bigint} epoch - Current epoch (the fee schedule can change per epoch)
+ * @returns {bigint}
+ */
+export function calculateTransferFee(mintInfo, amount, epoch) {
+  if (!mintInfo?.transferFeeConfig) return 0n;
+  return calculateEpochFee(mintInfo.transferFeeConfig, BigInt(epoch), BigInt(amount));
+}
+
+/**
+ * Transfer fee for an amount at the current epoch, plus what arrives after it
+ * @param {Connection} connection
+ * @param {Object} mintInfo - From getMintInfo
+ * @param {bigint} amount - Atoms sent
+ * @returns {Promise<{ fee: bigint, received: bigint, basisPoints: number, maximumFee: bigint }|null>} null when the mint has no fee
+ */
+export async function estimateTransferFee(connection, mintInfo, amount) {
+  if (!mintInfo?.transferFeeConfig) return null;
+  const { epoch } = await connection.getEpochInfo();
+  const fee = calculateTransferFee(mintInfo, amount, epoch);
+  const schedule = BigInt(epoch) >= mintInfo.transferFeeConfig.newerTransferFee.epoch
+    ? mintInfo.transferFeeConfig.newerTransferFee
+    : mintInfo.transferFeeConfig.olderTransferFee;
+  return {
+    fee,
+    received: BigInt(amount) - fee,
+    basisPoints: schedule.transferFeeBasisPoints,
+    maximumFee: schedule.maximumFee,
+  };
+}
+
+/**
+ * The owner's associated token account for a mint under the mint's own program
+ * @param {PublicKey} owner
+ * @param {Object} mintInfo - From getMintInfo
+ * @returns {PublicKey}
+ */
+export function getAtaAddress(owner, mintInfo) {
+  return getAssociatedTokenAddressSync(mintInfo.mint, owner, false, mintInfo.programId);
+}
+
+/**
+ * Balance of the owner's associated token account for a mint
+ * @param {Connection} connection
+ * @param {PublicKey} owner
+ * @param {Object} mintInfo - From getMintInfo
+ * @returns {Promise<{ ata: PublicKey, exists: boolean, amount: bigint }>}
+ */
+export async function getAtaBalance(connection, owner, mintInfo) {
+  const ata = getAtaAddress(owner, mintInfo);
+  const info = await connection.getAccountInfo(ata);
+  if (!info) {
+    return { ata, exists: false, amount: 0n };
+  }
+  try {
+    const balance = await connection.getTokenAccountBalance(ata);
+    return { ata, exists: true, amount: BigInt(balance.value.amount) };
+  } catch (e) {
+    // Account exists but is not initialized yet
+    return { ata, exists: true, amount: 0n };
+  }
+}
+
+/**
+ * Delegate of the owner's associated token account for a mint and how much it may still move
+ * @param {Connection} connection
+ * @param {PublicKey} owner
+ * @param {Object} mintInfo - From getMintInfo
+ * @returns {Promise<{ ata: PublicKey, exists: boolean, amount: bigint, delegate: PublicKey|null, delegatedAmount: bigint }>}
+ */
+export async function getAtaDelegation(connection, owner, mintInfo) {
+  const ata = getAtaAddress(owner, mintInfo);
+  const info = await connection.getAccountInfo(ata);
+  if (!info) {
+    return { ata, exists: false, amount: 0n, delegate: null, delegatedAmount: 0n };
+  }
+  const account = await getAccount(connection, ata, 'confirmed', mintInfo.programId);
+  return {
+    ata,
+    exists: true,
+    amount: account.amount,
+    delegate: account.delegate,
+    delegatedAmount: account.delegate ? account.delegatedAmount : 0n,
+  };
+}
@@ -0,0 +1,215 @@
+// Token Registry
+// Tokens that can be shielded: mint, decimals, symbol, minimum amount and the note tokenId they map to.
+// wSOL is built in; more tokens (or overrides of wSOL) come from VITE_TOKEN_REGISTRY, a JSON array of
+//   { "mint": "...", "symbol": "USDC", "name": "USD Coin", "decimals": 6, "minAmount": "1000", "tokenId": "0x..." }
+// minAmount is in atoms. The tokenId a deposit writes into a note is chosen by the SDK. Every token other than
+// wSOL must configure it (entries without one are skipped): a note is only attributed to a mint through it.
+// wSOL's tokenId should be configured too; when it is not, it is learned from the first note a wSOL deposit
+// creates and remembered in localStorage. Notes created before the registry existed could only be wSOL, so while
+// wSOL is the only token and its tokenId is unknown, notes with an unmapped tokenId are treated as wSOL. Once
+// another token is registered an unmapped tokenId is left unattributed instead of being counted as SOL.
+
+export const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+const LEARNED_TOKEN_IDS_KEY = 'cipherpay_token_ids';
+
+const BUILTIN_TOKENS = [
+  {
+    mint: WSOL_MINT,
+    symbol: 'SOL',
+    name: 'Solana',
+    decimals: 9,
+    minAmount: 1_000_000n, // 0.001 SOL
+    native: true,
+    tokenId: null,
+  },
+];
+
+let configuredTokens = null;
+
+// Canonical form of a tokenId field (bigint, decimal or 0x hex) used as a lookup key
+export function tokenIdKey(tokenId) {
+  if (tokenId === null || tokenId === undefined || tokenId === '') return null;
+  try {
+    return '0x' + BigInt(tokenId).toString(16);
+  } catch (e) {
+    return null;
+  }
+}
+
+function normalizeToken(raw, base = {}) {
+  const decimals = Number(raw.decimals ?? base.decimals ?? 9);
+  return {
+    mint: raw.mint,
+    symbol: raw.symbol || base.symbol || raw.mint.slice(0, 4),
+    name: raw.name || base.name || raw.symbol || raw.mint,
+    decimals,
+    // Default minimum: one thousandth of a whole token, like 0.001 SOL
+    minAmount: BigInt(raw.minAmount ?? base.minAmount ?? 10n ** BigInt(Math.max(decimals - 3, 0))),
+    native: !!(raw.native ?? base.native),
+    tokenId: tokenIdKey(raw.tokenId ?? base.tokenId),
+  };
+}
+
+function loadConfiguredTokens() {
+  if (configuredTokens) return configuredTokens;
+  const byMint = new Map(BUILTIN_TOKENS.map(token => [token.mint, { ...token }]));
+  const raw = import.meta.env.VITE_TOKEN_REGISTRY;
+  if (raw) {
+    try {
+      for (const entry of JSON.parse(raw)) {
+        if (!entry?.mint) continue;
+        if (entry.mint !== WSOL_MINT && !tokenIdKey(entry.tokenId)) {
+          console.warn('[tokenRegistry] Skipping', entry.symbol || entry.mint, 'from VITE_TOKEN_REGISTRY: it has no tokenId');
+          continue;
+        }
+        byMint.set(entry.mint, normalizeToken(entry, byMint.get(entry.mint)));
+      }
+    } catch (error) {
+      console.warn('[tokenRegistry] Ignoring invalid VITE_TOKEN_REGISTRY:', error.message);
+    }
+  }
+  configuredTokens = [...byMint.values()];
+  return configuredTokens;
+}
+
+function loadLearnedTokenIds() {
+  try {
+    return JSON.parse(localStorage.getItem(LEARNED_TOKEN_IDS_KEY) || '{}') || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * All registered tokens, with tokenIds resolved from configuration or earlier deposits
+ * @returns {Array<{mint, symbol, name, decimals, minAmount, native, tokenId}>}
+ */
+export function getTokens() {
+  const learned = loadLearnedTokenIds();
+  return loadConfiguredTokens().map(token => ({
+    ...token,
+    tokenId: token.tokenId || tokenIdKey(learned[token.mint]),
+  }));
+}
+
+export function getDefaultToken() {
+  return getTokens().find(token => token.mint === WSOL_MINT);
+}
+
+/**
+ * Look up a token by mint address
+ * @param {string} mint
+ * @returns {Object|null}
+ */
+export function getToken(mint) {
+  if (!mint) return null;
+  return getTokens().find(token => token.mint === mint) || null;
+}
+
+/**
+ * Look up the token a note belongs to from its tokenId field
+ * @param {bigint|string} tokenId
+ * @returns {Object|null} null when the tokenId matches no registered token (see the fallback to wSOL above)
+ */
+export function getTokenForTokenId(tokenId) {
+  const key = tokenIdKey(tokenId);
+  const tokens = getTokens();
+  const match = tokens.find(token => token.tokenId && token.tokenId === key);
+  if (match) return match;
+  // The legacy fallback only holds while wSOL is the only token a note can belong to
+  if (tokens.some(token => token.mint !== WSOL_MINT)) return null;
+  const wsol = tokens.find(token => token.mint === WSOL_MINT);
+  return wsol && !wsol.tokenId ? wsol : null;
+}
+
+/**
+ * Remember the tokenId the SDK used for a mint (called with the note of each deposit)
+ * @param {string} mint
+ * @param {bigint|string} tokenId
+ */
+export function rememberTokenId(mint, tokenId) {
+  const key = tokenIdKey(tokenId);
+  if (!mint || !key) return;
+  const learned = loadLearnedTokenIds();
+  if (learned[mint] === key) return;
+  const configured = loadConfiguredTokens().find(token => token.mint === mint);
+  if (configured?.tokenId && configured.tokenId !== key) {
+    console.warn('[tokenRegistry] Deposit note tokenId', key, 'does not match configured tokenId', configured.tokenId, 'for', mint);
+    return;
+  }
+  learned[mint] = key;
+  try {
+    localStorage.setItem(LEARNED_TOKEN_IDS_KEY, JSON.stringify(learned));
+  } catch (e) {
+    // Not fatal: the mapping is learned again on the next deposit
+  }
+}
+
+/**
+ * Format atoms as a token amount, e.g. "1.5 SOL"
+ * @param {bigint|number|string} atoms
+ * @param {Object|null} token - Registry token; unknown tokens are shown in atoms
+ * @param {Object} options - { fixed } to keep all decimals instead of trimming trailing zeros
+ * @returns {string}
+ */
+export function formatTokenAmount(atoms, token, options = {}) {
+  const value = BigInt(atoms ?? 0);
+  if (!token) return `${value.toString()} atoms`;
+  const negative = value < 0n;
+  const abs = negative ? -value : value;
+  const scale = 10n ** BigInt(token.decimals);
+  let fraction = (abs % scale).toString().padStart(token.decimals, '0');
+  if (!options.fixed) fraction = fraction.replace(/0+$/, '');
+  const whole = (abs / scale).toString();
+  return `${negative ? '-' : ''}${whole}${fraction ? '.' + fraction : ''} ${token.symbol}`;
+}
+
+/**
+ * Parse a decimal amount typed by the user into atoms of a token
+ * @param {string|number} value - e.g. "1.25"
+ * @param {Object} token - Registry token
+ * @returns {bigint} 0n when the value is not a positive number or has more decimals than the token
+ */
+export function parseTokenAmount(value, token) {
+  const text = String(value ?? '').trim();
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[1] && !match[2]) || !token) return 0n;
+  const fraction = match[2] || '';
+  if (fraction.length > token.decimals) return 0n;
+  return BigInt(match[1] || '0') * 10n ** BigInt(token.decimals) + BigInt(fraction.padEnd(token.decimals, '0') || '0');
+}
+
+/**
+ * Shielded balance per token
+ * @param {Array} notes - Overview notes { note: { tokenId }, amount, isSpent }
+ * @returns {Array<{token, tokenId, balance, spendableNotes}>} One entry per tokenId, registered tokens first
+ */
+export function summarizeTokenBalances(notes) {
+  const byTokenId = new Map();
+  for (const entry of notes) {
+    const key = tokenIdKey(entry.note?.tokenId ?? entry.tokenId);
+    if (!byTokenId.has(key)) {
+      byTokenId.set(key, { token: getTokenForTokenId(key), tokenId: key, balance: 0n, spendableNotes: 0 });
+    }
+    if (!entry.isSpent) {
+      const summary = byTokenId.get(key);
+      summary.balance += BigInt(entry.amount);
+      summary.spendableNotes++;
+    }
+  }
+
+  // Unmapped notes that all fall back to wSOL are listed once
+  const merged = new Map();
+  for (const summary of byTokenId.values()) {
+    const mergeKey = summary.token ? summary.token.mint : summary.tokenId;
+    const existing = merged.get(mergeKey);
+    if (existing) {
+      existing.balance += summary.balance;
+      existing.spendableNotes += summary.spendableNotes;
+    } else {
+      merged.set(mergeKey, { ...summary });
+    }
+  }
+  return [...merged.values()].sort((a, b) => (!!b.token - !!a.token));
+}
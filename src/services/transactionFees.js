@@ -0,0 +1,145 @@
+// Transaction Fees
+// Compute budget, priority fee and fee estimate for the transactions the connected wallet signs itself
+// (SOL wrap, exact approvals, ATA creation, revoke, unwrap). Proof transactions are paid by the relayer.
+//
+// The priority fee is a percentile of the recent prioritization fees paid for the accounts the transaction
+// writes to; the level (percentile) is a user preference kept in localStorage. The total fee comes from
+// getFeeForMessage on the final message, so it includes the priority fee.
+
+import { ComputeBudgetProgram, SystemProgram } from '@solana/web3.js';
+import { ASSOCIATED_TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+
+export const PRIORITY_LEVELS = [
+  { id: 'none', label: 'None', percentile: null, description: 'Base fee only. Can be slow or dropped when the network is busy.' },
+  { id: 'low', label: 'Low', percentile: 25, description: 'Pays less than most recent transactions.' },
+  { id: 'medium', label: 'Medium', percentile: 50, description: 'Pays the median recent priority fee.' },
+  { id: 'high', label: 'High', percentile: 75, description: 'Outbids most recent transactions. Use under congestion.' },
+];
+
+export const DEFAULT_PRIORITY_LEVEL = 'medium';
+
+const PRIORITY_LEVEL_KEY = 'cipherpay_priority_level';
+
+// Only used when the RPC cannot price the message (e.g. the blockhash expired in between)
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+// Compute units reserved per instruction of each program; unknown programs get the runtime default
+const COMPUTE_UNITS_BY_PROGRAM = new Map([
+  [SystemProgram.programId.toBase58(), 1_000],
+  [TOKEN_PROGRAM_ID.toBase58(), 10_000],
+  [TOKEN_2022_PROGRAM_ID.toBase58(), 20_000],
+  [ASSOCIATED_TOKEN_PROGRAM_ID.toBase58(), 40_000],
+]);
+const DEFAULT_INSTRUCTION_COMPUTE_UNITS = 200_000;
+// The two compute budget instructions themselves
+const COMPUTE_BUDGET_OVERHEAD = 300;
+
+export function getPriorityLevel() {
+  const stored = localStorage.getItem(PRIORITY_LEVEL_KEY);
+  return PRIORITY_LEVELS.some(level => level.id === stored) ? stored : DEFAULT_PRIORITY_LEVEL;
+}
+
+export function setPriorityLevel(level) {
+  if (!PRIORITY_LEVELS.some(entry => entry.id === level)) {
+    throw new Error(`Unknown priority level: ${level}`);
+  }
+  localStorage.setItem(PRIORITY_LEVEL_KEY, level);
+}
+
+/**
+ * Compute unit limit for a set of instructions
+ * @param {TransactionInstruction[]} instructions - Without compute budget instructions
+ * @returns {number}
+ */
+export function estimateComputeUnits(instructions) {
+  return instructions.reduce(
+    (units, ix) => units + (COMPUTE_UNITS_BY_PROGRAM.get(ix.programId.toBase58()) ?? DEFAULT_INSTRUCTION_COMPUTE_UNITS),
+    COMPUTE_BUDGET_OVERHEAD
+  );
+}
+
+/**
+ * Priority fee for a level, from the recent fees paid to write the given accounts
+ * @param {Connection} connection
+ * @param {string} level - One of PRIORITY_LEVELS ids
+ * @param {PublicKey[]} writableAccounts
+ * @returns {Promise<number>} micro-lamports per compute unit
+ */
+export async function getPriorityFee(connection, level, writableAccounts = []) {
+  const percentile = PRIORITY_LEVELS.find(entry => entry.id === level)?.percentile;
+  if (percentile === null || percentile === undefined) return 0;
+  try {
+    const recent = await connection.getRecentPrioritizationFees({ lockedWritableAccounts: writableAccounts });
+    const fees = recent.map(entry => entry.prioritizationFee).sort((a, b) => a - b);
+    if (fees.length === 0) return 0;
+    return fees[Math.min(fees.length - 1, Math.floor((percentile / 100) * fees.length))];
+  } catch (error) {
+    console.warn('[transactionFees] Could not load recent prioritization fees:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Add compute budget instructions, a recent blockhash and the fee payer to a transaction, and price it
+ * Existing compute budget instructions are replaced, so a transaction can be prepared again before resending.
+ * @param {Connection} connection
+ * @param {Transaction} transaction - Legacy transaction; modified in place
+ * @param {PublicKey} payer
+ * @param {Object} options - { priorityLevel (default: the user's preference), computeUnits }
+ * @returns {Promise<{ transaction, fee: bigint, priorityFee: bigint, computeUnits: number, microLamports: number, priorityLevel: string, blockhash: string, lastValidBlockHeight: number }>}
+ */
+export async function prepareTransaction(connection, transaction, payer, options = {}) {
+  const priorityLevel = options.priorityLevel ?? getPriorityLevel();
+  const instructions = transaction.instructions.filter(ix => !ix.programId.equals(ComputeBudgetProgram.programId));
+  const computeUnits = options.computeUnits ?? estimateComputeUnits(instructions);
+
+  const writable = new Map();
+  for (const ix of instructions) {
+    for (const key of ix.keys) {
+      if (key.isWritable) writable.set(key.pubkey.toBase58(), key.pubkey);
+    }
+  }
+  const microLamports = await getPriorityFee(connection, priorityLevel, [...writable.values()]);
+
+  const budget = [ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits })];
+  if (microLamports > 0) {
+    budget.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+  }
+  transaction.instructions = [...budget, ...instructions];
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+  transaction.recentBlockhash = blockhash;
+  transaction.lastValidBlockHeight = lastValidBlockHeight;
+  transaction.feePayer = payer;
+
+  const priorityFee = BigInt(Math.ceil((computeUnits * microLamports) / 1_000_000));
+  const message = transaction.compileMessage();
+  let fee = null;
+  try {
+    const { value } = await connection.getFeeForMessage(message);
+    fee = value === null ? null : BigInt(value);
+  } catch (error) {
+    console.warn('[transactionFees] getFeeForMessage failed:', error.message);
+  }
+  if (fee === null) {
+    fee = BigInt(LAMPORTS_PER_SIGNATURE * message.header.numRequiredSignatures) + priorityFee;
+  }
+
+  return { transaction, fee, priorityFee, computeUnits, microLamports, priorityLevel, blockhash, lastValidBlockHeight };
+}
+
+/**
+ * Send a prepared transaction through the wallet adapter and wait for confirmation
+ * @param {Connection} connection
+ * @param {Function} sendTransaction - Wallet adapter sendTransaction
+ * @param {Object} prepared - Result of prepareTransaction
+ * @returns {Promise<string>} signature
+ */
+export async function sendPreparedTransaction(connection, sendTransaction, prepared) {
+  const signature = await sendTransaction(prepared.transaction, connection);
+  await connection.confirmTransaction(
+    { signature, blockhash: prepared.blockhash, lastValidBlockHeight: prepared.lastValidBlockHeight },
+    'confirmed'
+  );
+  return signature;
+}
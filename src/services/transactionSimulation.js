@@ -0,0 +1,241 @@
+// Transaction Simulation
+// Runs a wallet-signed transaction against the configured RPC before the wallet is asked to sign it, and turns
+// the result into effects a user can read: SOL and token balance changes, accounts created or closed, token
+// delegations, and program errors decoded from the instruction error and the logs.
+// A failed simulation means the transaction would fail on-chain too (and still cost its fee), so callers
+// refuse to send it (assertSimulationOk).
+
+import { PublicKey, VersionedTransaction, SystemProgram, ComputeBudgetProgram } from '@solana/web3.js';
+import { ASSOCIATED_TOKEN_PROGRAM_ID, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, unpackAccount } from '@solana/spl-token';
+import { Buffer } from 'buffer';
+
+const PROGRAM_NAMES = new Map([
+  [SystemProgram.programId.toBase58(), 'System program'],
+  [TOKEN_PROGRAM_ID.toBase58(), 'Token program'],
+  [TOKEN_2022_PROGRAM_ID.toBase58(), 'Token-2022 program'],
+  [ASSOCIATED_TOKEN_PROGRAM_ID.toBase58(), 'Associated token account program'],
+  [ComputeBudgetProgram.programId.toBase58(), 'Compute budget program'],
+]);
+
+// Custom error codes of the programs these transactions use
+const TOKEN_ERRORS = [
+  'Account balance below the rent-exempt minimum',
+  'Insufficient token balance',
+  'Invalid mint',
+  'Token account does not belong to this mint',
+  'Token account owner does not match',
+  'Mint has a fixed supply',
+  'Account is already in use',
+  'Wrong number of signers provided',
+  'Wrong number of required signers',
+  'Account is not initialized',
+  'Instruction not supported for native (wSOL) accounts',
+  'Token account still holds tokens and cannot be closed',
+  'Invalid instruction',
+  'Invalid account state',
+  'Amount overflow',
+  'Authority type not supported',
+  'Mint cannot freeze',
+  'Token account is frozen',
+  'Decimals do not match the mint',
+  'Instruction only supported for native (wSOL) accounts',
+];
+const CUSTOM_ERRORS = new Map([
+  // SystemError, in enum order
+  [SystemProgram.programId.toBase58(), [
+    'Account already exists',
+    'Insufficient SOL balance',
+    'Invalid program ID',
+    'Invalid account data length',
+    'Seed is too long',
+    'Address does not match seed',
+    'Nonce account has no recent blockhashes',
+    'Nonce blockhash has not expired yet',
+    'Nonce blockhash does not match',
+  ]],
+  [TOKEN_PROGRAM_ID.toBase58(), TOKEN_ERRORS],
+  [TOKEN_2022_PROGRAM_ID.toBase58(), TOKEN_ERRORS],
+  [ASSOCIATED_TOKEN_PROGRAM_ID.toBase58(), ['Associated token account owner does not match']],
+]);
+
+// Transaction-level errors (the transaction never reached its instructions)
+const TRANSACTION_ERRORS = {
+  AccountNotFound: 'The fee payer has no SOL',
+  InsufficientFundsForFee: 'Not enough SOL to pay the network fee',
+  InsufficientFundsForRent: 'An account would be left below the rent-exempt minimum',
+  BlockhashNotFound: 'The blockhash expired; try again',
+};
+
+// Built-in instruction errors worth spelling out
+const INSTRUCTION_ERRORS = {
+  InsufficientFunds: 'Insufficient funds',
+  AccountAlreadyInitialized: 'Account already exists',
+  UninitializedAccount: 'Account is not initialized',
+  MissingRequiredSignature: 'A required signature is missing',
+  IllegalOwner: 'Account is owned by another program',
+  InvalidAccountData: 'Invalid account data',
+};
+
+const programName = (programId) => PROGRAM_NAMES.get(programId) || `Program ${programId}`;
+
+/**
+ * Describe a simulation error in words
+ * @param {Object|string} err - value.err of a simulation
+ * @param {PublicKey[]} programIds - Program of each instruction, by index
+ * @param {string[]} logs
+ * @returns {string}
+ */
+export function describeSimulationError(err, programIds = [], logs = []) {
+  // Log lines usually carry the most specific reason, e.g. "Transfer: insufficient lamports 1000, need 5000"
+  const logReason = logs
+    .map(line => line.replace(/^Program log: /, ''))
+    .find(line => /^Error: |insufficient lamports/i.test(line));
+
+  if (typeof err === 'string') {
+    return TRANSACTION_ERRORS[err] || err;
+  }
+  if (err?.InstructionError) {
+    const [index, detail] = err.InstructionError;
+    const programId = programIds[index]?.toBase58();
+    let reason;
+    if (detail && typeof detail === 'object' && 'Custom' in detail) {
+      reason = CUSTOM_ERRORS.get(programId)?.[detail.Custom] || `custom program error ${detail.Custom}`;
+    } else {
+      reason = INSTRUCTION_ERRORS[detail] || String(detail);
+    }
+    return `Instruction ${index + 1} (${programName(programId)}) would fail: ${reason}${logReason ? ` (${logReason.replace(/^Error: /, '')})` : ''}`;
+  }
+  return logReason || JSON.stringify(err);
+}
+
+function decodeTokenAccount(address, info) {
+  if (!info || !(info.owner.equals(TOKEN_PROGRAM_ID) || info.owner.equals(TOKEN_2022_PROGRAM_ID))) return null;
+  try {
+    return unpackAccount(address, info, info.owner);
+  } catch (e) {
+    return null; // A mint or another kind of token program account
+  }
+}
+
+// simulateTransaction returns post-state accounts in JSON form
+function toAccountInfo(account) {
+  if (!account) return null;
+  return {
+    lamports: account.lamports,
+    owner: new PublicKey(account.owner),
+    data: Buffer.from(account.data[0], 'base64'),
+    executable: account.executable,
+    rentEpoch: account.rentEpoch,
+  };
+}
+
+/**
+ * Simulate a prepared legacy transaction and summarize its effects
+ * @param {Connection} connection
+ * @param {Transaction} transaction - With fee payer and recent blockhash set (see transactionFees.prepareTransaction)
+ * @param {Object} options - { labels: { [address]: 'Your wallet', ... } } names shown for known accounts
+ * @returns {Promise<Object>} { ok, error, logs, unitsConsumed, solChanges, tokenChanges, createdAccounts, closedAccounts, delegations }
+ */
+export async function simulateTransaction(connection, transaction, options = {}) {
+  const labels = options.labels || {};
+  const label = (address) => labels[address] || null;
+
+  const message = transaction.compileMessage();
+  const writable = message.accountKeys.filter((key, index) => message.isAccountWritable(index));
+  const programIds = message.instructions.map(ix => message.accountKeys[ix.programIdIndex]);
+
+  const [before, simulation] = await Promise.all([
+    connection.getMultipleAccountsInfo(writable),
+    connection.simulateTransaction(new VersionedTransaction(message), {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      accounts: { encoding: 'base64', addresses: writable.map(key => key.toBase58()) },
+    }),
+  ]);
+  const { err, logs = [], accounts: afterAccounts = [], unitsConsumed } = simulation.value;
+
+  const result = {
+    ok: !err,
+    error: err ? describeSimulationError(err, programIds, logs || []) : null,
+    logs: logs || [],
+    unitsConsumed: unitsConsumed ?? null,
+    solChanges: [],
+    tokenChanges: [],
+    createdAccounts: [],
+    closedAccounts: [],
+    delegations: [],
+  };
+  // Without a successful run the post-state is meaningless
+  if (err) return result;
+
+  writable.forEach((key, index) => {
+    const address = key.toBase58();
+    const pre = before[index];
+    const post = toAccountInfo(afterAccounts?.[index]);
+    const preLamports = BigInt(pre?.lamports ?? 0);
+    const postLamports = BigInt(post?.lamports ?? 0);
+
+    const preToken = decodeTokenAccount(key, pre);
+    const postToken = decodeTokenAccount(key, post);
+    const tokenAccount = postToken || preToken;
+
+    if (!pre && post && postLamports > 0n) {
+      // A new wSOL account holds its rent plus the wrapped amount, which is reported as a token change
+      const rent = postLamports - (postToken?.isNative ? postToken.amount : 0n);
+      result.createdAccounts.push({ address, label: label(address), program: programName(post.owner.toBase58()), mint: postToken?.mint.toBase58() ?? null, rent });
+    } else if (pre && postLamports === 0n) {
+      result.closedAccounts.push({ address, label: label(address), program: programName(pre.owner.toBase58()), mint: preToken?.mint.toBase58() ?? null, refund: preLamports });
+    }
+
+    // Lamports of a wSOL account are its token balance plus rent; they are reported as a token change
+    if (postLamports !== preLamports && !tokenAccount?.isNative) {
+      result.solChanges.push({ address, label: label(address), before: preLamports, after: postLamports, delta: postLamports - preLamports });
+    }
+    if (!tokenAccount) return;
+
+    const mint = tokenAccount.mint.toBase58();
+    const preAmount = preToken?.amount ?? 0n;
+    const postAmount = postToken?.amount ?? 0n;
+    if (preAmount !== postAmount) {
+      result.tokenChanges.push({ address, label: label(address), mint, before: preAmount, after: postAmount, delta: postAmount - preAmount });
+    }
+    const preDelegate = preToken?.delegate?.toBase58() ?? null;
+    const postDelegate = postToken?.delegate?.toBase58() ?? null;
+    const preDelegated = preDelegate ? preToken.delegatedAmount : 0n;
+    const postDelegated = postDelegate ? postToken.delegatedAmount : 0n;
+    if (postToken && (preDelegate !== postDelegate || preDelegated !== postDelegated)) {
+      result.delegations.push({
+        address,
+        label: label(address),
+        mint,
+        before: { delegate: preDelegate, delegateLabel: preDelegate && label(preDelegate), amount: preDelegated },
+        after: { delegate: postDelegate, delegateLabel: postDelegate && label(postDelegate), amount: postDelegated },
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Names for the accounts of the wallet's own transactions
+ * @param {Object} accounts - { owner, tokenAccount, symbol, relayer } (PublicKey or base58; any may be missing)
+ * @returns {Object} address -> label
+ */
+export function walletAccountLabels({ owner, tokenAccount, symbol, relayer }) {
+  const labels = {};
+  if (owner) labels[owner.toString()] = 'Your wallet';
+  if (tokenAccount) labels[tokenAccount.toString()] = `Your ${symbol || 'token'} account`;
+  if (relayer) labels[relayer.toString()] = 'Relayer';
+  return labels;
+}
+
+/**
+ * Refuse to go on with a transaction whose simulation failed
+ * @param {Object} simulation - Result of simulateTransaction
+ */
+export function assertSimulationOk(simulation) {
+  if (simulation && !simulation.ok) {
+    throw new Error(`Transaction simulation failed, nothing was sent: ${simulation.error}`);
+  }
+}
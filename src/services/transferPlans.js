@@ -0,0 +1,165 @@
+// Transfer Plans
+// A transfer that needs several notes is executed as a plan: one transfer (proof) per input note.
+// The plan is built and shown for confirmation before anything is signed, persisted in the note store
+// while it runs, and can be resumed after a reload or error. Amounts are stored as decimal strings
+// so plans stay JSON-serializable; the input note objects are kept in memory only.
+//
+// Plan:  { id, recipient, amount, mint, status, error, createdAt, updatedAt, steps }
+//   mint: token being sent (plans saved before tokens were tracked have none and are wSOL)
+//   status: 'draft' (not started) | 'running' | 'interrupted' (stopped by an error or reload) | 'completed'
+// Step:  { index, noteCommitment, noteNullifier, noteAmount, amount, changeAmount, status, txHash, error }
+//   status: 'pending' | 'running' | 'done' | 'failed'
+//   A 'running' or 'failed' step may or may not have reached the chain; resuming checks its input nullifier.
+
+import { getStoreAccount, getTransferPlans, putTransferPlan, deleteTransferPlan } from './noteStore';
+import { formatTokenAmount } from './tokenRegistry';
+
+function newPlanId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Build a draft plan that sends `amount` to `recipient` from the given notes, in order
+ * Each note sends its full amount except the last one, which sends the remainder and keeps the change.
+ * With a token, a plan whose last step sends or whose change keeps less than the token's minimum amount is
+ * rejected: such a transfer would only leave dust behind.
+ * @param {string|bigint} recipient - Recipient ownerCipherPayPubKey
+ * @param {bigint} amount - Amount in atoms
+ * @param {Array} notes - Selected input notes of one token (with commitment, nullifierHex and mint)
+ * @param {Object} token - Registry token of the notes (optional)
+ * @returns {Object} Draft plan
+ */
+export function buildTransferPlan(recipient, amount, notes, token = null) {
+  const steps = [];
+  let remaining = BigInt(amount);
+  for (const note of notes) {
+    if (remaining <= 0n) break;
+    const noteAmount = BigInt(note.amount);
+    const stepAmount = remaining <= noteAmount ? remaining : noteAmount;
+    steps.push({
+      index: steps.length,
+      noteCommitment: note.commitment || null,
+      noteNullifier: note.nullifierHex || null,
+      noteAmount: noteAmount.toString(),
+      amount: stepAmount.toString(),
+      changeAmount: (noteAmount - stepAmount).toString(),
+      status: 'pending',
+      txHash: null,
+      error: null,
+      note,
+    });
+    remaining -= stepAmount;
+  }
+  if (remaining > 0n) {
+    throw new Error('Available shield balance insufficient');
+  }
+  const last = steps[steps.length - 1];
+  if (token && last) {
+    if (BigInt(last.amount) < token.minAmount) {
+      throw new Error(`The last transfer of this plan would send ${formatTokenAmount(BigInt(last.amount), token)}, below the minimum of ${formatTokenAmount(token.minAmount, token)}; try a slightly different amount`);
+    }
+    const change = BigInt(last.changeAmount);
+    if (change > 0n && change < token.minAmount) {
+      throw new Error(`This transfer would leave ${formatTokenAmount(change, token)} of change, below the minimum of ${formatTokenAmount(token.minAmount, token)}; try a slightly different amount`);
+    }
+  }
+
+  const now = Date.now();
+  return {
+    id: newPlanId(),
+    recipient: typeof recipient === 'bigint' ? '0x' + recipient.toString(16).padStart(64, '0') : recipient,
+    amount: BigInt(amount).toString(),
+    mint: notes[0]?.mint ?? null,
+    status: 'draft',
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    steps,
+  };
+}
+
+/**
+ * Amount already delivered by completed steps
+ * @param {Object} plan
+ * @returns {bigint}
+ */
+export function getSentAmount(plan) {
+  return plan.steps
+    .filter(step => step.status === 'done')
+    .reduce((sum, step) => sum + BigInt(step.amount), 0n);
+}
+
+/**
+ * Copy of a plan without the in-memory note objects, as persisted and handed to the UI
+ * @param {Object} plan
+ * @returns {Object}
+ */
+export function toPlanSnapshot(plan) {
+  return {
+    ...plan,
+    steps: plan.steps.map(({ note, ...step }) => ({ ...step })),
+  };
+}
+
+/**
+ * Persist a plan for the signed-in account
+ * @param {Object} plan
+ */
+export async function saveTransferPlan(plan) {
+  const account = getStoreAccount();
+  if (!account) return;
+  plan.updatedAt = Date.now();
+  try {
+    await putTransferPlan(account, toPlanSnapshot(plan));
+  } catch (error) {
+    // The transfer itself must not fail because the plan could not be recorded
+    console.warn('[transferPlans] Failed to persist transfer plan:', error);
+  }
+}
+
+/**
+ * Load the signed-in account's plans that have not completed
+ * Plans still marked 'running' were cut off by a reload and are reported as 'interrupted'.
+ * @param {Object} options - { activePlanId } plan currently executing in this tab, reported as is
+ * @returns {Promise<Array>}
+ */
+export async function loadUnfinishedTransferPlans(options = {}) {
+  const account = getStoreAccount();
+  if (!account) return [];
+  try {
+    const plans = await getTransferPlans(account);
+    return plans
+      .filter(plan => plan.status !== 'completed')
+      .map(plan => (plan.status === 'running' && plan.id !== options.activePlanId
+        ? { ...plan, status: 'interrupted', error: plan.error || 'Interrupted before all transfers were sent' }
+        : plan));
+  } catch (error) {
+    console.warn('[transferPlans] Failed to load transfer plans:', error);
+    return [];
+  }
+}
+
+/**
+ * Load one persisted plan
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function loadTransferPlan(id) {
+  const account = getStoreAccount();
+  if (!account) return null;
+  const plans = await getTransferPlans(account);
+  return plans.find(plan => plan.id === id) || null;
+}
+
+/**
+ * Remove a persisted plan
+ * @param {string} id
+ */
+export async function removeTransferPlan(id) {
+  const account = getStoreAccount();
+  if (!account) return;
+  await deleteTransferPlan(account, id);
+}
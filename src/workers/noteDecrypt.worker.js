@@ -0,0 +1,63 @@
+// Note Decryption Worker
+// Decrypts message ciphertexts and parses notes off the main thread.
+//
+// Protocol (main thread -> worker):
+//   { type: 'init', secretKeyB64 }                         - hand over the decryption key once per session
+//   { type: 'decrypt', jobId, messages, chunkSize }        - decrypt a batch of messages
+// Protocol (worker -> main thread):
+//   { type: 'ready' }
+//   { type: 'chunk', jobId, notes: [{ messageId, note }], processed, total }
+//   { type: 'done', jobId, processed, total, failed }
+//   { type: 'error', jobId, message }
+
+import { b64ToU8, openEnvelopeWithSecretKey } from '../lib/e2ee';
+import { parseDecryptedNote } from '../lib/noteCodec';
+
+let secretKey = null;
+
+function decryptJob({ jobId, messages, chunkSize = 25 }) {
+  if (!secretKey) {
+    self.postMessage({ type: 'error', jobId, message: 'Decryption key not initialized' });
+    return;
+  }
+
+  const total = messages.length;
+  let processed = 0;
+  let failed = 0;
+  let chunk = [];
+
+  for (const msg of messages) {
+    processed++;
+    const decrypted = openEnvelopeWithSecretKey(msg.ciphertext, secretKey);
+    if (decrypted?.note) {
+      try {
+        chunk.push({ messageId: msg.id ?? null, note: parseDecryptedNote(decrypted.note) });
+      } catch (error) {
+        failed++;
+      }
+    } else if (!decrypted) {
+      failed++;
+    }
+
+    if (chunk.length >= chunkSize || processed === total) {
+      self.postMessage({ type: 'chunk', jobId, notes: chunk, processed, total });
+      chunk = [];
+    }
+  }
+
+  self.postMessage({ type: 'done', jobId, processed, total, failed });
+}
+
+self.onmessage = (event) => {
+  const data = event.data || {};
+  try {
+    if (data.type === 'init') {
+      secretKey = b64ToU8(data.secretKeyB64);
+      self.postMessage({ type: 'ready' });
+    } else if (data.type === 'decrypt') {
+      decryptJob(data);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId: data.jobId, message: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,47 @@
+// Prover Worker
+// Generates Groth16 proofs off the main thread with snarkjs.
+// Cancellation is done by terminating the worker, so each worker handles a single proof.
+//
+// Protocol (main thread -> worker):
+//   { type: 'prove', jobId, input, wasm, zkey, vkey }            - digest-checked bytes; vkey is optional (skips verification)
+// Protocol (worker -> main thread):
+//   { type: 'stage', jobId, stage }                              - 'witness' | 'proving' | 'verifying'
+//   { type: 'result', jobId, proof, publicSignals, verified }   - verified is null when no vkey was given
+//   { type: 'error', jobId, stage, message }
+
+import { wtns, groth16 } from 'snarkjs';
+
+async function proveJob({ jobId, input, wasm, zkey, vkey }) {
+  let stage = 'witness';
+  const setStage = (next) => {
+    stage = next;
+    self.postMessage({ type: 'stage', jobId, stage });
+  };
+
+  try {
+    // In-memory witness, the same way groth16.fullProve does it, so stages can be reported separately
+    setStage('witness');
+    const witness = { type: 'mem' };
+    await wtns.calculate(input, { type: 'mem', data: wasm }, witness);
+
+    setStage('proving');
+    const { proof, publicSignals } = await groth16.prove({ type: 'mem', data: zkey }, witness);
+
+    let verified = null;
+    if (vkey) {
+      setStage('verifying');
+      verified = await groth16.verify(vkey, publicSignals, proof);
+    }
+
+    self.postMessage({ type: 'result', jobId, proof, publicSignals, verified });
+  } catch (error) {
+    self.postMessage({ type: 'error', jobId, stage, message: error?.message || String(error) });
+  }
+}
+
+self.onmessage = (event) => {
+  const data = event.data || {};
+  if (data.type === 'prove') {
+    proveJob(data);
+  }
+};
@@ -77,6 +77,10 @@ export default defineConfig({
     noExternal: [], // Don't externalize anything for SSR
     external: ['cipherpay-sdk'], // Mark SDK as external for SSR
   },
+  // Workers are bundled as ES modules (the prover worker pulls in snarkjs, which code-splits)
+  worker: {
+    format: 'es',
+  },
   // Vite automatically handles TypeScript via esbuild
   // TypeScript files (.ts, .tsx) are automatically transpiled
   build: {